@@ -3,16 +3,25 @@
 // bin/mcp-stdio.js
 // Entry point to launch the MCP server over stdio.
 // Ensures FEATURE_MCP is on by default.
+// Set MCP_SERVER_URL to proxy to a running server instead of opening
+// the SQLite files directly.
 
 process.env.FEATURE_MCP = process.env.FEATURE_MCP || '1';
 process.env.MCP_TRANSPORT = process.env.MCP_TRANSPORT || 'stdio';
 
 (async () => {
   try {
+    require('dotenv').config({ quiet: true });
     const logger = require('../src/utils/logger');
     const { startMcpServer } = require('../src/mcp/server');
-    await startMcpServer();
+    const server = await startMcpServer();
     logger.info('MCP stdio server started');
+
+    // The client closes stdin to end the session
+    process.on('SIGTERM', () => server.close());
+    process.on('SIGINT', () => server.close());
+    await server.closed;
+    process.exit(0);
   } catch (err) {
     // MCP clients typically read stderr, keep this simple
     console.error('MCP server failed:', err && err.stack ? err.stack : err);
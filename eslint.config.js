@@ -32,6 +32,8 @@ export default [
           endOfLine: 'auto',
         },
       ],
+      // `_`-prefixed arguments are required by a signature but unused
+      'no-unused-vars': ['error', { argsIgnorePattern: '^_' }],
       // Security rules
       ...security.configs.recommended.rules,
       'no-unsanitized/method': 'error',
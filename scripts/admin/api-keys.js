@@ -0,0 +1,129 @@
+#!/usr/bin/env node
+
+const AuthService = require('../../src/modules/auth/service');
+const MapsService = require('../../src/modules/maps/service');
+const { config } = require('../../src/config/config');
+
+/**
+ * API Key and Map Role Utility
+ * Issues and revokes Bearer API keys and grants map roles (FEATURE_AUTH)
+ */
+
+/**
+ * Parse command line arguments
+ * @returns {Object} Parsed command and options
+ */
+function parseArguments() {
+  const args = process.argv.slice(2);
+  const options = { command: args[0] };
+
+  for (let i = 1; i < args.length; i++) {
+    const arg = args[i];
+
+    if (arg === '--user' && args[i + 1]) {
+      options.userId = args[++i];
+    } else if (arg === '--name' && args[i + 1]) {
+      options.name = args[++i];
+    } else if (arg === '--id' && args[i + 1]) {
+      options.id = args[++i];
+    } else if (arg === '--map' && args[i + 1]) {
+      options.mapId = args[++i];
+    } else if (arg === '--role' && args[i + 1]) {
+      options.role = args[++i];
+    } else if (arg === '--db' && args[i + 1]) {
+      options.dbPath = args[++i];
+    } else if (arg === '--help') {
+      options.command = 'help';
+    }
+  }
+
+  return options;
+}
+
+/**
+ * Show help information
+ */
+function showHelp() {
+  console.log(`
+MindMeld API Key Utility
+
+Usage: node api-keys.js <command> [options]
+
+Commands:
+  create --user <userId> [--name <label>]       Issue a key (shown once)
+  list [--user <userId>]                        List keys (never the key itself)
+  revoke --id <keyId>                           Revoke a key
+  grant --map <mapId> --user <userId> --role <owner|editor|viewer>
+                                                Grant a role on a map
+
+Options:
+  --db <path>    SQLite database (default: SQLITE_FILE or ./data/db.sqlite)
+  --help         Show this help message
+
+Examples:
+  node api-keys.js create --user alice --name laptop
+  node api-keys.js grant --map 3f2c... --user alice --role owner
+`);
+}
+
+/**
+ * Run a command against the database
+ * @param {Object} options - Parsed options
+ * @returns {Promise<Object|Array>} Command result
+ */
+async function run(options) {
+  const dbPath = options.dbPath || config.sqliteFile;
+
+  switch (options.command) {
+    case 'create':
+      return new AuthService(dbPath).createApiKey({
+        userId: options.userId,
+        name: options.name
+      });
+    case 'list':
+      return new AuthService(dbPath).listApiKeys(options.userId);
+    case 'revoke':
+      new AuthService(dbPath).revokeApiKey(options.id);
+      return { revoked: options.id };
+    case 'grant': {
+      const mapsService = new MapsService(dbPath);
+      try {
+        return await mapsService.setMember(options.mapId, {
+          userId: options.userId,
+          role: options.role
+        });
+      } finally {
+        await mapsService.close();
+      }
+    }
+    default:
+      throw new Error(`Unknown command: ${options.command || '(none)'}`);
+  }
+}
+
+/**
+ * Main execution function
+ */
+async function main() {
+  const options = parseArguments();
+  if (!options.command || options.command === 'help') {
+    showHelp();
+    process.exit(0);
+  }
+
+  try {
+    const result = await run(options);
+    console.log(JSON.stringify(result, null, 2));
+    process.exit(0);
+  } catch (error) {
+    console.error(`api-keys failed: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+// Run if called directly
+if (require.main === module) {
+  main();
+}
+
+module.exports = { run, parseArguments };
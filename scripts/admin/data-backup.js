@@ -819,9 +819,11 @@ class DataBackup {
 
   // Helper methods
   async getBackupTables(db, includeTables, excludeTables) {
+    // Skip the full-text search index (maps_search + FTS5 shadow tables):
+    // it is derived data and rebuilt from maps on next server start
     const allTables = db
       .prepare(
-        "SELECT name FROM sqlite_master WHERE type='table' AND name NOT LIKE 'sqlite_%'"
+        "SELECT name FROM sqlite_master WHERE type='table' AND name NOT LIKE 'sqlite_%' AND name NOT LIKE 'maps_search%'"
       )
       .all();
     let tables = allTables.map(t => t.name);
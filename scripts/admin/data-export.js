@@ -150,6 +150,7 @@ class DataExport {
             `
           SELECT name FROM sqlite_master 
           WHERE type='table' AND name NOT LIKE 'sqlite_%'
+            AND name NOT LIKE 'maps_search%'
         `
           )
           .all();
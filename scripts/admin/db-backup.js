@@ -298,6 +298,23 @@ class DatabaseBackup {
     }
   }
 
+  /**
+   * Size of the source database including its WAL file
+   * In WAL mode recent pages live in the -wal file until a checkpoint, so the
+   * main file alone can be much smaller than the data it holds.
+   * @param {string} dbPath - Source database path
+   * @returns {Promise<number>} Size in bytes
+   */
+  async getSourceSize(dbPath) {
+    const sourceStats = await fs.stat(dbPath);
+    try {
+      const walStats = await fs.stat(`${dbPath}-wal`);
+      return sourceStats.size + walStats.size;
+    } catch {
+      return sourceStats.size;
+    }
+  }
+
   /**
    * Generate backup report with metadata
    * @param {Object} backupInfo - Backup file information
@@ -309,11 +326,11 @@ class DatabaseBackup {
     const dbPath = process.env.SQLITE_FILE || config.sqliteFile;
 
     const stats = await fs.stat(backupInfo.path);
-    const sourceStats = await fs.stat(dbPath);
+    const sourceSize = await this.getSourceSize(dbPath);
 
     let compressionRatio = null;
     if (this.options.compress) {
-      compressionRatio = Math.round((1 - stats.size / sourceStats.size) * 100);
+      compressionRatio = Math.round((1 - stats.size / sourceSize) * 100);
     }
 
     // Calculate checksum for verification
@@ -325,7 +342,7 @@ class DatabaseBackup {
       path: backupInfo.path,
       relativePath: path.relative(process.cwd(), backupInfo.path),
       size: stats.size,
-      sourceSize: sourceStats.size,
+      sourceSize,
       compressed: this.options.compress,
       compressionRatio,
       checksum,
@@ -38,6 +38,9 @@ class MindMeldWebSocketClient {
     this.connections = this.doc.getMap('connections');
     this.meta = this.doc.getMap('meta');
 
+    // Presence of other users (cursors, selections) via y-protocols awareness
+    this.awareness = this.provider.awareness;
+
     // Track sync status
     this.synced = false;
     this.provider.on('sync', (isSynced) => {
@@ -91,6 +94,41 @@ class MindMeldWebSocketClient {
     this.connections.observe(callback);
   }
 
+  /**
+   * Share this user's presence with everyone on the map
+   * @param {Object} state - e.g. { user: { name, color }, cursor: { noteId, index } }
+   */
+  setPresence(state) {
+    this.awareness.setLocalState(state);
+  }
+
+  /**
+   * Update one field of this user's presence (e.g. 'cursor' or 'selection')
+   * @param {string} field
+   * @param {*} value
+   */
+  setPresenceField(field, value) {
+    this.awareness.setLocalStateField(field, value);
+  }
+
+  /**
+   * Presence of the other users on the map
+   * @returns {Map<number, Object>} Awareness client id -> state
+   */
+  getPeers() {
+    const peers = new Map(this.awareness.getStates());
+    peers.delete(this.awareness.clientID);
+    return peers;
+  }
+
+  /**
+   * Listen for presence changes
+   * @param {function} callback - Called with ({ added, updated, removed }, origin)
+   */
+  onPresenceChange(callback) {
+    this.awareness.on('change', callback);
+  }
+
   /**
    * Export current state to JSON (MindMeld format)
    * @returns {Object} Map data in JSON format
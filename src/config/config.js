@@ -11,18 +11,84 @@ const EnvSchema = z.object({
   // SQLite for /maps
   SQLITE_FILE: z.string().optional(),
   FEATURE_MAPS_API: z.string().optional(),
+  // Map version history retention
+  MAP_REVISION_LIMIT: z.string().regex(/^\d+$/).default('50'),
+  MAP_REVISION_MAX_AGE_DAYS: z.string().regex(/^\d+$/).default('90'),
+  YJS_REVISION_INTERVAL_MS: z.string().regex(/^\d+$/).default('300000'),
+  // Y.js update log compaction thresholds
+  YJS_COMPACT_MAX_UPDATES: z.string().regex(/^\d+$/).default('500'),
+  YJS_COMPACT_MAX_BYTES: z.string().regex(/^\d+$/).default('1048576'),
+  YJS_COMPACT_INTERVAL_MS: z.string().regex(/^\d+$/).default('60000'),
+  // Batched persistence of edits received over WebSocket
+  YJS_PERSIST_DEBOUNCE_MS: z.string().regex(/^\d+$/).default('1000'),
+  YJS_PERSIST_MAX_WAIT_MS: z.string().regex(/^\d+$/).default('10000'),
+  // Eviction of Y.js documents without connections (0 disables a limit)
+  YJS_EVICT_IDLE_MS: z.string().regex(/^\d+$/).default('300000'),
+  YJS_MAX_DOCUMENTS: z.string().regex(/^\d+$/).default('500'),
+  YJS_MEMORY_BUDGET_MB: z.string().regex(/^\d+$/).default('256'),
+  // Fan-out between server processes serving the same maps
+  YJS_PUBSUB: z.enum(['none', 'memory', 'sqlite']).default('none'),
+  YJS_PUBSUB_FILE: z.string().optional(),
+  YJS_PUBSUB_POLL_MS: z.string().regex(/^\d+$/).default('50'),
+  YJS_OWNERSHIP_TTL_MS: z.string().regex(/^\d+$/).default('120000'),
+  // Authentication (API keys and/or JWT) and per-map roles
+  FEATURE_AUTH: z.string().optional(),
+  AUTH_JWT_KEY: z.string().optional(),
+  AUTH_JWT_ISSUER: z.string().optional(),
+  AUTH_JWT_AUDIENCE: z.string().optional(),
+  // Signs share link tokens (generated and stored in the database if unset)
+  SHARE_TOKEN_SECRET: z.string().min(16).optional(),
   LOG_LEVEL: z.string().optional(),
   // Legacy state file (for MCP state resource)
   STATE_FILE: z.string().optional(),
   // MCP (Model Context Protocol) - enabled by default for AI assistant integration
   FEATURE_MCP: z.string().default('true'),
   MCP_TOKEN: z.string().optional(),
+  // stdio transport: proxy to a running server instead of opening the database
+  MCP_SERVER_URL: z.string().url().optional(),
+  MCP_SERVER_TOKEN: z.string().optional(),
   // Yjs feature flags - enabled by default for real-time collaboration
   DATA_PROVIDER: z.enum(['json', 'yjs']).default('yjs'),
   SERVER_SYNC: z.enum(['on', 'off']).default('on'),
   VERIFY_YJS: z.string().optional(),
 });
 
+/**
+ * Parse MCP_TOKEN into named, scoped tokens
+ * Accepts a bare token (named "default", write scope) or a comma-separated
+ * list of `name:token[:scope[:user]]` entries, scope being `read` or
+ * `write`. A token bound to a user has that user's map roles; an unbound
+ * token reaches every map.
+ * @param {string|undefined} value
+ * @returns {Array<{name: string, token: string, scope: 'read'|'write',
+ *   userId?: string}>}
+ */
+function parseMcpTokens(value) {
+  if (!value || !value.trim()) {
+    return [];
+  }
+  const entries = value.split(',').map((entry) => entry.trim());
+  const tokens = entries.filter(Boolean).map((entry) => {
+    const parts = entry.split(':');
+    if (parts.length === 1) {
+      return { name: 'default', token: parts[0], scope: 'write' };
+    }
+    const [name, token, scope = 'write', userId] = parts;
+    if (parts.length > 4 || !name || !token || userId === '') {
+      throw new Error('MCP_TOKEN entries must be name:token[:scope[:user]]');
+    }
+    if (scope !== 'read' && scope !== 'write') {
+      throw new Error(`MCP_TOKEN scope must be read or write, got "${scope}"`);
+    }
+    return userId ? { name, token, scope, userId } : { name, token, scope };
+  });
+  const names = new Set(tokens.map((token) => token.name));
+  if (names.size !== tokens.length) {
+    throw new Error('MCP_TOKEN token names must be unique');
+  }
+  return tokens;
+}
+
 function buildConfig() {
   const parsed = EnvSchema.parse(process.env);
   const config = {
@@ -37,6 +103,47 @@ function buildConfig() {
     featureMapsApi: !(
       parsed.FEATURE_MAPS_API === '0' || parsed.FEATURE_MAPS_API === 'false'
     ),
+    // Version history: revisions kept per map, max age (0 = no limit) and
+    // minimum interval between revisions captured from Y.js snapshots
+    mapRevisionLimit: parseInt(parsed.MAP_REVISION_LIMIT, 10),
+    mapRevisionMaxAgeDays: parseInt(parsed.MAP_REVISION_MAX_AGE_DAYS, 10),
+    yjsRevisionIntervalMs: parseInt(parsed.YJS_REVISION_INTERVAL_MS, 10),
+    // Y.js edits are logged incrementally and folded into the snapshot once
+    // the log reaches maxUpdates entries or maxBytes, or after intervalMs
+    yjsCompaction: {
+      maxUpdates: parseInt(parsed.YJS_COMPACT_MAX_UPDATES, 10),
+      maxBytes: parseInt(parsed.YJS_COMPACT_MAX_BYTES, 10),
+      intervalMs: parseInt(parsed.YJS_COMPACT_INTERVAL_MS, 10),
+    },
+    // WebSocket edits are written once a map's edits pause for delayMs, and
+    // at least every maxWaitMs while they continue
+    yjsPersistDebounce: {
+      delayMs: parseInt(parsed.YJS_PERSIST_DEBOUNCE_MS, 10),
+      maxWaitMs: parseInt(parsed.YJS_PERSIST_MAX_WAIT_MS, 10),
+    },
+    // Documents without connections leave memory after idleMs, or earlier
+    // (least recently used first) beyond maxDocuments or the memory budget
+    yjsEviction: {
+      idleMs: parseInt(parsed.YJS_EVICT_IDLE_MS, 10),
+      maxDocuments: parseInt(parsed.YJS_MAX_DOCUMENTS, 10),
+      memoryBudgetBytes:
+        parseInt(parsed.YJS_MEMORY_BUDGET_MB, 10) * 1024 * 1024,
+    },
+    // Processes sharing the SQLite files relay Y.js updates and awareness
+    // over a pub/sub bus; a lease lets one of them write each map's snapshot
+    yjsReplication: {
+      pubsub: parsed.YJS_PUBSUB,
+      dbFile: parsed.YJS_PUBSUB_FILE || null,
+      pollIntervalMs: parseInt(parsed.YJS_PUBSUB_POLL_MS, 10),
+      ownershipTtlMs: parseInt(parsed.YJS_OWNERSHIP_TTL_MS, 10),
+    },
+    // Auth is opt-in: when off every caller has full access to every map.
+    // AUTH_JWT_KEY is an HMAC secret or a PEM public key (RS/ES tokens)
+    featureAuth: parsed.FEATURE_AUTH === '1' || parsed.FEATURE_AUTH === 'true',
+    authJwtKey: parsed.AUTH_JWT_KEY || null,
+    authJwtIssuer: parsed.AUTH_JWT_ISSUER || null,
+    authJwtAudience: parsed.AUTH_JWT_AUDIENCE || null,
+    shareTokenSecret: parsed.SHARE_TOKEN_SECRET || null,
     logLevel:
       parsed.LOG_LEVEL || (parsed.NODE_ENV === 'production' ? 'info' : 'debug'),
     // Legacy state file path for MCP resource
@@ -44,7 +151,11 @@ function buildConfig() {
       parsed.STATE_FILE || path.join(process.cwd(), 'data', 'state.json'),
     // MCP - integrated SSE + HTTP transports (no separate transport config needed)
     featureMcp: parsed.FEATURE_MCP === '1' || parsed.FEATURE_MCP === 'true',
-    mcpToken: parsed.MCP_TOKEN || null,
+    // Named Bearer tokens required on /mcp, /mcp/sse and /mcp/http (none = open)
+    mcpTokens: parseMcpTokens(parsed.MCP_TOKEN),
+    // stdio transport (bin/mcp-stdio.js) proxies here when set
+    mcpServerUrl: parsed.MCP_SERVER_URL || null,
+    mcpServerToken: parsed.MCP_SERVER_TOKEN || null,
     // Yjs feature flags (MS-60/MS-68)
     dataProvider: parsed.DATA_PROVIDER,
     serverSync: parsed.SERVER_SYNC,
@@ -55,4 +166,4 @@ function buildConfig() {
 
 const config = buildConfig();
 
-module.exports = { config, buildConfig };
+module.exports = { config, buildConfig, parseMcpTokens };
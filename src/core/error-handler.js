@@ -15,7 +15,13 @@ function problemFromError(err, req) {
 
   // Basic mappings by message and known fields
   const msg = (err.message || '').toLowerCase();
-  if (
+  if (status === 401) {
+    title = 'Unauthorized';
+    type = 'https://mindmeld.dev/problems/unauthorized';
+  } else if (status === 403) {
+    title = 'Forbidden';
+    type = 'https://mindmeld.dev/problems/forbidden';
+  } else if (
     status === 400 ||
     msg.includes('invalid state') ||
     msg.includes('validation')
@@ -31,6 +37,12 @@ function problemFromError(err, req) {
     status = 409;
     title = 'Conflict';
     type = 'https://mindmeld.dev/problems/conflict';
+  } else if (status === 415) {
+    title = 'Unsupported Media Type';
+    type = 'https://mindmeld.dev/problems/unsupported-media-type';
+  } else if (status === 428) {
+    title = 'Precondition Required';
+    type = 'https://mindmeld.dev/problems/precondition-required';
   } else if (status >= 500) {
     status = 500;
     title = 'Internal Server Error';
@@ -66,7 +78,8 @@ function problemFromError(err, req) {
   return problem;
 }
 
-function errorHandler(err, req, res) {
+// Express recognizes error middleware by its four parameters
+function errorHandler(err, req, res, _next) {
   const problem = problemFromError(err, req);
 
   logger.error(
@@ -74,6 +87,10 @@ function errorHandler(err, req, res) {
     'Request error',
   );
 
+  if (problem.status === 401) {
+    res.set('WWW-Authenticate', 'Bearer');
+  }
+
   res
     .status(problem.status)
     .set('Content-Type', 'application/problem+json')
@@ -0,0 +1,128 @@
+/**
+ * src/core/mcp-auth.js
+ * MCP_TOKEN enforcement for /mcp and /mcp/sse
+ * Tokens are compared in constant time; each has a name (for audit logs)
+ * and a scope: `read` tokens may only call read-only tools.
+ */
+
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+const { UnauthorizedError } = require('../modules/maps/errors');
+const { createAuthenticate } = require('../modules/auth/middleware');
+
+function digest(value) {
+  return crypto.createHash('sha256').update(value).digest();
+}
+
+// Compare against every configured token so timing does not reveal which
+// (or whether any) token matched
+function findToken(entries, presented) {
+  const presentedDigest = digest(presented);
+  let match = null;
+  for (const entry of entries) {
+    if (crypto.timingSafeEqual(entry.digest, presentedDigest) && !match) {
+      match = entry;
+    }
+  }
+  return match;
+}
+
+/**
+ * Middleware authenticating MCP clients
+ * With MCP tokens configured a request must present one as a Bearer token;
+ * when FEATURE_AUTH is also on, a user API key or JWT is accepted instead.
+ * Sets `req.mcpClient` ({ name, scope }, or null when unrestricted) and
+ * `req.user`. A token bound to a user authenticates as that user, so map
+ * roles and list scoping apply as over HTTP; an unbound token leaves
+ * `req.user` null and, like a disabled FEATURE_AUTH, reaches every map.
+ * @param {object} options
+ * @param {Array<{name: string, token: string, scope: 'read'|'write',
+ *   userId?: string}>} [options.tokens]
+ * @param {AuthService} [options.authService]
+ */
+function createMcpAuthenticate({ tokens = [], authService } = {}) {
+  const entries = tokens.map(({ name, token, scope, userId }) => ({
+    name,
+    scope,
+    userId,
+    digest: digest(token),
+  }));
+  const authenticateUser = createAuthenticate(authService);
+
+  return (req, res, next) => {
+    req.mcpClient = null;
+    // CORS preflight requests never carry credentials
+    if (req.method === 'OPTIONS') {
+      return next();
+    }
+    if (entries.length === 0) {
+      return authenticateUser(req, res, next);
+    }
+
+    const match = /^Bearer\s+(\S+)\s*$/i.exec(req.get('Authorization') || '');
+    const entry = match && findToken(entries, match[1]);
+    if (entry) {
+      req.user = entry.userId
+        ? { userId: entry.userId, method: 'mcp-token' }
+        : null;
+      req.mcpClient = { name: entry.name, scope: entry.scope };
+      return next();
+    }
+    if (match && authService && authService.enabled) {
+      return authenticateUser(req, res, next);
+    }
+
+    req.user = null;
+    next(
+      new UnauthorizedError(match ? 'Invalid MCP token' : 'MCP token required'),
+    );
+  };
+}
+
+/**
+ * Caller identity used to bind a streaming session to later requests
+ * @param {{user: object|null, mcpClient: object|null}} req
+ */
+function principalOf(req) {
+  if (req.user) {
+    return `user:${req.user.userId}`;
+  }
+  return req.mcpClient ? `token:${req.mcpClient.name}` : 'anonymous';
+}
+
+/**
+ * Whether the authenticated MCP client may call a tool
+ * Read-scoped tokens may only call tools declared `readOnly`.
+ * @param {{scope: string}|null} mcpClient - req.mcpClient
+ * @param {{readOnly?: boolean}} tool - Registry tool definition
+ */
+function isToolAllowed(mcpClient, tool) {
+  return !mcpClient || mcpClient.scope === 'write' || tool.readOnly === true;
+}
+
+/**
+ * Audit log entry for a tool invocation: which token (or user) called
+ * which tool, on which map, and whether it was allowed
+ * @param {{mcpClient: object|null, user: object|null}} caller - Request or
+ *   registry context
+ */
+function auditToolCall(caller, name, args, outcome) {
+  logger.info(
+    {
+      audit: 'mcp.tool',
+      token: caller.mcpClient ? caller.mcpClient.name : null,
+      userId: caller.user ? caller.user.userId : null,
+      tool: name,
+      mapId: args && typeof args.id === 'string' ? args.id : undefined,
+      outcome,
+    },
+    'MCP tool call',
+  );
+}
+
+module.exports = {
+  createMcpAuthenticate,
+  principalOf,
+  isToolAllowed,
+  auditToolCall,
+};
@@ -0,0 +1,871 @@
+/**
+ * src/core/mcp-registry.js
+ * Single declaration of the MCP tools, resources and prompts
+ * Every transport (per-method HTTP routes, SSE JSON-RPC) dispatches through
+ * the same registry, so protocol behavior cannot drift between them.
+ */
+
+const { randomUUID } = require('crypto');
+const { z } = require('zod');
+const logger = require('../utils/logger');
+const MapsService = require('../modules/maps/service');
+const {
+  BadRequestError,
+  NotFoundError,
+  ConflictError,
+  ForbiddenError,
+} = require('../modules/maps/errors');
+const { isToolAllowed, auditToolCall } = require('./mcp-auth');
+
+// Protocol revisions this server speaks, newest first
+const PROTOCOL_VERSIONS = ['2025-03-26', '2024-11-05'];
+const SERVER_VERSION = '0.1.0';
+
+// Helper to create MCP JSON-RPC response
+function createMcpResponse(id, result, error = null) {
+  const response = {
+    jsonrpc: '2.0',
+    id,
+  };
+
+  if (error) {
+    response.error = error;
+  } else {
+    response.result = result;
+  }
+
+  return response;
+}
+
+// Helper to create MCP error
+function createMcpError(code, message, data = null) {
+  const error = { code, message };
+  if (data) {
+    error.data = data;
+  }
+  return error;
+}
+
+/**
+ * Error carrying a JSON-RPC error code; thrown by handlers and dispatch
+ */
+class McpError extends Error {
+  constructor(code, message, data = null) {
+    super(message);
+    this.code = code;
+    this.data = data;
+  }
+}
+
+// JSON-RPC error for a handler error; unexpected errors become -32603
+function toMcpError(error) {
+  if (error instanceof McpError) {
+    return createMcpError(error.code, error.message, error.data);
+  }
+  if (error instanceof ForbiddenError) {
+    return createMcpError(-32003, 'Forbidden', error.message);
+  }
+  if (error instanceof BadRequestError) {
+    return createMcpError(
+      -32602,
+      'Invalid params',
+      error.zodErrors
+        ? { detail: error.message, errors: error.zodErrors }
+        : error.message,
+    );
+  }
+  if (error instanceof NotFoundError) {
+    return createMcpError(-32602, 'Not found', error.message);
+  }
+  if (error instanceof ConflictError) {
+    return createMcpError(-32602, 'Conflict', error.message);
+  }
+  logger.error({ err: error }, 'MCP request failed');
+  return createMcpError(-32603, 'Internal error', error.message);
+}
+
+// JSON Schema for tools/list, generated from the zod input schema
+function toInputSchema(schema) {
+  const jsonSchema = z.toJSONSchema(schema, { io: 'input' });
+  delete jsonSchema.$schema;
+  return jsonSchema;
+}
+
+function parseInput(schema, input, detail) {
+  const parsed = schema.safeParse(input || {});
+  if (!parsed.success) {
+    throw new McpError(-32602, 'Invalid params', {
+      detail,
+      errors: parsed.error.issues,
+    });
+  }
+  return parsed.data;
+}
+
+// Tool result carrying a JSON document as text content
+function textContent(payload) {
+  return {
+    content: [
+      {
+        type: 'text',
+        text: JSON.stringify(payload, null, 2),
+      },
+    ],
+  };
+}
+
+// `mindmeld://maps/{id}` -> RegExp capturing each {variable}
+function compileUriTemplate(uriTemplate) {
+  const names = [];
+  const source = uriTemplate
+    .split(/(\{[^}]+\})/)
+    .map((part) => {
+      const variable = /^\{([^}]+)\}$/.exec(part);
+      if (variable) {
+        names.push(variable[1]);
+        return '([^/]+)';
+      }
+      return part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    })
+    .join('');
+  const pattern = new RegExp(`^${source}$`);
+
+  return (uri) => {
+    const match = pattern.exec(uri);
+    if (!match) {
+      return null;
+    }
+    return Object.fromEntries(
+      names.map((name, index) => [name, decodeURIComponent(match[index + 1])]),
+    );
+  };
+}
+
+const { MapData, MapList, MapMetaPatch, NoteCreate, ConnectionRef } =
+  MapsService.schemas;
+
+const MapId = z.string().min(1).describe('UUID of the map');
+const NoteId = z.string().min(1).describe('ID of the note');
+
+/**
+ * Create the registry for a maps service
+ * Tools are `{ name, description, input (zod), readOnly?, role?, handler }`:
+ * `readOnly` tools may be called with read-scoped MCP tokens, and `role` is
+ * the minimum map role required on `args.id` when auth is enabled.
+ * @param {object} services
+ * @param {MapsService} services.mapsService
+ * @param {AuthService} [services.authService]
+ * @param {Array} [services.mcpTokens] - Configured MCP tokens (health only)
+ * @param {number} [services.notifyDelayMs=100] - Coalescing window for
+ *   notifications/resources/updated
+ */
+function createMcpRegistry({
+  mapsService,
+  authService,
+  mcpTokens = [],
+  notifyDelayMs = 100,
+}) {
+  // Scope map listings to the caller (no filter when auth is disabled)
+  const accessOf = (context) => mapsService.accessOf(context.user);
+
+  const tools = [
+    {
+      name: 'maps.list',
+      description: 'List all mind maps accessible to the user with pagination',
+      input: MapList,
+      readOnly: true,
+      handler: async (args, context) => {
+        const page = await mapsService.list(args, accessOf(context));
+        return {
+          maps: page.items,
+          total: page.total,
+          limit: page.limit,
+          offset: page.offset,
+          sort: page.sort,
+          order: page.order,
+          hasMore: page.hasMore,
+          nextCursor: page.nextCursor,
+        };
+      },
+    },
+    {
+      name: 'maps.get',
+      description: 'Get a specific map by ID',
+      input: z.object({ id: MapId }).strict(),
+      readOnly: true,
+      role: 'viewer',
+      handler: ({ id }) => mapsService.getById(id),
+    },
+    {
+      name: 'maps.create',
+      description: 'Create a new mind map',
+      input: z
+        .object({
+          name: z.string().min(1).describe('Name of the new map'),
+          data: MapData.describe(
+            'Initial map data structure (nodes and connections)',
+          ),
+        })
+        .strict(),
+      handler: async ({ name, data }, context) => {
+        mapsService.assertCanCreate(context.user);
+        const map = await mapsService.create(
+          { name, state: data },
+          { ownerId: context.user ? context.user.userId : undefined },
+        );
+        return {
+          success: true,
+          map,
+          message: `Created map "${map.name}" with ID ${map.id}`,
+        };
+      },
+    },
+    {
+      name: 'maps.update',
+      description:
+        'Replace the notes and connections of a map (optimistic concurrency via version)',
+      input: z
+        .object({
+          id: MapId,
+          data: MapData.describe(
+            'Complete map data: { n: notes, c: connections }',
+          ),
+          version: z
+            .number()
+            .int()
+            .min(1)
+            .describe('Current map version (from maps.get)'),
+        })
+        .strict(),
+      role: 'editor',
+      handler: async ({ id, data, version }) => {
+        const map = await mapsService.update(id, { data, version });
+        return {
+          success: true,
+          map,
+          message: `Updated map "${map.name}" to version ${map.version}`,
+        };
+      },
+    },
+    {
+      name: 'maps.rename',
+      description: 'Rename a map',
+      input: MapMetaPatch.extend({ id: MapId }),
+      role: 'editor',
+      handler: async ({ id, ...meta }) => {
+        const map = await mapsService.patchMeta(id, meta);
+        return {
+          success: true,
+          map,
+          message: `Renamed map ${id} to "${map.name}"`,
+        };
+      },
+    },
+    {
+      name: 'maps.delete',
+      description: 'Delete a map permanently',
+      input: z.object({ id: MapId }).strict(),
+      role: 'owner',
+      handler: async ({ id }) => {
+        await mapsService.delete(id);
+        return { success: true, message: `Deleted map ${id}` };
+      },
+    },
+    {
+      name: 'notes.add',
+      description: 'Add a note to a map',
+      input: NoteCreate.extend({
+        id: MapId,
+        noteId: NoteId.optional().describe(
+          'ID for the new note (generated if omitted)',
+        ),
+      }),
+      role: 'editor',
+      handler: async ({ id, noteId = randomUUID(), ...note }) => {
+        const added = await mapsService.addNote(id, noteId, note);
+        return { success: true, note: added, message: `Added note ${noteId}` };
+      },
+    },
+    {
+      name: 'notes.update',
+      description: 'Change the content, color and/or position of a note',
+      input: NoteCreate.partial().extend({ id: MapId, noteId: NoteId }),
+      role: 'editor',
+      handler: async ({ id, noteId, ...patch }) => {
+        const note = await mapsService.updateNote(id, noteId, patch);
+        return { success: true, note, message: `Updated note ${noteId}` };
+      },
+    },
+    {
+      name: 'notes.move',
+      description: 'Move a note to a new position',
+      input: NoteCreate.pick({ p: true }).extend({
+        id: MapId,
+        noteId: NoteId,
+      }),
+      role: 'editor',
+      handler: async ({ id, noteId, p }) => {
+        const note = await mapsService.updateNote(id, noteId, { p });
+        return { success: true, note, message: `Moved note ${noteId}` };
+      },
+    },
+    {
+      name: 'notes.delete',
+      description: 'Delete a note and the connections attached to it',
+      input: z.object({ id: MapId, noteId: NoteId }).strict(),
+      role: 'editor',
+      handler: async ({ id, noteId }) => {
+        const { removedConnections } = await mapsService.deleteNote(id, noteId);
+        return {
+          success: true,
+          removedConnections,
+          message: `Deleted note ${noteId}`,
+        };
+      },
+    },
+    {
+      name: 'connections.add',
+      description: 'Connect two notes',
+      input: ConnectionRef.extend({ id: MapId }),
+      role: 'editor',
+      handler: async ({ id, ...ref }) => {
+        const connection = await mapsService.addConnection(id, ref);
+        return {
+          success: true,
+          connection,
+          message: `Connected ${connection.f} → ${connection.t}`,
+        };
+      },
+    },
+    {
+      name: 'connections.remove',
+      description: 'Remove the connection between two notes',
+      input: ConnectionRef.extend({ id: MapId }),
+      role: 'editor',
+      handler: async ({ id, ...ref }) => {
+        await mapsService.removeConnection(id, ref);
+        return {
+          success: true,
+          message: `Removed connection ${ref.f} → ${ref.t}`,
+        };
+      },
+    },
+  ];
+
+  // Fixed resources are listed by resources/list; templated resources
+  // (`uriTemplate`) are matched when read
+  const resources = [
+    {
+      uri: 'mindmeld://health',
+      name: 'Server Health',
+      description: 'Server status and health information',
+      mimeType: 'application/json',
+      read: (params, context) => ({
+        status: 'ok',
+        timestamp: new Date().toISOString(),
+        version: SERVER_VERSION,
+        transport: context.transport,
+        features: {
+          maps: true,
+          mcp: true,
+          auth:
+            Boolean(authService && authService.enabled) || mcpTokens.length > 0,
+        },
+      }),
+    },
+    {
+      uri: 'mindmeld://maps',
+      name: 'All Maps',
+      description: 'List of all mind maps accessible to the user',
+      mimeType: 'application/json',
+      read: async (params, context) => {
+        const { items: maps, total } = await mapsService.list(
+          {},
+          accessOf(context),
+        );
+        return {
+          maps,
+          total,
+          message: 'All mind maps accessible to the user',
+        };
+      },
+    },
+    {
+      uriTemplate: 'mindmeld://maps/{id}',
+      name: 'Map',
+      description: 'A single mind map with its notes and connections',
+      mimeType: 'application/json',
+      role: 'viewer',
+      read: ({ id }) => mapsService.getById(id),
+    },
+    {
+      uriTemplate: 'mindmeld://maps/{id}/notes/{noteId}',
+      name: 'Note',
+      description: 'A single note of a mind map',
+      mimeType: 'application/json',
+      role: 'viewer',
+      read: ({ id, noteId }) => mapsService.getNote(id, noteId),
+    },
+    {
+      uriTemplate: 'mindmeld://maps/{id}/presence',
+      name: 'Map Presence',
+      description:
+        'Clients currently connected to a map (anonymized id, name, activity)',
+      mimeType: 'application/json',
+      role: 'viewer',
+      read: async ({ id }) => {
+        const clients = await mapsService.getPresence(id);
+        return { mapId: id, count: clients.length, clients };
+      },
+    },
+  ].map((resource) =>
+    resource.uriTemplate
+      ? { ...resource, match: compileUriTemplate(resource.uriTemplate) }
+      : { ...resource, match: (uri) => (uri === resource.uri ? {} : null) },
+  );
+
+  const instruction = (text) => ({
+    role: 'user',
+    content: { type: 'text', text },
+  });
+
+  // Prompt message embedding the map's current JSON as a resource
+  const mapMessage = (mapId, data) => ({
+    role: 'user',
+    content: {
+      type: 'resource',
+      resource: {
+        uri: `mindmeld://maps/${mapId}`,
+        mimeType: 'application/json',
+        text: JSON.stringify(data, null, 2),
+      },
+    },
+  });
+
+  const nameOf = (data) => data.meta?.mapName || 'Untitled Map';
+
+  const FORMAT_HINT =
+    'Map JSON: notes are `n` ({ i: id, p: [x, y], c: content }), ' +
+    'connections are `c` ({ f: from note id, t: to note id }).';
+
+  const MapIdArg = z.string().min(1).describe('ID of the map');
+
+  // Prompts are `{ name, description, input (zod object), role?, get }`,
+  // where `get(args, context)` resolves to `{ description, messages }`.
+  // Arguments arrive as strings; `role` is checked on `args.mapId`
+  const prompts = [
+    {
+      name: 'summarize-map',
+      description: 'Summarize the themes and structure of a map',
+      input: z.object({ mapId: MapIdArg }).strict(),
+      role: 'viewer',
+      get: async ({ mapId }) => {
+        const data = await mapsService.getData(mapId);
+        return {
+          description: `Summarize "${nameOf(data)}"`,
+          messages: [
+            instruction(
+              `Summarize the mind map "${nameOf(data)}": its main themes, ` +
+                'how the ideas relate, and any gaps worth exploring. ' +
+                FORMAT_HINT,
+            ),
+            mapMessage(mapId, data),
+          ],
+        };
+      },
+    },
+    {
+      name: 'expand-note',
+      description: 'Expand a note into sub-ideas connected to it',
+      input: z
+        .object({
+          mapId: MapIdArg,
+          noteId: z.string().min(1).describe('ID of the note to expand'),
+          count: z.coerce
+            .number()
+            .int()
+            .min(1)
+            .max(12)
+            .default(5)
+            .describe('Number of sub-ideas (default: 5)'),
+        })
+        .strict(),
+      role: 'viewer',
+      get: async ({ mapId, noteId, count }) => {
+        const data = await mapsService.getData(mapId);
+        const note = data.n.find((candidate) => candidate.i === noteId);
+        if (!note) {
+          throw new NotFoundError('Note not found');
+        }
+        return {
+          description: `Expand note "${note.c}"`,
+          messages: [
+            instruction(
+              `Expand the note "${note.c}" (id ${noteId}) of the mind map ` +
+                `"${nameOf(data)}" into ${count} sub-ideas that fit the rest ` +
+                `of the map. Add each with notes.add (map id ${mapId}), ` +
+                `placed around [${note.p.join(', ')}] without overlapping ` +
+                'existing notes, and link it from the note with ' +
+                `connections.add. ${FORMAT_HINT}`,
+            ),
+            mapMessage(mapId, data),
+          ],
+        };
+      },
+    },
+    {
+      name: 'find-orphan-notes',
+      description: 'Find notes without connections and suggest where they fit',
+      input: z.object({ mapId: MapIdArg }).strict(),
+      role: 'viewer',
+      get: async ({ mapId }) => {
+        const data = await mapsService.getData(mapId);
+        return {
+          description: `Find orphan notes in "${nameOf(data)}"`,
+          messages: [
+            instruction(
+              `List the notes of the mind map "${nameOf(data)}" that have ` +
+                'no connections, and for each suggest which existing note ' +
+                'it should connect to and why. Only call connections.add ' +
+                `(map id ${mapId}) once the user agrees. ${FORMAT_HINT}`,
+            ),
+            mapMessage(mapId, data),
+          ],
+        };
+      },
+    },
+    {
+      name: 'outline-to-map',
+      description:
+        'Turn an indented outline into a new map, or add it to an existing one',
+      input: z
+        .object({
+          outline: z
+            .string()
+            .min(1)
+            .describe('Indented outline, one idea per line'),
+          mapId: MapIdArg.optional().describe(
+            'Map to add the outline to (default: create a new map)',
+          ),
+        })
+        .strict(),
+      role: 'viewer',
+      get: async ({ outline, mapId }) => {
+        const target = mapId
+          ? `add it to the map ${mapId} (below) using notes.add and ` +
+            'connections.add, next to the notes it relates to'
+          : 'create it with a single maps.create call';
+        const messages = [
+          instruction(
+            'Turn the outline below into a mind map: each line becomes a ' +
+              'note, and each indented line is connected from its parent ' +
+              `line. Lay notes out as a readable tree, then ${target}. ` +
+              `${FORMAT_HINT}\n\nOutline:\n${outline}`,
+          ),
+        ];
+        if (mapId) {
+          messages.push(mapMessage(mapId, await mapsService.getData(mapId)));
+        }
+        return { description: 'Turn an outline into a mind map', messages };
+      },
+    },
+  ];
+
+  const toolsByName = new Map(tools.map((tool) => [tool.name, tool]));
+  const promptsByName = new Map(prompts.map((prompt) => [prompt.name, prompt]));
+
+  function assertRole(role, mapId, context) {
+    if (role && typeof mapId === 'string') {
+      mapsService.assertAccess(mapId, context.user, role);
+    }
+  }
+
+  async function callTool({ name, arguments: args = {} } = {}, context) {
+    const tool = toolsByName.get(name);
+    if (!tool) {
+      throw new McpError(-32601, 'Method not found', `Unknown tool: ${name}`);
+    }
+    if (!isToolAllowed(context.mcpClient, tool)) {
+      auditToolCall(context, name, args, 'denied');
+      throw new McpError(
+        -32003,
+        'Forbidden',
+        `MCP token "${context.mcpClient.name}" is read-only`,
+      );
+    }
+
+    const input = parseInput(tool.input, args, 'Invalid arguments');
+    try {
+      assertRole(tool.role, input.id, context);
+    } catch (error) {
+      if (error instanceof ForbiddenError) {
+        auditToolCall(context, name, args, 'denied');
+      }
+      throw error;
+    }
+    auditToolCall(context, name, args, 'allowed');
+    return textContent(await tool.handler(input, context));
+  }
+
+  // Resource (and template variables) for a URI, after the role check
+  function resolveResource(uri, context) {
+    for (const resource of resources) {
+      const params = typeof uri === 'string' && resource.match(uri);
+      if (params) {
+        assertRole(resource.role, params.id, context);
+        return { resource, params };
+      }
+    }
+    throw new McpError(
+      -32602,
+      'Invalid params',
+      `Unknown resource URI: ${uri}`,
+    );
+  }
+
+  async function readResource({ uri } = {}, context) {
+    const { resource, params } = resolveResource(uri, context);
+    const content = await resource.read(params, context);
+    return {
+      contents: [
+        {
+          uri,
+          mimeType: resource.mimeType,
+          text: JSON.stringify(content, null, 2),
+        },
+      ],
+    };
+  }
+
+  // Resource subscriptions per session (sessionId -> { session, user, uris }).
+  // Sessions are owned by a streaming transport and expose notify(message)
+  const subscriptions = new Map();
+  const pendingUpdates = new Map();
+  let flushTimer = null;
+
+  function requireSession(context) {
+    if (!context.session) {
+      throw new McpError(
+        -32602,
+        'Invalid params',
+        'Resource subscriptions require an SSE session (sessionId)',
+      );
+    }
+    return context.session;
+  }
+
+  function subscribe({ uri } = {}, context) {
+    const session = requireSession(context);
+    resolveResource(uri, context);
+    if (!subscriptions.has(session.id)) {
+      subscriptions.set(session.id, {
+        session,
+        user: context.user,
+        uris: new Set(),
+      });
+    }
+    subscriptions.get(session.id).uris.add(uri);
+    return {};
+  }
+
+  function unsubscribe({ uri } = {}, context) {
+    const session = requireSession(context);
+    const entry = subscriptions.get(session.id);
+    if (entry) {
+      entry.uris.delete(uri);
+    }
+    return {};
+  }
+
+  // Does a change to map `mapId` affect the resource at `uri`?
+  function isAffected(uri, mapId) {
+    const mapUri = `mindmeld://maps/${mapId}`;
+    return (
+      uri === 'mindmeld://maps' ||
+      uri === mapUri ||
+      uri.startsWith(`${mapUri}/`)
+    );
+  }
+
+  function flushUpdates() {
+    flushTimer = null;
+    for (const [sessionId, uris] of pendingUpdates) {
+      const entry = subscriptions.get(sessionId);
+      for (const uri of entry ? uris : []) {
+        entry.session.notify({
+          jsonrpc: '2.0',
+          method: 'notifications/resources/updated',
+          params: { uri },
+        });
+      }
+    }
+    pendingUpdates.clear();
+  }
+
+  // Subscribers only hear about maps they can view (roles may have changed
+  // since they subscribed)
+  function canView(mapId, user) {
+    try {
+      mapsService.assertAccess(mapId, user, 'viewer');
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  // Bursts of edits (e.g. typing in a note) coalesce into one notification
+  // per subscribed URI
+  function onMapChange(mapId) {
+    for (const [sessionId, { user, uris }] of subscriptions) {
+      if (!canView(mapId, user)) {
+        continue;
+      }
+      for (const uri of uris) {
+        if (isAffected(uri, mapId)) {
+          if (!pendingUpdates.has(sessionId)) {
+            pendingUpdates.set(sessionId, new Set());
+          }
+          pendingUpdates.get(sessionId).add(uri);
+        }
+      }
+    }
+    if (pendingUpdates.size > 0 && !flushTimer) {
+      flushTimer = setTimeout(flushUpdates, notifyDelayMs);
+      flushTimer.unref();
+    }
+  }
+
+  mapsService.on('change', onMapChange);
+
+  /**
+   * Drop the subscriptions of a closed session
+   */
+  function closeSession(sessionId) {
+    subscriptions.delete(sessionId);
+    pendingUpdates.delete(sessionId);
+  }
+
+  /**
+   * Stop following map changes and drop every subscription
+   */
+  function close() {
+    mapsService.off('change', onMapChange);
+    clearTimeout(flushTimer);
+    flushTimer = null;
+    subscriptions.clear();
+    pendingUpdates.clear();
+  }
+
+  async function getPrompt({ name, arguments: args = {} } = {}, context) {
+    const prompt = promptsByName.get(name);
+    if (!prompt) {
+      throw new McpError(-32602, 'Invalid params', `Unknown prompt: ${name}`);
+    }
+    const input = parseInput(prompt.input, args, 'Invalid prompt arguments');
+    assertRole(prompt.role, input.mapId, context);
+    return prompt.get(input, context);
+  }
+
+  const methods = {
+    // Echo the client's revision when supported, else offer the newest
+    initialize: ({ protocolVersion }) => ({
+      protocolVersion: PROTOCOL_VERSIONS.includes(protocolVersion)
+        ? protocolVersion
+        : PROTOCOL_VERSIONS[0],
+      capabilities: {
+        resources: { subscribe: true },
+        tools: {},
+        prompts: {},
+        logging: {},
+      },
+      serverInfo: {
+        name: 'mindmeld-server',
+        version: SERVER_VERSION,
+        description: 'MindMeld mind mapping server with MCP support',
+      },
+    }),
+    'tools/list': () => ({
+      tools: tools.map(({ name, description, input }) => ({
+        name,
+        description,
+        inputSchema: toInputSchema(input),
+      })),
+    }),
+    'tools/call': callTool,
+    'resources/list': () => ({
+      resources: resources
+        .filter((resource) => resource.uri)
+        .map(({ uri, name, description, mimeType }) => ({
+          uri,
+          name,
+          description,
+          mimeType,
+        })),
+    }),
+    'resources/templates/list': () => ({
+      resourceTemplates: resources
+        .filter((resource) => resource.uriTemplate)
+        .map(({ uriTemplate, name, description, mimeType }) => ({
+          uriTemplate,
+          name,
+          description,
+          mimeType,
+        })),
+    }),
+    'resources/read': readResource,
+    'resources/subscribe': subscribe,
+    'resources/unsubscribe': unsubscribe,
+    'prompts/list': () => ({
+      prompts: prompts.map(({ name, description, input }) => ({
+        name,
+        description,
+        arguments: Object.entries(input.shape).map(([argName, schema]) => ({
+          name: argName,
+          description: schema.description,
+          required: !schema.safeParse(undefined).success,
+        })),
+      })),
+    }),
+    'prompts/get': getPrompt,
+  };
+
+  /**
+   * Dispatch one JSON-RPC request
+   * @param {{id: *, method: string, params?: object}} request
+   * @param {object} context - { user, mcpClient, transport, session? }
+   * @returns {Promise<object>} JSON-RPC response (errors included)
+   */
+  async function dispatch({ id = null, method, params = {} }, context) {
+    const handler = Object.hasOwn(methods, method) ? methods[method] : null;
+    if (!handler) {
+      return createMcpResponse(
+        id,
+        null,
+        createMcpError(-32601, 'Method not found', `Unknown method: ${method}`),
+      );
+    }
+
+    try {
+      return createMcpResponse(id, await handler(params || {}, context));
+    } catch (error) {
+      return createMcpResponse(id, null, toMcpError(error));
+    }
+  }
+
+  return {
+    tools,
+    resources,
+    prompts,
+    methods: Object.keys(methods),
+    dispatch,
+    closeSession,
+    close,
+  };
+}
+
+module.exports = {
+  createMcpRegistry,
+  createMcpResponse,
+  createMcpError,
+  McpError,
+};
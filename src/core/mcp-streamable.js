@@ -0,0 +1,269 @@
+/**
+ * src/core/mcp-streamable.js
+ * MCP Streamable HTTP transport (protocol revision 2025-03-26) at /mcp/http
+ * - POST: JSON-RPC message or batch; answered as JSON or as an SSE stream,
+ *   depending on the Accept header
+ * - GET: SSE stream for server-initiated messages (resource notifications),
+ *   resumable with Last-Event-ID
+ * - DELETE: end the session
+ * `initialize` opens a session whose id is returned in Mcp-Session-Id and
+ * must accompany every later request.
+ */
+
+const express = require('express');
+const { randomUUID } = require('crypto');
+const logger = require('../utils/logger');
+const { createMcpAuthenticate, principalOf } = require('./mcp-auth');
+const { createMcpResponse, createMcpError } = require('./mcp-registry');
+
+const SESSION_HEADER = 'Mcp-Session-Id';
+
+// JSON-RPC error body for transport-level (HTTP) failures
+function transportError(message) {
+  return createMcpResponse(null, null, createMcpError(-32000, message));
+}
+
+function writeEvent(res, { id, message }) {
+  const idLine = id ? `id: ${id}\n` : '';
+  res.write(`${idLine}event: message\ndata: ${JSON.stringify(message)}\n\n`);
+}
+
+/**
+ * @param {object} apiServices
+ * @param {object} apiServices.registry - Shared MCP registry
+ * @param {AuthService} [apiServices.authService]
+ * @param {Array} [apiServices.mcpTokens]
+ * @param {number} [apiServices.sessionTtlMs=1800000] - Idle session lifetime
+ * @param {number} [apiServices.eventHistory=100] - Events kept per session
+ *   for Last-Event-ID replay
+ */
+function createMcpStreamableEndpoint(apiServices) {
+  const router = express.Router();
+  const {
+    registry,
+    authService,
+    mcpTokens,
+    sessionTtlMs = 30 * 60 * 1000,
+    eventHistory = 100,
+  } = apiServices;
+
+  const authenticate = createMcpAuthenticate({
+    tokens: mcpTokens,
+    authService,
+  });
+
+  // Session id -> { id, principal, stream, events, nextEventId, lastSeenAt }
+  const sessions = new Map();
+
+  function endSession(session) {
+    sessions.delete(session.id);
+    registry.closeSession(session.id);
+    if (session.stream) {
+      session.stream.end();
+      session.stream = null;
+    }
+  }
+
+  // Sessions without an open stream expire after sessionTtlMs of inactivity
+  function expireIdleSessions() {
+    const cutoff = Date.now() - sessionTtlMs;
+    for (const session of sessions.values()) {
+      if (!session.stream && session.lastSeenAt < cutoff) {
+        logger.info(`MCP HTTP session expired: ${session.id}`);
+        endSession(session);
+      }
+    }
+  }
+
+  function createSession(req) {
+    const session = {
+      id: randomUUID(),
+      principal: principalOf(req),
+      stream: null,
+      events: [],
+      nextEventId: 1,
+      lastSeenAt: Date.now(),
+      // Server-initiated messages are numbered and kept for replay
+      notify: (message) => {
+        const event = { id: String(session.nextEventId++), message };
+        session.events.push(event);
+        if (session.events.length > eventHistory) {
+          session.events.shift();
+        }
+        if (session.stream) {
+          writeEvent(session.stream, event);
+        }
+      },
+    };
+    sessions.set(session.id, session);
+    logger.info(`MCP HTTP session started: ${session.id}`);
+    return session;
+  }
+
+  // Session named by Mcp-Session-Id; answers 400 (missing) or 404 (unknown,
+  // expired or owned by another caller) and returns null on failure
+  function requireSession(req, res) {
+    const sessionId = req.get(SESSION_HEADER);
+    if (!sessionId) {
+      res.status(400).json(transportError(`${SESSION_HEADER} header required`));
+      return null;
+    }
+    const session = sessions.get(sessionId);
+    if (!session || session.principal !== principalOf(req)) {
+      res.status(404).json(transportError('Session not found'));
+      return null;
+    }
+    session.lastSeenAt = Date.now();
+    return session;
+  }
+
+  router.post('/http', authenticate, express.json(), async (req, res) => {
+    expireIdleSessions();
+
+    const batch = Array.isArray(req.body);
+    const messages = batch ? req.body : [req.body];
+    if (
+      messages.length === 0 ||
+      messages.some((message) => !message || message.jsonrpc !== '2.0')
+    ) {
+      return res
+        .status(400)
+        .json(
+          createMcpResponse(
+            null,
+            null,
+            createMcpError(
+              -32600,
+              'Invalid Request',
+              'Not a valid JSON-RPC 2.0 request',
+            ),
+          ),
+        );
+    }
+
+    const format = req.accepts(['application/json', 'text/event-stream']);
+    if (!format) {
+      return res
+        .status(406)
+        .json(
+          transportError(
+            'Accept must include application/json or text/event-stream',
+          ),
+        );
+    }
+
+    let session;
+    if (messages.some((message) => message.method === 'initialize')) {
+      if (messages.length > 1) {
+        return res
+          .status(400)
+          .json(transportError('initialize must not be part of a batch'));
+      }
+      session = createSession(req);
+    } else {
+      session = requireSession(req, res);
+      if (!session) {
+        return;
+      }
+    }
+
+    // Notifications and responses from the client need no answer
+    const requests = messages.filter(
+      (message) =>
+        typeof message.method === 'string' &&
+        message.id !== undefined &&
+        message.id !== null,
+    );
+    if (requests.length === 0) {
+      return res.status(202).end();
+    }
+
+    const context = {
+      user: req.user,
+      mcpClient: req.mcpClient,
+      transport: 'streamable-http',
+      session,
+    };
+    const responses = [];
+    for (const message of requests) {
+      logger.info(`MCP HTTP call: ${message.method}`, { id: message.id });
+      responses.push(await registry.dispatch(message, context));
+    }
+
+    res.set(SESSION_HEADER, session.id);
+    if (format === 'application/json') {
+      return res.json(batch ? responses : responses[0]);
+    }
+
+    // SSE upgrade: stream the responses, then close
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+    });
+    for (const message of responses) {
+      writeEvent(res, { message });
+    }
+    res.end();
+  });
+
+  // Stream of server-initiated messages; one per session at a time
+  router.get('/http', authenticate, (req, res) => {
+    expireIdleSessions();
+
+    if (!req.accepts('text/event-stream')) {
+      return res
+        .status(406)
+        .json(transportError('Accept must include text/event-stream'));
+    }
+    const session = requireSession(req, res);
+    if (!session) {
+      return;
+    }
+
+    if (session.stream) {
+      session.stream.end();
+    }
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      [SESSION_HEADER]: session.id,
+    });
+    res.flushHeaders();
+    session.stream = res;
+
+    // Resume: replay what the client missed since its last event
+    const lastEventId = Number(req.get('Last-Event-ID'));
+    if (Number.isInteger(lastEventId) && lastEventId > 0) {
+      for (const event of session.events) {
+        if (Number(event.id) > lastEventId) {
+          writeEvent(res, event);
+        }
+      }
+    }
+
+    // Keep-alive ping every 30 seconds
+    const keepAlive = setInterval(() => res.write(': ping\n\n'), 30000);
+    req.on('close', () => {
+      clearInterval(keepAlive);
+      if (session.stream === res) {
+        session.stream = null;
+        session.lastSeenAt = Date.now();
+      }
+    });
+  });
+
+  router.delete('/http', authenticate, (req, res) => {
+    const session = requireSession(req, res);
+    if (!session) {
+      return;
+    }
+    endSession(session);
+    logger.info(`MCP HTTP session ended: ${session.id}`);
+    res.status(204).end();
+  });
+
+  return router;
+}
+
+module.exports = { createMcpStreamableEndpoint };
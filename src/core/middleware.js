@@ -48,6 +48,12 @@ function createMiddleware(config = {}) {
   middleware.push(
     express.json({
       limit: jsonLimit,
+      // PATCH /maps/:id accepts JSON Patch and JSON Merge Patch documents
+      type: [
+        'application/json',
+        'application/json-patch+json',
+        'application/merge-patch+json',
+      ],
       verify: (req, res, buf) => {
         if (buf.length > 1024 * 1024) {
           // > 1MB
@@ -114,16 +120,24 @@ function createMiddleware(config = {}) {
     cors({
       origin: createCorsOrigin(corsOrigin),
       credentials: true,
-      methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
+      methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
       allowedHeaders: [
         'Content-Type',
         'Authorization',
         'If-Match',
         'If-None-Match',
+        // MCP Streamable HTTP (/mcp/http)
+        'Mcp-Session-Id',
+        'Last-Event-ID',
       ],
       exposedHeaders: [
         // Allow client to read caching/concurrency and rate limit metadata
         'ETag',
+        'Link',
+        'Mcp-Session-Id',
+        'Accept-Patch',
+        'X-Total-Count',
+        'X-Next-Cursor',
         'RateLimit-Limit',
         'RateLimit-Remaining',
         'RateLimit-Reset',
@@ -11,6 +11,8 @@ const createMiddleware = require('../core/middleware');
 const createDocsRouter = require('../core/docs-route');
 const { createMcpRoutes } = require('../core/mcp-routes');
 const { createMcpSseEndpoint } = require('../core/mcp-sse');
+const { createMcpStreamableEndpoint } = require('../core/mcp-streamable');
+const { createMcpRegistry } = require('../core/mcp-registry');
 const Logger = require('../utils/logger');
 const { buildConfig } = require('../config/config');
 const { createYjsRoutes } = require('../modules/yjs/routes');
@@ -44,26 +46,68 @@ function createServer(config = {}) {
   // Will be populated when WebSocket is set up
   let yjsService = null;
 
+  // Shared maps service: REST, MCP and WebSocket clients edit the same Y.Docs
+  let mapsService = null;
+
+  // MCP tools, resources and subscriptions shared by every MCP transport
+  let mcpRegistry = null;
+
+  // Authentication for /maps, /mcp and /yjs (no-op unless featureAuth)
+  let authService = null;
+
   // /maps router and MCP endpoints (enabled by default)
   if (!config || config.featureMapsApi !== false) {
     const createMapsRouter = require('../modules/maps/routes');
     const MapsService = require('../modules/maps/service');
+    const AuthService = require('../modules/auth/service');
     const sqliteFile =
       config.sqliteFile || path.join(process.cwd(), 'data', 'db.sqlite');
 
+    // Version history retention (unset values fall back to repo defaults)
+    const revisions = {
+      limit: config.mapRevisionLimit,
+      maxAgeDays: config.mapRevisionMaxAgeDays,
+      yjsIntervalMs: config.yjsRevisionIntervalMs,
+    };
+
+    mapsService = new MapsService(sqliteFile, {
+      revisions,
+      compaction: config.yjsCompaction,
+      persistDebounce: config.yjsPersistDebounce,
+      eviction: config.yjsEviction,
+      replication: config.yjsReplication,
+      shareSecret: config.shareTokenSecret,
+      logger: Logger,
+    });
+    authService = new AuthService(sqliteFile, {
+      enabled: config.featureAuth === true,
+      jwtKey: config.authJwtKey,
+      jwtIssuer: config.authJwtIssuer,
+      jwtAudience: config.authJwtAudience,
+      shares: mapsService,
+    });
+
     // REST API for MindMeld client
-    app.use('/maps', createMapsRouter({ sqliteFile }));
+    app.use('/maps', createMapsRouter({ service: mapsService, authService }));
 
     // MCP endpoints for LLM agents (uses same service layer)
-    const mapsService = new MapsService(sqliteFile);
-    const mcpRoutes = createMcpRoutes({ mapsService });
-    const mcpSseRoutes = createMcpSseEndpoint({ mapsService });
+    // Tools, resources and prompts are declared once for all transports
+    const mcpTokens = config.mcpTokens || [];
+    mcpRegistry = createMcpRegistry({ mapsService, authService, mcpTokens });
+    const mcpServices = {
+      registry: mcpRegistry,
+      authService,
+      mcpTokens,
+    };
+    const mcpRoutes = createMcpRoutes(mcpServices);
+    const mcpSseRoutes = createMcpSseEndpoint(mcpServices);
     app.use('/mcp', mcpRoutes);
     app.use('/mcp', mcpSseRoutes);
+    app.use('/mcp', createMcpStreamableEndpoint(mcpServices));
 
     // Log endpoints without exposing filesystem paths
     Logger.info('Maps API and MCP endpoints enabled', {
-      endpoints: ['/maps', '/mcp', '/mcp/sse'],
+      endpoints: ['/maps', '/mcp', '/mcp/sse', '/mcp/http'],
       database: 'sqlite',
     });
   }
@@ -98,6 +142,20 @@ function createServer(config = {}) {
       const yjsRoutes = createYjsRoutes(httpServer, {
         logger: Logger,
         dbFile: sqliteFile.replace('.sqlite', '-yjs.sqlite'), // Use separate Yjs database
+        // Reuse the maps service documents so REST edits reach collaborators
+        yjsService: mapsService ? mapsService.yjsService : undefined,
+        // Authenticate upgrades and require at least the viewer role
+        authorize:
+          authService && authService.enabled
+            ? (request, mapId) => {
+                const user = authService.authenticateUpgrade(request);
+                mapsService.assertAccess(mapId, user, 'viewer');
+                return {
+                  ...user,
+                  role: mapsService.roleOf(mapId, user),
+                };
+              }
+            : undefined,
       });
 
       // Store YjsService reference for health checks
@@ -186,6 +244,19 @@ function createServer(config = {}) {
 
   Logger.info('API routes configured');
 
+  // Graceful shutdown: close collaboration sessions and persist their
+  // queued edits
+  app.close = async () => {
+    if (mcpRegistry) {
+      mcpRegistry.close();
+    }
+    if (mapsService) {
+      await mapsService.close();
+    } else if (yjsService) {
+      await yjsService.close();
+    }
+  };
+
   Logger.info('Server factory completed');
 
   return app;
@@ -33,21 +33,17 @@ async function ensureDataDirectory() {
 
 /**
  * Setup graceful shutdown
+ * Collaborative edits still waiting for their batched write are persisted
+ * before the HTTP server closes.
  */
-function setupGracefulShutdown(server) {
-  const shutdown = (signal) => {
+function setupGracefulShutdown(server, app) {
+  const shutdown = async (signal) => {
     Logger.info(`Received ${signal}, shutting down gracefully...`);
     eventBus.emit('server.shutdown', {
       signal,
       timestamp: new Date().toISOString(),
     });
 
-    server.close(() => {
-      Logger.info('Server closed');
-      eventBus.emit('server.closed', { timestamp: new Date().toISOString() });
-      process.exit(0);
-    });
-
     // Force close after 10 seconds
     setTimeout(() => {
       Logger.error(
@@ -55,6 +51,18 @@ function setupGracefulShutdown(server) {
       );
       process.exit(1);
     }, 10000);
+
+    try {
+      await app.close();
+    } catch (error) {
+      Logger.error('Failed to persist collaborative edits:', error);
+    }
+
+    server.close(() => {
+      Logger.info('Server closed');
+      eventBus.emit('server.closed', { timestamp: new Date().toISOString() });
+      process.exit(0);
+    });
   };
 
   process.on('SIGTERM', () => shutdown('SIGTERM'));
@@ -141,7 +149,7 @@ async function startServer() {
     });
 
     // Setup graceful shutdown
-    setupGracefulShutdown(server);
+    setupGracefulShutdown(server, app);
 
     return { app, server };
   } catch (error) {
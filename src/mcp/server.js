@@ -1,10 +1,300 @@
-// This file has been removed as part of MCP simplification.
-// STDIO transport has been removed in favor of SSE + HTTP JSON-RPC.
-// See src/mcp/http-server.js for SSE implementation.
-// See src/core/mcp-routes.js for HTTP JSON-RPC fallback.
+/**
+ * src/mcp/server.js
+ * MCP stdio transport for desktop assistants that launch a local process
+ * - Newline-delimited JSON-RPC on stdin/stdout; logs go to stderr
+ * - Direct mode (default): opens the SQLite files and serves the shared
+ *   MCP registry in-process
+ * - Proxy mode (MCP_SERVER_URL): forwards every message to a running
+ *   server's Streamable HTTP endpoint, so live collaboration sessions and
+ *   the stdio client edit the same in-memory documents
+ */
 
-module.exports = {};
+const readline = require('readline');
+const { randomUUID } = require('crypto');
+const logger = require('../utils/logger');
+const { buildConfig } = require('../config/config');
+const {
+  createMcpRegistry,
+  createMcpResponse,
+  createMcpError,
+} = require('../core/mcp-registry');
 
-throw new Error(
-  'STDIO MCP transport has been removed. Use SSE or HTTP transports instead.',
-);
+const isRequest = (message) =>
+  typeof message.method === 'string' &&
+  message.id !== undefined &&
+  message.id !== null;
+
+/**
+ * Handle messages in-process through the shared registry
+ * Auth roles do not apply: the process already has the database files.
+ */
+function createDirectHandler({
+  sqliteFile,
+  revisions,
+  compaction,
+  eviction,
+  replication,
+  notify,
+}) {
+  const MapsService = require('../modules/maps/service');
+  const mapsService = new MapsService(sqliteFile, {
+    revisions,
+    compaction,
+    eviction,
+    replication,
+    logger,
+  });
+  const registry = createMcpRegistry({ mapsService });
+  const session = { id: randomUUID(), principal: 'stdio', notify };
+  const context = {
+    user: null,
+    mcpClient: null,
+    transport: 'stdio',
+    session,
+  };
+
+  return {
+    handle: (message) =>
+      isRequest(message) ? registry.dispatch(message, context) : null,
+    close: async () => {
+      registry.close();
+      await mapsService.close();
+    },
+  };
+}
+
+/**
+ * Forward messages to <serverUrl>/mcp/http, relaying server notifications
+ * from the session's GET stream (resumed with Last-Event-ID if it drops)
+ */
+function createProxyHandler({ serverUrl, token, notify }) {
+  const endpoint = new URL('/mcp/http', serverUrl).toString();
+  const controller = new AbortController();
+  let sessionId = null;
+  let lastEventId = null;
+  let listening = false;
+
+  const headers = (extra) => ({
+    ...(token ? { Authorization: `Bearer ${token}` } : {}),
+    ...(sessionId ? { 'Mcp-Session-Id': sessionId } : {}),
+    ...extra,
+  });
+
+  async function listen() {
+    while (!controller.signal.aborted) {
+      try {
+        const res = await fetch(endpoint, {
+          headers: headers({
+            Accept: 'text/event-stream',
+            ...(lastEventId ? { 'Last-Event-ID': lastEventId } : {}),
+          }),
+          signal: controller.signal,
+        });
+        if (!res.ok) {
+          logger.warn(`MCP notification stream refused: ${res.status}`);
+          return;
+        }
+        const decoder = new TextDecoder();
+        let buffer = '';
+        for await (const chunk of res.body) {
+          buffer += decoder.decode(chunk, { stream: true });
+          const frames = buffer.split('\n\n');
+          buffer = frames.pop();
+          for (const frame of frames) {
+            const id = /^id: (.*)$/m.exec(frame);
+            const data = /^data: (.*)$/m.exec(frame);
+            if (id) {
+              lastEventId = id[1];
+            }
+            if (data) {
+              notify(JSON.parse(data[1]));
+            }
+          }
+        }
+      } catch (error) {
+        if (controller.signal.aborted) {
+          return;
+        }
+        logger.warn(`MCP notification stream dropped: ${error.message}`);
+      }
+      // Reconnect after a short pause
+      await new Promise((resolve) => setTimeout(resolve, 1000).unref());
+    }
+  }
+
+  async function handle(message) {
+    let res;
+    try {
+      res = await fetch(endpoint, {
+        method: 'POST',
+        headers: headers({
+          'Content-Type': 'application/json',
+          Accept: 'application/json',
+        }),
+        body: JSON.stringify(message),
+      });
+    } catch (error) {
+      return isRequest(message)
+        ? createMcpResponse(
+            message.id,
+            null,
+            createMcpError(
+              -32000,
+              'MindMeld server unreachable',
+              error.message,
+            ),
+          )
+        : null;
+    }
+
+    if (res.headers.get('mcp-session-id')) {
+      sessionId = res.headers.get('mcp-session-id');
+    }
+    if (res.status === 202 || !isRequest(message)) {
+      return null;
+    }
+    const body = await res.json().catch(() => ({}));
+    if (body.jsonrpc !== '2.0') {
+      // Transport-level failure, e.g. 401 problem+json
+      return createMcpResponse(
+        message.id,
+        null,
+        createMcpError(
+          -32000,
+          `MindMeld server answered ${res.status}`,
+          body.detail,
+        ),
+      );
+    }
+    if (message.method === 'initialize' && sessionId && !listening) {
+      listening = true;
+      listen();
+    }
+    return body;
+  }
+
+  return {
+    handle,
+    close: async () => {
+      controller.abort();
+      if (sessionId) {
+        await fetch(endpoint, { method: 'DELETE', headers: headers() }).catch(
+          () => {},
+        );
+      }
+    },
+  };
+}
+
+/**
+ * Start the stdio transport
+ * @param {object} [options]
+ * @param {stream.Readable} [options.input=process.stdin]
+ * @param {stream.Writable} [options.output=process.stdout]
+ * @param {object} [options.config] - Defaults to buildConfig() (environment)
+ * @returns {Promise<{closed: Promise<void>, close: Function}>} `closed`
+ *   settles once input ends and storage is released
+ */
+async function startMcpServer(options = {}) {
+  const {
+    input = process.stdin,
+    output = process.stdout,
+    config = buildConfig(),
+  } = options;
+
+  const send = (message) => output.write(`${JSON.stringify(message)}\n`);
+
+  const handler = config.mcpServerUrl
+    ? createProxyHandler({
+        serverUrl: config.mcpServerUrl,
+        token: config.mcpServerToken,
+        notify: send,
+      })
+    : createDirectHandler({
+        sqliteFile: config.sqliteFile,
+        revisions: {
+          limit: config.mapRevisionLimit,
+          maxAgeDays: config.mapRevisionMaxAgeDays,
+          yjsIntervalMs: config.yjsRevisionIntervalMs,
+        },
+        compaction: config.yjsCompaction,
+        eviction: config.yjsEviction,
+        replication: config.yjsReplication,
+        notify: send,
+      });
+
+  async function processLine(line) {
+    if (!line.trim()) {
+      return;
+    }
+    let parsed;
+    try {
+      parsed = JSON.parse(line);
+    } catch {
+      send(
+        createMcpResponse(null, null, createMcpError(-32700, 'Parse error')),
+      );
+      return;
+    }
+
+    const batch = Array.isArray(parsed);
+    const messages = batch ? parsed : [parsed];
+    const responses = [];
+    for (const message of messages) {
+      if (!message || message.jsonrpc !== '2.0') {
+        responses.push(
+          createMcpResponse(
+            (message && message.id) ?? null,
+            null,
+            createMcpError(
+              -32600,
+              'Invalid Request',
+              'Not a valid JSON-RPC 2.0 request',
+            ),
+          ),
+        );
+        continue;
+      }
+      const response = await handler.handle(message);
+      if (response) {
+        responses.push(response);
+      }
+    }
+
+    if (responses.length > 0) {
+      send(batch ? responses : responses[0]);
+    }
+  }
+
+  // Answer in order: each line waits for the previous one
+  let queue = Promise.resolve();
+  const lines = readline.createInterface({ input, crlfDelay: Infinity });
+  lines.on('line', (line) => {
+    queue = queue.then(() =>
+      processLine(line).catch((error) =>
+        logger.error(`MCP stdio message failed: ${error.message}`),
+      ),
+    );
+  });
+
+  let closing = null;
+  const close = () => {
+    if (!closing) {
+      closing = queue.then(() => handler.close());
+      lines.close();
+    }
+    return closing;
+  };
+  const closed = new Promise((resolve) => {
+    lines.on('close', () => resolve(close()));
+  });
+
+  logger.info(
+    config.mcpServerUrl
+      ? 'MCP stdio transport proxying to MindMeld server'
+      : 'MCP stdio transport serving local database',
+  );
+  return { closed, close };
+}
+
+module.exports = { startMcpServer };
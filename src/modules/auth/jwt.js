@@ -0,0 +1,142 @@
+const crypto = require('crypto');
+const { UnauthorizedError } = require('../maps/errors');
+
+// Supported algorithms and the hash each one signs with
+const HMAC_ALGORITHMS = { HS256: 'sha256', HS384: 'sha384', HS512: 'sha512' };
+const PUBLIC_KEY_ALGORITHMS = {
+  RS256: 'sha256',
+  RS384: 'sha384',
+  RS512: 'sha512',
+  ES256: 'sha256',
+  ES384: 'sha384',
+  ES512: 'sha512',
+};
+
+// Header and claims must both be JSON objects
+function decodeSegment(segment) {
+  let decoded;
+  try {
+    decoded = JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'));
+  } catch {
+    throw new UnauthorizedError('Malformed token');
+  }
+  if (!decoded || typeof decoded !== 'object' || Array.isArray(decoded)) {
+    throw new UnauthorizedError('Malformed token');
+  }
+  return decoded;
+}
+
+// Only the table's own entries, never inherited names like `constructor`
+function hashFor(algorithms, alg) {
+  return typeof alg === 'string' && Object.hasOwn(algorithms, alg)
+    ? algorithms[alg]
+    : null;
+}
+
+/**
+ * Build a verification key from configuration
+ * PEM public keys select RS/ES algorithms; any other string is an HMAC secret.
+ * @param {string} key - HMAC secret or PEM-encoded public key
+ * @returns {{ type: 'hmac'|'public', key: string|crypto.KeyObject }}
+ */
+function createVerificationKey(key) {
+  if (key.trimStart().startsWith('-----BEGIN')) {
+    return { type: 'public', key: crypto.createPublicKey(key) };
+  }
+  return { type: 'hmac', key };
+}
+
+function verifySignature(alg, signingInput, signature, verificationKey) {
+  if (verificationKey.type === 'hmac') {
+    const hash = hashFor(HMAC_ALGORITHMS, alg);
+    if (!hash) {
+      return false;
+    }
+    const expected = crypto
+      .createHmac(hash, verificationKey.key)
+      .update(signingInput)
+      .digest();
+    return (
+      expected.length === signature.length &&
+      crypto.timingSafeEqual(expected, signature)
+    );
+  }
+
+  const hash = hashFor(PUBLIC_KEY_ALGORITHMS, alg);
+  if (!hash) {
+    return false;
+  }
+  return crypto.verify(
+    hash,
+    Buffer.from(signingInput),
+    {
+      key: verificationKey.key,
+      // JWS carries ECDSA signatures as raw r||s
+      dsaEncoding: alg.startsWith('ES') ? 'ieee-p1363' : undefined,
+    },
+    signature,
+  );
+}
+
+/**
+ * Verify a compact JWS token and return its claims
+ * The algorithm family is fixed by the configured key (an HMAC secret never
+ * verifies RS/ES tokens and vice versa); `none` is always rejected.
+ * @param {string} token - Compact JWT
+ * @param {object} options
+ * @param {{type: string, key: *}} options.key - From createVerificationKey
+ * @param {string} [options.issuer] - Required `iss`
+ * @param {string} [options.audience] - Required entry in `aud`
+ * @param {number} [options.clockToleranceSec=30] - Allowed clock skew
+ * @returns {object} Verified claims (always includes `sub`)
+ * @throws {UnauthorizedError}
+ */
+function verifyJwt(
+  token,
+  { key, issuer, audience, clockToleranceSec = 30 } = {},
+) {
+  const parts = typeof token === 'string' ? token.split('.') : [];
+  if (parts.length !== 3) {
+    throw new UnauthorizedError('Malformed token');
+  }
+
+  const [headerSegment, payloadSegment, signatureSegment] = parts;
+  const header = decodeSegment(headerSegment);
+  const claims = decodeSegment(payloadSegment);
+  const signature = Buffer.from(signatureSegment, 'base64url');
+
+  if (
+    !verifySignature(
+      header.alg,
+      `${headerSegment}.${payloadSegment}`,
+      signature,
+      key,
+    )
+  ) {
+    throw new UnauthorizedError('Invalid token signature');
+  }
+
+  const now = Math.floor(Date.now() / 1000);
+  if (typeof claims.exp === 'number' && now > claims.exp + clockToleranceSec) {
+    throw new UnauthorizedError('Token expired');
+  }
+  if (typeof claims.nbf === 'number' && now < claims.nbf - clockToleranceSec) {
+    throw new UnauthorizedError('Token not yet valid');
+  }
+  if (issuer && claims.iss !== issuer) {
+    throw new UnauthorizedError('Invalid token issuer');
+  }
+  if (audience) {
+    const audiences = Array.isArray(claims.aud) ? claims.aud : [claims.aud];
+    if (!audiences.includes(audience)) {
+      throw new UnauthorizedError('Invalid token audience');
+    }
+  }
+  if (typeof claims.sub !== 'string' || !claims.sub) {
+    throw new UnauthorizedError('Token has no subject');
+  }
+
+  return claims;
+}
+
+module.exports = { createVerificationKey, verifyJwt };
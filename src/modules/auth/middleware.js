@@ -0,0 +1,22 @@
+/**
+ * Express middleware resolving `req.user` from the Authorization header
+ * With auth disabled every request passes through anonymously (`req.user`
+ * is null) and per-map role checks are skipped.
+ * @param {AuthService} [authService]
+ */
+function createAuthenticate(authService) {
+  return (req, res, next) => {
+    req.user = null;
+    if (!authService || !authService.enabled) {
+      return next();
+    }
+    try {
+      req.user = authService.authenticate(req.get('Authorization'));
+      next();
+    } catch (err) {
+      next(err);
+    }
+  };
+}
+
+module.exports = { createAuthenticate };
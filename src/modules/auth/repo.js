@@ -0,0 +1,88 @@
+const { openDatabase } = require('../maps/db');
+
+/**
+ * API keys live next to the maps data; only a SHA-256 hash of each key
+ * is stored, so a leaked database does not leak usable keys.
+ */
+function ensureSchema(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS api_keys (
+      id TEXT PRIMARY KEY,
+      user_id TEXT NOT NULL,
+      name TEXT NOT NULL,
+      key_hash TEXT NOT NULL UNIQUE,
+      created_at TEXT NOT NULL,
+      last_used_at TEXT,
+      revoked_at TEXT
+    );
+    CREATE INDEX IF NOT EXISTS idx_api_keys_user ON api_keys(user_id);
+  `);
+}
+
+function toApiKey(row) {
+  return {
+    id: row.id,
+    userId: row.user_id,
+    name: row.name,
+    createdAt: row.created_at,
+    lastUsedAt: row.last_used_at,
+    revokedAt: row.revoked_at,
+  };
+}
+
+class AuthRepo {
+  constructor(sqliteFile) {
+    this.db = openDatabase(sqliteFile);
+    ensureSchema(this.db);
+    this._prepare();
+  }
+
+  _prepare() {
+    this.stmtInsert = this.db.prepare(
+      'INSERT INTO api_keys (id, user_id, name, key_hash, created_at) VALUES (?, ?, ?, ?, ?)',
+    );
+    this.stmtGetByHash = this.db.prepare(
+      'SELECT id, user_id, name, created_at, last_used_at, revoked_at FROM api_keys WHERE key_hash = ?',
+    );
+    this.stmtList = this.db.prepare(
+      'SELECT id, user_id, name, created_at, last_used_at, revoked_at FROM api_keys ORDER BY created_at, id',
+    );
+    this.stmtListByUser = this.db.prepare(
+      'SELECT id, user_id, name, created_at, last_used_at, revoked_at FROM api_keys WHERE user_id = ? ORDER BY created_at, id',
+    );
+    this.stmtTouch = this.db.prepare(
+      'UPDATE api_keys SET last_used_at = ? WHERE id = ?',
+    );
+    this.stmtRevoke = this.db.prepare(
+      'UPDATE api_keys SET revoked_at = ? WHERE id = ? AND revoked_at IS NULL',
+    );
+  }
+
+  create({ id, userId, name, keyHash, createdAt }) {
+    this.stmtInsert.run(id, userId, name, keyHash, createdAt);
+    return this.getByHash(keyHash);
+  }
+
+  getByHash(keyHash) {
+    const row = this.stmtGetByHash.get(keyHash);
+    return row ? toApiKey(row) : null;
+  }
+
+  list(userId) {
+    const rows =
+      userId === undefined
+        ? this.stmtList.all()
+        : this.stmtListByUser.all(userId);
+    return rows.map(toApiKey);
+  }
+
+  touch(id, usedAt) {
+    this.stmtTouch.run(usedAt, id);
+  }
+
+  revoke(id, revokedAt) {
+    return this.stmtRevoke.run(revokedAt, id).changes; // 1 if revoked
+  }
+}
+
+module.exports = AuthRepo;
@@ -0,0 +1,176 @@
+const { z } = require('zod');
+const crypto = require('crypto');
+const AuthRepo = require('./repo');
+const { createVerificationKey, verifyJwt } = require('./jwt');
+const { SHARE_TOKEN_PREFIX } = require('./share-token');
+const {
+  UnauthorizedError,
+  NotFoundError,
+  BadRequestError,
+} = require('../maps/errors');
+
+// API keys are recognizable by prefix, so they never reach JWT parsing
+const API_KEY_PREFIX = 'mmk_';
+
+// last_used_at is refreshed at most this often per key
+const TOUCH_INTERVAL_MS = 60 * 1000;
+
+// CREATE KEY: { userId: string, name?: string }
+const ApiKeyCreateSchema = z
+  .object({
+    userId: z.string().trim().min(1).max(200),
+    name: z.string().trim().min(1).max(100).default('default'),
+  })
+  .strict();
+
+function hashKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+class AuthService {
+  /**
+   * @param {string} sqliteFile - SQLite database path (shared with maps)
+   * @param {object} [options]
+   * @param {boolean} [options.enabled=false] - Require credentials
+   * @param {string} [options.jwtKey] - HMAC secret or PEM public key
+   * @param {string} [options.jwtIssuer] - Required JWT `iss`
+   * @param {string} [options.jwtAudience] - Required JWT `aud`
+   * @param {{resolveShareToken: Function}} [options.shares] - Resolves share
+   *   link tokens (MapsService); without it they are rejected
+   */
+  constructor(sqliteFile, options = {}) {
+    this.repo = new AuthRepo(sqliteFile);
+    this.enabled = options.enabled === true;
+    this.jwt = options.jwtKey
+      ? {
+          key: createVerificationKey(options.jwtKey),
+          issuer: options.jwtIssuer,
+          audience: options.jwtAudience,
+        }
+      : null;
+    this.shares = options.shares || null;
+  }
+
+  /**
+   * Resolve the principal behind an Authorization header value
+   * @param {string|undefined} authorization - e.g. "Bearer mmk_..."
+   * @returns {{ userId: string, method: 'api-key'|'jwt'|'share',
+   *   keyId?: string, shareId?: string, share?: object }}
+   * @throws {UnauthorizedError} Missing, malformed or invalid credentials
+   */
+  authenticate(authorization) {
+    if (!authorization) {
+      throw new UnauthorizedError('Authentication required');
+    }
+    const match = /^Bearer\s+(\S+)\s*$/i.exec(authorization);
+    if (!match) {
+      throw new UnauthorizedError('Use a Bearer token');
+    }
+    return this.authenticateToken(match[1]);
+  }
+
+  /**
+   * Authenticate a WebSocket upgrade request
+   * Browsers cannot set headers on WebSocket connections, so the token may
+   * also be passed as the `access_token` query parameter (RFC 6750).
+   * @param {http.IncomingMessage} request - Upgrade request
+   */
+  authenticateUpgrade(request) {
+    if (request.headers.authorization) {
+      return this.authenticate(request.headers.authorization);
+    }
+    const url = new URL(request.url, 'http://localhost');
+    const token = url.searchParams.get('access_token');
+    if (!token) {
+      throw new UnauthorizedError('Authentication required');
+    }
+    return this.authenticateToken(token);
+  }
+
+  /**
+   * Resolve the principal behind a bare API key, share token or JWT
+   */
+  authenticateToken(token) {
+    if (token.startsWith(API_KEY_PREFIX)) {
+      return this.authenticateApiKey(token);
+    }
+    if (token.startsWith(SHARE_TOKEN_PREFIX)) {
+      return this.authenticateShare(token);
+    }
+    if (!this.jwt) {
+      throw new UnauthorizedError('Invalid credentials');
+    }
+    const claims = verifyJwt(token, this.jwt);
+    return { userId: claims.sub, method: 'jwt' };
+  }
+
+  authenticateApiKey(key) {
+    const apiKey = this.repo.getByHash(hashKey(key));
+    if (!apiKey || apiKey.revokedAt) {
+      throw new UnauthorizedError('Invalid API key');
+    }
+
+    const now = Date.now();
+    if (
+      !apiKey.lastUsedAt ||
+      now - Date.parse(apiKey.lastUsedAt) > TOUCH_INTERVAL_MS
+    ) {
+      this.repo.touch(apiKey.id, new Date(now).toISOString());
+    }
+
+    return { userId: apiKey.userId, method: 'api-key', keyId: apiKey.id };
+  }
+
+  /**
+   * Share link holders are anonymous: the principal is the link itself,
+   * limited to its map and role (`share: { mapId, role }`)
+   */
+  authenticateShare(token) {
+    if (!this.shares) {
+      throw new UnauthorizedError('Invalid credentials');
+    }
+    const { shareId, mapId, role } = this.shares.resolveShareToken(token);
+    return {
+      userId: `share:${shareId}`,
+      method: 'share',
+      shareId,
+      share: { mapId, role },
+    };
+  }
+
+  /**
+   * Issue a new API key for a user
+   * The plaintext key is only returned here; the database keeps its hash.
+   * @returns {object} Key metadata plus `key`
+   */
+  createApiKey({ userId, name } = {}) {
+    const parsed = ApiKeyCreateSchema.safeParse({ userId, name });
+    if (!parsed.success) {
+      const error = new BadRequestError('Invalid API key request');
+      error.zodErrors = parsed.error.issues;
+      throw error;
+    }
+
+    const key = `${API_KEY_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+    const apiKey = this.repo.create({
+      id: crypto.randomUUID(),
+      userId: parsed.data.userId,
+      name: parsed.data.name,
+      keyHash: hashKey(key),
+      createdAt: new Date().toISOString(),
+    });
+    return { ...apiKey, key };
+  }
+
+  listApiKeys(userId) {
+    return this.repo.list(userId);
+  }
+
+  revokeApiKey(id) {
+    if (this.repo.revoke(id, new Date().toISOString()) === 0) {
+      throw new NotFoundError('API key not found');
+    }
+  }
+}
+
+module.exports = AuthService;
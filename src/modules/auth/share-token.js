@@ -0,0 +1,77 @@
+const crypto = require('crypto');
+const { UnauthorizedError } = require('../maps/errors');
+
+// Share tokens are recognizable by prefix, like API keys
+const SHARE_TOKEN_PREFIX = 'mms_';
+
+function sign(payloadSegment, secret) {
+  return crypto
+    .createHmac('sha256', secret)
+    .update(payloadSegment)
+    .digest('base64url');
+}
+
+/**
+ * Sign a share link token: `mms_<payload>.<HMAC-SHA256>`
+ * The payload names the share, its map, role and expiry; whether the share
+ * was revoked is up to the caller to check.
+ * @param {object} share
+ * @param {string} share.shareId
+ * @param {string} share.mapId
+ * @param {'view'|'comment'|'edit'} share.role
+ * @param {string} share.expiresAt - ISO date
+ * @param {string} secret - HMAC secret
+ * @returns {string}
+ */
+function signShareToken({ shareId, mapId, role, expiresAt }, secret) {
+  const payloadSegment = Buffer.from(
+    JSON.stringify({
+      sid: shareId,
+      map: mapId,
+      role,
+      exp: Math.floor(Date.parse(expiresAt) / 1000),
+    }),
+  ).toString('base64url');
+  return `${SHARE_TOKEN_PREFIX}${payloadSegment}.${sign(payloadSegment, secret)}`;
+}
+
+/**
+ * Verify a share link token and return its claims
+ * @param {string} token
+ * @param {string} secret - HMAC secret
+ * @returns {{ shareId: string, mapId: string, role: string }}
+ * @throws {UnauthorizedError}
+ */
+function verifyShareToken(token, secret) {
+  const parts =
+    typeof token === 'string' && token.startsWith(SHARE_TOKEN_PREFIX)
+      ? token.slice(SHARE_TOKEN_PREFIX.length).split('.')
+      : [];
+  if (parts.length !== 2) {
+    throw new UnauthorizedError('Malformed share token');
+  }
+
+  const [payloadSegment, signatureSegment] = parts;
+  const expected = Buffer.from(sign(payloadSegment, secret));
+  const signature = Buffer.from(signatureSegment);
+  if (
+    expected.length !== signature.length ||
+    !crypto.timingSafeEqual(expected, signature)
+  ) {
+    throw new UnauthorizedError('Invalid share token signature');
+  }
+
+  let claims;
+  try {
+    claims = JSON.parse(Buffer.from(payloadSegment, 'base64url').toString());
+  } catch {
+    throw new UnauthorizedError('Malformed share token');
+  }
+  if (typeof claims.exp !== 'number' || Date.now() / 1000 > claims.exp) {
+    throw new UnauthorizedError('Share link expired');
+  }
+
+  return { shareId: claims.sid, mapId: claims.map, role: claims.role };
+}
+
+module.exports = { SHARE_TOKEN_PREFIX, signShareToken, verifyShareToken };
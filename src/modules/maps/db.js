@@ -58,6 +58,161 @@ function ensureSchema(db) {
       'UPDATE maps SET size_bytes = length(state_json) WHERE size_bytes = 0 OR size_bytes IS NULL',
     );
   }
+
+  ensureSearchSchema(db);
+  ensureRevisionsSchema(db);
+  ensureMembersSchema(db);
+  ensureSharesSchema(db);
+  ensureCommentsSchema(db);
+}
+
+/**
+ * Per-map access control: one row per user with a role on a map.
+ * Maps without members (created while auth was disabled) are unclaimed.
+ */
+function ensureMembersSchema(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS map_members (
+      map_id TEXT NOT NULL REFERENCES maps(id) ON DELETE CASCADE,
+      user_id TEXT NOT NULL,
+      role TEXT NOT NULL CHECK (role IN ('owner', 'editor', 'viewer')),
+      created_at TEXT NOT NULL,
+      PRIMARY KEY (map_id, user_id)
+    );
+    CREATE INDEX IF NOT EXISTS idx_map_members_user ON map_members(user_id);
+  `);
+}
+
+/**
+ * Share links: expiring, revocable grants of one map to whoever holds the
+ * token. Tokens are signed with the secret in map_share_secret unless one
+ * is configured.
+ */
+function ensureSharesSchema(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS map_shares (
+      id TEXT PRIMARY KEY,
+      map_id TEXT NOT NULL REFERENCES maps(id) ON DELETE CASCADE,
+      role TEXT NOT NULL CHECK (role IN ('view', 'comment', 'edit')),
+      created_by TEXT,
+      created_at TEXT NOT NULL,
+      expires_at TEXT NOT NULL,
+      revoked_at TEXT
+    );
+    CREATE INDEX IF NOT EXISTS idx_map_shares_map ON map_shares(map_id);
+    CREATE TABLE IF NOT EXISTS map_share_secret (
+      id INTEGER PRIMARY KEY CHECK (id = 1),
+      secret TEXT NOT NULL
+    );
+  `);
+}
+
+/**
+ * Comments on a map, optionally anchored to one of its notes. Authors are
+ * user ids (share links comment as `share:<id>`), NULL while auth is disabled.
+ */
+function ensureCommentsSchema(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS map_comments (
+      id TEXT PRIMARY KEY,
+      map_id TEXT NOT NULL REFERENCES maps(id) ON DELETE CASCADE,
+      note_id TEXT,
+      author TEXT,
+      body TEXT NOT NULL,
+      created_at TEXT NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS idx_map_comments_map ON map_comments(map_id, created_at);
+  `);
+}
+
+/**
+ * Version history: one row per saved state of a map (REST writes, imports,
+ * restores and periodic captures of Y.js-backed maps)
+ */
+function ensureRevisionsSchema(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS map_revisions (
+      map_id TEXT NOT NULL REFERENCES maps(id) ON DELETE CASCADE,
+      revision INTEGER NOT NULL,
+      source TEXT NOT NULL,
+      map_version INTEGER NOT NULL,
+      name TEXT NOT NULL,
+      created_at TEXT NOT NULL,
+      state_json TEXT NOT NULL,
+      size_bytes INTEGER NOT NULL DEFAULT 0,
+      PRIMARY KEY (map_id, revision)
+    );
+    CREATE INDEX IF NOT EXISTS idx_map_revisions_created_at ON map_revisions(map_id, created_at);
+  `);
+
+  // Migration: record the current state of maps without history as a baseline
+  db.exec(`
+    INSERT INTO map_revisions (map_id, revision, source, map_version, name, created_at, state_json, size_bytes)
+    SELECT id, 1, 'baseline', version, name, updated_at, state_json, size_bytes
+    FROM maps
+    WHERE id NOT IN (SELECT DISTINCT map_id FROM map_revisions)
+  `);
+}
+
+/**
+ * Full-text search index over map names and note contents (SQLite FTS5).
+ * One row per map name (field = 'name') and one per note (field = 'note').
+ */
+function ensureSearchSchema(db) {
+  db.exec(`
+    CREATE VIRTUAL TABLE IF NOT EXISTS maps_search USING fts5(
+      map_id UNINDEXED,
+      note_id UNINDEXED,
+      field UNINDEXED,
+      text,
+      tokenize = 'unicode61 remove_diacritics 2'
+    );
+  `);
+
+  // Migration: index maps written before the index existed (or by admin
+  // scripts that bypass MapsRepo)
+  const unindexed = db
+    .prepare(
+      `SELECT id, name, state_json FROM maps
+       WHERE id NOT IN (SELECT map_id FROM maps_search WHERE field = 'name')`,
+    )
+    .all();
+  if (unindexed.length === 0) {
+    return;
+  }
+
+  const insert = db.prepare(
+    'INSERT INTO maps_search (map_id, note_id, field, text) VALUES (?, ?, ?, ?)',
+  );
+  const backfill = db.transaction((rows) => {
+    for (const row of rows) {
+      insert.run(row.id, null, 'name', row.name);
+      for (const note of extractNotes(row.state_json)) {
+        insert.run(row.id, note.id, 'note', note.text);
+      }
+    }
+  });
+  backfill(unindexed);
+}
+
+/**
+ * Extract indexable notes ({ id, text }) from map data or its JSON string
+ */
+function extractNotes(data) {
+  let parsed = data;
+  if (typeof data === 'string') {
+    try {
+      parsed = JSON.parse(data);
+    } catch {
+      return [];
+    }
+  }
+  if (!parsed || !Array.isArray(parsed.n)) {
+    return [];
+  }
+  return parsed.n
+    .filter((note) => note && note.i && typeof note.c === 'string')
+    .map((note) => ({ id: String(note.i), text: note.c }));
 }
 
-module.exports = { openDatabase, ensureSchema };
+module.exports = { openDatabase, ensureSchema, extractNotes };
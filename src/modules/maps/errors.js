@@ -5,6 +5,18 @@ class HttpError extends Error {
   }
 }
 
+class UnauthorizedError extends HttpError {
+  constructor(message = 'Unauthorized') {
+    super(message, 401);
+  }
+}
+
+class ForbiddenError extends HttpError {
+  constructor(message = 'Forbidden') {
+    super(message, 403);
+  }
+}
+
 class NotFoundError extends HttpError {
   constructor(message = 'Not Found') {
     super(message, 404);
@@ -23,4 +35,25 @@ class BadRequestError extends HttpError {
   }
 }
 
-module.exports = { HttpError, NotFoundError, ConflictError, BadRequestError };
+class UnsupportedMediaTypeError extends HttpError {
+  constructor(message = 'Unsupported Media Type') {
+    super(message, 415);
+  }
+}
+
+class PreconditionRequiredError extends HttpError {
+  constructor(message = 'Precondition Required') {
+    super(message, 428);
+  }
+}
+
+module.exports = {
+  HttpError,
+  UnauthorizedError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError,
+  BadRequestError,
+  UnsupportedMediaTypeError,
+  PreconditionRequiredError,
+};
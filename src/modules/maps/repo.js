@@ -1,7 +1,76 @@
-const { openDatabase, ensureSchema } = require('./db');
+const crypto = require('crypto');
+const { openDatabase, ensureSchema, extractNotes } = require('./db');
+
+// Sortable columns for listPage (whitelisted; never interpolate user input)
+const SORT_COLUMNS = {
+  updated: 'updated_at',
+  name: 'name COLLATE NOCASE',
+  size: 'size_bytes',
+};
+
+// FTS5 snippet() wraps matches in these control characters; the note text
+// is HTML-escaped before they become <mark> tags (see highlight)
+const SNIPPET_OPEN = '\u0002';
+const SNIPPET_CLOSE = '\u0003';
+
+const HTML_ESCAPES = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#39;',
+};
+
+// Snippet as safe HTML: user text escaped, matches in <mark>
+function highlight(snippet) {
+  return snippet
+    .replace(/[&<>"']/g, (char) => HTML_ESCAPES[char])
+    .replaceAll(SNIPPET_OPEN, '<mark>')
+    .replaceAll(SNIPPET_CLOSE, '</mark>');
+}
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Maps a user may see: member maps plus unclaimed maps (no members at all).
+// Takes the user id twice; a NULL user id disables the filter.
+function accessibleTo(column) {
+  return `(? IS NULL OR ${column} IN (SELECT map_id FROM map_members WHERE user_id = ?)
+    OR ${column} NOT IN (SELECT map_id FROM map_members))`;
+}
+
+function toShare(row) {
+  return {
+    id: row.id,
+    mapId: row.map_id,
+    role: row.role,
+    createdBy: row.created_by,
+    createdAt: row.created_at,
+    expiresAt: row.expires_at,
+    revokedAt: row.revoked_at,
+  };
+}
+
+function toComment(row) {
+  return {
+    id: row.id,
+    mapId: row.map_id,
+    noteId: row.note_id,
+    author: row.author,
+    body: row.body,
+    createdAt: row.created_at,
+  };
+}
 
 class MapsRepo {
-  constructor(sqliteFile) {
+  /**
+   * @param {string} sqliteFile - SQLite database path
+   * @param {object} [options]
+   * @param {number} [options.revisionLimit=50] - Revisions kept per map
+   * @param {number} [options.revisionMaxAgeDays=90] - Max revision age (0 = no limit)
+   */
+  constructor(sqliteFile, options = {}) {
+    this.revisionLimit = options.revisionLimit ?? 50;
+    this.revisionMaxAgeDays = options.revisionMaxAgeDays ?? 90;
     this.db = openDatabase(sqliteFile);
     ensureSchema(this.db);
     this._prepare();
@@ -17,25 +86,399 @@ class MapsRepo {
     this.stmtUpdate = this.db.prepare(
       'UPDATE maps SET version = ?, updated_at = ?, state_json = ?, name = ?, size_bytes = ? WHERE id = ? AND version = ?',
     );
-    this.stmtList = this.db.prepare(
-      'SELECT id, name, version, updated_at, size_bytes FROM maps ORDER BY updated_at DESC LIMIT ? OFFSET ?',
+    this.stmtUpdateMeta = this.db.prepare(
+      'UPDATE maps SET version = ?, updated_at = ?, name = ? WHERE id = ? AND version = ?',
     );
     this.stmtDelete = this.db.prepare('DELETE FROM maps WHERE id = ?');
+
+    // Full-text search index (maps_search, FTS5)
+    this.stmtSearchInsert = this.db.prepare(
+      'INSERT INTO maps_search (map_id, note_id, field, text) VALUES (?, ?, ?, ?)',
+    );
+    this.stmtSearchDeleteField = this.db.prepare(
+      'DELETE FROM maps_search WHERE map_id = ? AND field = ?',
+    );
+    this.stmtSearchDeleteMap = this.db.prepare(
+      'DELETE FROM maps_search WHERE map_id = ?',
+    );
+    this.stmtSearchMaps = this.db.prepare(`
+      WITH hits AS MATERIALIZED (
+        SELECT map_id, bm25(maps_search) AS score
+        FROM maps_search WHERE maps_search MATCH ?
+      )
+      SELECT m.id, m.name, m.version, m.updated_at, m.size_bytes, MIN(h.score) AS score
+      FROM hits h JOIN maps m ON m.id = h.map_id
+      WHERE ${accessibleTo('m.id')} AND (? IS NULL OR m.id = ?)
+      GROUP BY m.id
+      ORDER BY score, m.updated_at DESC
+      LIMIT ? OFFSET ?
+    `);
+    this.stmtSearchCount = this.db.prepare(`
+      SELECT COUNT(DISTINCT s.map_id) AS total
+      FROM maps_search s JOIN maps m ON m.id = s.map_id
+      WHERE maps_search MATCH ? AND ${accessibleTo('m.id')}
+        AND (? IS NULL OR m.id = ?)
+    `);
+    this.stmtSearchSnippets = this.db.prepare(`
+      SELECT note_id, field,
+        snippet(maps_search, 3, '${SNIPPET_OPEN}', '${SNIPPET_CLOSE}', '…', 12) AS snippet
+      FROM maps_search
+      WHERE maps_search MATCH ? AND map_id = ?
+      ORDER BY rank
+      LIMIT ?
+    `);
+
+    // Version history (map_revisions)
+    this.stmtRevisionNext = this.db.prepare(
+      'SELECT COALESCE(MAX(revision), 0) + 1 AS next FROM map_revisions WHERE map_id = ?',
+    );
+    this.stmtRevisionLatest = this.db.prepare(
+      'SELECT name, state_json FROM map_revisions WHERE map_id = ? ORDER BY revision DESC LIMIT 1',
+    );
+    this.stmtRevisionInsert = this.db.prepare(
+      'INSERT INTO map_revisions (map_id, revision, source, map_version, name, created_at, state_json, size_bytes) VALUES (?, ?, ?, ?, ?, ?, ?, ?)',
+    );
+    this.stmtRevisionList = this.db.prepare(
+      'SELECT revision, source, map_version, name, created_at, size_bytes FROM map_revisions WHERE map_id = ? ORDER BY revision DESC',
+    );
+    this.stmtRevisionGet = this.db.prepare(
+      'SELECT revision, source, map_version, name, created_at, size_bytes, state_json FROM map_revisions WHERE map_id = ? AND revision = ?',
+    );
+    this.stmtRevisionPruneCount = this.db.prepare(`
+      DELETE FROM map_revisions WHERE map_id = ? AND revision <= (
+        SELECT revision FROM map_revisions WHERE map_id = ?
+        ORDER BY revision DESC LIMIT 1 OFFSET ?
+      )
+    `);
+    this.stmtRevisionPruneAge = this.db.prepare(`
+      DELETE FROM map_revisions WHERE map_id = ? AND created_at < ?
+        AND revision < (SELECT MAX(revision) FROM map_revisions WHERE map_id = ?)
+    `);
+
+    // Access control (map_members)
+    this.stmtMemberList = this.db.prepare(
+      'SELECT user_id, role, created_at FROM map_members WHERE map_id = ? ORDER BY created_at, user_id',
+    );
+    this.stmtMemberRole = this.db.prepare(
+      'SELECT role FROM map_members WHERE map_id = ? AND user_id = ?',
+    );
+    this.stmtMemberCount = this.db.prepare(
+      "SELECT COUNT(*) AS members, COALESCE(SUM(role = 'owner'), 0) AS owners FROM map_members WHERE map_id = ?",
+    );
+    this.stmtMemberUpsert = this.db.prepare(
+      'INSERT INTO map_members (map_id, user_id, role, created_at) VALUES (?, ?, ?, ?) ON CONFLICT (map_id, user_id) DO UPDATE SET role = excluded.role',
+    );
+    this.stmtMemberDelete = this.db.prepare(
+      'DELETE FROM map_members WHERE map_id = ? AND user_id = ?',
+    );
+
+    // Share links (map_shares)
+    this.stmtShareInsert = this.db.prepare(
+      'INSERT INTO map_shares (id, map_id, role, created_by, created_at, expires_at) VALUES (?, ?, ?, ?, ?, ?)',
+    );
+    this.stmtShareGet = this.db.prepare(
+      'SELECT id, map_id, role, created_by, created_at, expires_at, revoked_at FROM map_shares WHERE id = ?',
+    );
+    this.stmtShareList = this.db.prepare(
+      'SELECT id, map_id, role, created_by, created_at, expires_at, revoked_at FROM map_shares WHERE map_id = ? ORDER BY created_at, id',
+    );
+    this.stmtShareRevoke = this.db.prepare(
+      'UPDATE map_shares SET revoked_at = ? WHERE map_id = ? AND id = ? AND revoked_at IS NULL',
+    );
+    this.stmtShareRevokeAll = this.db.prepare(
+      'UPDATE map_shares SET revoked_at = ? WHERE map_id = ? AND revoked_at IS NULL',
+    );
+    this.stmtShareSecretInit = this.db.prepare(
+      'INSERT OR IGNORE INTO map_share_secret (id, secret) VALUES (1, ?)',
+    );
+    this.stmtShareSecret = this.db.prepare(
+      'SELECT secret FROM map_share_secret WHERE id = 1',
+    );
+
+    // Comments (map_comments)
+    this.stmtCommentInsert = this.db.prepare(
+      'INSERT INTO map_comments (id, map_id, note_id, author, body, created_at) VALUES (?, ?, ?, ?, ?, ?)',
+    );
+    this.stmtCommentGet = this.db.prepare(
+      'SELECT id, map_id, note_id, author, body, created_at FROM map_comments WHERE id = ?',
+    );
+    this.stmtCommentList = this.db.prepare(
+      'SELECT id, map_id, note_id, author, body, created_at FROM map_comments WHERE map_id = ? ORDER BY created_at, id',
+    );
+
+    this.txCreate = this.db.transaction((row) => {
+      this.stmtInsert.run(
+        row.id,
+        row.name,
+        row.version,
+        row.updatedAt,
+        row.stateJson,
+        row.sizeBytes,
+      );
+      this._indexName(row.id, row.name);
+      this._indexNotes(row.id, row.stateJson);
+      this._recordRevision({
+        id: row.id,
+        source: row.source || 'create',
+        mapVersion: row.version,
+        name: row.name,
+        createdAt: row.updatedAt,
+        stateJson: row.stateJson,
+        sizeBytes: row.sizeBytes,
+      });
+      if (row.ownerId) {
+        this.stmtMemberUpsert.run(row.id, row.ownerId, 'owner', row.updatedAt);
+      }
+    });
+    this.txUpdate = this.db.transaction((row) => {
+      const info = this.stmtUpdate.run(
+        row.nextVersion,
+        row.updatedAt,
+        row.stateJson,
+        row.name,
+        row.sizeBytes,
+        row.id,
+        row.expectedVersion,
+      );
+      if (info.changes > 0) {
+        this._indexName(row.id, row.name);
+        this._indexNotes(row.id, row.stateJson);
+      }
+      if (info.changes > 0 && row.recordRevision !== false) {
+        this._recordRevision({
+          id: row.id,
+          source: row.source || 'update',
+          mapVersion: row.nextVersion,
+          name: row.name,
+          createdAt: row.updatedAt,
+          stateJson: row.stateJson,
+          sizeBytes: row.sizeBytes,
+        });
+      }
+      return info.changes;
+    });
+    this.txUpdateMeta = this.db.transaction((row) => {
+      const info = this.stmtUpdateMeta.run(
+        row.nextVersion,
+        row.updatedAt,
+        row.name,
+        row.id,
+        row.expectedVersion,
+      );
+      if (info.changes > 0) {
+        this._indexName(row.id, row.name);
+      }
+      return info.changes;
+    });
+    this.txAddRevision = this.db.transaction((revision) => {
+      const latest = this.stmtRevisionLatest.get(revision.id);
+      if (
+        latest &&
+        latest.state_json === revision.stateJson &&
+        latest.name === revision.name
+      ) {
+        return null; // unchanged since the last revision
+      }
+      return this._recordRevision(revision);
+    });
+    this.txIndexNotes = this.db.transaction((id, data) => {
+      this._indexNotes(id, data);
+    });
+    // Membership changes never leave a claimed map without an owner
+    this.txSetMember = this.db.transaction((id, userId, role) => {
+      const current = this.stmtMemberRole.get(id, userId);
+      if (current && current.role === 'owner' && role !== 'owner') {
+        if (this.stmtMemberCount.get(id).owners <= 1) {
+          return false;
+        }
+      }
+      this.stmtMemberUpsert.run(id, userId, role, new Date().toISOString());
+      return true;
+    });
+    this.txRemoveMember = this.db.transaction((id, userId) => {
+      const current = this.stmtMemberRole.get(id, userId);
+      if (!current) {
+        return 0;
+      }
+      if (
+        current.role === 'owner' &&
+        this.stmtMemberCount.get(id).owners <= 1
+      ) {
+        return -1;
+      }
+      return this.stmtMemberDelete.run(id, userId).changes;
+    });
+    this.txDelete = this.db.transaction((id) => {
+      this.stmtSearchDeleteMap.run(id);
+      return this.stmtDelete.run(id).changes;
+    });
+  }
+
+  _recordRevision({
+    id,
+    source,
+    mapVersion,
+    name,
+    createdAt,
+    stateJson,
+    sizeBytes,
+  }) {
+    const { next } = this.stmtRevisionNext.get(id);
+    this.stmtRevisionInsert.run(
+      id,
+      next,
+      source,
+      mapVersion,
+      name,
+      createdAt,
+      stateJson,
+      sizeBytes,
+    );
+    this._pruneRevisions(id);
+    return next;
+  }
+
+  // Retention: keep the newest `revisionLimit` revisions and drop revisions
+  // older than `revisionMaxAgeDays` (the newest revision is always kept)
+  _pruneRevisions(id) {
+    if (this.revisionLimit > 0) {
+      this.stmtRevisionPruneCount.run(id, id, this.revisionLimit);
+    }
+    if (this.revisionMaxAgeDays > 0) {
+      const cutoff = new Date(
+        Date.now() - this.revisionMaxAgeDays * DAY_MS,
+      ).toISOString();
+      this.stmtRevisionPruneAge.run(id, cutoff, id);
+    }
   }
 
-  list(limit = 50, offset = 0) {
-    const rows = this.stmtList.all(limit, offset);
-    return rows.map((row) => ({
+  _indexName(id, name) {
+    this.stmtSearchDeleteField.run(id, 'name');
+    this.stmtSearchInsert.run(id, null, 'name', name);
+  }
+
+  _indexNotes(id, data) {
+    this.stmtSearchDeleteField.run(id, 'note');
+    for (const note of extractNotes(data)) {
+      this.stmtSearchInsert.run(id, note.id, 'note', note.text);
+    }
+  }
+
+  /**
+   * Filtered, sorted page of map summaries with keyset (cursor) support
+   * @param {object} options
+   * @param {'updated'|'name'|'size'} options.sort - Sort key
+   * @param {'asc'|'desc'} options.order - Sort direction
+   * @param {number} options.limit - Page size
+   * @param {number} options.offset - Rows to skip (ignored with `after`)
+   * @param {{ key: string|number, id: string }} [options.after] - Keyset position
+   * @param {string} [options.updatedSince] - ISO timestamp lower bound (inclusive)
+   * @param {number} [options.minSize] - Minimum size in bytes (inclusive)
+   * @param {number} [options.maxSize] - Maximum size in bytes (inclusive)
+   * @param {string} [options.userId] - Only maps accessible to this user
+   * @param {string} [options.mapId] - Only this map (share links)
+   * @returns {{ items: Array, total: number, hasMore: boolean }}
+   */
+  listPage({
+    sort = 'updated',
+    order = 'desc',
+    limit = 50,
+    offset = 0,
+    after,
+    updatedSince,
+    minSize,
+    maxSize,
+    userId,
+    mapId,
+  } = {}) {
+    const column = SORT_COLUMNS[sort];
+    if (!column) {
+      throw new Error(`Unsupported sort key: ${sort}`);
+    }
+    const direction = order === 'asc' ? 'ASC' : 'DESC';
+    const comparator = order === 'asc' ? '>' : '<';
+
+    const filters = [];
+    const params = [];
+    if (updatedSince !== undefined) {
+      filters.push('updated_at >= ?');
+      params.push(updatedSince);
+    }
+    if (minSize !== undefined) {
+      filters.push('size_bytes >= ?');
+      params.push(minSize);
+    }
+    if (maxSize !== undefined) {
+      filters.push('size_bytes <= ?');
+      params.push(maxSize);
+    }
+    if (userId !== undefined) {
+      filters.push(accessibleTo('id'));
+      params.push(userId, userId);
+    }
+    if (mapId !== undefined) {
+      filters.push('id = ?');
+      params.push(mapId);
+    }
+    const filterSql = filters.length ? `WHERE ${filters.join(' AND ')}` : '';
+
+    const { total } = this.db
+      .prepare(`SELECT COUNT(*) AS total FROM maps ${filterSql}`)
+      .get(...params);
+
+    const pageFilters = [...filters];
+    const pageParams = [...params];
+    if (after) {
+      pageFilters.push(
+        `(${column} ${comparator} ? OR (${column} = ? AND id ${comparator} ?))`,
+      );
+      pageParams.push(after.key, after.key, after.id);
+    }
+    const pageFilterSql = pageFilters.length
+      ? `WHERE ${pageFilters.join(' AND ')}`
+      : '';
+
+    // Fetch one extra row to learn whether another page exists
+    const rows = this.db
+      .prepare(
+        `SELECT id, name, version, updated_at, size_bytes FROM maps ${pageFilterSql}
+         ORDER BY ${column} ${direction}, id ${direction}
+         LIMIT ? OFFSET ?`,
+      )
+      .all(...pageParams, limit + 1, after ? 0 : offset);
+
+    const hasMore = rows.length > limit;
+    const items = rows.slice(0, limit).map((row) => ({
       id: row.id,
       name: row.name,
       version: row.version,
       updatedAt: row.updated_at,
       sizeBytes: row.size_bytes,
     }));
+
+    return { items, total, hasMore };
   }
 
-  create({ id, name, version, updatedAt, stateJson, sizeBytes }) {
-    this.stmtInsert.run(id, name, version, updatedAt, stateJson, sizeBytes);
+  create({
+    id,
+    name,
+    version,
+    updatedAt,
+    stateJson,
+    sizeBytes,
+    source,
+    ownerId,
+  }) {
+    this.txCreate({
+      id,
+      name,
+      version,
+      updatedAt,
+      stateJson,
+      sizeBytes,
+      source,
+      ownerId,
+    });
     return { id, version, updatedAt };
   }
 
@@ -62,22 +505,244 @@ class MapsRepo {
     name,
     expectedVersion,
     sizeBytes,
+    source,
+    recordRevision = true,
   }) {
-    const info = this.stmtUpdate.run(
+    // 1 if updated, 0 if version mismatch
+    return this.txUpdate({
+      id,
       nextVersion,
       updatedAt,
       stateJson,
       name,
+      expectedVersion,
       sizeBytes,
+      source,
+      recordRevision,
+    });
+  }
+
+  updateMeta({ id, nextVersion, updatedAt, name, expectedVersion }) {
+    // 1 if updated, 0 if version mismatch
+    return this.txUpdateMeta({
       id,
+      nextVersion,
+      updatedAt,
+      name,
       expectedVersion,
-    );
-    return info.changes; // 1 if updated, 0 if version mismatch
+    });
   }
 
   delete(id) {
-    const info = this.stmtDelete.run(id);
-    return info.changes; // 1 if deleted, 0 if not found
+    return this.txDelete(id); // 1 if deleted, 0 if not found
+  }
+
+  /**
+   * Record a revision outside a REST write (e.g. a Y.js capture)
+   * Skipped when state and name are unchanged since the latest revision
+   * @returns {number|null} New revision number, or null if skipped
+   */
+  addRevision({ id, source, mapVersion, name, stateJson, sizeBytes }) {
+    return this.txAddRevision({
+      id,
+      source,
+      mapVersion,
+      name,
+      createdAt: new Date().toISOString(),
+      stateJson,
+      sizeBytes,
+    });
+  }
+
+  listRevisions(id) {
+    return this.stmtRevisionList.all(id).map((row) => ({
+      revision: row.revision,
+      source: row.source,
+      mapVersion: row.map_version,
+      name: row.name,
+      createdAt: row.created_at,
+      sizeBytes: row.size_bytes,
+    }));
+  }
+
+  getRevision(id, revision) {
+    const row = this.stmtRevisionGet.get(id, revision);
+    if (!row) {
+      return null;
+    }
+    return {
+      revision: row.revision,
+      source: row.source,
+      mapVersion: row.map_version,
+      name: row.name,
+      createdAt: row.created_at,
+      sizeBytes: row.size_bytes,
+      stateJson: row.state_json,
+    };
+  }
+
+  listMembers(id) {
+    return this.stmtMemberList.all(id).map((row) => ({
+      userId: row.user_id,
+      role: row.role,
+      createdAt: row.created_at,
+    }));
+  }
+
+  /**
+   * Role of a user on a map
+   * @returns {{ role: string|null, claimed: boolean }} `claimed` is false
+   *   when the map has no members at all
+   */
+  getAccess(id, userId) {
+    const { members } = this.stmtMemberCount.get(id);
+    const row = members > 0 ? this.stmtMemberRole.get(id, userId) : null;
+    return { role: row ? row.role : null, claimed: members > 0 };
+  }
+
+  /**
+   * Add a member or change their role
+   * @returns {boolean} false if this would demote the last owner
+   */
+  setMember(id, userId, role) {
+    return this.txSetMember(id, userId, role);
+  }
+
+  /**
+   * @returns {number} 1 if removed, 0 if not a member, -1 if the last owner
+   */
+  removeMember(id, userId) {
+    return this.txRemoveMember(id, userId);
+  }
+
+  createShare({ id, mapId, role, createdBy, createdAt, expiresAt }) {
+    this.stmtShareInsert.run(
+      id,
+      mapId,
+      role,
+      createdBy ?? null,
+      createdAt,
+      expiresAt,
+    );
+    return this.getShare(id);
+  }
+
+  getShare(shareId) {
+    const row = this.stmtShareGet.get(shareId);
+    return row ? toShare(row) : null;
+  }
+
+  listShares(id) {
+    return this.stmtShareList.all(id).map(toShare);
+  }
+
+  /**
+   * @returns {number} 1 if revoked, 0 if unknown or already revoked
+   */
+  revokeShare(id, shareId, revokedAt) {
+    return this.stmtShareRevoke.run(revokedAt, id, shareId).changes;
+  }
+
+  /**
+   * @returns {number} Number of shares revoked
+   */
+  revokeShares(id, revokedAt) {
+    return this.stmtShareRevokeAll.run(revokedAt, id).changes;
+  }
+
+  createComment({ id, mapId, noteId, author, body, createdAt }) {
+    this.stmtCommentInsert.run(
+      id,
+      mapId,
+      noteId ?? null,
+      author ?? null,
+      body,
+      createdAt,
+    );
+    return toComment(this.stmtCommentGet.get(id));
+  }
+
+  listComments(id) {
+    return this.stmtCommentList.all(id).map(toComment);
+  }
+
+  /**
+   * Secret signing share tokens, generated on first use so that every
+   * process sharing the database agrees on it
+   */
+  getShareSecret() {
+    this.stmtShareSecretInit.run(crypto.randomBytes(32).toString('base64url'));
+    return this.stmtShareSecret.get().secret;
+  }
+
+  /**
+   * Re-index note contents for a map whose data lives elsewhere (e.g. Y.Doc)
+   * @param {string} id - Map ID
+   * @param {object|string} data - MindMeld JSON ({ n, c }) or its JSON string
+   */
+  indexNotes(id, data) {
+    this.txIndexNotes(id, data);
+  }
+
+  /**
+   * Full-text search over map names and note contents
+   * @param {string} matchQuery - FTS5 MATCH expression (already sanitized)
+   * @param {object} [options] - { limit, offset, snippetsPerMap, userId,
+   *   mapId }
+   * @returns {{ total: number, items: Array }} Ranked maps with snippets
+   */
+  search(
+    matchQuery,
+    {
+      limit = 20,
+      offset = 0,
+      snippetsPerMap = 5,
+      userId = null,
+      mapId = null,
+    } = {},
+  ) {
+    const { total } = this.stmtSearchCount.get(
+      matchQuery,
+      userId,
+      userId,
+      mapId,
+      mapId,
+    );
+    const rows = this.stmtSearchMaps.all(
+      matchQuery,
+      userId,
+      userId,
+      mapId,
+      mapId,
+      limit,
+      offset,
+    );
+
+    const items = rows.map((row) => {
+      const hits = this.stmtSearchSnippets.all(
+        matchQuery,
+        row.id,
+        snippetsPerMap + 1, // name row may take one slot
+      );
+      const nameHit = hits.find((hit) => hit.field === 'name');
+      return {
+        id: row.id,
+        name: row.name,
+        version: row.version,
+        updatedAt: row.updated_at,
+        sizeBytes: row.size_bytes,
+        nameHighlight: nameHit ? highlight(nameHit.snippet) : null,
+        matches: hits
+          .filter((hit) => hit.field === 'note')
+          .slice(0, snippetsPerMap)
+          .map((hit) => ({
+            noteId: hit.note_id,
+            snippet: highlight(hit.snippet),
+          })),
+      };
+    });
+
+    return { total, items };
   }
 }
 
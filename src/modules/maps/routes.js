@@ -1,6 +1,12 @@
 const express = require('express');
 const MapsService = require('./service');
-const { ConflictError } = require('./errors');
+const { createAuthenticate } = require('../auth/middleware');
+const {
+  ConflictError,
+  BadRequestError,
+  UnsupportedMediaTypeError,
+  PreconditionRequiredError,
+} = require('./errors');
 const { computeEtag } = require('../../utils/etag');
 
 function stripQuotes(str) {
@@ -10,17 +16,139 @@ function stripQuotes(str) {
   return str.replace(/^"|"$/g, '');
 }
 
-function createMapsRouter({ sqliteFile }) {
+// Query parameters accepted by GET /maps
+const LIST_QUERY_PARAMS = [
+  'limit',
+  'offset',
+  'cursor',
+  'sort',
+  'order',
+  'updatedSince',
+  'minSize',
+  'maxSize',
+];
+
+// RFC 8288 Link header pointing at the next page (cursor-based)
+function buildNextLink(req, page) {
+  const params = new URLSearchParams();
+  for (const key of ['updatedSince', 'minSize', 'maxSize']) {
+    if (typeof req.query[key] === 'string') {
+      params.set(key, req.query[key]);
+    }
+  }
+  params.set('sort', page.sort);
+  params.set('order', page.order);
+  params.set('limit', String(page.limit));
+  params.set('cursor', page.nextCursor);
+  return `<${req.baseUrl}?${params.toString()}>; rel="next"`;
+}
+
+// Resolve the client-facing data payload and its ETag for either data source
+function resolvePayload(map) {
+  if (map.dataSource === 'yjs') {
+    // Y.js document - data is already in JSON format
+    return { payload: map.data, etag: map.etag };
+  }
+  // Static JSON storage
+  const payload = JSON.parse(map.stateJson);
+  return { payload, etag: computeEtag(payload) };
+}
+
+// PATCH /maps/:id media types (RFC 6902 and RFC 7396)
+const PATCH_FORMATS = {
+  'application/json-patch+json': 'json-patch',
+  'application/merge-patch+json': 'merge-patch',
+};
+
+// Parse a revision number from the URL (positive integer)
+function parseRevision(value) {
+  if (!/^[1-9]\d*$/.test(value)) {
+    throw new BadRequestError('Invalid revision');
+  }
+  return Number(value);
+}
+
+function createMapsRouter({
+  sqliteFile,
+  revisions,
+  service: sharedService,
+  authService,
+}) {
   const router = express.Router();
-  const service = new MapsService(sqliteFile);
+  const service = sharedService || new MapsService(sqliteFile, { revisions });
+
+  // Resolve req.user (401 when auth is enabled and credentials are missing)
+  router.use(createAuthenticate(authService));
+
+  // Require a minimum role on the map in :id (403 otherwise)
+  const requireRole = (role) => (req, res, next) => {
+    try {
+      service.assertAccess(req.params.id, req.user, role);
+      next();
+    } catch (err) {
+      next(err);
+    }
+  };
+
+  // Scope list and search results to the caller's maps (or shared map)
+  const accessOf = (req) => service.accessOf(req.user);
+
+  // Reject the request when If-Match is present and stale
+  async function checkIfMatch(req, id) {
+    const ifMatch = req.get('If-Match');
+    if (!ifMatch) {
+      return;
+    }
+    const current = await service.getById(id);
+    const { etag: currentEtag } = resolvePayload(current);
+    if (stripQuotes(ifMatch) !== currentEtag) {
+      throw new ConflictError('ETag mismatch');
+    }
+  }
+
+  // ETag of the map after a granular edit
+  async function setCurrentEtag(res, id) {
+    const { etag } = resolvePayload(await service.getById(id));
+    res.set('ETag', `"${etag}"`);
+  }
 
-  // List maps
+  // List maps (pagination, sorting and filters; page info in headers)
   router.get('/', async (req, res, next) => {
     try {
-      const limit = parseInt(req.query.limit, 10) || 50;
-      const offset = parseInt(req.query.offset, 10) || 0;
-      const items = await service.list({ limit, offset });
-      res.json(items);
+      const options = {};
+      for (const key of LIST_QUERY_PARAMS) {
+        if (typeof req.query[key] === 'string') {
+          options[key] = req.query[key];
+        }
+      }
+
+      const page = await service.list(options, accessOf(req));
+
+      res.set('X-Total-Count', String(page.total));
+      if (page.nextCursor) {
+        res.set('X-Next-Cursor', page.nextCursor);
+        res.set('Link', buildNextLink(req, page));
+      }
+      res.json(page.items);
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  // Full-text search across map names and note contents
+  router.get('/search', async (req, res, next) => {
+    try {
+      const q = typeof req.query.q === 'string' ? req.query.q : undefined;
+      const limit =
+        req.query.limit !== undefined
+          ? parseInt(req.query.limit, 10)
+          : undefined;
+      const offset =
+        req.query.offset !== undefined
+          ? parseInt(req.query.offset, 10)
+          : undefined;
+      const results = await service.search({ q, limit, offset }, accessOf(req));
+      res.json(results);
     } catch (err) {
       next(err);
     }
@@ -29,8 +157,12 @@ function createMapsRouter({ sqliteFile }) {
   // Create map
   router.post('/', (req, res, next) => {
     try {
+      service.assertCanCreate(req.user);
       const { name, data, state } = req.body || {};
-      const created = service.create({ name, state: data ?? state });
+      const created = service.create(
+        { name, state: data ?? state },
+        { ownerId: req.user?.userId },
+      );
       const payload = data ?? state ?? {};
       const etag = computeEtag(payload);
       res.set('ETag', `"${etag}"`);
@@ -48,23 +180,12 @@ function createMapsRouter({ sqliteFile }) {
   });
 
   // Get map by id (with Y.js integration)
-  router.get('/:id', async (req, res, next) => {
+  router.get('/:id', requireRole('viewer'), async (req, res, next) => {
     try {
       const map = await service.getById(req.params.id);
 
       // Handle both Y.js and static data sources
-      let payload;
-      let etag;
-
-      if (map.dataSource === 'yjs') {
-        // Y.js document - data is already in JSON format
-        payload = map.data;
-        etag = map.etag;
-      } else {
-        // Static JSON storage
-        payload = JSON.parse(map.stateJson);
-        etag = computeEtag(payload);
-      }
+      const { payload, etag } = resolvePayload(map);
 
       res.set('ETag', `"${etag}"`);
 
@@ -82,47 +203,249 @@ function createMapsRouter({ sqliteFile }) {
   });
 
   // Replace state with optimistic concurrency (If-Match preferred, version fallback)
-  router.put('/:id', async (req, res, next) => {
+  router.put('/:id', requireRole('editor'), async (req, res, next) => {
     try {
       const id = req.params.id;
-      const ifMatch = req.get('If-Match');
 
-      if (ifMatch) {
-        const current = await service.getById(id);
-        let currentEtag;
+      // The service checks If-Match, right before it edits the Y.Doc.
+      // Y.js-backed maps return the reconciled document, as GET would
+      const updated = await service.update(id, req.body || {}, {
+        ifMatch: stripQuotes(req.get('If-Match')),
+      });
+      const { payload, etag } = resolvePayload(updated);
+      res.set('ETag', `"${etag}"`);
 
-        if (current.dataSource === 'yjs') {
-          currentEtag = current.etag;
-        } else {
-          const currentPayload = JSON.parse(current.stateJson);
-          currentEtag = computeEtag(currentPayload);
-        }
+      // Return with parsed data field for client convenience
+      const response = {
+        ...updated,
+        data: payload,
+      };
+      delete response.stateJson; // Remove internal field
+      delete response.dataSource; // Remove internal field
+      res.json(response);
+    } catch (err) {
+      next(err);
+    }
+  });
 
-        const provided = stripQuotes(ifMatch);
-        if (provided !== currentEtag) {
-          throw new ConflictError('ETag mismatch');
-        }
+  // Partial update with JSON Patch or JSON Merge Patch (If-Match required)
+  router.patch('/:id', requireRole('editor'), async (req, res, next) => {
+    try {
+      const id = req.params.id;
+      res.set('Accept-Patch', Object.keys(PATCH_FORMATS).join(', '));
+
+      const mediaType = req.is(Object.keys(PATCH_FORMATS));
+      if (!mediaType) {
+        throw new UnsupportedMediaTypeError(
+          `Use ${Object.keys(PATCH_FORMATS).join(' or ')}`,
+        );
+      }
+      if (!req.get('If-Match')) {
+        throw new PreconditionRequiredError('If-Match header is required');
       }
+      await checkIfMatch(req, id);
 
-      const updated = await service.update(id, req.body || {});
-      const payload = req.body?.data ?? req.body?.state;
-      const nextEtag = computeEtag(payload);
-      res.set('ETag', `"${nextEtag}"`);
+      const updated = await service.patchData(id, req.body, {
+        format: PATCH_FORMATS[mediaType],
+      });
+      const { payload, etag } = resolvePayload(updated);
+      res.set('ETag', `"${etag}"`);
 
-      // Return with parsed data field for client convenience
       const response = {
         ...updated,
         data: payload,
       };
       delete response.stateJson; // Remove internal field
+      delete response.dataSource; // Remove internal field
       res.json(response);
     } catch (err) {
       next(err);
     }
   });
 
+  // Update metadata (name) with optimistic concurrency (If-Match or version)
+  router.patch('/:id/meta', requireRole('editor'), async (req, res, next) => {
+    try {
+      const id = req.params.id;
+      await checkIfMatch(req, id);
+
+      const { name, version } = req.body || {};
+      const updated = await service.patchMeta(id, { name, version });
+      const { payload, etag } = resolvePayload(updated);
+      res.set('ETag', `"${etag}"`);
+
+      const response = {
+        ...updated,
+        data: payload,
+      };
+      delete response.stateJson; // Remove internal field
+      delete response.dataSource; // Remove internal field
+      res.json(response);
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  // Version history (newest first, without map data)
+  router.get('/:id/versions', requireRole('viewer'), async (req, res, next) => {
+    try {
+      const id = req.params.id;
+      const versions = await service.listVersions(id);
+      res.json({ mapId: id, versions });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  // Single revision with its map data
+  router.get(
+    '/:id/versions/:revision',
+    requireRole('viewer'),
+    async (req, res, next) => {
+      try {
+        const id = req.params.id;
+        const revision = parseRevision(req.params.revision);
+        const found = await service.getVersion(id, revision);
+        res.json({ mapId: id, ...found });
+      } catch (err) {
+        next(err);
+      }
+    },
+  );
+
+  // Structural diff between revisions (`to` defaults to the current state)
+  router.get('/:id/diff', requireRole('viewer'), async (req, res, next) => {
+    try {
+      const { from, to } = req.query;
+      const diff = await service.diff(req.params.id, {
+        from: typeof from === 'string' ? from : undefined,
+        to: typeof to === 'string' ? to : undefined,
+      });
+      res.json(diff);
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  // Restore a revision (recorded as a new revision; If-Match or version)
+  router.post(
+    '/:id/versions/:revision/restore',
+    requireRole('editor'),
+    async (req, res, next) => {
+      try {
+        const id = req.params.id;
+        const revision = parseRevision(req.params.revision);
+        await checkIfMatch(req, id);
+
+        const { version } = req.body || {};
+        const restored = await service.restoreVersion(id, revision, {
+          version,
+        });
+        const { payload, etag } = resolvePayload(restored);
+        res.set('ETag', `"${etag}"`);
+
+        const response = {
+          ...restored,
+          data: payload,
+        };
+        delete response.stateJson; // Remove internal field
+        delete response.dataSource; // Remove internal field
+        res.json(response);
+      } catch (err) {
+        next(err);
+      }
+    },
+  );
+
+  // Granular note edits (applied as Y.js transactions; If-Match optional)
+  router.post(
+    '/:id/notes/:noteId',
+    requireRole('editor'),
+    async (req, res, next) => {
+      try {
+        const { id, noteId } = req.params;
+        await checkIfMatch(req, id);
+        const note = await service.addNote(id, noteId, req.body || {});
+        await setCurrentEtag(res, id);
+        res.status(201).json(note);
+      } catch (err) {
+        next(err);
+      }
+    },
+  );
+
+  router.patch(
+    '/:id/notes/:noteId',
+    requireRole('editor'),
+    async (req, res, next) => {
+      try {
+        const { id, noteId } = req.params;
+        await checkIfMatch(req, id);
+        const note = await service.updateNote(id, noteId, req.body || {});
+        await setCurrentEtag(res, id);
+        res.json(note);
+      } catch (err) {
+        next(err);
+      }
+    },
+  );
+
+  router.delete(
+    '/:id/notes/:noteId',
+    requireRole('editor'),
+    async (req, res, next) => {
+      try {
+        const { id, noteId } = req.params;
+        await checkIfMatch(req, id);
+        const { removedConnections } = await service.deleteNote(id, noteId);
+        await setCurrentEtag(res, id);
+        res.json({
+          message: `Note ${noteId} deleted successfully`,
+          removedConnections,
+        });
+      } catch (err) {
+        next(err);
+      }
+    },
+  );
+
+  // Granular connection edits: { f, t, type? } in the body (POST) or the
+  // query string (DELETE)
+  router.post(
+    '/:id/connections',
+    requireRole('editor'),
+    async (req, res, next) => {
+      try {
+        const id = req.params.id;
+        await checkIfMatch(req, id);
+        const connection = await service.addConnection(id, req.body || {});
+        await setCurrentEtag(res, id);
+        res.status(201).json(connection);
+      } catch (err) {
+        next(err);
+      }
+    },
+  );
+
+  router.delete(
+    '/:id/connections',
+    requireRole('editor'),
+    async (req, res, next) => {
+      try {
+        const id = req.params.id;
+        await checkIfMatch(req, id);
+        const { f, t, type } = req.query;
+        await service.removeConnection(id, { f, t, type });
+        await setCurrentEtag(res, id);
+        res.json({ message: `Connection ${f} → ${t} deleted successfully` });
+      } catch (err) {
+        next(err);
+      }
+    },
+  );
+
   // Delete map
-  router.delete('/:id', async (req, res, next) => {
+  router.delete('/:id', requireRole('owner'), async (req, res, next) => {
     try {
       const id = req.params.id;
       await service.delete(id);
@@ -132,8 +455,141 @@ function createMapsRouter({ sqliteFile }) {
     }
   });
 
+  // Live presence: clients connected to the map's collaboration room
+  router.get('/:id/presence', requireRole('viewer'), async (req, res, next) => {
+    try {
+      const id = req.params.id;
+      const clients = await service.getPresence(id);
+      res.json({ mapId: id, count: clients.length, clients });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  // Access control: members and their roles (owners manage membership)
+  router.get('/:id/members', requireRole('viewer'), async (req, res, next) => {
+    try {
+      const id = req.params.id;
+      const members = await service.listMembers(id);
+      res.json({ mapId: id, members });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  router.put(
+    '/:id/members/:userId',
+    requireRole('owner'),
+    async (req, res, next) => {
+      try {
+        const { id, userId } = req.params;
+        const member = await service.setMember(id, {
+          userId,
+          role: req.body?.role,
+        });
+        res.json(member);
+      } catch (err) {
+        next(err);
+      }
+    },
+  );
+
+  router.delete(
+    '/:id/members/:userId',
+    requireRole('owner'),
+    async (req, res, next) => {
+      try {
+        const { id, userId } = req.params;
+        await service.removeMember(id, userId);
+        res.json({ message: `Member ${userId} removed` });
+      } catch (err) {
+        next(err);
+      }
+    },
+  );
+
+  // Comments: viewers read them, commenters (e.g. comment share links) and
+  // above add them
+  router.get('/:id/comments', requireRole('viewer'), async (req, res, next) => {
+    try {
+      const id = req.params.id;
+      const comments = await service.listComments(id);
+      res.json({ mapId: id, comments });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  router.post(
+    '/:id/comments',
+    requireRole('commenter'),
+    async (req, res, next) => {
+      try {
+        const id = req.params.id;
+        const comment = await service.addComment(
+          id,
+          { body: req.body?.body, noteId: req.body?.noteId },
+          { author: req.user?.userId },
+        );
+        res.status(201).json(comment);
+      } catch (err) {
+        next(err);
+      }
+    },
+  );
+
+  // Share links: signed tokens granting view, comment or edit access to
+  // whoever holds them (owners manage links; tokens are shown once)
+  router.post('/:id/shares', requireRole('owner'), async (req, res, next) => {
+    try {
+      const id = req.params.id;
+      const share = await service.createShare(
+        id,
+        { role: req.body?.role, expiresIn: req.body?.expiresIn },
+        { createdBy: req.user?.userId },
+      );
+      res.status(201).json(share);
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  router.get('/:id/shares', requireRole('owner'), async (req, res, next) => {
+    try {
+      const id = req.params.id;
+      const shares = await service.listShares(id);
+      res.json({ mapId: id, shares });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  router.delete('/:id/shares', requireRole('owner'), async (req, res, next) => {
+    try {
+      const id = req.params.id;
+      const revoked = await service.revokeShare(id);
+      res.json({ message: `${revoked} share links revoked`, revoked });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  router.delete(
+    '/:id/shares/:shareId',
+    requireRole('owner'),
+    async (req, res, next) => {
+      try {
+        const { id, shareId } = req.params;
+        await service.revokeShare(id, shareId);
+        res.json({ message: `Share ${shareId} revoked` });
+      } catch (err) {
+        next(err);
+      }
+    },
+  );
+
   // Import JSON data into Y.js document
-  router.post('/:id/import', async (req, res, next) => {
+  router.post('/:id/import', requireRole('editor'), async (req, res, next) => {
     try {
       const id = req.params.id;
       const jsonData = req.body;
@@ -141,6 +597,7 @@ function createMapsRouter({ sqliteFile }) {
       const result = await service.importToYjs(id, jsonData, {
         suppressEvents: true, // Don't broadcast WebSocket events during import
         createStaticRecord: true, // Create metadata record in static storage
+        ownerId: req.user?.userId, // Importer owns newly created maps
       });
 
       res.status(201).json(result);
@@ -1,15 +1,39 @@
 const { z } = require('zod');
+const EventEmitter = require('events');
 const { randomUUID } = require('crypto');
 const crypto = require('crypto');
+const Y = require('yjs');
 const MapsRepo = require('./repo');
-const { NotFoundError, ConflictError, BadRequestError } = require('./errors');
+const {
+  NotFoundError,
+  ConflictError,
+  BadRequestError,
+  ForbiddenError,
+  UnauthorizedError,
+} = require('./errors');
+const { signShareToken, verifyShareToken } = require('../auth/share-token');
+const { computeEtag } = require('../../utils/etag');
+const {
+  applyJsonPatch,
+  applyMergePatch,
+  JsonPatchError,
+} = require('../../utils/json-patch');
 
 // Y.js integration
 const YjsService = require('../yjs/service');
+const { createPubSub } = require('../yjs/pubsub');
 const {
   yDocToJSON,
   jsonToYDoc,
   hasYDocContent,
+  initializeYDoc,
+  diffMapJSON,
+  updateYText,
+  reconcileYDoc,
+  generateConnectionId,
+  NOTE_CONTENT_LIMIT,
+  MAX_NOTES_PER_MAP,
+  MAX_CONNECTIONS_PER_MAP,
 } = require('../yjs/json-converter');
 
 // Strict schema definitions for mind map data structures
@@ -60,21 +84,256 @@ const MapUpdateSchema = z
   })
   .strict();
 
-class MapsService {
+// PATCH META: { name: string, version?: number }
+const MapMetaPatchSchema = z
+  .object({
+    name: z.string().trim().min(1),
+    version: z.number().int().min(1).optional(),
+  })
+  .strict();
+
+// LIST: pagination, sorting and filters (query strings are coerced)
+const MapListSchema = z
+  .object({
+    limit: z.coerce.number().int().min(1).max(100).default(50),
+    offset: z.coerce.number().int().min(0).default(0),
+    cursor: z.string().min(1).optional(),
+    sort: z.enum(['updated', 'name', 'size']).optional(),
+    order: z.enum(['asc', 'desc']).optional(),
+    updatedSince: z.iso
+      .datetime({ offset: true })
+      .transform((value) => new Date(value).toISOString())
+      .optional(),
+    minSize: z.coerce.number().int().min(0).optional(),
+    maxSize: z.coerce.number().int().min(0).optional(),
+  })
+  .strict();
+
+// Natural direction per sort key when `order` is omitted
+const DEFAULT_ORDER = { updated: 'desc', name: 'asc', size: 'desc' };
+
+// Keyset value taken from the last item of a page, per sort key
+const CURSOR_KEYS = { updated: 'updatedAt', name: 'name', size: 'sizeBytes' };
+
+function encodeCursor({ sort, order, key, id }) {
+  return Buffer.from(
+    JSON.stringify({ s: sort, o: order, k: key, i: id }),
+  ).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  try {
+    const { s, o, k, i } = JSON.parse(
+      Buffer.from(cursor, 'base64url').toString('utf8'),
+    );
+    if (
+      !Object.hasOwn(DEFAULT_ORDER, s) ||
+      !['asc', 'desc'].includes(o) ||
+      typeof i !== 'string' ||
+      (typeof k !== 'string' && typeof k !== 'number')
+    ) {
+      throw new Error('Malformed cursor');
+    }
+    return { sort: s, order: o, key: k, id: i };
+  } catch {
+    throw new BadRequestError('Invalid cursor');
+  }
+}
+
+// RESTORE: { version?: number } (optimistic concurrency on the map)
+const MapRestoreSchema = z
+  .object({
+    version: z.number().int().min(1).optional(),
+  })
+  .strict();
+
+// Y.js connection key for a { f, t, type? } connection
+function connectionIdOf({ f, t, type }) {
+  return `${f}:${t}:${type || 'arrow'}`;
+}
+
+// PATCH result: the patched document must still be a valid { n, c, meta? }
+const MapPatchResultSchema = z
+  .object({
+    n: z.array(NoteSchema.extend({ c: z.string().max(NOTE_CONTENT_LIMIT) })),
+    c: z.array(ConnectionSchema),
+    meta: z.record(z.string(), z.unknown()).optional(),
+  })
+  .strict();
+
+// NOTE CREATE: { p: [x, y], c: string, color?: string }
+const NoteCreateSchema = z
+  .object({
+    p: z.tuple([z.number(), z.number()]),
+    c: z.string().max(NOTE_CONTENT_LIMIT),
+    color: z.string().min(1).optional(),
+  })
+  .strict();
+
+// NOTE PATCH: any of { p, c, color }
+const NotePatchSchema = NoteCreateSchema.partial().refine(
+  (patch) => Object.keys(patch).length > 0,
+  { message: 'At least one of p, c or color is required' },
+);
+
+// CONNECTION: { f: noteId, t: noteId, type?: string }
+const ConnectionRefSchema = z
+  .object({
+    f: z.string().min(1),
+    t: z.string().min(1),
+    type: z.string().min(1).default('arrow'),
+  })
+  .strict();
+
+// DIFF: { from: revision, to?: revision | 'current' } (query strings are coerced)
+const MapDiffSchema = z
+  .object({
+    from: z.coerce.number().int().min(1),
+    to: z
+      .union([z.literal('current'), z.coerce.number().int().min(1)])
+      .default('current'),
+  })
+  .strict();
+
+// Map roles, weakest first: each role includes the permissions of those before it
+const ROLES = ['viewer', 'commenter', 'editor', 'owner'];
+
+// Roles members can hold; commenting is granted through share links
+const MEMBER_ROLES = ['viewer', 'editor', 'owner'];
+
+// MEMBER: { userId: string, role: 'owner' | 'editor' | 'viewer' }
+const MemberSchema = z
+  .object({
+    userId: z.string().trim().min(1).max(200),
+    role: z.enum(MEMBER_ROLES),
+  })
+  .strict();
+
+// Share link roles and the map role each grants
+const SHARE_ROLES = { view: 'viewer', comment: 'commenter', edit: 'editor' };
+
+// SHARE: { role?: 'view' | 'comment' | 'edit', expiresIn?: seconds }
+const ShareCreateSchema = z
+  .object({
+    role: z.enum(Object.keys(SHARE_ROLES)).default('view'),
+    expiresIn: z
+      .number()
+      .int()
+      .min(60)
+      .max(365 * 24 * 60 * 60)
+      .default(7 * 24 * 60 * 60),
+  })
+  .strict();
+
+// COMMENT: { body: string, noteId?: string }
+const CommentCreateSchema = z
+  .object({
+    body: z.string().trim().min(1).max(2000),
+    noteId: z.string().min(1).max(200).optional(),
+  })
+  .strict();
+
+// SEARCH: { q: string, limit?: number, offset?: number }
+const MapSearchSchema = z
+  .object({
+    q: z.string().trim().min(1).max(200),
+    limit: z.number().int().min(1).max(100).default(20),
+    offset: z.number().int().min(0).default(0),
+  })
+  .strict();
+
+/**
+ * Turn free text into a safe FTS5 MATCH expression: every word becomes a
+ * quoted prefix term, so user input can never inject FTS5 query syntax.
+ */
+function toMatchQuery(text) {
+  const terms = text.match(/[\p{L}\p{N}_]+/gu) || [];
+  return terms.map((term) => `"${term}"*`).join(' ');
+}
+
+/**
+ * Maps service: validation, storage and the Y.js bridge
+ * Emits `change` (mapId) whenever a map is created, written, renamed,
+ * restored or deleted, and for every update to its live Y.Doc.
+ */
+class MapsService extends EventEmitter {
+  /**
+   * @param {string} sqliteFile - SQLite database path
+   * @param {object} [options]
+   * @param {object} [options.logger]
+   * @param {object} [options.revisions] - { limit, maxAgeDays, yjsIntervalMs }
+   * @param {object} [options.compaction] - Y.js update log thresholds
+   *   { maxUpdates, maxBytes, intervalMs }
+   * @param {object} [options.persistDebounce] - Batching of WebSocket edits
+   *   { delayMs, maxWaitMs }
+   * @param {object} [options.eviction] - Y.Doc residency limits
+   *   { idleMs, maxDocuments, memoryBudgetBytes }
+   * @param {object} [options.replication] - Fan-out to other server
+   *   processes { pubsub: 'none'|'memory'|'sqlite', dbFile, pollIntervalMs,
+   *   ownershipTtlMs }; the SQLite bus defaults to <sqliteFile>-pubsub.sqlite
+   * @param {string} [options.shareSecret] - Signs share link tokens;
+   *   generated and kept in the database when unset
+   */
   constructor(sqliteFile, options = {}) {
-    this.repo = new MapsRepo(sqliteFile);
+    super();
+    const revisions = options.revisions || {};
+    this.repo = new MapsRepo(sqliteFile, {
+      revisionLimit: revisions.limit,
+      revisionMaxAgeDays: revisions.maxAgeDays,
+    });
     this.options = options;
+    this.shareSecret = options.shareSecret || null;
+
+    // Y.js edits are captured as revisions at most once per interval per map
+    this.yjsRevisionIntervalMs = revisions.yjsIntervalMs ?? 5 * 60 * 1000;
+    this.lastYjsRevisionAt = new Map();
 
     // Initialize Y.js service for document integration
     // Use separate Y.js database file to avoid conflicts
     const yjsDbFile = sqliteFile.replace('.sqlite', '-yjs.sqlite');
+    const replication = options.replication || {};
     this.yjsService = new YjsService({
       dbFile: yjsDbFile,
       logger: options.logger || console,
+      compaction: options.compaction,
+      persistDebounce: options.persistDebounce,
+      eviction: options.eviction,
+      replication: {
+        pubsub: createPubSub({
+          type: replication.pubsub,
+          dbFile:
+            replication.dbFile ||
+            sqliteFile.replace('.sqlite', '-pubsub.sqlite'),
+          pollIntervalMs: replication.pollIntervalMs,
+          logger: options.logger,
+        }),
+        ownershipTtlMs: replication.ownershipTtlMs,
+      },
+      // Bring the search index and version history of Y.js-backed maps up
+      // to date whenever their update log is compacted
+      onDocumentCompacted: (mapId, doc) => {
+        // Documents without a static record are not listed or searchable
+        if (!this.repo.get(mapId)) {
+          return;
+        }
+        const hasContent = hasYDocContent(doc);
+        const data = hasContent ? yDocToJSON(doc) : { n: [] };
+        this.repo.indexNotes(mapId, data);
+        if (hasContent) {
+          this.recordYjsRevision(mapId, data);
+        }
+      },
+      // REST, MCP and WebSocket edits all land here
+      onDocumentUpdate: (mapId) => this.emit('change', mapId),
     });
   }
 
-  create({ name, state }) {
+  /**
+   * @param {object} input - { name, state }
+   * @param {object} [options]
+   * @param {string} [options.ownerId] - User granted the owner role
+   */
+  create({ name, state }, { ownerId } = {}) {
     const parsed = MapCreateSchema.safeParse({ name, state });
     if (!parsed.success) {
       const error = new BadRequestError('Invalid create request');
@@ -96,9 +355,11 @@ class MapsService {
       updatedAt,
       stateJson,
       sizeBytes,
+      ownerId,
     });
 
     // Update successful, return the updated resource
+    this.emit('change', id);
     return this.repo.get(id);
   }
 
@@ -156,18 +417,145 @@ class MapsService {
     };
   }
 
-  async list() {
-    // Get static maps
-    const staticMaps = this.repo.list();
+  /**
+   * Current map document ({ n, c, meta }) following the same source-of-truth
+   * rule as getById: the Y.Doc (via yDocToJSON) when it has content,
+   * otherwise the static record
+   */
+  async getData(id) {
+    const { data } = await this.getEditableDocument(id);
+    return data;
+  }
+
+  /**
+   * A single note of a map (see getData)
+   * @returns {Promise<object>} The note ({ i, p, c, color? })
+   */
+  async getNote(id, noteId) {
+    const data = await this.getData(id);
+    const note = data.n.find((candidate) => candidate.i === noteId);
+    if (!note) {
+      throw new NotFoundError('Note not found');
+    }
+    return note;
+  }
+
+  /**
+   * List map summaries with pagination, sorting and filters
+   * Supports offset paging and keyset (cursor) paging; every page returns
+   * a `nextCursor` when more results exist.
+   * @param {object} [options] - Query options (see MapListSchema)
+   * @param {object} [access]
+   * @param {string} [access.userId] - Only maps this user can view
+   * @param {string} [access.mapId] - Only this map (share links)
+   */
+  async list(options = {}, { userId, mapId } = {}) {
+    const parsed = MapListSchema.safeParse(options);
+    if (!parsed.success) {
+      const error = new BadRequestError('Invalid list request');
+      error.zodErrors = parsed.error.issues;
+      throw error;
+    }
+
+    const { limit, offset, cursor, updatedSince, minSize, maxSize } =
+      parsed.data;
+    let sort = parsed.data.sort || 'updated';
+    let order = parsed.data.order || DEFAULT_ORDER[sort];
+    let after;
+
+    if (cursor) {
+      if (offset > 0) {
+        throw new BadRequestError('Use either cursor or offset, not both');
+      }
+      after = decodeCursor(cursor);
+      if (
+        (parsed.data.sort && parsed.data.sort !== after.sort) ||
+        (parsed.data.order && parsed.data.order !== after.order)
+      ) {
+        throw new BadRequestError('Cursor does not match requested sort');
+      }
+      sort = after.sort;
+      order = after.order;
+    }
+
+    // Only static records are listed: imports create static records for
+    // Y.js documents, so every map is represented here
+    const { items, total, hasMore } = this.repo.listPage({
+      sort,
+      order,
+      limit,
+      offset,
+      after,
+      updatedSince,
+      minSize,
+      maxSize,
+      userId,
+      mapId,
+    });
+
+    const last = items[items.length - 1];
+    const nextCursor =
+      hasMore && last
+        ? encodeCursor({
+            sort,
+            order,
+            key: last[CURSOR_KEYS[sort]],
+            id: last.id,
+          })
+        : null;
+
+    return { items, total, limit, offset, sort, order, hasMore, nextCursor };
+  }
+
+  /**
+   * Full-text search across map names and note contents
+   * Returns ranked maps with highlighted note snippets and note IDs
+   * @param {object} [access]
+   * @param {string} [access.userId] - Only maps this user can view
+   * @param {string} [access.mapId] - Only this map (share links)
+   */
+  async search({ q, limit, offset } = {}, { userId, mapId } = {}) {
+    const parsed = MapSearchSchema.safeParse({ q, limit, offset });
+    if (!parsed.success) {
+      const error = new BadRequestError('Invalid search request');
+      error.zodErrors = parsed.error.issues;
+      throw error;
+    }
 
-    // TODO: In the future, we might want to also list Y.js-only documents
-    // that don't have static records, but for now the import functionality
-    // creates static records for all Y.js documents, so this is sufficient
+    const matchQuery = toMatchQuery(parsed.data.q);
+    if (!matchQuery) {
+      throw new BadRequestError('Search query must contain a word');
+    }
 
-    return staticMaps;
+    const { total, items } = this.repo.search(matchQuery, {
+      limit: parsed.data.limit,
+      offset: parsed.data.offset,
+      userId,
+      mapId,
+    });
+
+    return {
+      query: parsed.data.q,
+      total,
+      limit: parsed.data.limit,
+      offset: parsed.data.offset,
+      items,
+    };
   }
 
-  async update(id, { data, version }) {
+  /**
+   * Replace map data (PUT)
+   * Source of truth: when the map's Y.Doc has content (hasYDocContent, the
+   * same rule getById reads by) the Y.Doc wins. The new state is reconciled
+   * into it with minimal changes, which reach connected WebSocket clients,
+   * and the static row stores the resulting document. Otherwise the static
+   * row is authoritative and is written directly. Concurrent writers are
+   * serialized by the version check (last accepted PUT wins).
+   * `ifMatch` (unquoted) must match the current ETag when given. Both
+   * preconditions are checked after the last await, in the same synchronous
+   * step as the reconcile, so a PUT rejected with 409 never reaches the Y.Doc.
+   */
+  async update(id, { data, version }, { ifMatch } = {}) {
     const parsed = MapUpdateSchema.safeParse({ data, version });
     if (!parsed.success) {
       const error = new BadRequestError('Invalid update request');
@@ -175,6 +563,7 @@ class MapsService {
       throw error;
     }
 
+    const yjsDoc = await this.yjsService.getOrCreateDocument(id);
     const existing = this.repo.get(id);
     if (!existing) {
       throw new NotFoundError('Map not found');
@@ -184,10 +573,31 @@ class MapsService {
       throw new ConflictError('Version conflict');
     }
 
+    const yjsBacked = hasYDocContent(yjsDoc);
+    if (ifMatch) {
+      // Same ETag as GET reports for either data source
+      const currentEtag = yjsBacked
+        ? this.generateETagFromData(yDocToJSON(yjsDoc))
+        : computeEtag(JSON.parse(existing.stateJson));
+      if (ifMatch !== currentEtag) {
+        throw new ConflictError('ETag mismatch');
+      }
+    }
+
     const payload = parsed.data.data;
+    let stored = payload;
+    if (yjsBacked) {
+      try {
+        reconcileYDoc(yjsDoc, payload, 'rest-put');
+      } catch (error) {
+        throw new BadRequestError(error.message);
+      }
+      stored = yDocToJSON(yjsDoc);
+    }
+
     const newVersion = version + 1;
     const updatedAt = new Date().toISOString();
-    const stateJson = JSON.stringify(payload);
+    const stateJson = JSON.stringify(stored);
     const sizeBytes = Buffer.byteLength(stateJson, 'utf8');
 
     const result = this.repo.update({
@@ -204,8 +614,782 @@ class MapsService {
       throw new ConflictError('Version conflict');
     }
 
-    // Update successful, return the updated resource
-    return this.repo.get(id);
+    // Update successful, return the updated resource as GET would
+    this.emit('change', id);
+    return this.getById(id);
+  }
+
+  /**
+   * Update map metadata (currently the name) without touching map data.
+   * Keeps the Y.js `meta.mapName` in sync for maps whose data lives in the Y.Doc.
+   */
+  async patchMeta(id, { name, version } = {}) {
+    const parsed = MapMetaPatchSchema.safeParse({ name, version });
+    if (!parsed.success) {
+      const error = new BadRequestError('Invalid meta patch request');
+      error.zodErrors = parsed.error.issues;
+      throw error;
+    }
+
+    const nextName = parsed.data.name;
+    const existing = this.repo.get(id);
+    const yjsDoc = await this.yjsService.getOrCreateDocument(id);
+    const yjsBacked = hasYDocContent(yjsDoc);
+
+    if (!existing && !yjsBacked) {
+      throw new NotFoundError('Map not found');
+    }
+
+    if (existing) {
+      if (parsed.data.version && existing.version !== parsed.data.version) {
+        throw new ConflictError('Version conflict');
+      }
+
+      const result = this.repo.updateMeta({
+        id,
+        nextVersion: existing.version + 1,
+        expectedVersion: existing.version,
+        updatedAt: new Date().toISOString(),
+        name: nextName,
+      });
+
+      if (result === 0) {
+        throw new ConflictError('Version conflict');
+      }
+    }
+
+    if (yjsBacked) {
+      const { meta } = initializeYDoc(yjsDoc);
+      yjsDoc.transact(() => {
+        meta.set('mapName', nextName);
+        meta.set('modified', new Date().toISOString());
+      }, 'rest-meta');
+    }
+
+    this.emit('change', id);
+    return this.getById(id);
+  }
+
+  /**
+   * Add a note to a map as a Y.js transaction
+   * @returns {Promise<object>} The note in JSON form ({ i, p, c, color? })
+   */
+  async addNote(id, noteId, input = {}) {
+    const parsed = NoteCreateSchema.safeParse(input);
+    if (!parsed.success) {
+      const error = new BadRequestError('Invalid note');
+      error.zodErrors = parsed.error.issues;
+      throw error;
+    }
+
+    const { doc, data, seed } = await this.getEditableDocument(id);
+    if (data.n.some((note) => note.i === noteId)) {
+      throw new ConflictError('Note already exists');
+    }
+    if (data.n.length >= MAX_NOTES_PER_MAP) {
+      throw new BadRequestError(`Too many notes (max ${MAX_NOTES_PER_MAP})`);
+    }
+
+    this.transactEdit(doc, seed, ({ notes }) => {
+      const noteMap = new Y.Map();
+      noteMap.set('id', noteId);
+      noteMap.set('pos', parsed.data.p);
+      noteMap.set('color', parsed.data.color || 'default');
+      noteMap.set('content', new Y.Text(parsed.data.c));
+      notes.set(noteId, noteMap);
+    });
+
+    return this.finishDocumentEdit(id, doc).n.find((note) => note.i === noteId);
+  }
+
+  /**
+   * Update position, content and/or color of a note as a Y.js transaction
+   * Content changes are applied as minimal text edits so concurrent
+   * collaborator edits to other parts of the note are preserved.
+   */
+  async updateNote(id, noteId, patch = {}) {
+    const parsed = NotePatchSchema.safeParse(patch);
+    if (!parsed.success) {
+      const error = new BadRequestError('Invalid note patch');
+      error.zodErrors = parsed.error.issues;
+      throw error;
+    }
+
+    const { doc, data, seed } = await this.getEditableDocument(id);
+    if (!data.n.some((note) => note.i === noteId)) {
+      throw new NotFoundError('Note not found');
+    }
+
+    const { p, c, color } = parsed.data;
+    this.transactEdit(doc, seed, ({ notes }) => {
+      const noteMap = notes.get(noteId);
+      if (p) {
+        noteMap.set('pos', p);
+      }
+      if (color) {
+        noteMap.set('color', color);
+      }
+      if (c !== undefined) {
+        const yText = noteMap.get('content');
+        if (yText instanceof Y.Text) {
+          updateYText(yText, c);
+        } else {
+          noteMap.set('content', new Y.Text(c));
+        }
+      }
+    });
+
+    return this.finishDocumentEdit(id, doc).n.find((note) => note.i === noteId);
+  }
+
+  /**
+   * Delete a note and every connection attached to it
+   * @returns {Promise<{removedConnections: number}>}
+   */
+  async deleteNote(id, noteId) {
+    const { doc, data, seed } = await this.getEditableDocument(id);
+    if (!data.n.some((note) => note.i === noteId)) {
+      throw new NotFoundError('Note not found');
+    }
+
+    let removedConnections = 0;
+    this.transactEdit(doc, seed, ({ notes, connections }) => {
+      notes.delete(noteId);
+      for (const [connId, conn] of [...connections.entries()]) {
+        if (conn.from === noteId || conn.to === noteId) {
+          connections.delete(connId);
+          removedConnections++;
+        }
+      }
+    });
+
+    this.finishDocumentEdit(id, doc);
+    return { removedConnections };
+  }
+
+  /**
+   * Connect two existing notes as a Y.js transaction
+   * @returns {Promise<object>} The connection ({ f, t, type })
+   */
+  async addConnection(id, input = {}) {
+    const parsed = ConnectionRefSchema.safeParse(input);
+    if (!parsed.success) {
+      const error = new BadRequestError('Invalid connection');
+      error.zodErrors = parsed.error.issues;
+      throw error;
+    }
+
+    const { f, t, type } = parsed.data;
+    if (f === t) {
+      throw new BadRequestError('Self-connections not allowed');
+    }
+
+    const { doc, data, seed } = await this.getEditableDocument(id);
+    const noteIds = new Set(data.n.map((note) => note.i));
+    if (!noteIds.has(f) || !noteIds.has(t)) {
+      throw new BadRequestError('Connection references an unknown note');
+    }
+    const connId = generateConnectionId(f, t, type);
+    if (data.c.some((conn) => connectionIdOf(conn) === connId)) {
+      throw new ConflictError('Connection already exists');
+    }
+    if (data.c.length >= MAX_CONNECTIONS_PER_MAP) {
+      throw new BadRequestError(
+        `Too many connections (max ${MAX_CONNECTIONS_PER_MAP})`,
+      );
+    }
+
+    this.transactEdit(doc, seed, ({ connections }) => {
+      connections.set(connId, { from: f, to: t, type });
+    });
+
+    this.finishDocumentEdit(id, doc);
+    return { f, t, type };
+  }
+
+  /**
+   * Remove a connection identified by from/to/type
+   */
+  async removeConnection(id, input = {}) {
+    const parsed = ConnectionRefSchema.safeParse(input);
+    if (!parsed.success) {
+      const error = new BadRequestError('Invalid connection');
+      error.zodErrors = parsed.error.issues;
+      throw error;
+    }
+
+    const connId = connectionIdOf(parsed.data);
+    const { doc, data, seed } = await this.getEditableDocument(id);
+    if (!data.c.some((conn) => connectionIdOf(conn) === connId)) {
+      throw new NotFoundError('Connection not found');
+    }
+
+    this.transactEdit(doc, seed, ({ connections }) => {
+      connections.delete(connId);
+    });
+
+    this.finishDocumentEdit(id, doc);
+  }
+
+  /**
+   * Apply a JSON Patch (RFC 6902) or JSON Merge Patch (RFC 7396) to map data
+   * The patch targets the `{ n, c, meta }` document; the result is validated
+   * and reconciled into the live Y.Doc with minimal changes.
+   * @param {string} id - Map id
+   * @param {*} patch - Patch document
+   * @param {object} options
+   * @param {'json-patch'|'merge-patch'} options.format - Patch format
+   */
+  async patchData(id, patch, { format }) {
+    const { doc, data: before, seed } = await this.getEditableDocument(id);
+
+    let after;
+    try {
+      after =
+        format === 'json-patch'
+          ? applyJsonPatch(before, patch)
+          : applyMergePatch(before, patch);
+    } catch (error) {
+      if (error instanceof JsonPatchError) {
+        throw error.testFailed
+          ? new ConflictError(error.message)
+          : new BadRequestError(error.message);
+      }
+      throw error;
+    }
+
+    const parsed = MapPatchResultSchema.safeParse(after);
+    if (!parsed.success) {
+      const error = new BadRequestError('Patched map is invalid');
+      error.zodErrors = parsed.error.issues;
+      throw error;
+    }
+
+    const noteIds = new Set(after.n.map((note) => note.i));
+    if (noteIds.size !== after.n.length) {
+      throw new BadRequestError('Patched map has duplicate note ids');
+    }
+    if (after.c.some((conn) => conn.f === conn.t)) {
+      throw new BadRequestError('Self-connections not allowed');
+    }
+    // Same rules as addConnection
+    if (after.c.some((conn) => !noteIds.has(conn.f) || !noteIds.has(conn.t))) {
+      throw new BadRequestError('Connection references an unknown note');
+    }
+    if (new Set(after.c.map(connectionIdOf)).size !== after.c.length) {
+      throw new BadRequestError('Patched map has duplicate connections');
+    }
+    if (
+      after.n.length > MAX_NOTES_PER_MAP ||
+      after.c.length > MAX_CONNECTIONS_PER_MAP
+    ) {
+      throw new BadRequestError(
+        'Patched map exceeds note or connection limits',
+      );
+    }
+
+    this.transactEdit(doc, seed, () => reconcileYDoc(doc, after), 'rest-patch');
+
+    const nextName = after.meta?.mapName;
+    const renamed =
+      typeof nextName === 'string' &&
+      nextName.trim() &&
+      nextName !== before.meta?.mapName;
+    this.finishDocumentEdit(id, doc, {
+      name: renamed ? nextName.trim() : undefined,
+    });
+
+    return this.getById(id);
+  }
+
+  /**
+   * Live Y.Doc for an edit, plus the JSON view edits are validated against
+   * Follows the same source-of-truth rule as getById and update: maps whose
+   * Y.Doc has no content come with a `seed` from static storage, loaded into
+   * the Y.Doc in the same transaction as the edit (see transactEdit), so a
+   * rejected edit leaves the document and its ETag untouched.
+   * @returns {Promise<{doc: Y.Doc, data: object, seed: object|null}>}
+   */
+  async getEditableDocument(id) {
+    const existing = this.repo.get(id);
+    const doc = await this.yjsService.getOrCreateDocument(id);
+
+    if (hasYDocContent(doc)) {
+      return { doc, data: yDocToJSON(doc), seed: null };
+    }
+    if (!existing) {
+      throw new NotFoundError('Map not found');
+    }
+
+    const stored = JSON.parse(existing.stateJson);
+    const seed = {
+      n: stored.n || [],
+      c: stored.c || [],
+      meta: { ...stored.meta, mapName: existing.name },
+    };
+    return { doc, data: seed, seed };
+  }
+
+  /**
+   * Run an edit as one Y.js transaction, loading the seed (if any) first
+   */
+  transactEdit(doc, seed, edit, origin = 'rest-notes') {
+    doc.transact(() => {
+      if (seed) {
+        jsonToYDoc(seed, doc, { merge: false });
+      }
+      edit(initializeYDoc(doc));
+    }, origin);
+  }
+
+  /**
+   * Mirror a granular edit into the static record (version, timestamp, data)
+   * History for these edits is captured when the Y.js update log is
+   * compacted, so no revision is recorded here.
+   * @param {object} [options]
+   * @param {string} [options.name] - New map name (defaults to the current one)
+   * @returns {object} The document in JSON form
+   */
+  finishDocumentEdit(id, doc, { name } = {}) {
+    const data = yDocToJSON(doc);
+    const existing = this.repo.get(id);
+
+    if (existing) {
+      const stateJson = JSON.stringify(data);
+      this.repo.update({
+        id,
+        nextVersion: existing.version + 1,
+        expectedVersion: existing.version,
+        updatedAt: new Date().toISOString(),
+        stateJson,
+        name: name || existing.name,
+        sizeBytes: Buffer.byteLength(stateJson, 'utf8'),
+        recordRevision: false,
+      });
+    }
+
+    return data;
+  }
+
+  /**
+   * Capture a revision of a Y.js-backed map, throttled per map
+   * Collaborative edits never pass through repo.update, so their history is
+   * sampled from update log compactions instead.
+   */
+  recordYjsRevision(mapId, data) {
+    const now = Date.now();
+    const last = this.lastYjsRevisionAt.get(mapId);
+    if (last !== undefined && now - last < this.yjsRevisionIntervalMs) {
+      return null;
+    }
+
+    const existing = this.repo.get(mapId);
+    if (!existing) {
+      return null;
+    }
+
+    const stateJson = JSON.stringify(data);
+    const revision = this.repo.addRevision({
+      id: mapId,
+      source: 'yjs',
+      mapVersion: existing.version,
+      name: data.meta?.mapName || existing.name,
+      stateJson,
+      sizeBytes: Buffer.byteLength(stateJson, 'utf8'),
+    });
+    if (revision !== null) {
+      this.lastYjsRevisionAt.set(mapId, now);
+    }
+    return revision;
+  }
+
+  /**
+   * List stored revisions of a map, newest first (without map data)
+   */
+  async listVersions(id) {
+    if (!this.repo.get(id)) {
+      throw new NotFoundError('Map not found');
+    }
+    return this.repo.listRevisions(id);
+  }
+
+  /**
+   * Get a single revision including its map data
+   */
+  async getVersion(id, revision) {
+    if (!this.repo.get(id)) {
+      throw new NotFoundError('Map not found');
+    }
+
+    const found = this.repo.getRevision(id, revision);
+    if (!found) {
+      throw new NotFoundError('Revision not found');
+    }
+
+    const { stateJson, ...rest } = found;
+    return { ...rest, data: JSON.parse(stateJson) };
+  }
+
+  /**
+   * Structural diff between two revisions (or a revision and the current state)
+   * Reports notes added/removed/moved/edited with text changes, connections
+   * added/removed, and a rename when the map name differs.
+   */
+  async diff(id, { from, to } = {}) {
+    const parsed = MapDiffSchema.safeParse({ from, to });
+    if (!parsed.success) {
+      const error = new BadRequestError('Invalid diff request');
+      error.zodErrors = parsed.error.issues;
+      throw error;
+    }
+
+    const before = await this.getVersion(id, parsed.data.from);
+    let after;
+    if (parsed.data.to === 'current') {
+      const current = await this.getById(id);
+      after = {
+        revision: 'current',
+        mapVersion: current.version,
+        name: current.name,
+        createdAt: current.updatedAt,
+        data: current.data ?? JSON.parse(current.stateJson),
+      };
+    } else {
+      after = await this.getVersion(id, parsed.data.to);
+    }
+
+    const describe = ({ revision, mapVersion, name, createdAt }) => ({
+      revision,
+      mapVersion,
+      name,
+      createdAt,
+    });
+
+    return {
+      mapId: id,
+      from: describe(before),
+      to: describe(after),
+      renamed:
+        before.name !== after.name
+          ? { from: before.name, to: after.name }
+          : null,
+      ...diffMapJSON(before.data, after.data),
+    };
+  }
+
+  /**
+   * Restore a map to a stored revision
+   * The restore is itself recorded as a new revision, so it can be undone.
+   * Y.js-backed maps are rewritten in the live Y.Doc so connected clients
+   * receive the restored state.
+   */
+  async restoreVersion(id, revision, { version } = {}) {
+    const parsed = MapRestoreSchema.safeParse({ version });
+    if (!parsed.success) {
+      const error = new BadRequestError('Invalid restore request');
+      error.zodErrors = parsed.error.issues;
+      throw error;
+    }
+
+    const existing = this.repo.get(id);
+    if (!existing) {
+      throw new NotFoundError('Map not found');
+    }
+    if (parsed.data.version && existing.version !== parsed.data.version) {
+      throw new ConflictError('Version conflict');
+    }
+
+    const target = this.repo.getRevision(id, revision);
+    if (!target) {
+      throw new NotFoundError('Revision not found');
+    }
+
+    const data = JSON.parse(target.stateJson);
+    const yjsDoc = await this.yjsService.getOrCreateDocument(id);
+    if (hasYDocContent(yjsDoc)) {
+      jsonToYDoc(
+        { ...data, meta: { ...data.meta, mapName: target.name } },
+        yjsDoc,
+        { merge: false },
+      );
+    }
+
+    const result = this.repo.update({
+      id,
+      nextVersion: existing.version + 1,
+      expectedVersion: existing.version,
+      updatedAt: new Date().toISOString(),
+      stateJson: target.stateJson,
+      name: target.name,
+      sizeBytes: target.sizeBytes,
+      source: 'restore',
+    });
+
+    if (result === 0) {
+      throw new ConflictError('Version conflict');
+    }
+
+    this.emit('change', id);
+    return this.getById(id);
+  }
+
+  /**
+   * Role of a user on a map: their member role, or 'owner' for unclaimed
+   * maps (no members, e.g. created while auth was disabled)
+   * @returns {'owner'|'editor'|'viewer'|null}
+   */
+  getRole(id, userId) {
+    const { role, claimed } = this.repo.getAccess(id, userId);
+    return claimed ? role : 'owner';
+  }
+
+  /**
+   * Role of an authenticated principal on a map
+   * Share link principals only have the role of their link, on its map.
+   * @param {string} id - Map id
+   * @param {{userId: string, share?: {mapId: string, role: string}}} user
+   * @returns {'owner'|'editor'|'commenter'|'viewer'|null}
+   */
+  roleOf(id, user) {
+    if (user.share) {
+      return user.share.mapId === id ? SHARE_ROLES[user.share.role] : null;
+    }
+    return this.getRole(id, user.userId);
+  }
+
+  /**
+   * Scope of list and search results for a principal (`access` argument)
+   * @param {object|null|undefined} user - null when auth is disabled
+   */
+  accessOf(user) {
+    if (!user) {
+      return {};
+    }
+    return user.share ? { mapId: user.share.mapId } : { userId: user.userId };
+  }
+
+  /**
+   * Only accounts create maps: share link principals are limited to the
+   * map of their link
+   * @param {object|null|undefined} user - Authenticated principal
+   * @throws {ForbiddenError}
+   */
+  assertCanCreate(user) {
+    if (user && user.share) {
+      throw new ForbiddenError('Share links cannot create maps');
+    }
+  }
+
+  /**
+   * Require at least `role` on a map
+   * A missing user means auth is disabled and every caller has full access.
+   * @param {string} id - Map id
+   * @param {object|null|undefined} user - Authenticated principal
+   *   ({ userId, share? })
+   * @param {'viewer'|'commenter'|'editor'|'owner'} role - Minimum role
+   * @throws {ForbiddenError}
+   */
+  assertAccess(id, user, role) {
+    if (!user) {
+      return;
+    }
+    const actual = this.roleOf(id, user);
+    if (!actual || ROLES.indexOf(actual) < ROLES.indexOf(role)) {
+      throw new ForbiddenError(
+        actual
+          ? `Requires the ${role} role on this map`
+          : 'No access to this map',
+      );
+    }
+  }
+
+  /**
+   * Clients currently connected to a map's collaboration room
+   */
+  async getPresence(id) {
+    if (!this.repo.get(id)) {
+      throw new NotFoundError('Map not found');
+    }
+    return this.yjsService.getPresence(id);
+  }
+
+  async listMembers(id) {
+    if (!this.repo.get(id)) {
+      throw new NotFoundError('Map not found');
+    }
+    return this.repo.listMembers(id);
+  }
+
+  /**
+   * Grant a role to a user (adds the member or changes their role)
+   */
+  async setMember(id, { userId, role } = {}) {
+    const parsed = MemberSchema.safeParse({ userId, role });
+    if (!parsed.success) {
+      const error = new BadRequestError('Invalid member');
+      error.zodErrors = parsed.error.issues;
+      throw error;
+    }
+    if (!this.repo.get(id)) {
+      throw new NotFoundError('Map not found');
+    }
+
+    if (!this.repo.setMember(id, parsed.data.userId, parsed.data.role)) {
+      throw new ConflictError('A map must keep at least one owner');
+    }
+    return this.repo
+      .listMembers(id)
+      .find((member) => member.userId === parsed.data.userId);
+  }
+
+  async removeMember(id, userId) {
+    if (!this.repo.get(id)) {
+      throw new NotFoundError('Map not found');
+    }
+    const result = this.repo.removeMember(id, userId);
+    if (result === 0) {
+      throw new NotFoundError('Member not found');
+    }
+    if (result < 0) {
+      throw new ConflictError('A map must keep at least one owner');
+    }
+  }
+
+  async listComments(id) {
+    if (!this.repo.get(id)) {
+      throw new NotFoundError('Map not found');
+    }
+    return this.repo.listComments(id);
+  }
+
+  /**
+   * Comment on a map, or on one of its notes with `noteId`
+   * @param {string} id - Map id
+   * @param {object} input - { body, noteId? }
+   * @param {object} [options]
+   * @param {string} [options.author] - Commenting user
+   * @returns {object} The comment
+   */
+  async addComment(id, { body, noteId } = {}, { author } = {}) {
+    const parsed = CommentCreateSchema.safeParse({ body, noteId });
+    if (!parsed.success) {
+      const error = new BadRequestError('Invalid comment');
+      error.zodErrors = parsed.error.issues;
+      throw error;
+    }
+    if (!this.repo.get(id)) {
+      throw new NotFoundError('Map not found');
+    }
+    if (parsed.data.noteId) {
+      await this.getNote(id, parsed.data.noteId);
+    }
+
+    return this.repo.createComment({
+      id: randomUUID(),
+      mapId: id,
+      noteId: parsed.data.noteId,
+      author,
+      body: parsed.data.body,
+      createdAt: new Date().toISOString(),
+    });
+  }
+
+  getShareSecret() {
+    if (!this.shareSecret) {
+      this.shareSecret = this.repo.getShareSecret();
+    }
+    return this.shareSecret;
+  }
+
+  /**
+   * Create a share link: a signed token granting `role` on the map to
+   * whoever holds it, until it expires or is revoked
+   * The token is only returned here.
+   * @param {string} id - Map id
+   * @param {object} input - { role?, expiresIn? (seconds) }
+   * @param {object} [options]
+   * @param {string} [options.createdBy] - User creating the link
+   * @returns {object} Share metadata plus `token`
+   */
+  async createShare(id, { role, expiresIn } = {}, { createdBy } = {}) {
+    const parsed = ShareCreateSchema.safeParse({ role, expiresIn });
+    if (!parsed.success) {
+      const error = new BadRequestError('Invalid share request');
+      error.zodErrors = parsed.error.issues;
+      throw error;
+    }
+    if (!this.repo.get(id)) {
+      throw new NotFoundError('Map not found');
+    }
+
+    const now = Date.now();
+    const share = this.repo.createShare({
+      id: randomUUID(),
+      mapId: id,
+      role: parsed.data.role,
+      createdBy,
+      createdAt: new Date(now).toISOString(),
+      expiresAt: new Date(now + parsed.data.expiresIn * 1000).toISOString(),
+    });
+    const token = signShareToken(
+      {
+        shareId: share.id,
+        mapId: id,
+        role: share.role,
+        expiresAt: share.expiresAt,
+      },
+      this.getShareSecret(),
+    );
+    return { ...share, token };
+  }
+
+  async listShares(id) {
+    if (!this.repo.get(id)) {
+      throw new NotFoundError('Map not found');
+    }
+    return this.repo.listShares(id);
+  }
+
+  /**
+   * Revoke one share link (or all of a map's, without `shareId`) and
+   * disconnect the collaboration sessions opened with it
+   * @returns {number} Number of links revoked
+   */
+  async revokeShare(id, shareId) {
+    if (!this.repo.get(id)) {
+      throw new NotFoundError('Map not found');
+    }
+    const revokedAt = new Date().toISOString();
+    const revoked = shareId
+      ? this.repo.revokeShare(id, shareId, revokedAt)
+      : this.repo.revokeShares(id, revokedAt);
+    if (shareId && revoked === 0) {
+      throw new NotFoundError('Share not found');
+    }
+    this.yjsService.closeConnections(
+      id,
+      (ws) => Boolean(ws.shareId) && (!shareId || ws.shareId === shareId),
+      'Share link revoked',
+    );
+    return revoked;
+  }
+
+  /**
+   * Resolve a share link token to the share it grants
+   * @param {string} token - `mms_...`
+   * @returns {{ shareId: string, mapId: string, role: string }}
+   * @throws {UnauthorizedError} Invalid, expired or revoked link
+   */
+  resolveShareToken(token) {
+    const claims = verifyShareToken(token, this.getShareSecret());
+    const share = this.repo.getShare(claims.shareId);
+    if (!share || share.mapId !== claims.mapId || share.revokedAt) {
+      throw new UnauthorizedError('Share link revoked');
+    }
+    if (Date.parse(share.expiresAt) <= Date.now()) {
+      throw new UnauthorizedError('Share link expired');
+    }
+    return { shareId: share.id, mapId: share.mapId, role: share.role };
   }
 
   async delete(id) {
@@ -223,15 +1407,24 @@ class MapsService {
       console.warn(`Failed to cleanup Y.js document for ${id}:`, error.message);
     }
 
+    // Announce the deletion while the map's members still say who may
+    // see it
+    this.emit('change', id);
     return this.repo.delete(id);
   }
 
   /**
    * Import JSON data into Y.js document
    * Creates or overwrites Y.js document with provided data
+   * @param {object} [options] - { suppressEvents, createStaticRecord, ownerId }
+   *   (`ownerId` becomes the owner when a new static record is created)
    */
   async importToYjs(mapId, jsonData, options = {}) {
-    const { suppressEvents = true, createStaticRecord = true } = options;
+    const {
+      suppressEvents = true,
+      createStaticRecord = true,
+      ownerId,
+    } = options;
 
     // Validate the JSON data structure (use more flexible import schema)
     const parsed = MapImportSchema.safeParse(jsonData);
@@ -256,10 +1449,11 @@ class MapsService {
         const existingStatic = this.repo.get(mapId);
         const mapName = jsonData.meta?.mapName || 'Imported Map';
         const now = new Date().toISOString();
+        // Store the normalized document state, matching later Y.js captures
+        const stateJson = JSON.stringify(yDocToJSON(yjsDoc));
 
         if (existingStatic) {
           // Update existing record
-          const stateJson = JSON.stringify(jsonData);
           this.repo.update({
             id: mapId,
             nextVersion: existingStatic.version + 1,
@@ -268,10 +1462,10 @@ class MapsService {
             stateJson,
             name: mapName,
             sizeBytes: Buffer.byteLength(stateJson, 'utf8'),
+            source: 'import',
           });
         } else {
           // Create new record
-          const stateJson = JSON.stringify(jsonData);
           this.repo.create({
             id: mapId,
             name: mapName,
@@ -279,6 +1473,8 @@ class MapsService {
             updatedAt: now,
             stateJson,
             sizeBytes: Buffer.byteLength(stateJson, 'utf8'),
+            source: 'import',
+            ownerId,
           });
         }
       }
@@ -316,4 +1512,14 @@ class MapsService {
   }
 }
 
+// Input schemas shared with the MCP registry, so tool arguments are
+// validated (and described) exactly like the REST payloads
+MapsService.schemas = {
+  MapData: MapDataSchema,
+  MapList: MapListSchema,
+  MapMetaPatch: MapMetaPatchSchema,
+  NoteCreate: NoteCreateSchema,
+  ConnectionRef: ConnectionRefSchema,
+};
+
 module.exports = MapsService;
@@ -40,6 +40,25 @@ function ensureSchema(db) {
       size_bytes INTEGER NOT NULL DEFAULT 0
     );
     CREATE INDEX IF NOT EXISTS idx_yjs_snapshots_updated_at ON yjs_snapshots(updated_at);
+
+    -- Append-only log of updates since the snapshot, replayed on load and
+    -- folded into the snapshot by compaction
+    CREATE TABLE IF NOT EXISTS yjs_updates (
+      map_id TEXT NOT NULL,
+      seq INTEGER NOT NULL,
+      update_data BLOB NOT NULL,
+      created_at TEXT NOT NULL,
+      size_bytes INTEGER NOT NULL,
+      PRIMARY KEY (map_id, seq)
+    );
+
+    -- Lease naming the replica that writes a map's snapshot when several
+    -- server processes share this database
+    CREATE TABLE IF NOT EXISTS yjs_owners (
+      map_id TEXT PRIMARY KEY,
+      owner_id TEXT NOT NULL,
+      expires_at INTEGER NOT NULL
+    );
   `);
 
   // Migration: ensure size_bytes exists and is populated
@@ -17,6 +17,9 @@ const NOTE_CONTENT_LIMIT = 10000;
 const MAX_NOTES_PER_MAP = 1000;
 const MAX_CONNECTIONS_PER_MAP = 2000;
 
+// Largest token LCS table computed for text diffs (before x after tokens)
+const TEXT_DIFF_MAX_CELLS = 250000;
+
 /**
  * Generate a connection ID from components
  */
@@ -98,6 +101,69 @@ function checkPerformanceLimits(notes, connections) {
   }
 }
 
+/**
+ * Validate a whole Y.Doc against the map schema and limits (see
+ * docs/yjs-dataprovider-contract.md); throws on the first violation
+ * Roots other than notes, connections and meta are not part of the schema
+ * and are left alone.
+ */
+function validateYDocSchema(ydoc) {
+  for (const name of ['notes', 'connections', 'meta']) {
+    // List entries under a schema root (e.g. written through getArray) are
+    // invisible to yDocToJSON
+    const type = ydoc.share.get(name);
+    if (type && type._start !== null) {
+      throw new Error(`${name} must be a Y.Map`);
+    }
+  }
+
+  const notes = ydoc.getMap('notes');
+  const connections = ydoc.getMap('connections');
+
+  for (const [noteId, note] of notes.entries()) {
+    if (note instanceof Y.Map) {
+      const content = note.get('content');
+      if (!(content instanceof Y.Text)) {
+        throw new Error(`Note ${noteId} content must be a Y.Text`);
+      }
+      validateNoteContent(content.toString());
+      if (note.has('pos')) {
+        validateNotePosition(note.get('pos'));
+      }
+      if (note.has('color') && typeof note.get('color') !== 'string') {
+        throw new Error(`Note ${noteId} color must be a string`);
+      }
+    } else if (
+      note &&
+      typeof note === 'object' &&
+      !(note instanceof Y.AbstractType)
+    ) {
+      // Legacy plain-object notes, as read by yDocToJSON
+      validateNoteContent(note.content ?? '');
+      validateNotePosition(note.pos ?? [0, 0]);
+    } else {
+      throw new Error(`Note ${noteId} must be a Y.Map`);
+    }
+  }
+
+  for (const [connectionId, connection] of connections.entries()) {
+    if (
+      !connection ||
+      typeof connection !== 'object' ||
+      connection instanceof Y.AbstractType ||
+      typeof connection.from !== 'string' ||
+      typeof connection.to !== 'string'
+    ) {
+      throw new Error(`Connection ${connectionId} must have from and to`);
+    }
+    if (connection.from === connection.to) {
+      throw new Error('Self-connections not allowed');
+    }
+  }
+
+  checkPerformanceLimits(notes, connections);
+}
+
 /**
  * Convert MindMeld JSON format to Y.Doc structure
  *
@@ -302,6 +368,288 @@ function hasYDocContent(ydoc) {
   }
 }
 
+/**
+ * Token-level text diff (words and whitespace runs)
+ * Returns ordered segments: { op: 'equal' | 'insert' | 'delete', text }
+ */
+function diffText(before, after) {
+  const a = before.match(/\s+|[^\s]+/g) || [];
+  const b = after.match(/\s+|[^\s]+/g) || [];
+
+  // Trim common prefix/suffix so the LCS table stays small
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) {
+    start++;
+  }
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  const segments = [];
+  const push = (op, text) => {
+    if (!text) {
+      return;
+    }
+    const last = segments[segments.length - 1];
+    if (last && last.op === op) {
+      last.text += text;
+    } else {
+      segments.push({ op, text });
+    }
+  };
+
+  push('equal', a.slice(0, start).join(''));
+
+  const midA = a.slice(start, endA);
+  const midB = b.slice(start, endB);
+  if (midA.length * midB.length > TEXT_DIFF_MAX_CELLS) {
+    // Too large for a token LCS - report a single replacement
+    push('delete', midA.join(''));
+    push('insert', midB.join(''));
+  } else {
+    // LCS lengths over suffixes, then walk forward emitting segments
+    const rows = midA.length + 1;
+    const cols = midB.length + 1;
+    const lcs = new Uint32Array(rows * cols);
+    for (let i = midA.length - 1; i >= 0; i--) {
+      for (let j = midB.length - 1; j >= 0; j--) {
+        lcs[i * cols + j] =
+          midA[i] === midB[j]
+            ? lcs[(i + 1) * cols + j + 1] + 1
+            : Math.max(lcs[(i + 1) * cols + j], lcs[i * cols + j + 1]);
+      }
+    }
+
+    let i = 0;
+    let j = 0;
+    while (i < midA.length && j < midB.length) {
+      if (midA[i] === midB[j]) {
+        push('equal', midA[i]);
+        i++;
+        j++;
+      } else if (lcs[(i + 1) * cols + j] >= lcs[i * cols + j + 1]) {
+        push('delete', midA[i++]);
+      } else {
+        push('insert', midB[j++]);
+      }
+    }
+    push('delete', midA.slice(i).join(''));
+    push('insert', midB.slice(j).join(''));
+  }
+
+  push('equal', a.slice(endA).join(''));
+  return segments;
+}
+
+/**
+ * Rewrite a Y.Text to `next` with minimal insert/delete operations
+ * Untouched ranges keep their identity, so concurrent edits elsewhere in
+ * the text merge instead of being overwritten.
+ */
+function updateYText(yText, next) {
+  let index = 0;
+  for (const { op, text } of diffText(yText.toString(), next)) {
+    if (op === 'equal') {
+      index += text.length;
+    } else if (op === 'delete') {
+      yText.delete(index, text.length);
+    } else {
+      yText.insert(index, text);
+      index += text.length;
+    }
+  }
+}
+
+/**
+ * Bring a Y.Doc in line with MindMeld JSON using the smallest set of changes
+ *
+ * Unlike jsonToYDoc (which rebuilds every note), unchanged notes keep their
+ * Y.js identity and content edits become text operations, so concurrent
+ * collaborator edits to untouched parts of the map survive.
+ *
+ * @param {Y.Doc} ydoc - Target Y.Doc
+ * @param {Object} jsonData - MindMeld JSON format ({ n, c, meta? })
+ * @param {*} origin - Transaction origin
+ */
+function reconcileYDoc(ydoc, jsonData, origin = null) {
+  const { notes, connections, meta } = initializeYDoc(ydoc);
+  const nextNotes = new Map((jsonData.n || []).map((note) => [note.i, note]));
+  const nextConnections = new Map();
+  for (const conn of jsonData.c || []) {
+    const type = conn.type || 'arrow';
+    nextConnections.set(generateConnectionId(conn.f, conn.t, type), {
+      from: conn.f,
+      to: conn.t,
+      type,
+    });
+  }
+
+  if (nextNotes.size > MAX_NOTES_PER_MAP) {
+    throw new Error(`Too many notes: ${nextNotes.size}/${MAX_NOTES_PER_MAP}`);
+  }
+  if (nextConnections.size > MAX_CONNECTIONS_PER_MAP) {
+    throw new Error(
+      `Too many connections: ${nextConnections.size}/${MAX_CONNECTIONS_PER_MAP}`,
+    );
+  }
+  for (const note of nextNotes.values()) {
+    validateNoteContent(note.c);
+    validateNotePosition(note.p || [0, 0]);
+  }
+
+  // Runs inside the caller's transaction when nested (origin is then ignored)
+  ydoc.transact(() => {
+    for (const noteId of [...notes.keys()]) {
+      if (!nextNotes.has(noteId)) {
+        notes.delete(noteId);
+      }
+    }
+
+    for (const [noteId, note] of nextNotes) {
+      const pos = note.p || [0, 0];
+      const color = note.color || 'default';
+      let noteMap = notes.get(noteId);
+
+      if (!noteMap || typeof noteMap.get !== 'function') {
+        noteMap = new Y.Map();
+        noteMap.set('id', noteId);
+        noteMap.set('pos', pos);
+        noteMap.set('color', color);
+        noteMap.set('content', new Y.Text(note.c));
+        notes.set(noteId, noteMap);
+        continue;
+      }
+
+      const currentPos = noteMap.get('pos') || [0, 0];
+      if (currentPos[0] !== pos[0] || currentPos[1] !== pos[1]) {
+        noteMap.set('pos', pos);
+      }
+      if ((noteMap.get('color') || 'default') !== color) {
+        noteMap.set('color', color);
+      }
+      const yText = noteMap.get('content');
+      if (yText instanceof Y.Text) {
+        updateYText(yText, note.c);
+      } else {
+        noteMap.set('content', new Y.Text(note.c));
+      }
+    }
+
+    for (const connId of [...connections.keys()]) {
+      if (!nextConnections.has(connId)) {
+        connections.delete(connId);
+      }
+    }
+    for (const [connId, conn] of nextConnections) {
+      if (!connections.has(connId)) {
+        connections.set(connId, conn);
+      }
+    }
+
+    if (jsonData.meta) {
+      for (const key of [...meta.keys()]) {
+        if (!Object.hasOwn(jsonData.meta, key)) {
+          meta.delete(key);
+        }
+      }
+      for (const [key, value] of Object.entries(jsonData.meta)) {
+        if (meta.get(key) !== value) {
+          meta.set(key, value);
+        }
+      }
+    }
+    meta.set('modified', new Date().toISOString());
+  }, origin);
+}
+
+/**
+ * Structural diff between two MindMeld JSON documents
+ *
+ * Notes are matched by id: added, removed, moved (position changed) and
+ * edited (content or color changed, with token-level text changes).
+ * Connections are matched by from/to/type: added and removed.
+ *
+ * @param {Object} before - MindMeld JSON format ({ n, c })
+ * @param {Object} after - MindMeld JSON format ({ n, c })
+ * @returns {Object} { notes, connections, summary }
+ */
+function diffMapJSON(before, after) {
+  const beforeNotes = new Map((before?.n || []).map((note) => [note.i, note]));
+  const afterNotes = new Map((after?.n || []).map((note) => [note.i, note]));
+
+  const notes = { added: [], removed: [], moved: [], edited: [] };
+
+  for (const [id, note] of afterNotes) {
+    const previous = beforeNotes.get(id);
+    if (!previous) {
+      notes.added.push(note);
+      continue;
+    }
+
+    const fromPos = previous.p || [0, 0];
+    const toPos = note.p || [0, 0];
+    if (fromPos[0] !== toPos[0] || fromPos[1] !== toPos[1]) {
+      notes.moved.push({ id, from: fromPos, to: toPos });
+    }
+
+    const fromColor = previous.color || 'default';
+    const toColor = note.color || 'default';
+    const fromText = previous.c || '';
+    const toText = note.c || '';
+    if (fromText !== toText || fromColor !== toColor) {
+      const edit = { id };
+      if (fromText !== toText) {
+        edit.before = fromText;
+        edit.after = toText;
+        edit.textChanges = diffText(fromText, toText);
+      }
+      if (fromColor !== toColor) {
+        edit.color = { from: fromColor, to: toColor };
+      }
+      notes.edited.push(edit);
+    }
+  }
+
+  for (const [id, note] of beforeNotes) {
+    if (!afterNotes.has(id)) {
+      notes.removed.push(note);
+    }
+  }
+
+  const connectionKey = (conn) => `${conn.f}:${conn.t}:${conn.type || 'arrow'}`;
+  const beforeConnections = new Map(
+    (before?.c || []).map((conn) => [connectionKey(conn), conn]),
+  );
+  const afterConnections = new Map(
+    (after?.c || []).map((conn) => [connectionKey(conn), conn]),
+  );
+
+  const connections = {
+    added: [...afterConnections]
+      .filter(([key]) => !beforeConnections.has(key))
+      .map(([, conn]) => conn),
+    removed: [...beforeConnections]
+      .filter(([key]) => !afterConnections.has(key))
+      .map(([, conn]) => conn),
+  };
+
+  return {
+    notes,
+    connections,
+    summary: {
+      notesAdded: notes.added.length,
+      notesRemoved: notes.removed.length,
+      notesMoved: notes.moved.length,
+      notesEdited: notes.edited.length,
+      connectionsAdded: connections.added.length,
+      connectionsRemoved: connections.removed.length,
+    },
+  };
+}
+
 /**
  * Create a Y.Doc from JSON data
  */
@@ -315,16 +663,21 @@ module.exports = {
   // Conversion functions
   jsonToYDoc,
   yDocToJSON,
+  diffMapJSON,
+  diffText,
 
   // Y.Doc utilities
   initializeYDoc,
   hasYDocContent,
   createYDocFromJSON,
+  updateYText,
+  reconcileYDoc,
 
   // Validation functions
   validateNoteContent,
   validateNotePosition,
   checkPerformanceLimits,
+  validateYDocSchema,
 
   // Helper functions
   generateConnectionId,
@@ -67,7 +67,7 @@ class YjsMetrics {
     };
 
     // Session tracking
-    this.sessionTracking = new Map(); // clientId -> { startTime, roomId, bytesTransferred }
+    this.sessionTracking = new Map(); // clientId -> { startTime, roomId, bytesTransferred, lastActivity }
     this.dailyTracking = {
       date: new Date().toDateString(),
       connectionsCount: 0,
@@ -237,6 +237,7 @@ class YjsMetrics {
       startTime: new Date(),
       roomId: mapId,
       bytesTransferred: 0,
+      lastActivity: new Date(),
       userAgent: userAgent.substring(0, 100), // Limit length for security
     });
 
@@ -270,6 +271,17 @@ class YjsMetrics {
     }
   }
 
+  /**
+   * Record a message received from a connected client
+   */
+  recordClientActivity(clientId, bytes) {
+    const session = this.sessionTracking.get(clientId);
+    if (session) {
+      session.bytesTransferred += bytes;
+      session.lastActivity = new Date();
+    }
+  }
+
   /**
    * Update average session duration
    */
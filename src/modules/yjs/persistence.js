@@ -7,6 +7,10 @@ const { openDatabase, ensureSchema } = require('./db');
  * - Snapshot-on-interval and snapshot-on-idle policies
  * - Binary Y.Doc update storage as BLOBs
  * - Efficient retrieval for document hydration
+ * - Append-only update log (yjs_updates), so each edit is one small insert;
+ *   compaction folds the log into the snapshot
+ * - Snapshot ownership leases (yjs_owners), so only one of several
+ *   processes sharing the database compacts a given map
  */
 class YjsPersistence {
   constructor(dbFile) {
@@ -35,7 +39,54 @@ class YjsPersistence {
         FROM yjs_snapshots 
         WHERE map_id = ?
       `),
+      appendUpdate: this.db.prepare(`
+        INSERT INTO yjs_updates (map_id, seq, update_data, created_at, size_bytes)
+        SELECT ?, COALESCE(MAX(seq), 0) + 1, ?, ?, ?
+        FROM yjs_updates WHERE map_id = ?
+        RETURNING seq
+      `),
+      getUpdates: this.db.prepare(`
+        SELECT seq, update_data FROM yjs_updates WHERE map_id = ? ORDER BY seq
+      `),
+      deleteUpdatesThrough: this.db.prepare(`
+        DELETE FROM yjs_updates WHERE map_id = ? AND seq <= ?
+      `),
+      deleteUpdates: this.db.prepare(`
+        DELETE FROM yjs_updates WHERE map_id = ?
+      `),
+      claimOwnership: this.db.prepare(`
+        INSERT INTO yjs_owners (map_id, owner_id, expires_at)
+        VALUES (?, ?, ?)
+        ON CONFLICT (map_id) DO UPDATE SET
+          owner_id = excluded.owner_id,
+          expires_at = excluded.expires_at
+        WHERE yjs_owners.owner_id = excluded.owner_id
+          OR yjs_owners.expires_at <= ?
+      `),
+      releaseOwnership: this.db.prepare(`
+        DELETE FROM yjs_owners WHERE map_id = ? AND owner_id = ?
+      `),
+      getOwner: this.db.prepare(`
+        SELECT owner_id, expires_at FROM yjs_owners WHERE map_id = ?
+      `),
+      deleteOwner: this.db.prepare(`
+        DELETE FROM yjs_owners WHERE map_id = ?
+      `),
     };
+
+    // Snapshot write and log truncation succeed or fail together
+    this.compactTransaction = this.db.transaction(
+      (mapId, buffer, updatedAt, throughSeq) => {
+        this.statements.saveSnapshot.run(
+          mapId,
+          buffer,
+          updatedAt,
+          buffer.byteLength,
+        );
+        return this.statements.deleteUpdatesThrough.run(mapId, throughSeq)
+          .changes;
+      },
+    );
   }
 
   /**
@@ -83,9 +134,9 @@ class YjsPersistence {
   }
 
   /**
-   * Delete a Y.Doc snapshot from the database
+   * Delete a Y.Doc snapshot and its update log from the database
    * @param {string} mapId - Unique identifier for the map
-   * @returns {Promise<boolean>} true if a snapshot was deleted, false if none existed
+   * @returns {Promise<boolean>} true if anything was deleted, false if nothing existed
    */
   async deleteSnapshot(mapId) {
     if (!mapId || typeof mapId !== 'string') {
@@ -93,9 +144,120 @@ class YjsPersistence {
     }
 
     const result = this.statements.deleteSnapshot.run(mapId);
+    const updates = this.statements.deleteUpdates.run(mapId);
+    this.statements.deleteOwner.run(mapId);
+    return result.changes > 0 || updates.changes > 0;
+  }
+
+  /**
+   * Append a Y.Doc update to the map's update log
+   * @param {string} mapId - Unique identifier for the map
+   * @param {Uint8Array} update - Binary Y update
+   * @returns {Promise<number>} Sequence number of the stored update
+   */
+  async appendUpdate(mapId, update) {
+    if (!mapId || typeof mapId !== 'string') {
+      throw new Error('mapId must be a non-empty string');
+    }
+
+    if (!update || !(update instanceof Uint8Array)) {
+      throw new Error('update must be a Uint8Array');
+    }
+
+    const row = this.statements.appendUpdate.get(
+      mapId,
+      Buffer.from(update),
+      new Date().toISOString(),
+      update.byteLength,
+      mapId,
+    );
+    return row.seq;
+  }
+
+  /**
+   * Updates logged since the last compaction, oldest first
+   * @param {string} mapId - Unique identifier for the map
+   * @returns {Promise<Array<{seq: number, update: Uint8Array}>>}
+   */
+  async getUpdates(mapId) {
+    if (!mapId || typeof mapId !== 'string') {
+      return [];
+    }
+
+    return this.statements.getUpdates.all(mapId).map((row) => ({
+      seq: row.seq,
+      update: new Uint8Array(row.update_data),
+    }));
+  }
+
+  /**
+   * Replace the snapshot and drop the logged updates it now contains
+   * @param {string} mapId - Unique identifier for the map
+   * @param {Uint8Array} snapshot - Full Y.Doc state as binary update
+   * @param {number} throughSeq - Last update sequence included in the snapshot
+   * @returns {Promise<number>} Number of log entries removed
+   */
+  async compact(mapId, snapshot, throughSeq) {
+    if (!mapId || typeof mapId !== 'string') {
+      throw new Error('mapId must be a non-empty string');
+    }
+
+    if (!snapshot || !(snapshot instanceof Uint8Array)) {
+      throw new Error('snapshot must be a Uint8Array');
+    }
+
+    return this.compactTransaction(
+      mapId,
+      Buffer.from(snapshot),
+      new Date().toISOString(),
+      throughSeq,
+    );
+  }
+
+  /**
+   * Take or renew the lease on a map's snapshot
+   * Succeeds if the map has no owner, is already owned by `ownerId` or the
+   * current lease has expired.
+   * @param {string} mapId - Unique identifier for the map
+   * @param {string} ownerId - Replica claiming the map
+   * @param {number} ttlMs - Lease lifetime from now
+   * @returns {Promise<boolean>} true if `ownerId` holds the lease
+   */
+  async claimOwnership(mapId, ownerId, ttlMs) {
+    if (!mapId || typeof mapId !== 'string') {
+      throw new Error('mapId must be a non-empty string');
+    }
+
+    const now = Date.now();
+    const result = this.statements.claimOwnership.run(
+      mapId,
+      ownerId,
+      now + ttlMs,
+      now,
+    );
     return result.changes > 0;
   }
 
+  /**
+   * Give up a map's lease if `ownerId` holds it
+   * @param {string} mapId - Unique identifier for the map
+   * @param {string} ownerId - Replica releasing the map
+   * @returns {Promise<boolean>} true if a lease was released
+   */
+  async releaseOwnership(mapId, ownerId) {
+    return this.statements.releaseOwnership.run(mapId, ownerId).changes > 0;
+  }
+
+  /**
+   * Current lease on a map's snapshot
+   * @param {string} mapId - Unique identifier for the map
+   * @returns {Promise<{ownerId: string, expiresAt: number}|null>}
+   */
+  async getOwner(mapId) {
+    const row = this.statements.getOwner.get(mapId);
+    return row ? { ownerId: row.owner_id, expiresAt: row.expires_at } : null;
+  }
+
   /**
    * List all snapshots with metadata
    * @returns {Promise<Array<{mapId: string, sizeBytes: number, updatedAt: string}>>}
@@ -153,7 +315,7 @@ class YjsPersistence {
 
   /**
    * Get database statistics
-   * @returns {Promise<{totalSnapshots: number, totalSize: number}>}
+   * @returns {Promise<{totalSnapshots: number, totalSize: number, totalUpdates: number, updatesSize: number}>}
    */
   async getStats() {
     const result = this.db
@@ -161,10 +323,17 @@ class YjsPersistence {
         'SELECT COUNT(*) as count, COALESCE(SUM(size_bytes), 0) as total_size FROM yjs_snapshots',
       )
       .get();
+    const updates = this.db
+      .prepare(
+        'SELECT COUNT(*) as count, COALESCE(SUM(size_bytes), 0) as total_size FROM yjs_updates',
+      )
+      .get();
 
     return {
       totalSnapshots: result.count,
       totalSize: result.total_size,
+      totalUpdates: updates.count,
+      updatesSize: updates.total_size,
     };
   }
 }
@@ -0,0 +1,226 @@
+const EventEmitter = require('events');
+const { randomUUID } = require('crypto');
+const { openDatabase } = require('./db');
+
+/**
+ * Pub/sub fan-out between server processes (replicas) serving the same maps
+ *
+ * Every bus instance stands for one replica and has a unique `id`:
+ * - publish(channel, message): delivers a binary message to the subscribers
+ *   of every other instance on the same bus, never to the publisher's own
+ * - subscribe(channel, handler): returns a function that unsubscribes
+ * - close(): drops all subscriptions and releases resources
+ *
+ * MemoryPubSub connects instances within one process (tests, or several
+ * servers embedded in one process); SqlitePubSub connects processes on one
+ * machine through a shared SQLite file.
+ */
+
+// Instances created without a hub share this one
+const defaultHub = new EventEmitter();
+defaultHub.setMaxListeners(0);
+
+class MemoryPubSub {
+  /**
+   * @param {object} [options]
+   * @param {EventEmitter} [options.hub] - Instances on the same hub see each
+   *   other's messages
+   * @param {object} [options.logger]
+   */
+  constructor(options = {}) {
+    this.id = randomUUID();
+    this.type = 'memory';
+    this.hub = options.hub || defaultHub;
+    this.logger = options.logger || console;
+    // Registered hub listeners, removed on close
+    this.listeners = new Set();
+  }
+
+  publish(channel, message) {
+    const envelope = { sender: this.id, message };
+    // Delivered asynchronously, like a networked bus
+    queueMicrotask(() => this.hub.emit(channel, envelope));
+  }
+
+  subscribe(channel, handler) {
+    const listener = ({ sender, message }) => {
+      if (sender === this.id) {
+        return;
+      }
+      try {
+        handler(message);
+      } catch (error) {
+        this.logger.warn('Pub/sub handler failed', {
+          channel,
+          error: error.message,
+        });
+      }
+    };
+    const entry = { channel, listener };
+    this.hub.on(channel, listener);
+    this.listeners.add(entry);
+
+    return () => {
+      this.hub.off(channel, listener);
+      this.listeners.delete(entry);
+    };
+  }
+
+  close() {
+    for (const { channel, listener } of this.listeners) {
+      this.hub.off(channel, listener);
+    }
+    this.listeners.clear();
+  }
+}
+
+class SqlitePubSub {
+  /**
+   * @param {object} options
+   * @param {string} options.dbFile - SQLite file shared by all replicas
+   * @param {number} [options.pollIntervalMs=50] - How often new messages are
+   *   read
+   * @param {number} [options.retentionMs=60000] - Messages older than this
+   *   are deleted
+   * @param {object} [options.logger]
+   */
+  constructor(options) {
+    this.id = randomUUID();
+    this.type = 'sqlite';
+    this.logger = options.logger || console;
+    this.pollIntervalMs = options.pollIntervalMs ?? 50;
+    this.retentionMs = options.retentionMs ?? 60 * 1000;
+
+    this.db = openDatabase(options.dbFile);
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS yjs_pubsub_messages (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        channel TEXT NOT NULL,
+        sender TEXT NOT NULL,
+        message BLOB NOT NULL,
+        created_at INTEGER NOT NULL
+      );
+      CREATE INDEX IF NOT EXISTS idx_yjs_pubsub_messages_created_at
+        ON yjs_pubsub_messages(created_at);
+    `);
+    this.statements = {
+      publish: this.db.prepare(`
+        INSERT INTO yjs_pubsub_messages (channel, sender, message, created_at)
+        VALUES (?, ?, ?, ?)
+      `),
+      read: this.db.prepare(`
+        SELECT id, channel, sender, message FROM yjs_pubsub_messages
+        WHERE id > ? ORDER BY id LIMIT 1000
+      `),
+      prune: this.db.prepare(`
+        DELETE FROM yjs_pubsub_messages WHERE created_at < ?
+      `),
+    };
+
+    // Only messages published from now on are delivered
+    this.lastId = this.db
+      .prepare('SELECT COALESCE(MAX(id), 0) AS id FROM yjs_pubsub_messages')
+      .get().id;
+    this.lastPrunedAt = 0;
+
+    // Map of channel -> Set of handlers
+    this.handlers = new Map();
+
+    this.pollTimer = setInterval(() => this.poll(), this.pollIntervalMs);
+    this.pollTimer.unref();
+  }
+
+  publish(channel, message) {
+    this.statements.publish.run(
+      channel,
+      this.id,
+      Buffer.from(message),
+      Date.now(),
+    );
+  }
+
+  subscribe(channel, handler) {
+    if (!this.handlers.has(channel)) {
+      this.handlers.set(channel, new Set());
+    }
+    this.handlers.get(channel).add(handler);
+
+    return () => {
+      const handlers = this.handlers.get(channel);
+      if (handlers) {
+        handlers.delete(handler);
+        if (handlers.size === 0) {
+          this.handlers.delete(channel);
+        }
+      }
+    };
+  }
+
+  /**
+   * Deliver messages published by other replicas since the last poll
+   */
+  poll() {
+    try {
+      const rows = this.statements.read.all(this.lastId);
+      for (const row of rows) {
+        this.lastId = row.id;
+        const handlers = this.handlers.get(row.channel);
+        if (!handlers || row.sender === this.id) {
+          continue;
+        }
+        const message = new Uint8Array(row.message);
+        for (const handler of handlers) {
+          try {
+            handler(message);
+          } catch (error) {
+            this.logger.warn('Pub/sub handler failed', {
+              channel: row.channel,
+              error: error.message,
+            });
+          }
+        }
+      }
+
+      const now = Date.now();
+      if (now - this.lastPrunedAt >= 1000) {
+        this.lastPrunedAt = now;
+        this.statements.prune.run(now - this.retentionMs);
+      }
+    } catch (error) {
+      this.logger.error('Pub/sub poll failed', { error: error.message });
+    }
+  }
+
+  close() {
+    clearInterval(this.pollTimer);
+    this.handlers.clear();
+    if (this.db.open) {
+      this.db.close();
+    }
+  }
+}
+
+/**
+ * Bus for the configured fan-out type
+ * @param {object} [options]
+ * @param {'none'|'memory'|'sqlite'} [options.type='none']
+ * @param {string} [options.dbFile] - Required for 'sqlite'
+ * @param {number} [options.pollIntervalMs]
+ * @param {object} [options.logger]
+ * @returns {MemoryPubSub|SqlitePubSub|null} null when replication is off
+ */
+function createPubSub(options = {}) {
+  const { type = 'none', dbFile, pollIntervalMs, logger } = options;
+  switch (type) {
+    case 'none':
+      return null;
+    case 'memory':
+      return new MemoryPubSub({ logger });
+    case 'sqlite':
+      return new SqlitePubSub({ dbFile, pollIntervalMs, logger });
+    default:
+      throw new Error(`Unknown Yjs pub/sub type: ${type}`);
+  }
+}
+
+module.exports = { MemoryPubSub, SqlitePubSub, createPubSub };
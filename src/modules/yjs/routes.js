@@ -1,5 +1,25 @@
+const http = require('http');
 const WebSocket = require('ws');
 const YjsService = require('./service');
+const { problemFromError } = require('../../core/error-handler');
+
+/**
+ * Answer a rejected upgrade with a problem+json HTTP response
+ */
+function rejectUpgrade(socket, pathname, error) {
+  const problem = problemFromError(error, { originalUrl: pathname });
+  const body = JSON.stringify(problem);
+  const headers = [
+    `HTTP/1.1 ${problem.status} ${http.STATUS_CODES[problem.status]}`,
+    'Content-Type: application/problem+json',
+    `Content-Length: ${Buffer.byteLength(body)}`,
+    'Connection: close',
+  ];
+  if (problem.status === 401) {
+    headers.push('WWW-Authenticate: Bearer');
+  }
+  socket.end(`${headers.join('\r\n')}\r\n\r\n${body}`);
+}
 
 /**
  * Yjs WebSocket Routes
@@ -8,10 +28,16 @@ const YjsService = require('./service');
 class YjsRoutes {
   constructor(options = {}) {
     this.logger = options.logger || console;
-    this.yjsService = new YjsService({
-      logger: this.logger,
-      dbFile: options.dbFile,
-    });
+    // An existing YjsService can be shared (e.g. with the maps service)
+    this.yjsService =
+      options.yjsService ||
+      new YjsService({
+        logger: this.logger,
+        dbFile: options.dbFile,
+      });
+
+    // Optional (request, mapId) => principal; throws to reject the upgrade
+    this.authorize = options.authorize || null;
 
     // WebSocket server instance
     this.wss = null;
@@ -34,6 +60,22 @@ class YjsRoutes {
 
       // Only handle /yjs/* paths
       if (url.pathname.startsWith('/yjs/')) {
+        const match = url.pathname.match(/^\/yjs\/([^/]+)$/);
+        if (this.authorize && match) {
+          try {
+            // Exposed to the connection handler (e.g. viewers are read-only)
+            request.auth = this.authorize(request, match[1]);
+          } catch (error) {
+            this.logger.warn('WebSocket upgrade rejected', {
+              path: url.pathname,
+              status: error.status,
+              reason: error.message,
+            });
+            rejectUpgrade(socket, url.pathname, error);
+            return;
+          }
+        }
+
         this.wss.handleUpgrade(request, socket, head, (ws) => {
           this.wss.emit('connection', ws, request);
         });
@@ -71,22 +113,27 @@ class YjsRoutes {
 
   /**
    * Get statistics about connected clients
+   * `readOnly` counts open connections that cannot edit (viewers, share
+   * links, ?mode=view)
    */
   getStats() {
     if (!this.wss) {
       return {
         connected: 0,
+        readOnly: 0,
         documents: 0,
       };
     }
 
     return {
       connected: this.wss.clients.size,
+      readOnly: this.yjsService.countReadOnlyConnections(),
       documents: this.yjsService.docs.size,
       connections: Array.from(this.yjsService.connections.entries()).map(
         ([mapId, connections]) => ({
           mapId,
           clients: connections.size,
+          readOnlyClients: this.yjsService.countReadOnlyConnections(mapId),
           stats: this.yjsService.getDocumentStats(mapId),
         }),
       ),
@@ -1,10 +1,50 @@
+const crypto = require('crypto');
 const Y = require('yjs');
+const syncProtocol = require('y-protocols/sync');
+const awarenessProtocol = require('y-protocols/awareness');
+const authProtocol = require('y-protocols/auth');
+const encoding = require('lib0/encoding');
+const decoding = require('lib0/decoding');
 const YjsPersistence = require('./persistence');
+const { validateYDocSchema } = require('./json-converter');
 // Removed unused performance import
 
+// y-websocket message types (first varUint of every WebSocket message)
+const messageSync = 0;
+const messageAwareness = 1;
+const messageAuth = 2;
+const messageQueryAwareness = 3;
+
+// Transaction origin of updates relayed by other replicas: broadcast to local
+// clients, but neither persisted (the receiving replica does that) nor
+// published again
+const REPLICA_ORIGIN = 'replica';
+
+// Transaction origin of client updates applied to a document's staging copy
+// for validation
+const STAGING_ORIGIN = 'staging';
+
+function encodeMessage(messageType, write) {
+  const encoder = encoding.createEncoder();
+  encoding.writeVarUint(encoder, messageType);
+  write(encoder);
+  return encoding.toUint8Array(encoder);
+}
+
+function encodeAwarenessMessage(awareness, clientIds) {
+  return encodeMessage(messageAwareness, (encoder) =>
+    encoding.writeVarUint8Array(
+      encoder,
+      awarenessProtocol.encodeAwarenessUpdate(awareness, clientIds),
+    ),
+  );
+}
+
 /**
  * Service for managing Yjs documents and WebSocket connections
  * Handles real-time collaborative editing with persistence
+ * WebSocket clients speak the y-websocket protocol (y-protocols sync and
+ * awareness messages), so stock y-websocket providers can connect.
  */
 class YjsService {
   constructor(options = {}) {
@@ -18,9 +58,72 @@ class YjsService {
     // Map of mapId -> Set of WebSocket connections
     this.connections = new Map();
 
+    // Map of mapId -> Awareness (cursors, selections, presence) while the
+    // room has connections
+    this.awareness = new Map();
+    // Map of mapId -> staging copy validating client updates (see stageUpdate)
+    this.stagingDocs = new Map();
+
     // Document metadata
     this.docMetadata = new Map();
 
+    // Salt for the anonymized client ids in presence listings
+    this.presenceSalt = crypto.randomBytes(16).toString('hex');
+
+    // Local updates are appended to an update log; the log is folded into
+    // the snapshot once it holds maxUpdates entries or maxBytes, or when the
+    // last compaction is older than intervalMs
+    const compaction = options.compaction || {};
+    this.compaction = {
+      maxUpdates: compaction.maxUpdates ?? 500,
+      maxBytes: compaction.maxBytes ?? 1024 * 1024,
+      intervalMs: compaction.intervalMs ?? 60 * 1000,
+    };
+
+    // Updates from WebSocket clients are batched per map and persisted once
+    // edits pause for delayMs, or maxWaitMs after the first queued update
+    const persistDebounce = options.persistDebounce || {};
+    this.persistDebounce = {
+      delayMs: persistDebounce.delayMs ?? 1000,
+      maxWaitMs: persistDebounce.maxWaitMs ?? 10 * 1000,
+    };
+
+    // Map of mapId -> { updates, firstQueuedAt, timer } awaiting persistence
+    this.pendingUpdates = new Map();
+
+    // Documents without connections are evicted once idle for idleMs, and
+    // least recently used first while more than maxDocuments are resident or
+    // their estimated size exceeds memoryBudgetBytes (0 disables a limit)
+    const eviction = options.eviction || {};
+    this.eviction = {
+      idleMs: eviction.idleMs ?? 5 * 60 * 1000,
+      maxDocuments: eviction.maxDocuments ?? 500,
+      memoryBudgetBytes: eviction.memoryBudgetBytes ?? 256 * 1024 * 1024,
+      sweepIntervalMs: eviction.sweepIntervalMs ?? 60 * 1000,
+    };
+    this.evictionStats = { idle: 0, maxDocuments: 0, memoryBudget: 0 };
+    this.evictionSweep = null;
+    this.evictionTimer = setInterval(
+      () => this.enforceEvictionPolicy(),
+      this.eviction.sweepIntervalMs,
+    );
+    this.evictionTimer.unref();
+
+    // Replication: with a pub/sub bus, processes serving the same map relay
+    // updates and awareness to each other, and only the replica holding a
+    // map's ownership lease (renewed on compaction) writes its snapshot
+    const replication = options.replication || {};
+    this.pubsub = replication.pubsub || null;
+    this.replicaId = this.pubsub ? this.pubsub.id : null;
+    this.ownershipTtlMs =
+      replication.ownershipTtlMs ?? 2 * this.compaction.intervalMs;
+    // Map of mapId -> unsubscribe function of the map's channel
+    this.replicaSubscriptions = new Map();
+    this.replicationStats = { published: 0, received: 0 };
+
+    // Map of mapId -> Promise<Y.Doc> while a document loads
+    this.loadingDocs = new Map();
+
     // Performance tracking
     this.performanceData = {
       startTime: Date.now(),
@@ -42,35 +145,71 @@ class YjsService {
 
   /**
    * Get or create a Y.Doc for the given mapId
-   * Restores from snapshot if available
+   * Restores from the snapshot plus the updates logged since, if available
    */
   async getOrCreateDocument(mapId) {
     if (this.docs.has(mapId)) {
+      this.touchDocument(mapId);
       return this.docs.get(mapId);
     }
 
+    // Concurrent callers share one load, so a map never has two Y.Docs
+    if (!this.loadingDocs.has(mapId)) {
+      this.loadingDocs.set(
+        mapId,
+        this.loadDocument(mapId).finally(() => this.loadingDocs.delete(mapId)),
+      );
+    }
+    const doc = await this.loadingDocs.get(mapId);
+
+    // Loading may push the service over its residency limits
+    this.enforceEvictionPolicy({ keep: mapId });
+    return doc;
+  }
+
+  /**
+   * Load a map's Y.Doc from persistence (or start an empty one)
+   */
+  async loadDocument(mapId) {
     const loadStartTime = Date.now();
     let hasSnapshot = false;
     let snapshotSize = 0;
+    // Update log bookkeeping for compaction
+    const log = {
+      lastSeq: 0,
+      pendingUpdates: 0,
+      pendingBytes: 0,
+      lastCompactedAt: Date.now(),
+    };
 
     try {
       const doc = new Y.Doc();
       // Try to restore from snapshot if persistence is available
       if (this.persistence) {
         const snapshot = await this.persistence.getSnapshot(mapId);
+        const updates = await this.persistence.getUpdates(mapId);
 
-        if (snapshot && snapshot.snapshot) {
-          // Restore document state from snapshot
+        if (snapshot || updates.length > 0) {
+          // Restore document state from snapshot, then replay the log tail
           hasSnapshot = true;
-          snapshotSize = snapshot.snapshot.length;
+          snapshotSize = snapshot ? snapshot.length : 0;
 
-          Y.applyUpdate(doc, new Uint8Array(snapshot.snapshot));
+          if (snapshot) {
+            Y.applyUpdate(doc, new Uint8Array(snapshot));
+          }
+          for (const { seq, update } of updates) {
+            Y.applyUpdate(doc, update);
+            log.lastSeq = seq;
+            log.pendingUpdates++;
+            log.pendingBytes += update.length;
+          }
 
           const loadLatency = Date.now() - loadStartTime;
 
           this.logger.info('Yjs snapshot loaded', {
             mapId: mapId.substring(0, 8) + '...',
             snapshotSize: snapshotSize,
+            replayedUpdates: updates.length,
             loadLatency: loadLatency,
             restorationSuccess: true,
             documentState: {
@@ -122,7 +261,13 @@ class YjsService {
       this.docMetadata.set(mapId, {
         createdAt: new Date(),
         lastUpdate: new Date(),
+        lastAccessedAt: Date.now(),
+        accesses: 0,
+        // Estimated encoded size, for the memory budget
+        sizeBytes: hasSnapshot ? Y.encodeStateAsUpdate(doc).length : 0,
+        log,
       });
+      this.subscribeReplicas(mapId, doc);
 
       return doc;
     } catch (error) {
@@ -151,7 +296,12 @@ class YjsService {
         this.docMetadata.set(mapId, {
           createdAt: new Date(),
           lastUpdate: new Date(),
+          lastAccessedAt: Date.now(),
+          accesses: 0,
+          sizeBytes: 0,
+          log,
         });
+        this.subscribeReplicas(mapId, doc);
 
         return doc;
       } catch (fallbackError) {
@@ -167,75 +317,60 @@ class YjsService {
 
   /**
    * Handle document updates from Y.Doc
-   * Saves snapshots for local updates, broadcasts to connected clients
+   * Logs local updates right away and WebSocket updates in debounced
+   * batches, broadcasts to connected clients and publishes to other replicas
    */
   async handleDocumentUpdate(mapId, update, origin) {
     try {
-      // Update metadata
-      if (this.docMetadata.has(mapId)) {
-        this.docMetadata.get(mapId).lastUpdate = new Date();
+      const fromReplica = origin === REPLICA_ORIGIN;
+      const fromClient =
+        typeof origin === 'string' && origin.startsWith('websocket-');
+
+      // Update metadata; edits made elsewhere do not count as local use
+      const metadata = this.docMetadata.get(mapId);
+      if (metadata) {
+        metadata.lastUpdate = new Date();
+        metadata.sizeBytes += update.length;
+        if (!fromReplica) {
+          this.touchDocument(mapId);
+        }
       }
 
-      // Only save snapshot for local updates (not from WebSocket clients)
-      if (
-        !origin ||
-        typeof origin !== 'string' ||
-        !origin.startsWith('websocket-')
-      ) {
+      this.notifyDocumentUpdated(mapId, origin);
+
+      // Persist local updates now and WebSocket updates in batches; relayed
+      // updates are persisted by the replica that received them
+      if (!fromClient && !fromReplica) {
         const doc = this.docs.get(mapId);
         if (doc && this.persistence) {
-          const saveStartTime = Date.now();
-          const docState = Y.encodeStateAsUpdate(doc);
-
-          await this.persistence.saveSnapshot(mapId, Buffer.from(docState));
-
-          const saveLatency = Date.now() - saveStartTime;
-
-          this.logger.debug('Yjs snapshot saved', {
-            mapId: mapId.substring(0, 8) + '...',
-            snapshotSize: docState.length,
-            saveLatency: saveLatency,
-            documentState: {
-              totalUpdates: this.performanceData.totalOperations,
-              documentSize: docState.length,
-            },
-            performance: {
-              memoryUsage: this.getMemoryUsage(),
-            },
-          });
-
-          // Record metrics
-          if (this.metrics) {
-            this.metrics.recordSnapshotSave(
-              mapId,
-              docState.length,
-              saveLatency,
-            );
-          }
+          await this.persistUpdate(mapId, update);
 
           this.performanceData.totalOperations++;
         }
-      } else {
-        this.logger.debug('Skipping snapshot save for remote update', {
+      } else if (fromClient && this.persistence) {
+        this.queueUpdate(mapId, update);
+      }
+
+      if (!fromReplica && this.pubsub) {
+        this.publishToReplicas(
           mapId,
-          origin,
-          updateSize: update.length,
-        });
+          encodeMessage(messageSync, (encoder) =>
+            syncProtocol.writeUpdate(encoder, update),
+          ),
+        );
       }
 
       // Broadcast update to all connected clients except the origin
       this.broadcastUpdate(
         mapId,
         update,
-        typeof origin === 'string' ? null : origin,
+        typeof origin === 'string'
+          ? this.findConnection(mapId, origin)
+          : origin,
       );
 
       // Create audit trail for document modifications
-      if (
-        origin &&
-        typeof origin === 'string' &&
-        origin.startsWith('websocket-')
-      ) {
+      if (fromClient) {
         this.logAuditEvent('document_modified', mapId, origin, {
           updateSize: update.length,
           documentVersion: this.performanceData.totalOperations,
@@ -243,9 +378,345 @@ class YjsService {
         });
       }
     } catch (error) {
-      this.logger.error('Failed to save document snapshot', {
+      this.logger.error('Failed to persist document update', {
+        mapId,
+        error: error.message,
+      });
+    }
+  }
+
+  /**
+   * Append an update to the map's log, compacting once a threshold is hit
+   */
+  async persistUpdate(mapId, update) {
+    const seq = await this.persistence.appendUpdate(mapId, update);
+    const log = this.docMetadata.get(mapId)?.log;
+    if (!log) {
+      return;
+    }
+
+    log.lastSeq = seq;
+    log.pendingUpdates++;
+    log.pendingBytes += update.length;
+
+    this.logger.debug('Yjs update appended', {
+      mapId: mapId.substring(0, 8) + '...',
+      seq,
+      updateSize: update.length,
+      pendingUpdates: log.pendingUpdates,
+    });
+
+    if (
+      log.pendingUpdates >= this.compaction.maxUpdates ||
+      log.pendingBytes >= this.compaction.maxBytes ||
+      Date.now() - log.lastCompactedAt >= this.compaction.intervalMs
+    ) {
+      await this.compactDocument(mapId);
+    }
+  }
+
+  /**
+   * Queue a WebSocket update for the map's next batched write
+   */
+  queueUpdate(mapId, update) {
+    let pending = this.pendingUpdates.get(mapId);
+    if (!pending) {
+      pending = { updates: [], firstQueuedAt: Date.now(), timer: null };
+      this.pendingUpdates.set(mapId, pending);
+    }
+    pending.updates.push(update);
+
+    clearTimeout(pending.timer);
+    const delay = Math.min(
+      this.persistDebounce.delayMs,
+      Math.max(
+        0,
+        pending.firstQueuedAt + this.persistDebounce.maxWaitMs - Date.now(),
+      ),
+    );
+    pending.timer = setTimeout(() => this.flushDocument(mapId), delay);
+    pending.timer.unref();
+  }
+
+  /**
+   * Persist a map's queued WebSocket updates now, merged into one log entry
+   */
+  async flushDocument(mapId) {
+    const pending = this.pendingUpdates.get(mapId);
+    if (!pending) {
+      return;
+    }
+    clearTimeout(pending.timer);
+    this.pendingUpdates.delete(mapId);
+
+    try {
+      await this.persistUpdate(mapId, Y.mergeUpdates(pending.updates));
+
+      this.performanceData.totalOperations++;
+    } catch (error) {
+      this.logger.error('Failed to persist document update', {
         mapId,
         error: error.message,
+        queuedUpdates: pending.updates.length,
+      });
+    }
+  }
+
+  /**
+   * Persist the queued WebSocket updates of every map
+   */
+  async flushPendingUpdates() {
+    await Promise.all(
+      Array.from(this.pendingUpdates.keys(), (mapId) =>
+        this.flushDocument(mapId),
+      ),
+    );
+  }
+
+  /**
+   * Mark a document as used (for idle and LRU eviction)
+   */
+  touchDocument(mapId) {
+    const metadata = this.docMetadata.get(mapId);
+    if (metadata) {
+      metadata.lastAccessedAt = Date.now();
+      metadata.accesses++;
+    }
+  }
+
+  /**
+   * Estimated size of all resident documents in bytes; a document with a
+   * staging copy (see getStagingDoc) counts twice
+   */
+  getResidentBytes() {
+    let total = 0;
+    for (const [mapId, metadata] of this.docMetadata) {
+      const copies = this.stagingDocs.has(mapId) ? 2 : 1;
+      total += (metadata.sizeBytes || 0) * copies;
+    }
+    return total;
+  }
+
+  /**
+   * Evict idle documents, then least recently used ones until the resident
+   * count and estimated size fit the limits; documents with connections
+   * (and `keep`) stay. Overlapping calls share one sweep.
+   * @param {object} [options]
+   * @param {string} [options.keep] - Map id that must stay resident
+   * @returns {Promise<number>} Number of documents evicted
+   */
+  enforceEvictionPolicy({ keep } = {}) {
+    if (!this.evictionSweep) {
+      this.evictionSweep = this.runEvictionSweep(keep)
+        .catch((error) => {
+          this.logger.error('Yjs document eviction failed', {
+            error: error.message,
+          });
+          return 0;
+        })
+        .finally(() => {
+          this.evictionSweep = null;
+        });
+    }
+    return this.evictionSweep;
+  }
+
+  async runEvictionSweep(keep) {
+    const { idleMs, maxDocuments, memoryBudgetBytes } = this.eviction;
+    const now = Date.now();
+    let evicted = 0;
+
+    // Least recently used first
+    const candidates = Array.from(this.docMetadata.entries())
+      .filter(([mapId]) => mapId !== keep && !this.connections.get(mapId)?.size)
+      .sort(([, a], [, b]) => a.lastAccessedAt - b.lastAccessedAt)
+      .map(([mapId, metadata]) => ({
+        mapId,
+        idle: now - metadata.lastAccessedAt,
+      }));
+
+    for (const { mapId, idle } of candidates) {
+      let reason = null;
+      if (idleMs > 0 && idle >= idleMs) {
+        reason = 'idle';
+      } else if (maxDocuments > 0 && this.docs.size > maxDocuments) {
+        reason = 'maxDocuments';
+      } else if (
+        memoryBudgetBytes > 0 &&
+        this.getResidentBytes() > memoryBudgetBytes
+      ) {
+        reason = 'memoryBudget';
+      } else {
+        break;
+      }
+      if (await this.evictDocument(mapId, reason)) {
+        evicted++;
+      }
+    }
+
+    return evicted;
+  }
+
+  /**
+   * Persist a document and drop it from memory; it is reloaded from the
+   * snapshot on next use. Documents with connections are never evicted.
+   * @param {string} mapId
+   * @param {'idle'|'maxDocuments'|'memoryBudget'} reason
+   * @returns {Promise<boolean>} false if the document stayed resident
+   */
+  async evictDocument(mapId, reason) {
+    const metadata = this.docMetadata.get(mapId);
+    if (!metadata || this.connections.get(mapId)?.size) {
+      return false;
+    }
+    const accesses = metadata.accesses;
+
+    await this.flushDocument(mapId);
+    await this.compactDocument(mapId);
+
+    // Used again while the snapshot was written
+    if (
+      this.connections.get(mapId)?.size ||
+      this.docMetadata.get(mapId) !== metadata ||
+      metadata.accesses !== accesses
+    ) {
+      return false;
+    }
+
+    const doc = this.docs.get(mapId);
+    this.dropStagingDoc(mapId);
+    this.docs.delete(mapId);
+    this.docMetadata.delete(mapId);
+    this.connections.delete(mapId);
+    this.destroyAwareness(mapId);
+    this.unsubscribeReplicas(mapId);
+    if (doc) {
+      doc.destroy();
+    }
+    this.evictionStats[reason]++;
+    if (this.pubsub && this.persistence) {
+      await this.persistence.releaseOwnership(mapId, this.replicaId);
+    }
+
+    this.logger.info('Yjs document evicted', {
+      mapId: mapId.substring(0, 8) + '...',
+      reason,
+      residentDocuments: this.docs.size,
+    });
+    return true;
+  }
+
+  /**
+   * Fold a map's logged updates into its snapshot
+   * With replication, only the replica holding the map's ownership lease
+   * compacts; it first applies the updates other replicas logged, so the
+   * snapshot covers every log entry it replaces.
+   * @returns {Promise<boolean>} false if there was nothing to compact or
+   *   another replica owns the snapshot
+   */
+  async compactDocument(mapId) {
+    const doc = this.docs.get(mapId);
+    const log = this.docMetadata.get(mapId)?.log;
+    if (!doc || !log || !this.persistence || log.pendingUpdates === 0) {
+      return false;
+    }
+
+    const saveStartTime = Date.now();
+    let throughSeq = log.lastSeq;
+    const compactedUpdates = log.pendingUpdates;
+
+    // Updates appended while the snapshot is written count towards the next
+    // compaction
+    log.pendingUpdates = 0;
+    log.pendingBytes = 0;
+    log.lastCompactedAt = Date.now();
+
+    if (this.pubsub) {
+      const owner = await this.persistence.claimOwnership(
+        mapId,
+        this.replicaId,
+        this.ownershipTtlMs,
+      );
+      if (!owner) {
+        this.logger.debug('Yjs compaction left to snapshot owner', {
+          mapId: mapId.substring(0, 8) + '...',
+        });
+        return false;
+      }
+      for (const { seq, update } of await this.persistence.getUpdates(mapId)) {
+        Y.applyUpdate(doc, update, REPLICA_ORIGIN);
+        throughSeq = Math.max(throughSeq, seq);
+      }
+    }
+
+    const docState = Y.encodeStateAsUpdate(doc);
+
+    await this.persistence.compact(mapId, docState, throughSeq);
+
+    const metadata = this.docMetadata.get(mapId);
+    if (metadata) {
+      metadata.sizeBytes = docState.length;
+    }
+
+    const saveLatency = Date.now() - saveStartTime;
+
+    this.logger.debug('Yjs snapshot saved', {
+      mapId: mapId.substring(0, 8) + '...',
+      snapshotSize: docState.length,
+      saveLatency: saveLatency,
+      compactedUpdates,
+      documentState: {
+        totalUpdates: this.performanceData.totalOperations,
+        documentSize: docState.length,
+      },
+      performance: {
+        memoryUsage: this.getMemoryUsage(),
+      },
+    });
+
+    // Record metrics
+    if (this.metrics) {
+      this.metrics.recordSnapshotSave(mapId, docState.length, saveLatency);
+    }
+
+    this.notifyDocumentCompacted(mapId, doc);
+
+    return true;
+  }
+
+  /**
+   * Invoke the optional onDocumentCompacted hook (e.g. search indexing)
+   * Runs once the update log is folded into a new snapshot, not per update;
+   * hook failures are logged and never fail the compaction
+   */
+  notifyDocumentCompacted(mapId, doc) {
+    if (typeof this.options.onDocumentCompacted !== 'function') {
+      return;
+    }
+    try {
+      this.options.onDocumentCompacted(mapId, doc);
+    } catch (error) {
+      this.logger.warn('Document compacted hook failed', {
+        mapId: mapId.substring(0, 8) + '...',
+        error: error.message,
+      });
+    }
+  }
+
+  /**
+   * Invoke the optional onDocumentUpdate hook (e.g. MCP resource updates)
+   * Runs for every update, whatever its origin
+   */
+  notifyDocumentUpdated(mapId, origin) {
+    if (typeof this.options.onDocumentUpdate !== 'function') {
+      return;
+    }
+    try {
+      this.options.onDocumentUpdate(mapId, origin);
+    } catch (error) {
+      this.logger.warn('Document update hook failed', {
+        mapId: mapId.substring(0, 8) + '...',
+        error: error.message,
       });
     }
   }
@@ -255,8 +726,12 @@ class YjsService {
    */
   async handleWebSocketConnection(ws, request) {
     try {
-      // Parse mapId from URL: /yjs/:mapId
-      const urlMatch = request.url.match(/^\/yjs\/([^/]+)$/);
+      // Parse mapId from URL: /yjs/:mapId (query string: token, mode)
+      const { pathname, searchParams } = new URL(
+        request.url,
+        'http://localhost',
+      );
+      const urlMatch = pathname.match(/^\/yjs\/([^/]+)$/);
       if (!urlMatch) {
         ws.close(1008, 'Invalid URL format');
         this.logger.warn('WebSocket connection rejected: Invalid URL format', {
@@ -268,6 +743,16 @@ class YjsService {
       const mapId = urlMatch[1];
       ws.id = `websocket-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
       ws.connectTime = Date.now(); // Track connection time for session duration
+      // Viewers and commenters, principals limited to viewing (e.g. share
+      // links) and clients asking for it with ?mode=view (an audience
+      // following a presenter) receive updates but cannot change the document
+      ws.readOnly =
+        request.auth?.role === 'viewer' ||
+        request.auth?.role === 'commenter' ||
+        request.auth?.readOnly === true ||
+        searchParams.get('mode') === 'view';
+      // Share link the connection was opened with, if any (see closeConnections)
+      ws.shareId = request.auth?.shareId || null;
 
       // Get or create document
       const doc = await this.getOrCreateDocument(mapId);
@@ -293,6 +778,7 @@ class YjsService {
         userAgent: userAgent,
         origin: origin,
         clientIP: clientIP,
+        readOnly: ws.readOnly,
         totalClientsInRoom: this.connections.get(mapId).size,
         totalActiveRooms: this.docs.size,
       });
@@ -302,10 +788,24 @@ class YjsService {
         this.metrics.recordClientConnected(ws.id, mapId, userAgent);
       }
 
-      // Send initial document state to new client
-      const initialState = Y.encodeStateAsUpdate(doc);
-      if (initialState.length > 0) {
-        ws.send(initialState);
+      // Sync step 1: the client answers with what the server is missing
+      // (step 2) and sends its own step 1, answered in handleSyncMessage
+      ws.awarenessIds = new Set();
+      const awareness = this.getAwareness(mapId, doc);
+      this.sendMessage(
+        ws,
+        encodeMessage(messageSync, (encoder) =>
+          syncProtocol.writeSyncStep1(encoder, doc),
+        ),
+      );
+
+      // Presence of the clients already in the room
+      const states = awareness.getStates();
+      if (states.size > 0) {
+        this.sendMessage(
+          ws,
+          encodeAwarenessMessage(awareness, Array.from(states.keys())),
+        );
       }
 
       // Set up message handler
@@ -319,9 +819,13 @@ class YjsService {
             return;
           }
 
-          const updateData =
+          const message =
             data instanceof Uint8Array ? data : new Uint8Array(data);
-          this.applyUpdateToDocument(mapId, updateData, ws);
+          ws.lastActivityAt = Date.now();
+          if (this.metrics) {
+            this.metrics.recordClientActivity(ws.id, message.length);
+          }
+          this.handleMessage(mapId, message, ws);
         } catch (error) {
           this.logger.error('Error processing WebSocket message', {
             mapId,
@@ -340,6 +844,21 @@ class YjsService {
           connections.delete(ws);
           if (connections.size === 0) {
             this.connections.delete(mapId);
+            // Only clients stage updates
+            this.dropStagingDoc(mapId);
+          }
+        }
+
+        // Tell the remaining clients this one left
+        const roomAwareness = this.awareness.get(mapId);
+        if (roomAwareness) {
+          awarenessProtocol.removeAwarenessStates(
+            roomAwareness,
+            Array.from(ws.awarenessIds),
+            null,
+          );
+          if (!this.connections.has(mapId)) {
+            this.destroyAwareness(mapId);
           }
         }
 
@@ -355,6 +874,9 @@ class YjsService {
         if (this.metrics) {
           this.metrics.recordClientDisconnected(ws.id);
         }
+
+        // The idle period of an empty room starts now
+        this.touchDocument(mapId);
       });
 
       // Handle connection errors
@@ -376,6 +898,282 @@ class YjsService {
     }
   }
 
+  /**
+   * Awareness of a room, created with its first connection
+   */
+  getAwareness(mapId, doc) {
+    if (this.awareness.has(mapId)) {
+      return this.awareness.get(mapId);
+    }
+
+    const awareness = new awarenessProtocol.Awareness(doc);
+    // The server has no cursor of its own
+    awareness.setLocalState(null);
+    awareness.on('update', ({ added, updated, removed }, origin) => {
+      // Remember which awareness clients a connection controls, so their
+      // states can be removed when it closes
+      if (origin && origin.awarenessIds) {
+        added.forEach((clientId) => origin.awarenessIds.add(clientId));
+        removed.forEach((clientId) => origin.awarenessIds.delete(clientId));
+      }
+      const changed = added.concat(updated, removed);
+      const message = encodeAwarenessMessage(awareness, changed);
+      this.broadcastMessage(mapId, message, null);
+      // Each replica expires outdated states on its own
+      if (origin !== REPLICA_ORIGIN && origin !== 'timeout') {
+        this.publishToReplicas(mapId, message);
+      }
+    });
+
+    this.awareness.set(mapId, awareness);
+    // Ask other replicas for the presence of their clients in this room
+    this.publishToReplicas(
+      mapId,
+      encodeMessage(messageQueryAwareness, () => {}),
+    );
+    return awareness;
+  }
+
+  /**
+   * Drop a room's awareness (stops its outdated-state timer)
+   */
+  destroyAwareness(mapId) {
+    const awareness = this.awareness.get(mapId);
+    if (awareness) {
+      awareness.destroy();
+      this.awareness.delete(mapId);
+    }
+  }
+
+  /**
+   * Pub/sub channel shared by the replicas serving a map
+   */
+  replicaChannel(mapId) {
+    return `yjs:${mapId}`;
+  }
+
+  /**
+   * Start relaying a loaded map to and from other replicas, and ask them for
+   * edits not persisted yet (sync step 1)
+   */
+  subscribeReplicas(mapId, doc) {
+    if (!this.pubsub || this.replicaSubscriptions.has(mapId)) {
+      return;
+    }
+    this.replicaSubscriptions.set(
+      mapId,
+      this.pubsub.subscribe(this.replicaChannel(mapId), (message) =>
+        this.handleReplicaMessage(mapId, message),
+      ),
+    );
+    this.publishToReplicas(
+      mapId,
+      encodeMessage(messageSync, (encoder) =>
+        syncProtocol.writeSyncStep1(encoder, doc),
+      ),
+    );
+  }
+
+  /**
+   * Stop relaying a map (evicted, deleted or shutting down)
+   */
+  unsubscribeReplicas(mapId) {
+    const unsubscribe = this.replicaSubscriptions.get(mapId);
+    if (unsubscribe) {
+      unsubscribe();
+      this.replicaSubscriptions.delete(mapId);
+    }
+  }
+
+  /**
+   * Send a protocol message to the other replicas serving a map
+   */
+  publishToReplicas(mapId, message) {
+    if (!this.pubsub || !this.replicaSubscriptions.has(mapId)) {
+      return;
+    }
+    try {
+      this.pubsub.publish(this.replicaChannel(mapId), message);
+      this.replicationStats.published++;
+    } catch (error) {
+      this.logger.error('Failed to publish to replicas', {
+        mapId: mapId.substring(0, 8) + '...',
+        error: error.message,
+      });
+    }
+  }
+
+  /**
+   * Handle a protocol message from another replica: sync messages are
+   * answered and applied like a client's, awareness is relayed to the
+   * room's local clients
+   */
+  handleReplicaMessage(mapId, message) {
+    const doc = this.docs.get(mapId);
+    if (!doc) {
+      return;
+    }
+    this.replicationStats.received++;
+
+    try {
+      const decoder = decoding.createDecoder(message);
+      const messageType = decoding.readVarUint(decoder);
+
+      switch (messageType) {
+        case messageSync: {
+          const encoder = encoding.createEncoder();
+          encoding.writeVarUint(encoder, messageSync);
+          syncProtocol.readSyncMessage(decoder, encoder, doc, REPLICA_ORIGIN);
+          // Sync step 2 for a replica that just loaded the map
+          if (encoding.length(encoder) > 1) {
+            this.publishToReplicas(mapId, encoding.toUint8Array(encoder));
+          }
+          break;
+        }
+        case messageAwareness: {
+          const awareness = this.awareness.get(mapId);
+          if (awareness) {
+            awarenessProtocol.applyAwarenessUpdate(
+              awareness,
+              decoding.readVarUint8Array(decoder),
+              REPLICA_ORIGIN,
+            );
+          }
+          break;
+        }
+        case messageQueryAwareness: {
+          const awareness = this.awareness.get(mapId);
+          if (awareness && awareness.getStates().size > 0) {
+            this.publishToReplicas(
+              mapId,
+              encodeAwarenessMessage(
+                awareness,
+                Array.from(awareness.getStates().keys()),
+              ),
+            );
+          }
+          break;
+        }
+        default:
+          this.logger.warn('Unknown Yjs replica message type', {
+            mapId,
+            messageType,
+          });
+      }
+    } catch (error) {
+      this.logger.error('Failed to apply replica message', {
+        mapId: mapId.substring(0, 8) + '...',
+        error: error.message,
+      });
+    }
+  }
+
+  /**
+   * Handle one y-websocket protocol message from a client
+   */
+  handleMessage(mapId, message, ws) {
+    const decoder = decoding.createDecoder(message);
+    const messageType = decoding.readVarUint(decoder);
+
+    switch (messageType) {
+      case messageSync:
+        this.handleSyncMessage(mapId, decoder, ws);
+        break;
+      case messageAwareness: {
+        // Viewers may share presence even though they cannot edit
+        const awareness = this.awareness.get(mapId);
+        if (awareness) {
+          awarenessProtocol.applyAwarenessUpdate(
+            awareness,
+            decoding.readVarUint8Array(decoder),
+            ws,
+          );
+        }
+        break;
+      }
+      case messageQueryAwareness: {
+        const awareness = this.awareness.get(mapId);
+        if (awareness) {
+          this.sendMessage(
+            ws,
+            encodeAwarenessMessage(
+              awareness,
+              Array.from(awareness.getStates().keys()),
+            ),
+          );
+        }
+        break;
+      }
+      default:
+        this.logger.warn('Unknown Yjs message type', {
+          mapId,
+          clientId: ws.id,
+          messageType,
+        });
+    }
+  }
+
+  /**
+   * Handle a sync message: answer step 1 with the client's missing state,
+   * apply step 2 and updates unless the connection is read-only
+   */
+  handleSyncMessage(mapId, decoder, ws) {
+    const doc = this.docs.get(mapId);
+    const syncType = decoding.readVarUint(decoder);
+
+    switch (syncType) {
+      case syncProtocol.messageYjsSyncStep1:
+        if (doc) {
+          const stateVector = decoding.readVarUint8Array(decoder);
+          this.sendMessage(
+            ws,
+            encodeMessage(messageSync, (encoder) =>
+              syncProtocol.writeSyncStep2(encoder, doc, stateVector),
+            ),
+          );
+        }
+        break;
+      case syncProtocol.messageYjsSyncStep2:
+      case syncProtocol.messageYjsUpdate:
+        if (ws.readOnly) {
+          this.logger.debug('Ignoring update from read-only connection', {
+            mapId,
+            clientId: ws.id,
+          });
+          // Tell the client once, on its first live edit (every provider
+          // sends a step 2 on connect)
+          if (
+            syncType === syncProtocol.messageYjsUpdate &&
+            !ws.readOnlyNotified
+          ) {
+            ws.readOnlyNotified = true;
+            this.sendMessage(
+              ws,
+              encodeMessage(messageAuth, (encoder) =>
+                authProtocol.writePermissionDenied(
+                  encoder,
+                  'Read-only connection',
+                ),
+              ),
+            );
+          }
+          return;
+        }
+        this.applyUpdateToDocument(
+          mapId,
+          decoding.readVarUint8Array(decoder),
+          ws,
+        );
+        break;
+      default:
+        this.logger.warn('Unknown Yjs sync message type', {
+          mapId,
+          clientId: ws.id,
+          syncType,
+        });
+    }
+  }
+
   /**
    * Apply update from WebSocket client to document
    */
@@ -392,6 +1190,12 @@ class YjsService {
         return;
       }
 
+      const { error, revert } = this.stageUpdate(mapId, doc, updateData);
+      if (error) {
+        this.rejectUpdate(mapId, doc, updateData, revert, error, ws);
+        return;
+      }
+
       // Apply update with WebSocket origin to prevent echo-back
       Y.applyUpdate(doc, updateData, ws.id);
 
@@ -426,10 +1230,144 @@ class YjsService {
     }
   }
 
+  /**
+   * Staging copy of a document, created on its first client update and kept
+   * current by forwarding every update of the document to it until the
+   * document's last connection closes or it is evicted
+   */
+  getStagingDoc(mapId, doc) {
+    let staging = this.stagingDocs.get(mapId);
+    if (!staging) {
+      const copy = new Y.Doc();
+      Y.applyUpdate(copy, Y.encodeStateAsUpdate(doc));
+      const forward = (update) => Y.applyUpdate(copy, update);
+      doc.on('update', forward);
+      staging = {
+        doc: copy,
+        source: doc,
+        forward,
+        // Each staged update is its own undo step
+        undoManager: new Y.UndoManager(
+          ['notes', 'connections', 'meta'].map((name) => copy.getMap(name)),
+          { trackedOrigins: new Set([STAGING_ORIGIN]), captureTimeout: 0 },
+        ),
+      };
+      this.stagingDocs.set(mapId, staging);
+    }
+    return staging;
+  }
+
+  dropStagingDoc(mapId) {
+    const staging = this.stagingDocs.get(mapId);
+    if (staging) {
+      staging.source.off('update', staging.forward);
+      staging.undoManager.destroy();
+      staging.doc.destroy();
+      this.stagingDocs.delete(mapId);
+    }
+  }
+
+  /**
+   * Apply a client update to the document's staging copy and check the
+   * result against the map schema and limits
+   * The copy ends up in the state the document will have: accepted updates
+   * and reverted ones come back to it as no-ops through forwarding, and a
+   * copy holding an update the document drops is rebuilt on next use.
+   * @returns {{error: Error|null, revert: Uint8Array|null}} `revert` undoes
+   *   the update's changes to the schema roots, if that makes the copy valid
+   */
+  stageUpdate(mapId, doc, updateData) {
+    const { doc: staging, undoManager } = this.getStagingDoc(mapId, doc);
+    try {
+      Y.applyUpdate(staging, updateData, STAGING_ORIGIN);
+    } catch (applyError) {
+      // Malformed: the copy may hold part of it
+      this.dropStagingDoc(mapId);
+      throw applyError;
+    }
+
+    let error = null;
+    let revert = null;
+    try {
+      validateYDocSchema(staging);
+    } catch (validationError) {
+      error = validationError;
+      const stateVector = Y.encodeStateVector(staging);
+      undoManager.undo();
+      try {
+        validateYDocSchema(staging);
+        revert = Y.encodeStateAsUpdate(staging, stateVector);
+      } catch {
+        revert = null;
+      }
+    }
+
+    undoManager.clear();
+    if (error && !revert) {
+      this.dropStagingDoc(mapId);
+    }
+    return { error, revert };
+  }
+
+  /**
+   * Refuse an invalid client update and tell the client why
+   * With a revert, the update is applied together with its undo, so every
+   * document (the sender's included) converges on the valid state; without
+   * one the update is dropped.
+   */
+  rejectUpdate(mapId, doc, updateData, revert, error, ws) {
+    if (revert) {
+      // Local origin: persisted right away and broadcast to every client
+      doc.transact(() => {
+        Y.applyUpdate(doc, updateData);
+        Y.applyUpdate(doc, revert);
+      });
+    }
+
+    this.sendMessage(
+      ws,
+      encodeMessage(messageAuth, (encoder) =>
+        authProtocol.writePermissionDenied(
+          encoder,
+          `Update rejected: ${error.message}`,
+        ),
+      ),
+    );
+
+    this.logger.warn('Rejected invalid Yjs update', {
+      mapId: mapId.substring(0, 8) + '...',
+      clientId: ws.id,
+      reason: error.message,
+      updateSize: updateData.length,
+      reverted: Boolean(revert),
+    });
+
+    if (this.metrics) {
+      this.metrics.recordWebSocketError('validation', error.message, {
+        mapId: mapId,
+        clientId: ws.id,
+        messageSize: updateData.length,
+      });
+    }
+  }
+
   /**
    * Broadcast update to all connected WebSocket clients except origin
    */
   broadcastUpdate(mapId, updateData, originWs) {
+    this.broadcastMessage(
+      mapId,
+      encodeMessage(messageSync, (encoder) =>
+        syncProtocol.writeUpdate(encoder, updateData),
+      ),
+      originWs,
+    );
+  }
+
+  /**
+   * Send a protocol message to every open connection of a map except origin
+   */
+  broadcastMessage(mapId, message, originWs) {
     const connections = this.connections.get(mapId);
     if (!connections) {
       return;
@@ -449,7 +1387,7 @@ class YjsService {
       }
 
       try {
-        ws.send(updateData);
+        ws.send(message);
       } catch (error) {
         this.logger.error('Failed to send update to WebSocket client', {
           mapId,
@@ -465,6 +1403,124 @@ class YjsService {
     }
   }
 
+  /**
+   * Send a protocol message to one connection
+   */
+  sendMessage(ws, message) {
+    if (ws.readyState !== 1) {
+      return;
+    }
+    try {
+      ws.send(message);
+    } catch (error) {
+      this.logger.error('Failed to send message to WebSocket client', {
+        clientId: ws.id,
+        error: error.message,
+      });
+    }
+  }
+
+  /**
+   * Connection of a map by its id (the origin of its updates)
+   */
+  findConnection(mapId, clientId) {
+    const connections = this.connections.get(mapId);
+    if (connections) {
+      for (const ws of connections) {
+        if (ws.id === clientId) {
+          return ws;
+        }
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Clients connected to a map, for presence listings
+   * Connection ids are hashed with a per-process salt so they stay stable
+   * while connected without exposing internal ids; names come from the
+   * `user` field of each client's awareness state.
+   * @returns {Array<{clientId: string, userName: string|null,
+   *   connectedAt: string, lastActivityAt: string, readOnly: boolean}>}
+   */
+  getPresence(mapId) {
+    const connections = this.connections.get(mapId);
+    if (!connections) {
+      return [];
+    }
+    const awareness = this.awareness.get(mapId);
+
+    return Array.from(connections)
+      .filter((ws) => ws.readyState === 1)
+      .map((ws) => {
+        // Session tracking is the source of truth when metrics are enabled
+        const session = this.metrics?.sessionTracking?.get(ws.id);
+        const connectedAt = session
+          ? session.startTime.getTime()
+          : ws.connectTime;
+        const lastActivityAt = session
+          ? session.lastActivity.getTime()
+          : ws.lastActivityAt || ws.connectTime;
+
+        let userName = null;
+        if (awareness) {
+          for (const clientId of ws.awarenessIds || []) {
+            const name = awareness.getStates().get(clientId)?.user?.name;
+            if (typeof name === 'string') {
+              userName = name;
+              break;
+            }
+          }
+        }
+
+        return {
+          clientId: crypto
+            .createHash('sha256')
+            .update(`${this.presenceSalt}:${ws.id}`)
+            .digest('hex')
+            .slice(0, 16),
+          userName,
+          connectedAt: new Date(connectedAt).toISOString(),
+          lastActivityAt: new Date(lastActivityAt).toISOString(),
+          readOnly: Boolean(ws.readOnly),
+        };
+      });
+  }
+
+  /**
+   * Close the connections of a map that `predicate` selects, e.g. those
+   * opened with a revoked share link
+   * @returns {number} Connections closed
+   */
+  closeConnections(mapId, predicate, reason) {
+    let closed = 0;
+    for (const ws of this.connections.get(mapId) || []) {
+      if (predicate(ws)) {
+        ws.close(1008, reason);
+        closed++;
+      }
+    }
+    return closed;
+  }
+
+  /**
+   * Number of open read-only connections, of one map or of all maps
+   */
+  countReadOnlyConnections(mapId) {
+    const rooms = mapId
+      ? [this.connections.get(mapId) || []]
+      : this.connections.values();
+    let count = 0;
+    for (const connections of rooms) {
+      for (const ws of connections) {
+        if (ws.readOnly && ws.readyState === 1) {
+          count++;
+        }
+      }
+    }
+    return count;
+  }
+
   /**
    * Get statistics about a document
    */
@@ -519,6 +1575,7 @@ class YjsService {
 
       // Connection metrics
       totalConnections,
+      readOnlyConnections: this.countReadOnlyConnections(),
       averageConnectionsPerDocument:
         this.connections.size > 0
           ? Math.round((totalConnections / this.connections.size) * 100) / 100
@@ -538,6 +1595,25 @@ class YjsService {
             )
           : null,
 
+      // Eviction limits and the documents evicted so far, by reason
+      eviction: {
+        idleMs: this.eviction.idleMs,
+        maxDocuments: this.eviction.maxDocuments,
+        memoryBudgetBytes: this.eviction.memoryBudgetBytes,
+        estimatedMemoryBytes: this.getResidentBytes(),
+        evicted: { ...this.evictionStats },
+      },
+
+      // Fan-out to other server processes (null when running alone)
+      replication: this.pubsub
+        ? {
+            replicaId: this.replicaId,
+            pubsub: this.pubsub.type,
+            subscribedMaps: this.replicaSubscriptions.size,
+            ...this.replicationStats,
+          }
+        : null,
+
       // Health indicators
       isHealthy:
         this.docs.size === this.docMetadata.size && this.persistence !== null,
@@ -726,23 +1802,21 @@ class YjsService {
   /**
    * Delete a Y.js document and clean up all associated resources
    * @param {string} mapId - The map ID to delete
-   * @returns {Promise<boolean>} - True if document was deleted, false if it didn't exist
+   * @returns {Promise<boolean>} - True if the document was loaded, connected or
+   *   persisted, false if it didn't exist
    */
   async deleteDocument(mapId) {
     try {
+      // Queued WebSocket updates must not be written after the delete
+      const pending = this.pendingUpdates.get(mapId);
+      if (pending) {
+        clearTimeout(pending.timer);
+        this.pendingUpdates.delete(mapId);
+      }
+
       const hadDocument = this.docs.has(mapId);
       const hadConnections = this.connections.has(mapId);
 
-      if (!hadDocument && !hadConnections) {
-        this.logger.debug(
-          'Document deletion requested for non-existent document',
-          {
-            mapId: mapId.substring(0, 8) + '...',
-          },
-        );
-        return false;
-      }
-
       // Close all WebSocket connections for this document
       if (hadConnections) {
         const connections = this.connections.get(mapId);
@@ -764,6 +1838,7 @@ class YjsService {
         }
 
         this.connections.delete(mapId);
+        this.destroyAwareness(mapId);
 
         // Record metrics
         if (this.metrics) {
@@ -772,6 +1847,7 @@ class YjsService {
       }
 
       // Remove document from memory
+      this.dropStagingDoc(mapId);
       if (hadDocument) {
         const doc = this.docs.get(mapId);
 
@@ -785,30 +1861,42 @@ class YjsService {
 
       // Remove metadata
       this.docMetadata.delete(mapId);
+      this.unsubscribeReplicas(mapId);
 
-      // Delete persisted snapshot if persistence is available
+      // Delete persisted snapshot if persistence is available; an evicted
+      // map is only on disk, so this runs whether or not it was loaded
+      let hadSnapshot = false;
       if (this.persistence && this.persistence.deleteSnapshot) {
         try {
-          await this.persistence.deleteSnapshot(mapId);
-
-          this.logger.info('Document and snapshot deleted', {
-            mapId: mapId.substring(0, 8) + '...',
-            hadDocument: hadDocument,
-            hadConnections: hadConnections,
-          });
+          hadSnapshot = Boolean(await this.persistence.deleteSnapshot(mapId));
         } catch (error) {
           this.logger.warn('Failed to delete document snapshot', {
             mapId: mapId.substring(0, 8) + '...',
             error: error.message,
           });
         }
-      } else {
-        this.logger.info('Document deleted from memory', {
+      }
+
+      if (!hadDocument && !hadConnections && !hadSnapshot) {
+        this.logger.debug(
+          'Document deletion requested for non-existent document',
+          {
+            mapId: mapId.substring(0, 8) + '...',
+          },
+        );
+        return false;
+      }
+
+      this.logger.info(
+        this.persistence
+          ? 'Document and snapshot deleted'
+          : 'Document deleted from memory',
+        {
           mapId: mapId.substring(0, 8) + '...',
           hadDocument: hadDocument,
           hadConnections: hadConnections,
-        });
-      }
+        },
+      );
 
       // Create audit trail
       this.logAuditEvent('document_deleted', mapId, 'system', {
@@ -828,9 +1916,9 @@ class YjsService {
   }
 
   /**
-   * Close all connections and clean up resources
+   * Close all connections, persist queued updates and clean up resources
    */
-  close() {
+  async close() {
     this.logger.info('YjsService shutting down', {
       documentsActive: this.docs.size,
       connectionsActive: Array.from(this.connections.values()).reduce(
@@ -850,7 +1938,36 @@ class YjsService {
       }
     }
 
+    clearInterval(this.evictionTimer);
+
+    // Persist batched WebSocket edits before the documents are dropped
+    if (this.pendingUpdates.size > 0) {
+      await this.flushPendingUpdates();
+    }
+
+    // Leave the other replicas; their next compaction takes over the maps
+    // this one owned
+    if (this.pubsub) {
+      for (const mapId of Array.from(this.replicaSubscriptions.keys())) {
+        this.unsubscribeReplicas(mapId);
+      }
+      if (this.persistence) {
+        await Promise.all(
+          Array.from(this.docs.keys(), (mapId) =>
+            this.persistence.releaseOwnership(mapId, this.replicaId),
+          ),
+        );
+      }
+      this.pubsub.close();
+    }
+
     // Clear all data structures
+    for (const mapId of Array.from(this.awareness.keys())) {
+      this.destroyAwareness(mapId);
+    }
+    for (const mapId of Array.from(this.stagingDocs.keys())) {
+      this.dropStagingDoc(mapId);
+    }
     this.connections.clear();
     this.docs.clear();
     this.docMetadata.clear();
@@ -0,0 +1,246 @@
+/**
+ * JSON Patch (RFC 6902) and JSON Merge Patch (RFC 7396)
+ * Both functions are pure: the target is deep-cloned, never mutated.
+ */
+
+class JsonPatchError extends Error {
+  constructor(message, { testFailed = false } = {}) {
+    super(message);
+    this.name = 'JsonPatchError';
+    this.testFailed = testFailed;
+  }
+}
+
+// Keys that would reach Object.prototype through plain assignment
+const FORBIDDEN_KEYS = new Set(['__proto__', 'constructor', 'prototype']);
+
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Patch documents are plain JSON, so a JSON round-trip is a faithful clone
+function clone(value) {
+  return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+function deepEqual(a, b) {
+  if (a === b) {
+    return true;
+  }
+  if (Array.isArray(a) && Array.isArray(b)) {
+    return a.length === b.length && a.every((v, i) => deepEqual(v, b[i]));
+  }
+  if (isObject(a) && isObject(b)) {
+    const keys = Object.keys(a);
+    return (
+      keys.length === Object.keys(b).length &&
+      keys.every((k) => Object.hasOwn(b, k) && deepEqual(a[k], b[k]))
+    );
+  }
+  return false;
+}
+
+/**
+ * Split a JSON Pointer (RFC 6901) into unescaped reference tokens
+ */
+function parsePointer(pointer) {
+  if (typeof pointer !== 'string') {
+    throw new JsonPatchError('Path must be a string');
+  }
+  if (pointer === '') {
+    return [];
+  }
+  if (!pointer.startsWith('/')) {
+    throw new JsonPatchError(`Invalid JSON Pointer: ${pointer}`);
+  }
+  return pointer
+    .slice(1)
+    .split('/')
+    .map((token) => {
+      const key = token.replace(/~1/g, '/').replace(/~0/g, '~');
+      if (FORBIDDEN_KEYS.has(key)) {
+        throw new JsonPatchError(`Forbidden path segment: ${key}`);
+      }
+      return key;
+    });
+}
+
+function arrayIndex(array, token, { allowEnd = false } = {}) {
+  if (allowEnd && token === '-') {
+    return array.length;
+  }
+  if (!/^(0|[1-9]\d*)$/.test(token)) {
+    throw new JsonPatchError(`Invalid array index: ${token}`);
+  }
+  const index = Number(token);
+  const max = allowEnd ? array.length : array.length - 1;
+  if (index > max) {
+    throw new JsonPatchError(`Array index out of bounds: ${token}`);
+  }
+  return index;
+}
+
+/**
+ * Resolve the container and final token for a pointer
+ */
+function resolveParent(doc, tokens, path) {
+  let node = doc;
+  for (const token of tokens.slice(0, -1)) {
+    if (Array.isArray(node)) {
+      node = node[arrayIndex(node, token)];
+    } else if (isObject(node) && Object.hasOwn(node, token)) {
+      node = node[token];
+    } else {
+      throw new JsonPatchError(`Path not found: ${path}`);
+    }
+  }
+  if (!Array.isArray(node) && !isObject(node)) {
+    throw new JsonPatchError(`Path not found: ${path}`);
+  }
+  return { parent: node, key: tokens[tokens.length - 1] };
+}
+
+function getValue(doc, path) {
+  const tokens = parsePointer(path);
+  if (tokens.length === 0) {
+    return doc;
+  }
+  const { parent, key } = resolveParent(doc, tokens, path);
+  if (Array.isArray(parent)) {
+    return parent[arrayIndex(parent, key)];
+  }
+  if (!Object.hasOwn(parent, key)) {
+    throw new JsonPatchError(`Path not found: ${path}`);
+  }
+  return parent[key];
+}
+
+function addValue(doc, path, value) {
+  const tokens = parsePointer(path);
+  if (tokens.length === 0) {
+    return value;
+  }
+  const { parent, key } = resolveParent(doc, tokens, path);
+  if (Array.isArray(parent)) {
+    parent.splice(arrayIndex(parent, key, { allowEnd: true }), 0, value);
+  } else {
+    parent[key] = value;
+  }
+  return doc;
+}
+
+function removeValue(doc, path) {
+  const tokens = parsePointer(path);
+  if (tokens.length === 0) {
+    throw new JsonPatchError('Cannot remove the document root');
+  }
+  const { parent, key } = resolveParent(doc, tokens, path);
+  if (Array.isArray(parent)) {
+    return parent.splice(arrayIndex(parent, key), 1)[0];
+  }
+  if (!Object.hasOwn(parent, key)) {
+    throw new JsonPatchError(`Path not found: ${path}`);
+  }
+  const removed = parent[key];
+  delete parent[key];
+  return removed;
+}
+
+/**
+ * Apply an RFC 6902 JSON Patch document
+ * @param {*} target - Document to patch (not mutated)
+ * @param {Array<object>} operations - Patch operations
+ * @returns {*} Patched document
+ * @throws {JsonPatchError} Invalid operation, missing path or failed `test`
+ */
+function applyJsonPatch(target, operations) {
+  if (!Array.isArray(operations)) {
+    throw new JsonPatchError('JSON Patch must be an array of operations');
+  }
+
+  let doc = clone(target);
+  operations.forEach((operation, index) => {
+    if (!isObject(operation) || typeof operation.op !== 'string') {
+      throw new JsonPatchError(`Operation ${index} is missing "op"`);
+    }
+    const { op, path, from } = operation;
+    const needsValue = ['add', 'replace', 'test'].includes(op);
+    if (needsValue && !Object.hasOwn(operation, 'value')) {
+      throw new JsonPatchError(`Operation ${index} (${op}) is missing "value"`);
+    }
+    if (typeof path !== 'string') {
+      throw new JsonPatchError(`Operation ${index} (${op}) is missing "path"`);
+    }
+    if (['move', 'copy'].includes(op) && typeof from !== 'string') {
+      throw new JsonPatchError(`Operation ${index} (${op}) is missing "from"`);
+    }
+
+    switch (op) {
+      case 'add':
+        doc = addValue(doc, path, clone(operation.value));
+        break;
+      case 'remove':
+        removeValue(doc, path);
+        break;
+      case 'replace':
+        if (parsePointer(path).length === 0) {
+          doc = clone(operation.value);
+        } else {
+          removeValue(doc, path);
+          doc = addValue(doc, path, clone(operation.value));
+        }
+        break;
+      case 'move': {
+        if (path.startsWith(`${from}/`)) {
+          throw new JsonPatchError(`Cannot move ${from} into its own child`);
+        }
+        const value = removeValue(doc, from);
+        doc = addValue(doc, path, value);
+        break;
+      }
+      case 'copy':
+        doc = addValue(doc, path, clone(getValue(doc, from)));
+        break;
+      case 'test':
+        if (!deepEqual(getValue(doc, path), operation.value)) {
+          throw new JsonPatchError(`Test failed at ${path}`, {
+            testFailed: true,
+          });
+        }
+        break;
+      default:
+        throw new JsonPatchError(`Unknown operation "${op}"`);
+    }
+  });
+
+  return doc;
+}
+
+/**
+ * Apply an RFC 7396 JSON Merge Patch
+ * Objects merge recursively, `null` removes a member, anything else
+ * (including arrays) replaces the target value.
+ * @param {*} target - Document to patch (not mutated)
+ * @param {*} patch - Merge patch document
+ * @returns {*} Patched document
+ */
+function applyMergePatch(target, patch) {
+  if (!isObject(patch)) {
+    return clone(patch);
+  }
+
+  const result = isObject(target) ? clone(target) : {};
+  for (const [key, value] of Object.entries(patch)) {
+    if (FORBIDDEN_KEYS.has(key)) {
+      throw new JsonPatchError(`Forbidden member: ${key}`);
+    }
+    if (value === null) {
+      delete result[key];
+    } else {
+      result[key] = applyMergePatch(result[key], value);
+    }
+  }
+  return result;
+}
+
+module.exports = { applyJsonPatch, applyMergePatch, JsonPatchError };
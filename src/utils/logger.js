@@ -2,12 +2,14 @@
  * Structured logger (pino)
  * - JSON logs by default; pretty in development
  * - Use with pino-http in middleware for request logging
+ * - Writes to stderr under the MCP stdio transport (stdout carries JSON-RPC)
  */
 
 const pino = require('pino');
 
 const isDev = process.env.NODE_ENV !== 'production';
 const isTesting = process.env.NODE_ENV === 'test';
+const isStdio = process.env.MCP_TRANSPORT === 'stdio';
 
 const pinoOptions = {
   level:
@@ -22,10 +24,13 @@ if (isDev) {
       colorize: true,
       translateTime: 'SYS:standard',
       singleLine: true,
+      destination: isStdio ? 2 : 1,
     },
   };
 }
 
-const logger = pino(pinoOptions);
+const logger = isStdio
+  ? pino(pinoOptions, pinoOptions.transport ? undefined : pino.destination(2))
+  : pino(pinoOptions);
 
 module.exports = logger;
@@ -0,0 +1,495 @@
+const http = require('http');
+const path = require('path');
+const fs = require('fs');
+const crypto = require('crypto');
+const request = require('supertest');
+const WebSocket = require('ws');
+const Y = require('yjs');
+
+const createServer = require('../../src/factories/server-factory');
+const AuthService = require('../../src/modules/auth/service');
+const logger = require('../../src/utils/logger');
+const { encodeUpdate } = require('../utils/yjs-protocol');
+
+const JWT_SECRET = 'integration-secret';
+
+function signJwt(claims) {
+  const encode = (value) =>
+    Buffer.from(JSON.stringify(value)).toString('base64url');
+  const input = `${encode({ alg: 'HS256', typ: 'JWT' })}.${encode(claims)}`;
+  const signature = crypto
+    .createHmac('sha256', JWT_SECRET)
+    .update(input)
+    .digest('base64url');
+  return `${input}.${signature}`;
+}
+
+describe('Authentication and per-map roles', () => {
+  let app;
+  let server;
+  let dbFile;
+  let authService;
+  let alice;
+  let bob;
+  let yjsRoutes;
+
+  const state = { n: [{ i: 'a', p: [0, 0], c: 'Alpha' }], c: [] };
+
+  beforeEach(async () => {
+    dbFile = path.join(
+      process.cwd(),
+      'test-data',
+      `auth-${crypto.randomUUID()}.sqlite`,
+    );
+    app = createServer({
+      sqliteFile: dbFile,
+      featureAuth: true,
+      authJwtKey: JWT_SECRET,
+    });
+    server = http.createServer(app);
+    yjsRoutes = app.setupWebSocket(server);
+    app.setupFinalHandlers();
+    await new Promise((resolve) => server.listen(0, resolve));
+
+    authService = new AuthService(dbFile);
+    alice = `Bearer ${authService.createApiKey({ userId: 'alice' }).key}`;
+    bob = `Bearer ${signJwt({ sub: 'bob', exp: Math.floor(Date.now() / 1000) + 60 })}`;
+  });
+
+  afterEach(async () => {
+    await new Promise((resolve) => server.close(resolve));
+    authService.repo.db.close();
+    for (const file of [dbFile, dbFile.replace('.sqlite', '-yjs.sqlite')]) {
+      for (const suffix of ['', '-wal', '-shm']) {
+        fs.rmSync(`${file}${suffix}`, { force: true });
+      }
+    }
+  });
+
+  async function createMap(auth, name = 'Private') {
+    const res = await request(server)
+      .post('/maps')
+      .set('Authorization', auth)
+      .send({ name, state })
+      .expect(201);
+    return res.body.id;
+  }
+
+  it('answers 401 problem+json without valid credentials', async () => {
+    const res = await request(server).get('/maps').expect(401);
+    expect(res.headers['content-type']).toContain('application/problem+json');
+    expect(res.headers['www-authenticate']).toBe('Bearer');
+    expect(res.body).toMatchObject({ status: 401, title: 'Unauthorized' });
+
+    await request(server)
+      .get('/maps')
+      .set('Authorization', 'Bearer mmk_unknown')
+      .expect(401);
+  });
+
+  it('makes the creator owner and enforces roles for other users', async () => {
+    const mapId = await createMap(alice);
+
+    // Bob (JWT) has no access yet
+    const denied = await request(server)
+      .get(`/maps/${mapId}`)
+      .set('Authorization', bob)
+      .expect(403);
+    expect(denied.headers['content-type']).toContain(
+      'application/problem+json',
+    );
+    expect(denied.body).toMatchObject({ status: 403, title: 'Forbidden' });
+
+    const listed = await request(server)
+      .get('/maps')
+      .set('Authorization', bob)
+      .expect(200);
+    expect(listed.body).toEqual([]);
+
+    // Viewers can read but not write
+    await request(server)
+      .put(`/maps/${mapId}/members/bob`)
+      .set('Authorization', alice)
+      .send({ role: 'viewer' })
+      .expect(200);
+    const read = await request(server)
+      .get(`/maps/${mapId}`)
+      .set('Authorization', bob)
+      .expect(200);
+    await request(server)
+      .put(`/maps/${mapId}`)
+      .set('Authorization', bob)
+      .send({ data: state, version: read.body.version })
+      .expect(403);
+
+    // Editors can write but not delete or manage members
+    await request(server)
+      .put(`/maps/${mapId}/members/bob`)
+      .set('Authorization', alice)
+      .send({ role: 'editor' })
+      .expect(200);
+    await request(server)
+      .post(`/maps/${mapId}/notes/b`)
+      .set('Authorization', bob)
+      .send({ p: [1, 1], c: 'Beta' })
+      .expect(201);
+    await request(server)
+      .delete(`/maps/${mapId}`)
+      .set('Authorization', bob)
+      .expect(403);
+    await request(server)
+      .put(`/maps/${mapId}/members/carol`)
+      .set('Authorization', bob)
+      .send({ role: 'viewer' })
+      .expect(403);
+
+    const members = await request(server)
+      .get(`/maps/${mapId}/members`)
+      .set('Authorization', bob)
+      .expect(200);
+    expect(
+      members.body.members.map(({ userId, role }) => [userId, role]),
+    ).toEqual([
+      ['alice', 'owner'],
+      ['bob', 'editor'],
+    ]);
+  });
+
+  it('keeps at least one owner on a map', async () => {
+    const mapId = await createMap(alice);
+
+    await request(server)
+      .delete(`/maps/${mapId}/members/alice`)
+      .set('Authorization', alice)
+      .expect(409);
+    await request(server)
+      .put(`/maps/${mapId}/members/alice`)
+      .set('Authorization', alice)
+      .send({ role: 'editor' })
+      .expect(409);
+  });
+
+  it('applies roles to MCP tools and listings', async () => {
+    const mapId = await createMap(alice);
+    const info = jest.spyOn(logger, 'info');
+
+    await request(server)
+      .post('/mcp/tools/call')
+      .send({ jsonrpc: '2.0', id: 1, method: 'tools/call', params: {} })
+      .expect(401);
+
+    const denied = await request(server)
+      .post('/mcp/tools/call')
+      .set('Authorization', bob)
+      .send({
+        jsonrpc: '2.0',
+        id: 2,
+        method: 'tools/call',
+        params: { name: 'maps.delete', arguments: { id: mapId } },
+      })
+      .expect(200);
+    expect(denied.body.error).toMatchObject({
+      code: -32003,
+      message: 'Forbidden',
+    });
+    const audits = info.mock.calls
+      .map(([entry]) => entry)
+      .filter((entry) => entry && entry.audit === 'mcp.tool');
+    expect(audits).toEqual([
+      expect.objectContaining({
+        userId: 'bob',
+        tool: 'maps.delete',
+        outcome: 'denied',
+      }),
+    ]);
+    info.mockRestore();
+
+    const listed = await request(server)
+      .post('/mcp/tools/call')
+      .set('Authorization', bob)
+      .send({
+        jsonrpc: '2.0',
+        id: 3,
+        method: 'tools/call',
+        params: { name: 'maps.list', arguments: {} },
+      })
+      .expect(200);
+    expect(JSON.parse(listed.body.result.content[0].text).total).toBe(0);
+  });
+
+  it('grants share links their role on one map until revoked', async () => {
+    const mapId = await createMap(alice);
+    const otherId = await createMap(alice, 'Other');
+
+    await request(server)
+      .post(`/maps/${mapId}/shares`)
+      .set('Authorization', bob)
+      .send({ role: 'view' })
+      .expect(403);
+    for (const role of ['admin', 'owner']) {
+      await request(server)
+        .post(`/maps/${mapId}/shares`)
+        .set('Authorization', alice)
+        .send({ role })
+        .expect(400);
+    }
+    const viewRes = await request(server)
+      .post(`/maps/${mapId}/shares`)
+      .set('Authorization', alice)
+      .send({ role: 'view', expiresIn: 3600 })
+      .expect(201);
+    expect(viewRes.body).toMatchObject({
+      mapId,
+      role: 'view',
+      createdBy: 'alice',
+      revokedAt: null,
+    });
+    expect(viewRes.body.token).toMatch(/^mms_/);
+    const viewer = `Bearer ${viewRes.body.token}`;
+    const editRes = await request(server)
+      .post(`/maps/${mapId}/shares`)
+      .set('Authorization', alice)
+      .send({ role: 'edit' })
+      .expect(201);
+    const editor = `Bearer ${editRes.body.token}`;
+
+    // View links read their map only, and list nothing else
+    await request(server)
+      .get(`/maps/${mapId}`)
+      .set('Authorization', viewer)
+      .expect(200);
+    await request(server)
+      .get(`/maps/${otherId}`)
+      .set('Authorization', viewer)
+      .expect(403);
+    await request(server)
+      .patch(`/maps/${mapId}/meta`)
+      .set('Authorization', viewer)
+      .send({ name: 'Renamed' })
+      .expect(403);
+    const listed = await request(server)
+      .get('/maps')
+      .set('Authorization', viewer)
+      .expect(200);
+    expect(listed.body.map((map) => map.id)).toEqual([mapId]);
+    const resource = await request(server)
+      .post('/mcp/resources/read')
+      .set('Authorization', viewer)
+      .send({
+        jsonrpc: '2.0',
+        id: 1,
+        method: 'resources/read',
+        params: { uri: `mindmeld://maps/${mapId}` },
+      })
+      .expect(200);
+    expect(JSON.parse(resource.body.result.contents[0].text).id).toBe(mapId);
+
+    // Links never create (and thereby own) maps
+    await request(server)
+      .post('/maps')
+      .set('Authorization', viewer)
+      .send({ name: 'Mine now', state })
+      .expect(403);
+    const created = await request(server)
+      .post('/mcp/tools/call')
+      .set('Authorization', viewer)
+      .send({
+        jsonrpc: '2.0',
+        id: 2,
+        method: 'tools/call',
+        params: {
+          name: 'maps.create',
+          arguments: { name: 'Mine now', data: state },
+        },
+      })
+      .expect(200);
+    expect(created.body.error).toMatchObject({ code: -32003 });
+
+    // Edit links write, but cannot manage the map
+    await request(server)
+      .patch(`/maps/${mapId}/meta`)
+      .set('Authorization', editor)
+      .send({ name: 'Renamed' })
+      .expect(200);
+    await request(server)
+      .get(`/maps/${mapId}/shares`)
+      .set('Authorization', editor)
+      .expect(403);
+
+    await request(server)
+      .delete(`/maps/${mapId}/shares/${viewRes.body.id}`)
+      .set('Authorization', alice)
+      .expect(200);
+    await request(server)
+      .get(`/maps/${mapId}`)
+      .set('Authorization', viewer)
+      .expect(401);
+    const shares = await request(server)
+      .get(`/maps/${mapId}/shares`)
+      .set('Authorization', alice)
+      .expect(200);
+    expect(shares.body.shares).toHaveLength(2);
+    expect(shares.body.shares[0].token).toBeUndefined();
+    expect(shares.body.shares[0].revokedAt).not.toBeNull();
+
+    const all = await request(server)
+      .delete(`/maps/${mapId}/shares`)
+      .set('Authorization', alice)
+      .expect(200);
+    expect(all.body.revoked).toBe(1);
+    await request(server)
+      .get(`/maps/${mapId}`)
+      .set('Authorization', editor)
+      .expect(401);
+  });
+
+  it('lets comment links read and comment on their map but not edit it', async () => {
+    const mapId = await createMap(alice);
+    const commentRes = await request(server)
+      .post(`/maps/${mapId}/shares`)
+      .set('Authorization', alice)
+      .send({ role: 'comment' })
+      .expect(201);
+    expect(commentRes.body.role).toBe('comment');
+    const commenter = `Bearer ${commentRes.body.token}`;
+    const viewRes = await request(server)
+      .post(`/maps/${mapId}/shares`)
+      .set('Authorization', alice)
+      .send({ role: 'view' })
+      .expect(201);
+    const viewer = `Bearer ${viewRes.body.token}`;
+
+    await request(server)
+      .get(`/maps/${mapId}`)
+      .set('Authorization', commenter)
+      .expect(200);
+    await request(server)
+      .patch(`/maps/${mapId}/meta`)
+      .set('Authorization', commenter)
+      .send({ name: 'Renamed' })
+      .expect(403);
+
+    const comment = await request(server)
+      .post(`/maps/${mapId}/comments`)
+      .set('Authorization', commenter)
+      .send({ body: 'Looks good', noteId: 'a' })
+      .expect(201);
+    expect(comment.body).toMatchObject({
+      mapId,
+      noteId: 'a',
+      author: `share:${commentRes.body.id}`,
+      body: 'Looks good',
+    });
+    await request(server)
+      .post(`/maps/${mapId}/comments`)
+      .set('Authorization', commenter)
+      .send({ body: 'Where?', noteId: 'missing' })
+      .expect(404);
+    await request(server)
+      .post(`/maps/${mapId}/comments`)
+      .set('Authorization', commenter)
+      .send({ body: ' ' })
+      .expect(400);
+
+    // Viewers read comments but cannot add them; editors and owners can
+    await request(server)
+      .post(`/maps/${mapId}/comments`)
+      .set('Authorization', viewer)
+      .send({ body: 'Me too' })
+      .expect(403);
+    await request(server)
+      .post(`/maps/${mapId}/comments`)
+      .set('Authorization', alice)
+      .send({ body: 'Thanks' })
+      .expect(201);
+    const listed = await request(server)
+      .get(`/maps/${mapId}/comments`)
+      .set('Authorization', viewer)
+      .expect(200);
+    expect(listed.body.comments.map((entry) => entry.author)).toEqual([
+      `share:${commentRes.body.id}`,
+      'alice',
+    ]);
+
+    // Comment links follow the document read-only
+    const { port } = server.address();
+    const ws = new WebSocket(
+      `ws://localhost:${port}/yjs/${mapId}?access_token=${commentRes.body.token}`,
+    );
+    await new Promise((resolve) => ws.on('open', resolve));
+    expect(yjsRoutes.getStats().readOnly).toBe(1);
+    const closed = new Promise((resolve) => ws.on('close', resolve));
+    ws.close();
+    await closed;
+  });
+
+  it('accepts share links on WebSocket upgrades and disconnects them on revocation', async () => {
+    const mapId = await createMap(alice);
+    const { port } = server.address();
+    const share = await request(server)
+      .post(`/maps/${mapId}/shares`)
+      .set('Authorization', alice)
+      .send({ role: 'view' })
+      .expect(201);
+
+    const ws = new WebSocket(
+      `ws://localhost:${port}/yjs/${mapId}?access_token=${share.body.token}`,
+    );
+    await new Promise((resolve) => ws.on('open', resolve));
+    expect(yjsRoutes.getStats().readOnly).toBe(1);
+
+    const closed = new Promise((resolve) =>
+      ws.on('close', (code) => resolve(code)),
+    );
+    await request(server)
+      .delete(`/maps/${mapId}/shares/${share.body.id}`)
+      .set('Authorization', alice)
+      .expect(200);
+    expect(await closed).toBe(1008);
+  });
+
+  it('authenticates WebSocket upgrades and requires the viewer role', async () => {
+    const mapId = await createMap(alice);
+    const { port } = server.address();
+    const url = `ws://localhost:${port}/yjs/${mapId}`;
+
+    const upgradeStatus = (options, target = url) =>
+      new Promise((resolve) => {
+        const ws = new WebSocket(target, options);
+        ws.on('unexpected-response', (req, res) => resolve(res.statusCode));
+        ws.on('open', () => {
+          ws.close();
+          resolve(101);
+        });
+      });
+
+    expect(await upgradeStatus()).toBe(401);
+    expect(await upgradeStatus({ headers: { Authorization: bob } })).toBe(403);
+    const token = alice.replace('Bearer ', '');
+    expect(await upgradeStatus({}, `${url}?access_token=${token}`)).toBe(101);
+
+    // Viewers receive the document but their updates are dropped
+    await request(server)
+      .put(`/maps/${mapId}/members/bob`)
+      .set('Authorization', alice)
+      .send({ role: 'viewer' })
+      .expect(200);
+    const ws = new WebSocket(url, { headers: { Authorization: bob } });
+    await new Promise((resolve) => ws.on('open', resolve));
+    const clientDoc = new Y.Doc();
+    const intruder = new Y.Map();
+    clientDoc.getMap('notes').set('intruder', intruder);
+    intruder.set('id', 'intruder');
+    intruder.set('pos', [0, 0]);
+    intruder.set('content', new Y.Text('Injected'));
+    ws.send(encodeUpdate(Y.encodeStateAsUpdate(clientDoc)));
+    await new Promise((resolve) => setTimeout(resolve, 100));
+    ws.close();
+
+    const map = await request(server)
+      .get(`/maps/${mapId}`)
+      .set('Authorization', alice)
+      .expect(200);
+    expect(map.body.data.n.map((note) => note.i)).toEqual(['a']);
+  });
+});
@@ -139,6 +139,640 @@ describe('Maps API (to-be) integration', () => {
     expect(item).toHaveProperty('sizeBytes', expect.any(Number));
   });
 
+  describe('GET /maps pagination, sorting and filtering', () => {
+    const createMaps = async (specs) => {
+      const ids = [];
+      for (const { name, notes = 0 } of specs) {
+        const n = Array.from({ length: notes }, (_, i) => ({
+          i: `n${i}`,
+          p: [i, i],
+          c: `Note ${i}`,
+        }));
+        const res = await request(app)
+          .post('/maps')
+          .send({ name, state: { n, c: [] } })
+          .expect(201);
+        ids.push(res.body.id);
+      }
+      return ids;
+    };
+
+    it('should honour limit/offset and report the total count', async () => {
+      await createMaps([{ name: 'A' }, { name: 'B' }, { name: 'C' }]);
+
+      const res = await request(app).get('/maps?limit=2').expect(200);
+      expect(res.body).toHaveLength(2);
+      expect(res.headers['x-total-count']).toBe('3');
+      expect(res.headers['x-next-cursor']).toEqual(expect.any(String));
+      expect(res.headers.link).toMatch(/^<\/maps\?.*cursor=.*>; rel="next"$/);
+
+      const rest = await request(app).get('/maps?limit=2&offset=2').expect(200);
+      expect(rest.body).toHaveLength(1);
+      expect(rest.headers).not.toHaveProperty('link');
+    });
+
+    it('should walk every map exactly once by following cursors', async () => {
+      const ids = await createMaps([
+        { name: 'delta' },
+        { name: 'Alpha' },
+        { name: 'charlie' },
+        { name: 'Bravo' },
+        { name: 'echo' },
+      ]);
+
+      const seen = [];
+      let url = '/maps?sort=name&limit=2';
+      while (url) {
+        const res = await request(app).get(url).expect(200);
+        seen.push(...res.body.map((m) => m.name));
+        const link = res.headers.link;
+        url = link ? link.match(/^<([^>]+)>/)[1] : null;
+      }
+
+      expect(seen).toEqual(['Alpha', 'Bravo', 'charlie', 'delta', 'echo']);
+      expect(seen).toHaveLength(ids.length);
+    });
+
+    it('should sort by size and filter by minSize and updatedSince', async () => {
+      await createMaps([
+        { name: 'small', notes: 0 },
+        { name: 'large', notes: 5 },
+        { name: 'medium', notes: 2 },
+      ]);
+
+      const bySize = await request(app).get('/maps?sort=size').expect(200);
+      expect(bySize.body.map((m) => m.name)).toEqual([
+        'large',
+        'medium',
+        'small',
+      ]);
+
+      const minSize = bySize.body[1].sizeBytes;
+      const filtered = await request(app)
+        .get(`/maps?sort=size&order=asc&minSize=${minSize}`)
+        .expect(200);
+      expect(filtered.body.map((m) => m.name)).toEqual(['medium', 'large']);
+      expect(filtered.headers['x-total-count']).toBe('2');
+
+      const future = new Date(Date.now() + 60 * 1000).toISOString();
+      const none = await request(app)
+        .get(`/maps?updatedSince=${encodeURIComponent(future)}`)
+        .expect(200);
+      expect(none.body).toEqual([]);
+      expect(none.headers['x-total-count']).toBe('0');
+    });
+
+    it('should reject invalid paging parameters', async () => {
+      await request(app).get('/maps?sort=colour').expect(400);
+      await request(app).get('/maps?limit=0').expect(400);
+      await request(app).get('/maps?updatedSince=yesterday').expect(400);
+      await request(app).get('/maps?cursor=not-a-cursor').expect(400);
+    });
+
+    it('should expose the same paging through the MCP maps.list tool', async () => {
+      await createMaps([{ name: 'One' }, { name: 'Two' }, { name: 'Three' }]);
+
+      const callList = async (args) => {
+        const res = await request(app)
+          .post('/mcp/sse')
+          .send({
+            jsonrpc: '2.0',
+            id: 1,
+            method: 'tools/call',
+            params: { name: 'maps.list', arguments: args },
+          })
+          .expect(200);
+        return JSON.parse(res.body.result.content[0].text);
+      };
+
+      const first = await callList({ limit: 2, sort: 'name' });
+      expect(first.total).toBe(3);
+      expect(first.maps.map((m) => m.name)).toEqual(['One', 'Three']);
+      expect(first.hasMore).toBe(true);
+
+      const second = await callList({ limit: 2, cursor: first.nextCursor });
+      expect(second.maps.map((m) => m.name)).toEqual(['Two']);
+      expect(second.hasMore).toBe(false);
+      expect(second.nextCursor).toBeNull();
+    });
+  });
+
+  describe('PATCH /maps/:id/meta', () => {
+    it('should rename a map and bump its version without changing data', async () => {
+      const state = { n: [{ i: 'n1', p: [0, 0], c: 'Keep me' }], c: [] };
+      const createRes = await request(app)
+        .post('/maps')
+        .send({ name: 'Old Name', state })
+        .expect(201);
+      const id = createRes.body.id;
+
+      const patchRes = await request(app)
+        .patch(`/maps/${id}/meta`)
+        .send({ name: 'New Name' })
+        .expect(200);
+
+      expect(patchRes.body.id).toBe(id);
+      expect(patchRes.body.name).toBe('New Name');
+      expect(patchRes.body.version).toBe(2);
+      expect(patchRes.body.data).toEqual(state);
+      expect(patchRes.body).not.toHaveProperty('stateJson');
+      expect(patchRes.headers).toHaveProperty('etag', expect.any(String));
+
+      const getRes = await request(app).get(`/maps/${id}`).expect(200);
+      expect(getRes.body.name).toBe('New Name');
+      expect(getRes.body.version).toBe(2);
+
+      const listRes = await request(app).get('/maps').expect(200);
+      expect(listRes.body.find((m) => m.id === id).name).toBe('New Name');
+    });
+
+    it('should honour If-Match and version for concurrency', async () => {
+      const createRes = await request(app)
+        .post('/maps')
+        .send({ name: 'Concurrent', state: { n: [], c: [] } })
+        .expect(201);
+      const id = createRes.body.id;
+      const etag = createRes.headers.etag;
+
+      await request(app)
+        .patch(`/maps/${id}/meta`)
+        .set('If-Match', '"stale-etag"')
+        .send({ name: 'Rejected' })
+        .expect(409);
+
+      await request(app)
+        .patch(`/maps/${id}/meta`)
+        .set('If-Match', etag)
+        .send({ name: 'Accepted', version: 1 })
+        .expect(200);
+
+      // Version is now 2, so a stale version must conflict
+      await request(app)
+        .patch(`/maps/${id}/meta`)
+        .send({ name: 'Stale', version: 1 })
+        .expect(409);
+    });
+
+    it('should reject invalid names and unknown maps', async () => {
+      const createRes = await request(app)
+        .post('/maps')
+        .send({ name: 'Valid', state: { n: [], c: [] } })
+        .expect(201);
+
+      await request(app)
+        .patch(`/maps/${createRes.body.id}/meta`)
+        .send({ name: '' })
+        .expect(400);
+
+      await request(app)
+        .patch('/maps/non-existent-uuid/meta')
+        .send({ name: 'Nope' })
+        .expect(404);
+    });
+  });
+
+  describe('GET /maps/search', () => {
+    it('should return ranked maps with highlighted note snippets', async () => {
+      const createRes = await request(app)
+        .post('/maps')
+        .send({
+          name: 'Roadmap',
+          state: {
+            n: [
+              { i: 'n1', p: [0, 0], c: 'Ship the search feature' },
+              { i: 'n2', p: [10, 10], c: 'Write docs' },
+            ],
+            c: [],
+          },
+        })
+        .expect(201);
+      await request(app)
+        .post('/maps')
+        .send({ name: 'Other', state: { n: [], c: [] } })
+        .expect(201);
+
+      const res = await request(app)
+        .get('/maps/search')
+        .query({ q: 'sear' })
+        .expect(200);
+
+      expect(res.body.total).toBe(1);
+      expect(res.body.items).toHaveLength(1);
+      expect(res.body.items[0]).toMatchObject({
+        id: createRes.body.id,
+        name: 'Roadmap',
+        matches: [
+          { noteId: 'n1', snippet: 'Ship the <mark>search</mark> feature' },
+        ],
+      });
+    });
+
+    it('should reflect renames and reject empty queries', async () => {
+      const createRes = await request(app)
+        .post('/maps')
+        .send({ name: 'Draft', state: { n: [], c: [] } })
+        .expect(201);
+      await request(app)
+        .patch(`/maps/${createRes.body.id}/meta`)
+        .send({ name: 'Quarterly review' })
+        .expect(200);
+
+      const res = await request(app)
+        .get('/maps/search?q=quarterly')
+        .expect(200);
+      expect(res.body.items[0].nameHighlight).toBe(
+        '<mark>Quarterly</mark> review',
+      );
+
+      await request(app).get('/maps/search').expect(400);
+      await request(app).get('/maps/search?q=%22*').expect(400);
+    });
+  });
+
+  describe('version history', () => {
+    const note = (c) => ({ n: [{ i: 'n1', p: [0, 0], c }], c: [] });
+
+    const createWithHistory = async () => {
+      const created = await request(app)
+        .post('/maps')
+        .send({ name: 'History', state: note('first') })
+        .expect(201);
+      const id = created.body.id;
+      await request(app)
+        .put(`/maps/${id}`)
+        .send({ data: note('second'), version: 1 })
+        .expect(200);
+      return id;
+    };
+
+    it('should list revisions and return a revision with its data', async () => {
+      const id = await createWithHistory();
+
+      const listRes = await request(app)
+        .get(`/maps/${id}/versions`)
+        .expect(200);
+      expect(listRes.body.mapId).toBe(id);
+      expect(listRes.body.versions).toEqual([
+        expect.objectContaining({
+          revision: 2,
+          source: 'update',
+          mapVersion: 2,
+        }),
+        expect.objectContaining({
+          revision: 1,
+          source: 'create',
+          mapVersion: 1,
+        }),
+      ]);
+      expect(listRes.body.versions[0]).not.toHaveProperty('data');
+
+      const revRes = await request(app)
+        .get(`/maps/${id}/versions/1`)
+        .expect(200);
+      expect(revRes.body).toMatchObject({
+        mapId: id,
+        revision: 1,
+        name: 'History',
+        data: note('first'),
+      });
+    });
+
+    it('should restore a revision as a new revision', async () => {
+      const id = await createWithHistory();
+
+      const restoreRes = await request(app)
+        .post(`/maps/${id}/versions/1/restore`)
+        .send({ version: 2 })
+        .expect(200);
+      expect(restoreRes.body.version).toBe(3);
+      expect(restoreRes.body.data).toEqual(note('first'));
+      expect(restoreRes.headers.etag).toBeDefined();
+
+      const getRes = await request(app).get(`/maps/${id}`).expect(200);
+      expect(getRes.body.data).toEqual(note('first'));
+
+      const listRes = await request(app)
+        .get(`/maps/${id}/versions`)
+        .expect(200);
+      expect(listRes.body.versions[0]).toMatchObject({
+        revision: 3,
+        source: 'restore',
+        mapVersion: 3,
+      });
+    });
+
+    it('should guard restores with If-Match and version', async () => {
+      const id = await createWithHistory();
+
+      await request(app)
+        .post(`/maps/${id}/versions/1/restore`)
+        .set('If-Match', '"stale"')
+        .expect(409);
+      await request(app)
+        .post(`/maps/${id}/versions/1/restore`)
+        .send({ version: 1 })
+        .expect(409);
+
+      const current = await request(app).get(`/maps/${id}`).expect(200);
+      await request(app)
+        .post(`/maps/${id}/versions/1/restore`)
+        .set('If-Match', current.headers.etag)
+        .expect(200);
+    });
+
+    it('should diff two revisions and a revision against the current state', async () => {
+      const id = await createWithHistory();
+      await request(app)
+        .patch(`/maps/${id}/meta`)
+        .send({ name: 'Renamed' })
+        .expect(200);
+
+      const diffRes = await request(app)
+        .get(`/maps/${id}/diff?from=1&to=2`)
+        .expect(200);
+      expect(diffRes.body).toMatchObject({
+        mapId: id,
+        from: { revision: 1, mapVersion: 1 },
+        to: { revision: 2, mapVersion: 2 },
+        renamed: null,
+        summary: { notesEdited: 1, notesAdded: 0, notesRemoved: 0 },
+      });
+      expect(diffRes.body.notes.edited[0]).toMatchObject({
+        id: 'n1',
+        before: 'first',
+        after: 'second',
+      });
+
+      const currentRes = await request(app)
+        .get(`/maps/${id}/diff?from=1`)
+        .expect(200);
+      expect(currentRes.body.to).toMatchObject({
+        revision: 'current',
+        mapVersion: 3,
+        name: 'Renamed',
+      });
+      expect(currentRes.body.renamed).toEqual({
+        from: 'History',
+        to: 'Renamed',
+      });
+
+      await request(app).get(`/maps/${id}/diff`).expect(400);
+      await request(app).get(`/maps/${id}/diff?from=1&to=9`).expect(404);
+    });
+
+    it('should reject unknown maps, unknown and malformed revisions', async () => {
+      const id = await createWithHistory();
+
+      await request(app).get('/maps/does-not-exist/versions').expect(404);
+      await request(app).get(`/maps/${id}/versions/42`).expect(404);
+      await request(app).get(`/maps/${id}/versions/abc`).expect(400);
+      await request(app).post(`/maps/${id}/versions/42/restore`).expect(404);
+    });
+  });
+
+  describe('PATCH /maps/:id (JSON Patch and merge patch)', () => {
+    const createMap = async () => {
+      const res = await request(app)
+        .post('/maps')
+        .send({
+          name: 'Patchable',
+          state: {
+            n: [
+              { i: 'a', p: [0, 0], c: 'Alpha' },
+              { i: 'b', p: [10, 10], c: 'Beta' },
+            ],
+            c: [{ f: 'a', t: 'b' }],
+          },
+        })
+        .expect(201);
+      return res.body;
+    };
+
+    it('should apply a JSON Patch guarded by If-Match', async () => {
+      const { id } = await createMap();
+      const current = await request(app).get(`/maps/${id}`).expect(200);
+
+      const patchRes = await request(app)
+        .patch(`/maps/${id}`)
+        .set('Content-Type', 'application/json-patch+json')
+        .set('If-Match', current.headers.etag)
+        .send([
+          { op: 'test', path: '/n/0/i', value: 'a' },
+          { op: 'replace', path: '/n/0/c', value: 'Alpha patched' },
+          { op: 'add', path: '/n/-', value: { i: 'c', p: [5, 5], c: 'New' } },
+          { op: 'remove', path: '/c/0' },
+        ])
+        .expect(200);
+
+      expect(patchRes.headers.etag).toBeDefined();
+      expect(patchRes.headers.etag).not.toBe(current.headers.etag);
+      const notes = patchRes.body.data.n;
+      expect(notes.find((n) => n.i === 'a').c).toBe('Alpha patched');
+      expect(notes.find((n) => n.i === 'c').c).toBe('New');
+      expect(patchRes.body.data.c).toEqual([]);
+
+      const getRes = await request(app).get(`/maps/${id}`).expect(200);
+      expect(getRes.headers.etag).toBe(patchRes.headers.etag);
+      expect(getRes.body.data.n).toHaveLength(3);
+    });
+
+    it('should apply a merge patch and sync a renamed map', async () => {
+      const { id } = await createMap();
+      const current = await request(app).get(`/maps/${id}`).expect(200);
+
+      const patchRes = await request(app)
+        .patch(`/maps/${id}`)
+        .set('Content-Type', 'application/merge-patch+json')
+        .set('If-Match', current.headers.etag)
+        .send({ c: [], meta: { mapName: 'Merged' } })
+        .expect(200);
+
+      expect(patchRes.body.name).toBe('Merged');
+      expect(patchRes.body.data.c).toEqual([]);
+      expect(patchRes.body.data.n).toHaveLength(2);
+    });
+
+    it('should require If-Match and a patch media type', async () => {
+      const { id } = await createMap();
+      const current = await request(app).get(`/maps/${id}`).expect(200);
+
+      const unsupported = await request(app)
+        .patch(`/maps/${id}`)
+        .set('If-Match', current.headers.etag)
+        .send({ c: [] })
+        .expect(415);
+      expect(unsupported.headers['accept-patch']).toContain(
+        'application/json-patch+json',
+      );
+
+      await request(app)
+        .patch(`/maps/${id}`)
+        .set('Content-Type', 'application/merge-patch+json')
+        .send({ c: [] })
+        .expect(428);
+
+      await request(app)
+        .patch(`/maps/${id}`)
+        .set('Content-Type', 'application/merge-patch+json')
+        .set('If-Match', '"stale"')
+        .send({ c: [] })
+        .expect(409);
+    });
+
+    it('should reject patches that fail or produce an invalid map', async () => {
+      const { id } = await createMap();
+      const { headers } = await request(app).get(`/maps/${id}`).expect(200);
+      const patch = (type, body) =>
+        request(app)
+          .patch(`/maps/${id}`)
+          .set('Content-Type', type)
+          .set('If-Match', headers.etag)
+          .send(body);
+
+      await patch('application/json-patch+json', [
+        { op: 'test', path: '/n/0/c', value: 'not alpha' },
+      ]).expect(409);
+      await patch('application/json-patch+json', [
+        { op: 'remove', path: '/n/9' },
+      ]).expect(400);
+      await patch('application/json-patch+json', [
+        { op: 'move', from: '/n/0' },
+      ]).expect(400);
+      await patch('application/merge-patch+json', { n: [{ i: 'x' }] }).expect(
+        400,
+      );
+      await patch('application/merge-patch+json', { extra: true }).expect(400);
+      await patch('application/json-patch+json', [
+        { op: 'add', path: '/n/-', value: { i: 'a', p: [0, 0], c: 'dup' } },
+      ]).expect(400);
+      // Connections follow the rules of the granular connection endpoint
+      await patch('application/json-patch+json', [
+        { op: 'add', path: '/c/-', value: { f: 'a', t: 'missing' } },
+      ]).expect(400);
+      await patch('application/json-patch+json', [
+        { op: 'remove', path: '/n/1' },
+      ]).expect(400);
+      await patch('application/json-patch+json', [
+        { op: 'add', path: '/c/-', value: { f: 'a', t: 'b' } },
+      ]).expect(400);
+
+      // Nothing was applied
+      const after = await request(app).get(`/maps/${id}`).expect(200);
+      expect(after.headers.etag).toBe(headers.etag);
+    });
+  });
+
+  describe('granular note and connection edits', () => {
+    const createMap = async () => {
+      const res = await request(app)
+        .post('/maps')
+        .send({
+          name: 'Granular',
+          state: {
+            n: [
+              { i: 'a', p: [0, 0], c: 'Alpha' },
+              { i: 'b', p: [10, 10], c: 'Beta' },
+            ],
+            c: [{ f: 'a', t: 'b' }],
+          },
+        })
+        .expect(201);
+      return res.body.id;
+    };
+
+    it('should add, update and delete notes without replacing the map', async () => {
+      const id = await createMap();
+
+      const addRes = await request(app)
+        .post(`/maps/${id}/notes/c`)
+        .send({ p: [20, 20], c: 'Gamma', color: 'yellow' })
+        .expect(201);
+      expect(addRes.body).toEqual({
+        i: 'c',
+        p: [20, 20],
+        c: 'Gamma',
+        color: 'yellow',
+      });
+      expect(addRes.headers.etag).toBeDefined();
+
+      const patchRes = await request(app)
+        .patch(`/maps/${id}/notes/a`)
+        .send({ c: 'Alpha prime', p: [5, 5] })
+        .expect(200);
+      expect(patchRes.body).toEqual({ i: 'a', p: [5, 5], c: 'Alpha prime' });
+
+      const getRes = await request(app).get(`/maps/${id}`).expect(200);
+      expect(getRes.headers.etag).toBe(patchRes.headers.etag);
+      expect(getRes.body.data.n).toHaveLength(3);
+      expect(getRes.body.data.n.find((n) => n.i === 'b').c).toBe('Beta');
+
+      const deleteRes = await request(app)
+        .delete(`/maps/${id}/notes/a`)
+        .expect(200);
+      expect(deleteRes.body.removedConnections).toBe(1);
+
+      const afterDelete = await request(app).get(`/maps/${id}`).expect(200);
+      expect(afterDelete.body.data.n.map((n) => n.i).sort()).toEqual([
+        'b',
+        'c',
+      ]);
+      expect(afterDelete.body.data.c).toEqual([]);
+    });
+
+    it('should add and remove connections', async () => {
+      const id = await createMap();
+
+      const addRes = await request(app)
+        .post(`/maps/${id}/connections`)
+        .send({ f: 'b', t: 'a', type: 'line' })
+        .expect(201);
+      expect(addRes.body).toEqual({ f: 'b', t: 'a', type: 'line' });
+
+      await request(app)
+        .post(`/maps/${id}/connections`)
+        .send({ f: 'b', t: 'a', type: 'line' })
+        .expect(409);
+
+      await request(app).delete(`/maps/${id}/connections?f=a&t=b`).expect(200);
+
+      const getRes = await request(app).get(`/maps/${id}`).expect(200);
+      expect(getRes.body.data.c).toEqual([{ f: 'b', t: 'a', type: 'line' }]);
+    });
+
+    it('should reject invalid, conflicting and stale edits', async () => {
+      const id = await createMap();
+
+      await request(app)
+        .post(`/maps/${id}/notes/a`)
+        .send({ p: [0, 0], c: 'dup' })
+        .expect(409);
+      await request(app)
+        .post(`/maps/${id}/notes/z`)
+        .send({ c: 'no position' })
+        .expect(400);
+      await request(app).patch(`/maps/${id}/notes/a`).send({}).expect(400);
+      await request(app)
+        .patch(`/maps/${id}/notes/missing`)
+        .send({ c: 'x' })
+        .expect(404);
+      await request(app).delete(`/maps/${id}/notes/missing`).expect(404);
+      await request(app)
+        .post(`/maps/${id}/connections`)
+        .send({ f: 'a', t: 'missing' })
+        .expect(400);
+      await request(app).delete(`/maps/${id}/connections?f=b&t=a`).expect(404);
+      await request(app)
+        .patch(`/maps/${id}/notes/a`)
+        .set('If-Match', '"stale"')
+        .send({ c: 'x' })
+        .expect(409);
+      await request(app)
+        .post('/maps/does-not-exist/notes/a')
+        .send({ p: [0, 0], c: 'x' })
+        .expect(404);
+    });
+  });
+
   describe('DELETE /maps/:id', () => {
     it('should delete an existing map and return 200', async () => {
       // Create a map first
@@ -0,0 +1,195 @@
+const http = require('http');
+const path = require('path');
+const fs = require('fs');
+const crypto = require('crypto');
+const request = require('supertest');
+const WebSocket = require('ws');
+
+const createServer = require('../../src/factories/server-factory');
+const { syncDoc } = require('../utils/yjs-protocol');
+
+describe('MCP map editing tools', () => {
+  let server;
+  let dbFile;
+  let mapId;
+
+  const callTool = async (name, args) => {
+    const res = await request(server)
+      .post('/mcp/sse')
+      .send({
+        jsonrpc: '2.0',
+        id: 1,
+        method: 'tools/call',
+        params: { name, arguments: args },
+      })
+      .expect(200);
+    return res.body.error
+      ? { error: res.body.error }
+      : JSON.parse(res.body.result.content[0].text);
+  };
+
+  beforeEach(async () => {
+    dbFile = path.join(
+      process.cwd(),
+      'test-data',
+      `mcp-edit-${crypto.randomUUID()}.sqlite`,
+    );
+    const app = createServer({ sqliteFile: dbFile });
+    server = http.createServer(app);
+    app.setupWebSocket(server);
+    await new Promise((resolve) => server.listen(0, resolve));
+
+    const created = await request(server)
+      .post('/maps')
+      .send({
+        name: 'Agent Map',
+        state: { n: [{ i: 'a', p: [0, 0], c: 'Alpha' }], c: [] },
+      })
+      .expect(201);
+    mapId = created.body.id;
+  });
+
+  afterEach(async () => {
+    await new Promise((resolve) => server.close(resolve));
+    for (const file of [dbFile, dbFile.replace('.sqlite', '-yjs.sqlite')]) {
+      for (const suffix of ['', '-wal', '-shm']) {
+        fs.rmSync(`${file}${suffix}`, { force: true });
+      }
+    }
+  });
+
+  it('lists the editing tools', async () => {
+    const res = await request(server)
+      .post('/mcp/sse')
+      .send({ jsonrpc: '2.0', id: 1, method: 'tools/list' })
+      .expect(200);
+    expect(res.body.result.tools.map((tool) => tool.name)).toEqual(
+      expect.arrayContaining([
+        'maps.update',
+        'maps.delete',
+        'maps.rename',
+        'notes.add',
+        'notes.update',
+        'notes.move',
+        'notes.delete',
+        'connections.add',
+        'connections.remove',
+      ]),
+    );
+  });
+
+  it('edits notes and connections as Y.js transactions', async () => {
+    const ws = new WebSocket(
+      `ws://localhost:${server.address().port}/yjs/${mapId}`,
+    );
+    const clientDoc = syncDoc(ws);
+    await new Promise((resolve) => ws.on('open', resolve));
+
+    const added = await callTool('notes.add', {
+      id: mapId,
+      noteId: 'b',
+      p: [10, 10],
+      c: 'Beta',
+    });
+    expect(added.note).toMatchObject({ i: 'b', p: [10, 10], c: 'Beta' });
+
+    const generated = await callTool('notes.add', {
+      id: mapId,
+      p: [20, 20],
+      c: 'Gamma',
+    });
+    expect(generated.note.i).toMatch(/^[0-9a-f-]{36}$/);
+
+    await callTool('notes.update', { id: mapId, noteId: 'a', c: 'Alpha 2' });
+    const moved = await callTool('notes.move', {
+      id: mapId,
+      noteId: 'a',
+      p: [5, 5],
+    });
+    expect(moved.note).toMatchObject({ i: 'a', p: [5, 5], c: 'Alpha 2' });
+
+    const connected = await callTool('connections.add', {
+      id: mapId,
+      f: 'a',
+      t: 'b',
+    });
+    expect(connected.connection).toEqual({ f: 'a', t: 'b', type: 'arrow' });
+
+    const renamed = await callTool('maps.rename', {
+      id: mapId,
+      name: 'Renamed by agent',
+    });
+    expect(renamed.map.name).toBe('Renamed by agent');
+
+    await new Promise((resolve) => setTimeout(resolve, 100));
+    const clientNotes = clientDoc.getMap('notes');
+    expect(clientNotes.get('a').get('content').toString()).toBe('Alpha 2');
+    expect(clientNotes.get('b').get('content').toString()).toBe('Beta');
+    expect(clientDoc.getMap('connections').size).toBe(1);
+    ws.close();
+
+    const removed = await callTool('notes.delete', { id: mapId, noteId: 'b' });
+    expect(removed.removedConnections).toBe(1);
+
+    const map = await request(server).get(`/maps/${mapId}`).expect(200);
+    expect(map.body.name).toBe('Renamed by agent');
+    expect(map.body.data.n.map((note) => note.i).sort()).toEqual(
+      ['a', generated.note.i].sort(),
+    );
+    expect(map.body.data.c).toEqual([]);
+  });
+
+  it('replaces map data with maps.update and deletes with maps.delete', async () => {
+    const current = await request(server).get(`/maps/${mapId}`).expect(200);
+    const updated = await callTool('maps.update', {
+      id: mapId,
+      version: current.body.version,
+      data: { n: [{ i: 'z', p: [1, 1], c: 'Zed' }], c: [] },
+    });
+    expect(updated.map.version).toBe(current.body.version + 1);
+
+    const stale = await callTool('maps.update', {
+      id: mapId,
+      version: current.body.version,
+      data: { n: [], c: [] },
+    });
+    expect(stale.error).toMatchObject({ code: -32602, message: 'Conflict' });
+
+    await callTool('maps.delete', { id: mapId });
+    await request(server).get(`/maps/${mapId}`).expect(404);
+  });
+
+  it('reports validation and lookup failures as invalid params', async () => {
+    const invalid = await callTool('notes.add', {
+      id: mapId,
+      p: 'nowhere',
+      c: 'Bad',
+    });
+    expect(invalid.error).toMatchObject({
+      code: -32602,
+      message: 'Invalid params',
+      data: { detail: 'Invalid arguments' },
+    });
+
+    const missing = await callTool('notes.move', {
+      id: mapId,
+      noteId: 'ghost',
+      p: [1, 1],
+    });
+    expect(missing.error).toEqual({
+      code: -32602,
+      message: 'Not found',
+      data: 'Note not found',
+    });
+
+    const selfLink = await callTool('connections.add', {
+      id: mapId,
+      f: 'a',
+      t: 'a',
+    });
+    expect(selfLink.error.data).toBe('Self-connections not allowed');
+
+    const noMap = await callTool('notes.delete', { noteId: 'a' });
+    expect(noMap.error.data.errors[0].path).toEqual(['id']);
+  });
+});
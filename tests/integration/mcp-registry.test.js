@@ -0,0 +1,250 @@
+const path = require('path');
+const fs = require('fs');
+const crypto = require('crypto');
+const request = require('supertest');
+
+const createServer = require('../../src/factories/server-factory');
+const MapsService = require('../../src/modules/maps/service');
+const { createMcpRegistry } = require('../../src/core/mcp-registry');
+
+describe('MCP registry shared by both transports', () => {
+  let app;
+  let dbFile;
+
+  // Same JSON-RPC request over per-method HTTP routes and the SSE endpoint
+  const rpc = async (method, params = {}) => {
+    const body = { jsonrpc: '2.0', id: 7, method, params };
+    const [http, sse] = await Promise.all([
+      request(app).post(`/mcp/${method}`).send(body).expect(200),
+      request(app).post('/mcp/sse').send(body).expect(200),
+    ]);
+    return { http: http.body, sse: sse.body };
+  };
+
+  beforeEach(() => {
+    dbFile = path.join(
+      process.cwd(),
+      'test-data',
+      `mcp-registry-${crypto.randomUUID()}.sqlite`,
+    );
+    app = createServer({ sqliteFile: dbFile });
+  });
+
+  afterEach(() => {
+    for (const suffix of ['', '-wal', '-shm']) {
+      fs.rmSync(`${dbFile}${suffix}`, { force: true });
+    }
+  });
+
+  it('answers initialize, tools/list and resources/list identically', async () => {
+    for (const method of ['initialize', 'tools/list', 'resources/list']) {
+      const { http, sse } = await rpc(method);
+      expect(http).toEqual(sse);
+      expect(http.id).toBe(7);
+    }
+  });
+
+  it('generates tool input schemas from zod', async () => {
+    const { http } = await rpc('tools/list');
+    const tools = Object.fromEntries(
+      http.result.tools.map((tool) => [tool.name, tool.inputSchema]),
+    );
+
+    expect(tools['maps.get']).toMatchObject({
+      type: 'object',
+      properties: { id: { type: 'string', description: 'UUID of the map' } },
+      required: ['id'],
+    });
+    expect(tools['maps.get']).not.toHaveProperty('$schema');
+    expect(tools['notes.move'].required).toEqual(['p', 'id', 'noteId']);
+    expect(tools['maps.list'].properties.sort.enum).toEqual([
+      'updated',
+      'name',
+      'size',
+    ]);
+  });
+
+  it('returns map contents from maps.get and the map resource', async () => {
+    const state = { n: [{ i: 'a', p: [0, 0], c: 'Alpha' }], c: [] };
+    const created = await request(app)
+      .post('/maps')
+      .send({ name: 'Registry', state })
+      .expect(201);
+    const mapId = created.body.id;
+
+    const tool = await rpc('tools/call', {
+      name: 'maps.get',
+      arguments: { id: mapId },
+    });
+    const resource = await rpc('resources/read', {
+      uri: `mindmeld://maps/${mapId}`,
+    });
+    for (const { result } of [tool.http, tool.sse]) {
+      expect(JSON.parse(result.content[0].text)).toMatchObject({
+        id: mapId,
+        name: 'Registry',
+      });
+    }
+    for (const { result } of [resource.http, resource.sse]) {
+      expect(JSON.parse(result.contents[0].text).id).toBe(mapId);
+    }
+
+    const listed = await rpc('resources/read', { uri: 'mindmeld://maps' });
+    expect(JSON.parse(listed.http.result.contents[0].text).total).toBe(1);
+  });
+
+  it('lists prompts and embeds the target map in prompts/get', async () => {
+    const state = {
+      n: [
+        { i: 'root', p: [100, 100], c: 'Launch plan' },
+        { i: 'lonely', p: [400, 100], c: 'Budget' },
+      ],
+      c: [],
+    };
+    const created = await request(app)
+      .post('/maps')
+      .send({ name: 'Launch', state })
+      .expect(201);
+    const mapId = created.body.id;
+
+    const { http, sse } = await rpc('prompts/list');
+    expect(http).toEqual(sse);
+    const prompts = Object.fromEntries(
+      http.result.prompts.map((prompt) => [prompt.name, prompt]),
+    );
+    expect(Object.keys(prompts)).toEqual([
+      'summarize-map',
+      'expand-note',
+      'find-orphan-notes',
+      'outline-to-map',
+    ]);
+    expect(prompts['expand-note'].arguments).toEqual([
+      { name: 'mapId', description: 'ID of the map', required: true },
+      {
+        name: 'noteId',
+        description: 'ID of the note to expand',
+        required: true,
+      },
+      {
+        name: 'count',
+        description: 'Number of sub-ideas (default: 5)',
+        required: false,
+      },
+    ]);
+
+    const expand = await rpc('prompts/get', {
+      name: 'expand-note',
+      arguments: { mapId, noteId: 'root', count: '3' },
+    });
+    const [text, embedded] = expand.http.result.messages;
+    expect(text.content.text).toContain('"Launch plan" (id root)');
+    expect(text.content.text).toContain('into 3 sub-ideas');
+    expect(embedded.content.resource).toMatchObject({
+      uri: `mindmeld://maps/${mapId}`,
+      mimeType: 'application/json',
+    });
+    expect(JSON.parse(embedded.content.resource.text)).toMatchObject({
+      n: state.n,
+      meta: { mapName: 'Launch' },
+    });
+
+    const outline = await rpc('prompts/get', {
+      name: 'outline-to-map',
+      arguments: { outline: 'Goals\n  Grow' },
+    });
+    expect(outline.http.result.messages).toHaveLength(1);
+    expect(outline.http.result.messages[0].content.text).toContain(
+      'maps.create',
+    );
+
+    const missingNote = await rpc('prompts/get', {
+      name: 'expand-note',
+      arguments: { mapId, noteId: 'nope' },
+    });
+    expect(missingNote.http.error.data).toBe('Note not found');
+    const missingArg = await rpc('prompts/get', { name: 'summarize-map' });
+    expect(missingArg.http.error.data.detail).toBe('Invalid prompt arguments');
+  });
+
+  it('reports unknown maps, resources and methods the same way', async () => {
+    const missing = await rpc('tools/call', {
+      name: 'maps.get',
+      arguments: { id: crypto.randomUUID() },
+    });
+    expect(missing.http.error).toEqual({
+      code: -32602,
+      message: 'Not found',
+      data: 'Map not found',
+    });
+    expect(missing.sse).toEqual(missing.http);
+
+    const unknownUri = await rpc('resources/read', { uri: 'mindmeld://nope' });
+    expect(unknownUri.http.error.data).toBe(
+      'Unknown resource URI: mindmeld://nope',
+    );
+    expect(unknownUri.sse).toEqual(unknownUri.http);
+
+    const unknownMethod = await request(app)
+      .post('/mcp/sse')
+      .send({ jsonrpc: '2.0', id: 1, method: 'maps/teleport' })
+      .expect(200);
+    expect(unknownMethod.body.error).toMatchObject({ code: -32601 });
+  });
+  it('only notifies list subscribers about maps they can view', async () => {
+    const mapsService = new MapsService(dbFile);
+    const registry = createMcpRegistry({ mapsService, notifyDelayMs: 0 });
+    const subscriber = (userId) => ({
+      user: { userId },
+      session: { id: userId, notify: jest.fn() },
+    });
+    const alice = subscriber('alice');
+    const bob = subscriber('bob');
+    try {
+      for (const context of [alice, bob]) {
+        await registry.dispatch(
+          {
+            id: 1,
+            method: 'resources/subscribe',
+            params: { uri: 'mindmeld://maps' },
+          },
+          context,
+        );
+      }
+
+      const { id } = mapsService.create(
+        { name: 'Private', state: { n: [], c: [] } },
+        { ownerId: 'alice' },
+      );
+      await mapsService.patchMeta(id, { name: 'Renamed', version: 1 });
+      await new Promise((resolve) => setTimeout(resolve, 20));
+
+      expect(alice.session.notify).toHaveBeenCalledWith({
+        jsonrpc: '2.0',
+        method: 'notifications/resources/updated',
+        params: { uri: 'mindmeld://maps' },
+      });
+      expect(bob.session.notify).not.toHaveBeenCalled();
+
+      // Deletions reach whoever could see the map before it went away
+      alice.session.notify.mockClear();
+      await mapsService.delete(id);
+      await new Promise((resolve) => setTimeout(resolve, 20));
+      expect(alice.session.notify).toHaveBeenCalledTimes(1);
+      expect(bob.session.notify).not.toHaveBeenCalled();
+    } finally {
+      registry.close();
+      await mapsService.close();
+    }
+  });
+
+  it('stops following map changes once closed', async () => {
+    const mapsService = new MapsService(dbFile);
+    const before = mapsService.listenerCount('change');
+    const registry = createMcpRegistry({ mapsService });
+    expect(mapsService.listenerCount('change')).toBe(before + 1);
+
+    registry.close();
+    expect(mapsService.listenerCount('change')).toBe(before);
+    await mapsService.close();
+  });
+});
@@ -0,0 +1,232 @@
+const http = require('http');
+const path = require('path');
+const fs = require('fs');
+const crypto = require('crypto');
+const { spawn } = require('child_process');
+const { PassThrough } = require('stream');
+const request = require('supertest');
+
+const createServer = require('../../src/factories/server-factory');
+const { startMcpServer } = require('../../src/mcp/server');
+
+describe('MCP stdio transport', () => {
+  let dbFile;
+
+  const state = { n: [{ i: 'a', p: [0, 0], c: 'Alpha' }], c: [] };
+
+  // Drive the transport through in-memory stdin/stdout
+  async function connect(config) {
+    const input = new PassThrough();
+    const output = new PassThrough();
+    const messages = [];
+    const waiters = [];
+    let buffer = '';
+    output.on('data', (chunk) => {
+      buffer += chunk;
+      const lines = buffer.split('\n');
+      buffer = lines.pop();
+      for (const line of lines) {
+        messages.push(JSON.parse(line));
+        waiters.splice(0).forEach((wake) => wake());
+      }
+    });
+
+    const next = async (predicate) => {
+      for (;;) {
+        const index = messages.findIndex(predicate);
+        if (index >= 0) {
+          return messages.splice(index, 1)[0];
+        }
+        await new Promise((resolve) => waiters.push(resolve));
+      }
+    };
+    const server = await startMcpServer({ input, output, config });
+
+    return {
+      send: (message) =>
+        input.write(
+          `${typeof message === 'string' ? message : JSON.stringify(message)}\n`,
+        ),
+      call: (id, method, params = {}) => {
+        input.write(
+          `${JSON.stringify({ jsonrpc: '2.0', id, method, params })}\n`,
+        );
+        return next((message) => message.id === id);
+      },
+      next,
+      end: () => {
+        input.end();
+        return server.closed;
+      },
+    };
+  }
+
+  beforeEach(() => {
+    dbFile = path.join(
+      process.cwd(),
+      'test-data',
+      `mcp-stdio-${crypto.randomUUID()}.sqlite`,
+    );
+  });
+
+  afterEach(() => {
+    for (const file of [dbFile, dbFile.replace('.sqlite', '-yjs.sqlite')]) {
+      for (const suffix of ['', '-wal', '-shm']) {
+        fs.rmSync(`${file}${suffix}`, { force: true });
+      }
+    }
+  });
+
+  it('serves the shared registry from the local database', async () => {
+    const client = await connect({ sqliteFile: dbFile });
+
+    const init = await client.call(1, 'initialize', {
+      protocolVersion: '2024-11-05',
+    });
+    expect(init.result.protocolVersion).toBe('2024-11-05');
+
+    const created = await client.call(2, 'tools/call', {
+      name: 'maps.create',
+      arguments: { name: 'Local', data: state },
+    });
+    const { map } = JSON.parse(created.result.content[0].text);
+
+    const note = await client.call(3, 'resources/read', {
+      uri: `mindmeld://maps/${map.id}/notes/a`,
+    });
+    expect(JSON.parse(note.result.contents[0].text)).toMatchObject({
+      i: 'a',
+      c: 'Alpha',
+    });
+
+    // Subscriptions notify over stdout
+    await client.call(4, 'resources/subscribe', {
+      uri: `mindmeld://maps/${map.id}`,
+    });
+    await client.call(5, 'tools/call', {
+      name: 'maps.rename',
+      arguments: { id: map.id, name: 'Renamed' },
+    });
+    const update = await client.next(
+      (message) => message.method === 'notifications/resources/updated',
+    );
+    expect(update.params.uri).toBe(`mindmeld://maps/${map.id}`);
+
+    await client.end();
+  });
+
+  it('answers parse errors, invalid requests and batches', async () => {
+    const client = await connect({ sqliteFile: dbFile });
+
+    client.send('not json');
+    expect((await client.next(() => true)).error.code).toBe(-32700);
+
+    client.send({ id: 9, method: 'tools/list' });
+    expect(await client.next(() => true)).toMatchObject({
+      id: 9,
+      error: { code: -32600 },
+    });
+
+    // Notifications get no response; batches answer as an array
+    client.send([
+      { jsonrpc: '2.0', method: 'notifications/initialized' },
+      { jsonrpc: '2.0', id: 1, method: 'tools/list' },
+      { jsonrpc: '2.0', id: 2, method: 'prompts/list' },
+    ]);
+    const batch = await client.next(Array.isArray);
+    expect(batch.map((response) => response.id)).toEqual([1, 2]);
+
+    await client.end();
+  });
+
+  it('proxies to a running server when MCP_SERVER_URL is set', async () => {
+    const app = createServer({
+      sqliteFile: dbFile,
+      mcpTokens: [{ name: 'desktop', token: 'desktop-secret', scope: 'write' }],
+    });
+    const server = http.createServer(app);
+    app.setupWebSocket(server);
+    app.setupFinalHandlers();
+    await new Promise((resolve) => server.listen(0, resolve));
+    const serverUrl = `http://localhost:${server.address().port}`;
+
+    try {
+      const created = await request(server)
+        .post('/maps')
+        .send({ name: 'Remote', state })
+        .expect(201);
+      const mapId = created.body.id;
+
+      const denied = await connect({ mcpServerUrl: serverUrl });
+      const refused = await denied.call(1, 'initialize');
+      expect(refused.error).toMatchObject({
+        code: -32000,
+        message: 'MindMeld server answered 401',
+      });
+      await denied.end();
+
+      const client = await connect({
+        mcpServerUrl: serverUrl,
+        mcpServerToken: 'desktop-secret',
+      });
+      const init = await client.call(1, 'initialize');
+      expect(init.result.protocolVersion).toBe('2025-03-26');
+
+      const read = await client.call(2, 'tools/call', {
+        name: 'maps.get',
+        arguments: { id: mapId },
+      });
+      expect(JSON.parse(read.result.content[0].text).name).toBe('Remote');
+
+      // Notifications arrive through the session's GET stream
+      await client.call(3, 'resources/subscribe', {
+        uri: `mindmeld://maps/${mapId}`,
+      });
+      await new Promise((resolve) => setTimeout(resolve, 100));
+      await request(server)
+        .patch(`/maps/${mapId}/meta`)
+        .set('Authorization', 'Bearer desktop-secret')
+        .send({ name: 'Changed' })
+        .expect(200);
+      const update = await client.next(
+        (message) => message.method === 'notifications/resources/updated',
+      );
+      expect(update.params.uri).toBe(`mindmeld://maps/${mapId}`);
+
+      await client.end();
+    } finally {
+      server.closeAllConnections();
+      await new Promise((resolve) => server.close(resolve));
+    }
+  });
+
+  it('keeps stdout for JSON-RPC when launched from bin/mcp-stdio.js', async () => {
+    const child = spawn(
+      process.execPath,
+      [path.join(__dirname, '../../bin/mcp-stdio.js')],
+      {
+        env: {
+          ...process.env,
+          SQLITE_FILE: dbFile,
+          NODE_ENV: 'production',
+          LOG_LEVEL: 'info',
+        },
+      },
+    );
+    let stdout = '';
+    let stderr = '';
+    child.stdout.on('data', (chunk) => (stdout += chunk));
+    child.stderr.on('data', (chunk) => (stderr += chunk));
+
+    child.stdin.end(
+      `${JSON.stringify({ jsonrpc: '2.0', id: 1, method: 'tools/list' })}\n`,
+    );
+    const code = await new Promise((resolve) => child.on('exit', resolve));
+
+    expect(code).toBe(0);
+    const lines = stdout.trim().split('\n');
+    expect(lines).toHaveLength(1);
+    expect(JSON.parse(lines[0]).result.tools.length).toBeGreaterThan(0);
+    expect(stderr).toContain('MCP stdio server started');
+  });
+});
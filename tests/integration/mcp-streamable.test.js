@@ -0,0 +1,255 @@
+const http = require('http');
+const path = require('path');
+const fs = require('fs');
+const crypto = require('crypto');
+const request = require('supertest');
+
+const createServer = require('../../src/factories/server-factory');
+
+describe('MCP Streamable HTTP transport', () => {
+  let server;
+  let dbFile;
+  let mapId;
+
+  const state = { n: [{ i: 'a', p: [0, 0], c: 'Alpha' }], c: [] };
+
+  const initialize = () =>
+    request(server)
+      .post('/mcp/http')
+      .set('Accept', 'application/json, text/event-stream')
+      .send({
+        jsonrpc: '2.0',
+        id: 0,
+        method: 'initialize',
+        params: { protocolVersion: '2025-03-26' },
+      })
+      .expect(200);
+
+  const rpc = (sessionId, method, params = {}, id = 1) =>
+    request(server)
+      .post('/mcp/http')
+      .set('Accept', 'application/json')
+      .set('Mcp-Session-Id', sessionId)
+      .send({ jsonrpc: '2.0', id, method, params });
+
+  // Open the session's GET stream and collect its events
+  const openStream = (sessionId, lastEventId) =>
+    new Promise((resolve) => {
+      const events = [];
+      const headers = {
+        Accept: 'text/event-stream',
+        'Mcp-Session-Id': sessionId,
+      };
+      if (lastEventId) {
+        headers['Last-Event-ID'] = lastEventId;
+      }
+      const req = http.get(
+        `http://localhost:${server.address().port}/mcp/http`,
+        { headers },
+        (res) => {
+          let buffer = '';
+          res.on('data', (chunk) => {
+            buffer += chunk;
+            const frames = buffer.split('\n\n');
+            buffer = frames.pop();
+            for (const frame of frames) {
+              const id = /^id: (.*)$/m.exec(frame);
+              const data = /^data: (.*)$/m.exec(frame);
+              if (data) {
+                events.push({ id: id && id[1], message: JSON.parse(data[1]) });
+              }
+            }
+          });
+          resolve({ events, close: () => req.destroy() });
+        },
+      );
+    });
+
+  const settle = () => new Promise((resolve) => setTimeout(resolve, 250));
+
+  const renameMap = (name) =>
+    request(server).patch(`/maps/${mapId}/meta`).send({ name }).expect(200);
+
+  beforeEach(async () => {
+    dbFile = path.join(
+      process.cwd(),
+      'test-data',
+      `mcp-streamable-${crypto.randomUUID()}.sqlite`,
+    );
+    const app = createServer({ sqliteFile: dbFile });
+    server = http.createServer(app);
+    app.setupWebSocket(server);
+    app.setupFinalHandlers();
+    await new Promise((resolve) => server.listen(0, resolve));
+
+    const created = await request(server)
+      .post('/maps')
+      .send({ name: 'Streamed', state })
+      .expect(201);
+    mapId = created.body.id;
+  });
+
+  afterEach(async () => {
+    server.closeAllConnections();
+    await new Promise((resolve) => server.close(resolve));
+    for (const file of [dbFile, dbFile.replace('.sqlite', '-yjs.sqlite')]) {
+      for (const suffix of ['', '-wal', '-shm']) {
+        fs.rmSync(`${file}${suffix}`, { force: true });
+      }
+    }
+  });
+
+  it('opens a session on initialize and requires it afterwards', async () => {
+    const init = await initialize();
+    const sessionId = init.headers['mcp-session-id'];
+    expect(sessionId).toMatch(/^[0-9a-f-]{36}$/);
+    expect(init.body.result).toMatchObject({
+      protocolVersion: '2025-03-26',
+      capabilities: { resources: { subscribe: true } },
+    });
+
+    const listed = await rpc(sessionId, 'tools/list').expect(200);
+    expect(listed.headers['mcp-session-id']).toBe(sessionId);
+    expect(listed.body.result.tools.map((tool) => tool.name)).toContain(
+      'maps.get',
+    );
+
+    const missing = await request(server)
+      .post('/mcp/http')
+      .set('Accept', 'application/json')
+      .send({ jsonrpc: '2.0', id: 1, method: 'tools/list' })
+      .expect(400);
+    expect(missing.body.error.code).toBe(-32000);
+    await rpc('unknown-session', 'tools/list').expect(404);
+
+    // Notifications are acknowledged without a body
+    await request(server)
+      .post('/mcp/http')
+      .set('Mcp-Session-Id', sessionId)
+      .send({ jsonrpc: '2.0', method: 'notifications/initialized' })
+      .expect(202);
+
+    await request(server)
+      .delete('/mcp/http')
+      .set('Mcp-Session-Id', sessionId)
+      .expect(204);
+    await rpc(sessionId, 'tools/list').expect(404);
+  });
+
+  it('answers batches and rejects malformed or unacceptable requests', async () => {
+    const sessionId = (await initialize()).headers['mcp-session-id'];
+
+    const batch = await request(server)
+      .post('/mcp/http')
+      .set('Mcp-Session-Id', sessionId)
+      .send([
+        { jsonrpc: '2.0', id: 1, method: 'tools/list' },
+        { jsonrpc: '2.0', method: 'notifications/initialized' },
+        { jsonrpc: '2.0', id: 2, method: 'prompts/list' },
+      ])
+      .expect(200);
+    expect(batch.body.map((response) => response.id)).toEqual([1, 2]);
+
+    const invalid = await request(server)
+      .post('/mcp/http')
+      .set('Mcp-Session-Id', sessionId)
+      .send({ id: 1, method: 'tools/list' })
+      .expect(400);
+    expect(invalid.body.error.code).toBe(-32600);
+
+    await request(server)
+      .post('/mcp/http')
+      .set('Accept', 'text/html')
+      .set('Mcp-Session-Id', sessionId)
+      .send({ jsonrpc: '2.0', id: 1, method: 'tools/list' })
+      .expect(406);
+  });
+
+  it('streams responses as SSE when the client prefers it', async () => {
+    const sessionId = (await initialize()).headers['mcp-session-id'];
+
+    const res = await request(server)
+      .post('/mcp/http')
+      .set('Accept', 'text/event-stream')
+      .set('Mcp-Session-Id', sessionId)
+      .send({
+        jsonrpc: '2.0',
+        id: 7,
+        method: 'resources/read',
+        params: { uri: `mindmeld://maps/${mapId}` },
+      })
+      .expect(200);
+    expect(res.headers['content-type']).toContain('text/event-stream');
+    const data = /^data: (.*)$/m.exec(res.text);
+    const message = JSON.parse(data[1]);
+    expect(message.id).toBe(7);
+    expect(message.result.contents[0].uri).toBe(`mindmeld://maps/${mapId}`);
+  });
+
+  it('delivers resource updates on the GET stream and replays them on resume', async () => {
+    const sessionId = (await initialize()).headers['mcp-session-id'];
+    const uri = `mindmeld://maps/${mapId}`;
+
+    let stream = await openStream(sessionId);
+    await rpc(sessionId, 'resources/subscribe', { uri }).expect(200);
+
+    await renameMap('First');
+    await settle();
+    expect(stream.events.map((event) => event.message.params.uri)).toEqual([
+      uri,
+    ]);
+    const lastEventId = stream.events[0].id;
+    expect(lastEventId).toBe('1');
+
+    // Updates sent while disconnected are replayed after Last-Event-ID
+    stream.close();
+    await settle();
+    await renameMap('Second');
+    await settle();
+
+    stream = await openStream(sessionId, lastEventId);
+    await settle();
+    expect(stream.events).toEqual([
+      {
+        id: '2',
+        message: {
+          jsonrpc: '2.0',
+          method: 'notifications/resources/updated',
+          params: { uri },
+        },
+      },
+    ]);
+    stream.close();
+  });
+
+  it('keeps sessions private to the caller that opened them', async () => {
+    const app = createServer({
+      sqliteFile: dbFile,
+      mcpTokens: [
+        { name: 'assistant', token: 'assistant-secret', scope: 'read' },
+        { name: 'automation', token: 'automation-secret', scope: 'write' },
+      ],
+    });
+    app.setupFinalHandlers();
+
+    await request(app)
+      .post('/mcp/http')
+      .send({ jsonrpc: '2.0', id: 0, method: 'initialize', params: {} })
+      .expect(401);
+    const init = await request(app)
+      .post('/mcp/http')
+      .set('Authorization', 'Bearer assistant-secret')
+      .send({ jsonrpc: '2.0', id: 0, method: 'initialize', params: {} })
+      .expect(200);
+    const sessionId = init.headers['mcp-session-id'];
+
+    const call = (token) =>
+      request(app)
+        .post('/mcp/http')
+        .set('Authorization', `Bearer ${token}`)
+        .set('Mcp-Session-Id', sessionId)
+        .send({ jsonrpc: '2.0', id: 1, method: 'tools/list' });
+    await call('assistant-secret').expect(200);
+    await call('automation-secret').expect(404);
+  });
+});
@@ -0,0 +1,248 @@
+const http = require('http');
+const path = require('path');
+const fs = require('fs');
+const crypto = require('crypto');
+const request = require('supertest');
+const WebSocket = require('ws');
+const Y = require('yjs');
+const { Awareness } = require('y-protocols/awareness');
+
+const createServer = require('../../src/factories/server-factory');
+const { syncDoc, encodeAwareness } = require('../utils/yjs-protocol');
+
+describe('MCP resource templates and subscriptions', () => {
+  let app;
+  let server;
+  let dbFile;
+  let mapId;
+
+  const state = { n: [{ i: 'a', p: [0, 0], c: 'Alpha' }], c: [] };
+
+  const rpc = (method, params = {}, sessionId) =>
+    request(server)
+      .post(`/mcp/sse${sessionId ? `?sessionId=${sessionId}` : ''}`)
+      .send({ jsonrpc: '2.0', id: 1, method, params })
+      .expect(200)
+      .then((res) => res.body);
+
+  // Open the SSE stream and collect its JSON events
+  const openStream = () =>
+    new Promise((resolve) => {
+      const events = [];
+      const req = http.get(
+        `http://localhost:${server.address().port}/mcp/sse`,
+        (res) => {
+          let buffer = '';
+          res.on('data', (chunk) => {
+            buffer += chunk;
+            const frames = buffer.split('\n\n');
+            buffer = frames.pop();
+            for (const frame of frames) {
+              if (frame.startsWith('data: ')) {
+                const event = JSON.parse(frame.slice(6));
+                events.push(event);
+                if (event.type === 'connection') {
+                  resolve({ id: event.id, events, close: () => req.destroy() });
+                }
+              }
+            }
+          });
+        },
+      );
+    });
+
+  const updatesFor = (stream) =>
+    stream.events
+      .filter((event) => event.method === 'notifications/resources/updated')
+      .map((event) => event.params.uri);
+
+  const settle = () => new Promise((resolve) => setTimeout(resolve, 250));
+
+  beforeEach(async () => {
+    dbFile = path.join(
+      process.cwd(),
+      'test-data',
+      `mcp-subscriptions-${crypto.randomUUID()}.sqlite`,
+    );
+    app = createServer({ sqliteFile: dbFile });
+    server = http.createServer(app);
+    app.setupWebSocket(server);
+    await new Promise((resolve) => server.listen(0, resolve));
+
+    const created = await request(server)
+      .post('/maps')
+      .send({ name: 'Watched', state })
+      .expect(201);
+    mapId = created.body.id;
+  });
+
+  afterEach(async () => {
+    await app.close();
+    server.closeAllConnections();
+    await new Promise((resolve) => server.close(resolve));
+    for (const file of [dbFile, dbFile.replace('.sqlite', '-yjs.sqlite')]) {
+      for (const suffix of ['', '-wal', '-shm']) {
+        fs.rmSync(`${file}${suffix}`, { force: true });
+      }
+    }
+  });
+
+  it('advertises map, note and presence resource templates', async () => {
+    const { result } = await rpc('resources/templates/list');
+    expect(result.resourceTemplates.map((t) => t.uriTemplate)).toEqual([
+      'mindmeld://maps/{id}',
+      'mindmeld://maps/{id}/notes/{noteId}',
+      'mindmeld://maps/{id}/presence',
+    ]);
+
+    const note = await rpc('resources/read', {
+      uri: `mindmeld://maps/${mapId}/notes/a`,
+    });
+    expect(JSON.parse(note.result.contents[0].text)).toMatchObject({
+      i: 'a',
+      c: 'Alpha',
+    });
+
+    const missing = await rpc('resources/read', {
+      uri: `mindmeld://maps/${mapId}/notes/zzz`,
+    });
+    expect(missing.error).toMatchObject({ data: 'Note not found' });
+  });
+
+  it('requires an open SSE session to subscribe', async () => {
+    const noSession = await rpc('resources/subscribe', {
+      uri: `mindmeld://maps/${mapId}`,
+    });
+    expect(noSession.error.code).toBe(-32602);
+
+    const stream = await openStream();
+    const unknownUri = await rpc(
+      'resources/subscribe',
+      { uri: 'mindmeld://elsewhere' },
+      stream.id,
+    );
+    expect(unknownUri.error.data).toBe(
+      'Unknown resource URI: mindmeld://elsewhere',
+    );
+    stream.close();
+  });
+
+  it('notifies subscribers when MapsService.update changes the map', async () => {
+    const stream = await openStream();
+    const subscribed = await rpc(
+      'resources/subscribe',
+      { uri: `mindmeld://maps/${mapId}` },
+      stream.id,
+    );
+    expect(subscribed.result).toEqual({});
+
+    const current = await request(server).get(`/maps/${mapId}`).expect(200);
+    await request(server)
+      .put(`/maps/${mapId}`)
+      .send({ data: state, version: current.body.version })
+      .expect(200);
+    await settle();
+    expect(updatesFor(stream)).toEqual([`mindmeld://maps/${mapId}`]);
+
+    await rpc(
+      'resources/unsubscribe',
+      { uri: `mindmeld://maps/${mapId}` },
+      stream.id,
+    );
+    await request(server)
+      .patch(`/maps/${mapId}/meta`)
+      .send({ name: 'Renamed' })
+      .expect(200);
+    await settle();
+    expect(updatesFor(stream)).toHaveLength(1);
+    stream.close();
+  });
+
+  it('notifies note subscribers for collaborative Y.js edits', async () => {
+    const stream = await openStream();
+    const noteUri = `mindmeld://maps/${mapId}/notes/a`;
+    await rpc('resources/subscribe', { uri: noteUri }, stream.id);
+
+    // Another map's edits are not reported
+    const other = await request(server)
+      .post('/maps')
+      .send({ name: 'Other', state })
+      .expect(201);
+    await settle();
+    expect(updatesFor(stream)).toEqual([]);
+    expect(other.body.id).not.toBe(mapId);
+
+    const ws = new WebSocket(
+      `ws://localhost:${server.address().port}/yjs/${mapId}`,
+    );
+    const clientDoc = syncDoc(ws);
+    await new Promise((resolve) => ws.on('open', resolve));
+    await settle();
+
+    clientDoc.transact(() => {
+      const note = new Y.Map();
+      clientDoc.getMap('notes').set('b', note);
+      note.set('id', 'b');
+      note.set('pos', [1, 1]);
+      note.set('content', new Y.Text('Typed live'));
+    });
+    await settle();
+
+    expect(updatesFor(stream)).toContain(noteUri);
+    ws.close();
+    stream.close();
+  });
+
+  it('lists connected clients over REST and as a resource', async () => {
+    const empty = await request(server).get(`/maps/${mapId}/presence`);
+    expect(empty.body).toEqual({ mapId, count: 0, clients: [] });
+
+    const connect = async () => {
+      const ws = new WebSocket(
+        `ws://localhost:${server.address().port}/yjs/${mapId}`,
+      );
+      const doc = syncDoc(ws);
+      await new Promise((resolve) => ws.on('open', resolve));
+      return { ws, doc };
+    };
+    const alice = await connect();
+    const anonymous = await connect();
+
+    // Names come from the awareness `user` field
+    const awareness = new Awareness(alice.doc);
+    awareness.setLocalStateField('user', { name: 'Alice' });
+    alice.ws.send(encodeAwareness(awareness));
+    await settle();
+
+    const res = await request(server)
+      .get(`/maps/${mapId}/presence`)
+      .expect(200);
+    expect(res.body.count).toBe(2);
+    const names = res.body.clients.map((client) => client.userName);
+    expect(names.sort()).toEqual(['Alice', null].sort());
+    for (const client of res.body.clients) {
+      expect(client.clientId).toMatch(/^[0-9a-f]{16}$/);
+      expect(client.clientId).not.toContain('websocket');
+      expect(Date.parse(client.lastActivityAt)).toBeGreaterThanOrEqual(
+        Date.parse(client.connectedAt),
+      );
+    }
+
+    const read = await rpc('resources/read', {
+      uri: `mindmeld://maps/${mapId}/presence`,
+    });
+    expect(JSON.parse(read.result.contents[0].text)).toEqual(res.body);
+
+    // Closed connections drop out of the listing
+    anonymous.ws.close();
+    await settle();
+    const after = await request(server).get(`/maps/${mapId}/presence`);
+    expect(after.body.clients).toEqual([
+      res.body.clients.find((client) => client.userName === 'Alice'),
+    ]);
+
+    await request(server).get('/maps/missing-map/presence').expect(404);
+    awareness.destroy();
+    alice.ws.close();
+  });
+});
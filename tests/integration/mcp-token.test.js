@@ -0,0 +1,184 @@
+const path = require('path');
+const fs = require('fs');
+const crypto = require('crypto');
+const request = require('supertest');
+
+const createServer = require('../../src/factories/server-factory');
+const AuthService = require('../../src/modules/auth/service');
+const logger = require('../../src/utils/logger');
+
+describe('MCP_TOKEN enforcement', () => {
+  let app;
+  let dbFile;
+
+  const state = { n: [{ i: 'a', p: [0, 0], c: 'Alpha' }], c: [] };
+  const call = (name, args = {}) => ({
+    jsonrpc: '2.0',
+    id: 1,
+    method: 'tools/call',
+    params: { name, arguments: args },
+  });
+
+  beforeEach(() => {
+    dbFile = path.join(
+      process.cwd(),
+      'test-data',
+      `mcp-token-${crypto.randomUUID()}.sqlite`,
+    );
+    app = createServer({
+      sqliteFile: dbFile,
+      mcpTokens: [
+        { name: 'assistant', token: 'read-secret', scope: 'read' },
+        { name: 'automation', token: 'write-secret', scope: 'write' },
+      ],
+    });
+    app.setupFinalHandlers();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    for (const suffix of ['', '-wal', '-shm']) {
+      fs.rmSync(`${dbFile}${suffix}`, { force: true });
+    }
+  });
+
+  it('rejects requests without a valid token on both transports', async () => {
+    for (const url of ['/mcp/tools/call', '/mcp/sse']) {
+      const missing = await request(app)
+        .post(url)
+        .send(call('maps.list'))
+        .expect(401);
+      expect(missing.headers['www-authenticate']).toBe('Bearer');
+      expect(missing.body.detail).toBe('MCP token required');
+
+      const wrong = await request(app)
+        .post(url)
+        .set('Authorization', 'Bearer write-secreT')
+        .send(call('maps.list'))
+        .expect(401);
+      expect(wrong.body.detail).toBe('Invalid MCP token');
+    }
+  });
+
+  it('limits read-scoped tokens to read-only tools', async () => {
+    for (const url of ['/mcp/tools/call', '/mcp/sse']) {
+      const listed = await request(app)
+        .post(url)
+        .set('Authorization', 'Bearer read-secret')
+        .send(call('maps.list'))
+        .expect(200);
+      expect(listed.body.result).toBeDefined();
+
+      const denied = await request(app)
+        .post(url)
+        .set('Authorization', 'Bearer read-secret')
+        .send(call('maps.create', { name: 'Nope', data: state }))
+        .expect(200);
+      expect(denied.body.error).toEqual({
+        code: -32003,
+        message: 'Forbidden',
+        data: 'MCP token "assistant" is read-only',
+      });
+    }
+
+    const created = await request(app)
+      .post('/mcp/sse')
+      .set('Authorization', 'Bearer write-secret')
+      .send(call('maps.create', { name: 'Automated', data: state }))
+      .expect(200);
+    expect(created.body.result).toBeDefined();
+  });
+
+  it('applies the roles of the bound user with FEATURE_AUTH, and none without one', async () => {
+    const authApp = createServer({
+      sqliteFile: dbFile,
+      featureAuth: true,
+      mcpTokens: [
+        { name: 'automation', token: 'write-secret', scope: 'write' },
+        {
+          name: 'bot',
+          token: 'bot-secret',
+          scope: 'write',
+          userId: 'bob',
+        },
+      ],
+    });
+    authApp.setupFinalHandlers();
+    try {
+      const alice = new AuthService(dbFile).createApiKey({ userId: 'alice' });
+      const createRes = await request(authApp)
+        .post('/maps')
+        .set('Authorization', `Bearer ${alice.key}`)
+        .send({ name: 'Private', state })
+        .expect(201);
+      const mapId = createRes.body.id;
+
+      // An unbound token is not a user: it reaches every map
+      const unbound = await request(authApp)
+        .post('/mcp/tools/call')
+        .set('Authorization', 'Bearer write-secret')
+        .send(call('maps.get', { id: mapId }))
+        .expect(200);
+      expect(unbound.body.result).toBeDefined();
+
+      // A bound token only has its user's roles
+      const denied = await request(authApp)
+        .post('/mcp/tools/call')
+        .set('Authorization', 'Bearer bot-secret')
+        .send(call('maps.get', { id: mapId }))
+        .expect(200);
+      expect(denied.body.error).toMatchObject({ code: -32003 });
+      const listed = await request(authApp)
+        .post('/mcp/tools/call')
+        .set('Authorization', 'Bearer bot-secret')
+        .send(call('maps.list'))
+        .expect(200);
+      expect(JSON.parse(listed.body.result.content[0].text).total).toBe(0);
+
+      await request(authApp)
+        .put(`/maps/${mapId}/members/bob`)
+        .set('Authorization', `Bearer ${alice.key}`)
+        .send({ role: 'viewer' })
+        .expect(200);
+      const allowed = await request(authApp)
+        .post('/mcp/tools/call')
+        .set('Authorization', 'Bearer bot-secret')
+        .send(call('maps.get', { id: mapId }))
+        .expect(200);
+      expect(allowed.body.result).toBeDefined();
+    } finally {
+      await authApp.close();
+    }
+  });
+
+  it('audit-logs which token invoked which tool', async () => {
+    const info = jest.spyOn(logger, 'info');
+
+    await request(app)
+      .post('/mcp/tools/call')
+      .set('Authorization', 'Bearer read-secret')
+      .send(call('maps.delete', { id: crypto.randomUUID() }))
+      .expect(200);
+    await request(app)
+      .post('/mcp/sse')
+      .set('Authorization', 'Bearer write-secret')
+      .send(call('maps.list'))
+      .expect(200);
+
+    const audits = info.mock.calls
+      .map(([entry]) => entry)
+      .filter((entry) => entry && entry.audit === 'mcp.tool');
+    expect(audits).toEqual([
+      expect.objectContaining({
+        token: 'assistant',
+        tool: 'maps.delete',
+        outcome: 'denied',
+      }),
+      expect.objectContaining({
+        token: 'automation',
+        tool: 'maps.list',
+        outcome: 'allowed',
+      }),
+    ]);
+  });
+});
@@ -5,13 +5,26 @@
 
 const WebSocket = require('ws');
 const http = require('http');
+const path = require('path');
+const fs = require('fs').promises;
+const request = require('supertest');
 const Y = require('yjs');
+const { WebsocketProvider } = require('y-websocket');
+const {
+  encodeUpdate,
+  readMessage,
+  syncDoc,
+  addNote,
+  noteContents,
+} = require('../utils/yjs-protocol');
 // const createServer = require('../../src/factories/server-factory'); // unused
 
 describe('Yjs WebSocket Integration Tests', () => {
   // let server; // unused
   let httpServer;
+  let yjsRoutes;
   let baseUrl;
+  let dbFile;
   let originalServerSync;
 
   beforeAll(() => {
@@ -40,12 +53,19 @@ describe('Yjs WebSocket Integration Tests', () => {
     delete require.cache[require.resolve('../../src/config/config')];
     delete require.cache[require.resolve('../../src/factories/server-factory')];
 
-    // Create server with Yjs enabled
+    // Create server with Yjs enabled; WebSocket edits are persisted, so
+    // every test gets its own database
+    dbFile = path.join(
+      process.cwd(),
+      'test-data',
+      `yjs-websocket-${Date.now()}.sqlite`,
+    );
     const createServerFresh = require('../../src/factories/server-factory');
     const app = createServerFresh({
       port: 0, // Use random available port
       corsOrigin: 'http://localhost:3000',
       jsonLimit: '1mb',
+      sqliteFile: dbFile,
     });
 
     // Start HTTP server
@@ -54,7 +74,7 @@ describe('Yjs WebSocket Integration Tests', () => {
     // Setup WebSocket handling if available
     console.log('setupWebSocket function available:', !!app.setupWebSocket);
     if (app.setupWebSocket) {
-      app.setupWebSocket(httpServer);
+      yjsRoutes = app.setupWebSocket(httpServer);
     }
 
     await new Promise((resolve) => {
@@ -71,6 +91,11 @@ describe('Yjs WebSocket Integration Tests', () => {
         httpServer.close(resolve);
       });
     }
+    for (const file of [dbFile, dbFile.replace('.sqlite', '-yjs.sqlite')]) {
+      for (const suffix of ['', '-wal', '-shm']) {
+        await fs.rm(`${file}${suffix}`, { force: true });
+      }
+    }
   });
 
   describe('WebSocket Connection', () => {
@@ -166,41 +191,25 @@ describe('Yjs WebSocket Integration Tests', () => {
       });
 
       const doc1 = new Y.Doc();
-      const array1 = doc1.getArray('notes');
-      array1.insert(0, ['initial note']);
+      addNote(doc1, 'n1', 'initial note');
 
-      const update = Y.encodeStateAsUpdate(doc1);
-      ws1.send(update);
+      ws1.send(encodeUpdate(Y.encodeStateAsUpdate(doc1)));
 
       // Wait a bit for the update to be processed
       await new Promise((resolve) => setTimeout(resolve, 100));
 
-      // Second connection should receive initial state
+      // Second connection receives the state in answer to its sync step 1
       const ws2 = new WebSocket(wsUrl);
+      const doc2 = syncDoc(ws2);
       await new Promise((resolve, reject) => {
         ws2.on('open', resolve);
         ws2.on('error', reject);
       });
 
-      const receivedUpdates = [];
-      ws2.on('message', (data) => {
-        receivedUpdates.push(new Uint8Array(data));
-      });
-
-      // Wait for initial state message
+      // Wait for sync step 2
       await new Promise((resolve) => setTimeout(resolve, 100));
 
-      expect(receivedUpdates.length).toBeGreaterThan(0);
-
-      // Apply received state to new document
-      const doc2 = new Y.Doc();
-      for (const update of receivedUpdates) {
-        Y.applyUpdate(doc2, update);
-      }
-
-      const array2 = doc2.getArray('notes');
-      expect(array2.length).toBe(1);
-      expect(array2.get(0)).toBe('initial note');
+      expect(noteContents(doc2)).toEqual({ n1: 'initial note' });
 
       ws1.close();
       ws2.close();
@@ -222,47 +231,28 @@ describe('Yjs WebSocket Integration Tests', () => {
       ]);
 
       // Set up message listeners
-      const ws2Updates = [];
-      const ws3Updates = [];
-
-      ws2.on('message', (data) => {
-        ws2Updates.push(new Uint8Array(data));
-      });
-
-      ws3.on('message', (data) => {
-        ws3Updates.push(new Uint8Array(data));
-      });
+      const testDoc1 = new Y.Doc();
+      const testDoc2 = new Y.Doc();
+      const testDoc3 = new Y.Doc();
+      ws1.on('message', (data) => readMessage(data, testDoc1));
+      ws2.on('message', (data) => readMessage(data, testDoc2));
+      ws3.on('message', (data) => readMessage(data, testDoc3));
 
-      // Clear any initial state messages
+      // Let the initial sync step 1 messages arrive
       await new Promise((resolve) => setTimeout(resolve, 100));
-      ws2Updates.length = 0;
-      ws3Updates.length = 0;
 
       // ws1 sends an update
       const doc = new Y.Doc();
       const array = doc.getArray('test');
       array.insert(0, ['broadcast test']);
 
-      const update = Y.encodeStateAsUpdate(doc);
-      ws1.send(update);
+      ws1.send(encodeUpdate(Y.encodeStateAsUpdate(doc)));
 
       // Wait for broadcast
       await new Promise((resolve) => setTimeout(resolve, 200));
 
       // ws2 and ws3 should receive the update, but not ws1
-      expect(ws2Updates.length).toBeGreaterThan(0);
-      expect(ws3Updates.length).toBeGreaterThan(0);
-
-      // Verify the content was broadcast correctly
-      const testDoc2 = new Y.Doc();
-      const testDoc3 = new Y.Doc();
-
-      for (const receivedUpdate of ws2Updates) {
-        Y.applyUpdate(testDoc2, receivedUpdate);
-      }
-      for (const receivedUpdate of ws3Updates) {
-        Y.applyUpdate(testDoc3, receivedUpdate);
-      }
+      expect(testDoc1.getArray('test').length).toBe(0);
 
       const testArray2 = testDoc2.getArray('test');
       const testArray3 = testDoc3.getArray('test');
@@ -287,65 +277,199 @@ describe('Yjs WebSocket Integration Tests', () => {
         new Promise((resolve) => ws2.on('open', resolve)),
       ]);
 
-      // Create documents for each client
-      const doc1 = new Y.Doc();
-      const doc2 = new Y.Doc();
-
-      const updates1 = [];
-      const updates2 = [];
-
-      ws1.on('message', (data) => {
-        const update = new Uint8Array(data);
-        Y.applyUpdate(doc1, update);
-        updates1.push(update);
-      });
-
-      ws2.on('message', (data) => {
-        const update = new Uint8Array(data);
-        Y.applyUpdate(doc2, update);
-        updates2.push(update);
-      });
+      // Each client keeps its own document in sync, forwarding local edits
+      const doc1 = syncDoc(ws1);
+      const doc2 = syncDoc(ws2);
 
       // Wait for initial state
       await new Promise((resolve) => setTimeout(resolve, 100));
 
       // Client 1 adds notes
-      const notes1 = doc1.getArray('notes');
-      notes1.insert(0, ['Note from client 1']);
-      ws1.send(Y.encodeStateAsUpdate(doc1));
+      addNote(doc1, 'note1', 'Note from client 1');
 
       await new Promise((resolve) => setTimeout(resolve, 100));
 
       // Client 2 adds connections
-      const connections2 = doc2.getArray('connections');
-      connections2.insert(0, [{ f: 'note1', t: 'note2' }]);
-      ws2.send(Y.encodeStateAsUpdate(doc2));
+      doc2.getMap('connections').set('note1:note2:arrow', {
+        from: 'note1',
+        to: 'note2',
+        type: 'arrow',
+      });
 
       await new Promise((resolve) => setTimeout(resolve, 100));
 
       // Client 1 adds more notes
-      notes1.insert(1, ['Another note from client 1']);
-      ws1.send(Y.encodeStateAsUpdate(doc1));
+      addNote(doc1, 'note2', 'Another note from client 1');
 
       await new Promise((resolve) => setTimeout(resolve, 200));
 
       // Verify both documents have the same final state
-      const finalNotes1 = doc1.getArray('notes');
-      const finalNotes2 = doc2.getArray('notes');
-      const finalConnections1 = doc1.getArray('connections');
-      const finalConnections2 = doc2.getArray('connections');
-
-      expect(finalNotes1.length).toBe(finalNotes2.length);
-      expect(finalConnections1.length).toBe(finalConnections2.length);
-
-      expect(finalNotes1.toArray()).toEqual(finalNotes2.toArray());
-      expect(finalConnections1.toArray()).toEqual(finalConnections2.toArray());
+      expect(noteContents(doc2)).toEqual({
+        note1: 'Note from client 1',
+        note2: 'Another note from client 1',
+      });
+      expect(noteContents(doc1)).toEqual(noteContents(doc2));
+      expect(doc1.getMap('connections').toJSON()).toEqual(
+        doc2.getMap('connections').toJSON(),
+      );
+      expect(doc1.getMap('connections').size).toBe(1);
 
       ws1.close();
       ws2.close();
     });
   });
 
+  describe('y-websocket providers and awareness', () => {
+    const waitFor = async (condition) => {
+      for (let i = 0; i < 50 && !condition(); i++) {
+        await new Promise((resolve) => setTimeout(resolve, 50));
+      }
+      expect(condition()).toBe(true);
+    };
+
+    // Each provider's Awareness runs an interval that destroy() leaves
+    // running, so awareness and doc are torn down here as well
+    const providers = [];
+    const track = (provider) => {
+      providers.push(provider);
+      return provider;
+    };
+
+    afterEach(() => {
+      for (const provider of providers.splice(0)) {
+        provider.destroy();
+        provider.awareness.destroy();
+        provider.doc.destroy();
+      }
+    });
+
+    const connectProvider = (mapId, options = {}) =>
+      track(
+        new WebsocketProvider(baseUrl, `yjs/${mapId}`, new Y.Doc(), {
+          WebSocketPolyfill: WebSocket,
+          disableBc: true,
+          ...options,
+        }),
+      );
+
+    it('syncs stock providers and relays their presence', async () => {
+      const mapId = 'test-map-awareness';
+      const alice = connectProvider(mapId);
+      const bob = connectProvider(mapId);
+
+      await waitFor(() => alice.synced && bob.synced);
+
+      addNote(alice.doc, 'a', 'from alice');
+      await waitFor(() => noteContents(bob.doc).a === 'from alice');
+
+      alice.awareness.setLocalStateField('user', { name: 'Alice' });
+      alice.awareness.setLocalStateField('cursor', { noteId: 'a', index: 3 });
+      const aliceId = alice.awareness.clientID;
+      await waitFor(
+        () => bob.awareness.getStates().get(aliceId)?.cursor?.index === 3,
+      );
+      expect(bob.awareness.getStates().get(aliceId).user).toEqual({
+        name: 'Alice',
+      });
+
+      // Late joiners receive the presence of clients already in the room
+      const carol = connectProvider(mapId);
+      await waitFor(() => carol.awareness.getStates().has(aliceId));
+
+      // Closing a connection removes its presence for everyone else
+      alice.destroy();
+      await waitFor(() => !bob.awareness.getStates().has(aliceId));
+      await waitFor(() => !carol.awareness.getStates().has(aliceId));
+    });
+
+    it('keeps ?mode=view audiences read-only and counts them', async () => {
+      const mapId = 'test-map-presentation';
+      const presenter = connectProvider(mapId);
+      const audience = connectProvider(mapId, { params: { mode: 'view' } });
+      await waitFor(() => presenter.synced && audience.synced);
+
+      addNote(presenter.doc, 'a', 'Agenda');
+      await waitFor(() => noteContents(audience.doc).a === 'Agenda');
+
+      // Edits from the audience stay local
+      addNote(audience.doc, 'b', 'Heckle');
+      await new Promise((resolve) => setTimeout(resolve, 200));
+      expect(noteContents(presenter.doc)).toEqual({ a: 'Agenda' });
+
+      const stats = yjsRoutes.getStats();
+      expect(stats.readOnly).toBe(1);
+      expect(stats.connections).toEqual([
+        expect.objectContaining({ mapId, clients: 2, readOnlyClients: 1 }),
+      ]);
+    });
+
+    it('relays edits and presence between servers sharing a pub/sub bus', async () => {
+      const sqliteFile = path.join(
+        process.cwd(),
+        'test-data',
+        `yjs-replicas-${Date.now()}.sqlite`,
+      );
+      const createServerFresh = require('../../src/factories/server-factory');
+      const start = async () => {
+        const app = createServerFresh({
+          sqliteFile,
+          yjsReplication: { pubsub: 'sqlite', pollIntervalMs: 20 },
+        });
+        const server = http.createServer(app);
+        app.setupWebSocket(server);
+        await new Promise((resolve) => server.listen(0, resolve));
+        return { app, server, url: `ws://localhost:${server.address().port}` };
+      };
+      const stop = async ({ app, server }) => {
+        await app.close();
+        server.closeAllConnections();
+        await new Promise((resolve) => server.close(resolve));
+      };
+      const connect = ({ url }) =>
+        track(
+          new WebsocketProvider(url, 'yjs/replicated-map', new Y.Doc(), {
+            WebSocketPolyfill: WebSocket,
+            disableBc: true,
+          }),
+        );
+
+      const first = await start();
+      const second = await start();
+      try {
+        const alice = connect(first);
+        const bob = connect(second);
+        await waitFor(() => alice.synced && bob.synced);
+
+        addNote(alice.doc, 'a', 'from alice');
+        await waitFor(() => noteContents(bob.doc).a === 'from alice');
+        addNote(bob.doc, 'b', 'from bob');
+        await waitFor(() => noteContents(alice.doc).b === 'from bob');
+
+        alice.awareness.setLocalStateField('user', { name: 'Alice' });
+        const aliceId = alice.awareness.clientID;
+        await waitFor(
+          () => bob.awareness.getStates().get(aliceId)?.user?.name === 'Alice',
+        );
+
+        alice.destroy();
+        await waitFor(() => !bob.awareness.getStates().has(aliceId));
+        bob.destroy();
+      } finally {
+        await stop(first);
+        await stop(second);
+        for (const file of [
+          sqliteFile,
+          sqliteFile.replace('.sqlite', '-yjs.sqlite'),
+          sqliteFile.replace('.sqlite', '-pubsub.sqlite'),
+        ]) {
+          for (const suffix of ['', '-wal', '-shm']) {
+            await fs.rm(`${file}${suffix}`, { force: true });
+          }
+        }
+      }
+    });
+  });
+
   describe('Error Handling', () => {
     it('should handle invalid binary data gracefully', async () => {
       const mapId = 'test-map-invalid-data';
@@ -385,7 +509,7 @@ describe('Yjs WebSocket Integration Tests', () => {
       const array = doc.getArray('test');
       array.insert(0, ['test after disconnect']);
 
-      ws2.send(Y.encodeStateAsUpdate(doc));
+      ws2.send(encodeUpdate(Y.encodeStateAsUpdate(doc)));
 
       // Wait a bit
       await new Promise((resolve) => setTimeout(resolve, 100));
@@ -464,6 +588,7 @@ describe('Yjs WebSocket Integration Tests', () => {
         port: 0,
         corsOrigin: 'http://localhost:3000',
         jsonLimit: '1mb',
+        sqliteFile: dbFile,
       });
 
       httpServer = http.createServer(app);
@@ -519,10 +644,10 @@ describe('Yjs WebSocket Integration Tests', () => {
       await new Promise((resolve) => ws1.on('open', resolve));
 
       const doc1 = new Y.Doc();
-      const notes1 = doc1.getArray('notes');
-      notes1.insert(0, ['Persistent note 1', 'Persistent note 2']);
+      addNote(doc1, 'n1', 'Persistent note 1');
+      addNote(doc1, 'n2', 'Persistent note 2');
 
-      ws1.send(Y.encodeStateAsUpdate(doc1));
+      ws1.send(encodeUpdate(Y.encodeStateAsUpdate(doc1)));
 
       // Wait for persistence
       await new Promise((resolve) => setTimeout(resolve, 200));
@@ -532,27 +657,199 @@ describe('Yjs WebSocket Integration Tests', () => {
 
       // Second session: should load persisted content
       const ws2 = new WebSocket(wsUrl);
+      const doc2 = syncDoc(ws2);
       await new Promise((resolve) => ws2.on('open', resolve));
 
-      const receivedUpdates = [];
-      ws2.on('message', (data) => {
-        receivedUpdates.push(new Uint8Array(data));
-      });
-
       // Wait for initial state (should include persisted content)
       await new Promise((resolve) => setTimeout(resolve, 200));
 
-      if (receivedUpdates.length > 0) {
-        const doc2 = new Y.Doc();
-        for (const update of receivedUpdates) {
-          Y.applyUpdate(doc2, update);
+      expect(Object.keys(noteContents(doc2))).toHaveLength(2);
+
+      ws2.close();
+    });
+
+    it('should persist client edits across a server restart', async () => {
+      const sqliteFile = path.join(
+        process.cwd(),
+        'test-data',
+        `yjs-restart-${Date.now()}.sqlite`,
+      );
+      const createServerFresh = require('../../src/factories/server-factory');
+      const start = async () => {
+        const app = createServerFresh({ sqliteFile });
+        const server = http.createServer(app);
+        app.setupWebSocket(server);
+        await new Promise((resolve) => server.listen(0, resolve));
+        return { app, server, url: `ws://localhost:${server.address().port}` };
+      };
+      const stop = async ({ app, server }) => {
+        // Shutdown flushes edits still waiting for their batched write
+        await app.close();
+        server.closeAllConnections();
+        await new Promise((resolve) => server.close(resolve));
+      };
+
+      try {
+        const first = await start();
+        const ws1 = new WebSocket(`${first.url}/yjs/restart-map`);
+        const doc1 = syncDoc(ws1);
+        await new Promise((resolve) => ws1.on('open', resolve));
+        addNote(doc1, 'n1', 'Survives restart');
+        await new Promise((resolve) => setTimeout(resolve, 100));
+        await stop(first);
+
+        const second = await start();
+        const ws2 = new WebSocket(`${second.url}/yjs/restart-map`);
+        const doc2 = syncDoc(ws2);
+        await new Promise((resolve) => ws2.on('open', resolve));
+        await new Promise((resolve) => setTimeout(resolve, 200));
+
+        expect(noteContents(doc2)).toEqual({ n1: 'Survives restart' });
+        ws2.close();
+        await stop(second);
+      } finally {
+        for (const file of [
+          sqliteFile,
+          sqliteFile.replace('.sqlite', '-yjs.sqlite'),
+        ]) {
+          for (const suffix of ['', '-wal', '-shm']) {
+            await fs.rm(`${file}${suffix}`, { force: true });
+          }
         }
+      }
+    });
+  });
+
+  describe('REST and WebSocket collaboration', () => {
+    let collabServer;
+    let collabUrl;
+    let dbFile;
+
+    beforeEach(async () => {
+      dbFile = path.join(
+        process.cwd(),
+        'test-data',
+        `collab-${Date.now()}.sqlite`,
+      );
+      const createServerFresh = require('../../src/factories/server-factory');
+      const app = createServerFresh({ sqliteFile: dbFile });
+      collabServer = http.createServer(app);
+      app.setupWebSocket(collabServer);
+      await new Promise((resolve) => collabServer.listen(0, resolve));
+      collabUrl = `ws://localhost:${collabServer.address().port}`;
+    });
 
-        const notes2 = doc2.getArray('notes');
-        expect(notes2.length).toBeGreaterThan(0);
+    afterEach(async () => {
+      await new Promise((resolve) => collabServer.close(resolve));
+      for (const file of [dbFile, dbFile.replace('.sqlite', '-yjs.sqlite')]) {
+        await fs.unlink(file).catch(() => {
+          // ignore missing file
+        });
       }
+    });
 
-      ws2.close();
+    it('should share granular REST edits and client edits through one Y.Doc', async () => {
+      const created = await request(collabServer)
+        .post('/maps')
+        .send({
+          name: 'Collab',
+          state: { n: [{ i: 'a', p: [0, 0], c: 'Alpha' }], c: [] },
+        })
+        .expect(201);
+      const mapId = created.body.id;
+
+      // Seed the live document through a granular edit
+      await request(collabServer)
+        .post(`/maps/${mapId}/notes/b`)
+        .send({ p: [10, 10], c: 'Beta' })
+        .expect(201);
+
+      const ws = new WebSocket(`${collabUrl}/yjs/${mapId}`);
+      const clientDoc = syncDoc(ws);
+      await new Promise((resolve) => ws.on('open', resolve));
+      await new Promise((resolve) => setTimeout(resolve, 100));
+
+      const clientNotes = clientDoc.getMap('notes');
+      expect([...clientNotes.keys()].sort()).toEqual(['a', 'b']);
+
+      // REST edit reaches the connected client
+      await request(collabServer)
+        .patch(`/maps/${mapId}/notes/a`)
+        .send({ c: 'Alpha edited' })
+        .expect(200);
+      await new Promise((resolve) => setTimeout(resolve, 100));
+      expect(clientNotes.get('a').get('content').toString()).toBe(
+        'Alpha edited',
+      );
+
+      // Client edit is visible to REST callers
+      clientNotes.get('b').get('content').insert(4, ' (client)');
+      await new Promise((resolve) => setTimeout(resolve, 100));
+      const getRes = await request(collabServer)
+        .get(`/maps/${mapId}`)
+        .expect(200);
+      expect(getRes.body.data.n.find((n) => n.i === 'b').c).toBe(
+        'Beta (client)',
+      );
+
+      ws.close();
+      await new Promise((resolve) => ws.on('close', resolve));
+    });
+
+    it('should write PUT through to the live Y.Doc and connected clients', async () => {
+      const created = await request(collabServer)
+        .post('/maps')
+        .send({
+          name: 'Collab PUT',
+          state: { n: [{ i: 'a', p: [0, 0], c: 'Alpha' }], c: [] },
+        })
+        .expect(201);
+      const mapId = created.body.id;
+
+      await request(collabServer)
+        .patch(`/maps/${mapId}/notes/a`)
+        .send({ c: 'Alpha live' })
+        .expect(200);
+
+      const ws = new WebSocket(`${collabUrl}/yjs/${mapId}`);
+      const clientDoc = syncDoc(ws);
+      await new Promise((resolve) => ws.on('open', resolve));
+      await new Promise((resolve) => setTimeout(resolve, 100));
+
+      const current = await request(collabServer)
+        .get(`/maps/${mapId}`)
+        .expect(200);
+      const putRes = await request(collabServer)
+        .put(`/maps/${mapId}`)
+        .send({
+          version: current.body.version,
+          data: {
+            n: [
+              { i: 'a', p: [5, 5], c: 'Alpha replaced' },
+              { i: 'b', p: [20, 20], c: 'Beta' },
+            ],
+            c: [{ f: 'a', t: 'b' }],
+          },
+        })
+        .expect(200);
+      await new Promise((resolve) => setTimeout(resolve, 100));
+
+      const clientNotes = clientDoc.getMap('notes');
+      expect([...clientNotes.keys()].sort()).toEqual(['a', 'b']);
+      expect(clientNotes.get('a').get('content').toString()).toBe(
+        'Alpha replaced',
+      );
+      expect(clientDoc.getMap('connections').size).toBe(1);
+
+      const getRes = await request(collabServer)
+        .get(`/maps/${mapId}`)
+        .expect(200);
+      expect(getRes.body.data.n).toHaveLength(2);
+      expect(getRes.body.version).toBe(putRes.body.version);
+      expect(getRes.headers.etag).toBe(putRes.headers.etag);
+
+      ws.close();
+      await new Promise((resolve) => ws.on('close', resolve));
     });
   });
 
@@ -581,7 +878,7 @@ describe('Yjs WebSocket Integration Tests', () => {
 
           for (let j = 0; j < 10; j++) {
             array.insert(j, [`Client ${index} - Update ${j}`]);
-            ws.send(Y.encodeStateAsUpdate(doc));
+            ws.send(encodeUpdate(Y.encodeStateAsUpdate(doc)));
           }
 
           setTimeout(resolve, 100);
@@ -0,0 +1,238 @@
+const path = require('path');
+const fs = require('fs');
+const crypto = require('crypto');
+const { randomUUID } = require('crypto');
+
+const AuthService = require('../../src/modules/auth/service');
+const {
+  createVerificationKey,
+  verifyJwt,
+} = require('../../src/modules/auth/jwt');
+const {
+  signShareToken,
+  verifyShareToken,
+} = require('../../src/modules/auth/share-token');
+const { UnauthorizedError } = require('../../src/modules/maps/errors');
+
+function encode(value) {
+  return Buffer.from(JSON.stringify(value)).toString('base64url');
+}
+
+function signHs256(claims, secret, header = { alg: 'HS256', typ: 'JWT' }) {
+  const input = `${encode(header)}.${encode(claims)}`;
+  const signature = crypto
+    .createHmac('sha256', secret)
+    .update(input)
+    .digest('base64url');
+  return `${input}.${signature}`;
+}
+
+describe('auth', () => {
+  describe('verifyJwt()', () => {
+    const key = createVerificationKey('test-secret');
+    const now = Math.floor(Date.now() / 1000);
+
+    it('returns claims of a valid HMAC token', () => {
+      const token = signHs256({ sub: 'alice', exp: now + 60 }, 'test-secret');
+      expect(verifyJwt(token, { key })).toMatchObject({ sub: 'alice' });
+    });
+
+    it('rejects bad signatures, expiry, alg none and missing subject', () => {
+      const rejected = [
+        signHs256({ sub: 'alice' }, 'other-secret'),
+        signHs256({ sub: 'alice', exp: now - 120 }, 'test-secret'),
+        signHs256({ sub: 'alice' }, 'test-secret', { alg: 'none' }),
+        signHs256({ exp: now + 60 }, 'test-secret'),
+        'not-a-token',
+      ];
+      for (const token of rejected) {
+        expect(() => verifyJwt(token, { key })).toThrow(UnauthorizedError);
+      }
+    });
+
+    it('checks issuer and audience when configured', () => {
+      const token = signHs256(
+        { sub: 'alice', iss: 'mindmeld', aud: ['api'] },
+        'test-secret',
+      );
+      expect(
+        verifyJwt(token, { key, issuer: 'mindmeld', audience: 'api' }).sub,
+      ).toBe('alice');
+      expect(() => verifyJwt(token, { key, issuer: 'other' })).toThrow(
+        'Invalid token issuer',
+      );
+      expect(() => verifyJwt(token, { key, audience: 'web' })).toThrow(
+        'Invalid token audience',
+      );
+    });
+
+    it('verifies RS256 tokens against a PEM public key only', () => {
+      const { publicKey, privateKey } = crypto.generateKeyPairSync('rsa', {
+        modulusLength: 2048,
+      });
+      const input = `${encode({ alg: 'RS256' })}.${encode({ sub: 'bob' })}`;
+      const signature = crypto
+        .sign('sha256', Buffer.from(input), privateKey)
+        .toString('base64url');
+      const token = `${input}.${signature}`;
+
+      const pem = publicKey.export({ type: 'spki', format: 'pem' });
+      expect(verifyJwt(token, { key: createVerificationKey(pem) }).sub).toBe(
+        'bob',
+      );
+      // An HMAC key never accepts an asymmetric token (algorithm confusion)
+      expect(() => verifyJwt(token, { key })).toThrow(UnauthorizedError);
+    });
+
+    it('rejects crafted headers and non-object segments as unauthorized', () => {
+      const { publicKey } = crypto.generateKeyPairSync('ec', {
+        namedCurve: 'P-256',
+      });
+      const publicKeyPem = createVerificationKey(
+        publicKey.export({ type: 'spki', format: 'pem' }),
+      );
+      const rejected = [
+        ...['constructor', '__proto__', 'toString', 'hasOwnProperty'].map(
+          (alg) => signHs256({ sub: 'alice' }, 'test-secret', { alg }),
+        ),
+        signHs256({ sub: 'alice' }, 'test-secret', { alg: ['HS256'] }),
+        signHs256({ sub: 'alice' }, 'test-secret', null),
+        signHs256({ sub: 'alice' }, 'test-secret', 'HS256'),
+        signHs256(null, 'test-secret'),
+        signHs256([], 'test-secret'),
+      ];
+      for (const token of rejected) {
+        for (const verificationKey of [key, publicKeyPem]) {
+          expect(() => verifyJwt(token, { key: verificationKey })).toThrow(
+            UnauthorizedError,
+          );
+        }
+      }
+    });
+  });
+
+  describe('share tokens', () => {
+    const share = {
+      shareId: 'share-1',
+      mapId: 'map-1',
+      role: 'view',
+      expiresAt: new Date(Date.now() + 60 * 1000).toISOString(),
+    };
+
+    it('round-trips claims and rejects tampering and expiry', () => {
+      const token = signShareToken(share, 'share-secret');
+      expect(token).toMatch(/^mms_/);
+      expect(verifyShareToken(token, 'share-secret')).toEqual({
+        shareId: 'share-1',
+        mapId: 'map-1',
+        role: 'view',
+      });
+
+      expect(() => verifyShareToken(token, 'other-secret')).toThrow(
+        'Invalid share token signature',
+      );
+      const [payload, signature] = token.slice(4).split('.');
+      const forged = JSON.parse(Buffer.from(payload, 'base64url'));
+      forged.role = 'edit';
+      expect(() =>
+        verifyShareToken(`mms_${encode(forged)}.${signature}`, 'share-secret'),
+      ).toThrow(UnauthorizedError);
+
+      const expired = signShareToken(
+        { ...share, expiresAt: new Date(Date.now() - 1000).toISOString() },
+        'share-secret',
+      );
+      expect(() => verifyShareToken(expired, 'share-secret')).toThrow(
+        'Share link expired',
+      );
+      expect(() => verifyShareToken('mms_abc', 'share-secret')).toThrow(
+        'Malformed share token',
+      );
+    });
+
+    it('authenticates as the link through the configured resolver', () => {
+      const dbFile = path.join(
+        __dirname,
+        '../tmp',
+        `auth-${randomUUID()}.sqlite`,
+      );
+      const shares = {
+        resolveShareToken: (token) => verifyShareToken(token, 'share-secret'),
+      };
+      const withShares = new AuthService(dbFile, { enabled: true, shares });
+      const withoutShares = new AuthService(dbFile, { enabled: true });
+      const token = signShareToken(share, 'share-secret');
+      try {
+        expect(withShares.authenticate(`Bearer ${token}`)).toEqual({
+          userId: 'share:share-1',
+          method: 'share',
+          shareId: 'share-1',
+          share: { mapId: 'map-1', role: 'view' },
+        });
+        expect(() => withoutShares.authenticate(`Bearer ${token}`)).toThrow(
+          'Invalid credentials',
+        );
+      } finally {
+        withShares.repo.db.close();
+        withoutShares.repo.db.close();
+        for (const suffix of ['', '-wal', '-shm']) {
+          fs.rmSync(`${dbFile}${suffix}`, { force: true });
+        }
+      }
+    });
+  });
+
+  describe('AuthService API keys', () => {
+    let dbFile;
+    let authService;
+
+    beforeEach(() => {
+      dbFile = path.join(__dirname, '../tmp', `auth-${randomUUID()}.sqlite`);
+      authService = new AuthService(dbFile, { enabled: true });
+    });
+
+    afterEach(() => {
+      authService.repo.db.close();
+      for (const suffix of ['', '-wal', '-shm']) {
+        fs.rmSync(`${dbFile}${suffix}`, { force: true });
+      }
+    });
+
+    it('issues keys that authenticate as their user until revoked', () => {
+      const issued = authService.createApiKey({ userId: 'alice' });
+      expect(issued.key).toMatch(/^mmk_/);
+
+      const principal = authService.authenticate(`Bearer ${issued.key}`);
+      expect(principal).toEqual({
+        userId: 'alice',
+        method: 'api-key',
+        keyId: issued.id,
+      });
+
+      // Only the hash is stored
+      const stored = authService.repo.db
+        .prepare('SELECT key_hash FROM api_keys WHERE id = ?')
+        .get(issued.id);
+      expect(stored.key_hash).toMatch(/^[0-9a-f]{64}$/);
+      expect(authService.listApiKeys('alice')[0].lastUsedAt).not.toBeNull();
+
+      authService.revokeApiKey(issued.id);
+      expect(() => authService.authenticate(`Bearer ${issued.key}`)).toThrow(
+        'Invalid API key',
+      );
+    });
+
+    it('rejects missing or non-Bearer credentials and unknown tokens', () => {
+      expect(() => authService.authenticate(undefined)).toThrow(
+        'Authentication required',
+      );
+      expect(() => authService.authenticate('Basic abc')).toThrow(
+        'Use a Bearer token',
+      );
+      // No JWT key configured: non-API-key tokens are invalid
+      expect(() => authService.authenticate('Bearer abc.def.ghi')).toThrow(
+        'Invalid credentials',
+      );
+    });
+  });
+});
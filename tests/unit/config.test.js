@@ -116,5 +116,31 @@ describe('config', () => {
       const config2 = buildConfig();
       expect(config2.featureMcp).toBe(false);
     });
+
+    it('parses MCP_TOKEN into named, scoped tokens', () => {
+      delete process.env.MCP_TOKEN;
+      expect(buildConfig().mcpTokens).toEqual([]);
+
+      process.env.MCP_TOKEN = 's3cret';
+      expect(buildConfig().mcpTokens).toEqual([
+        { name: 'default', token: 's3cret', scope: 'write' },
+      ]);
+
+      process.env.MCP_TOKEN = 'warp:abc:read, ci:def';
+      expect(buildConfig().mcpTokens).toEqual([
+        { name: 'warp', token: 'abc', scope: 'read' },
+        { name: 'ci', token: 'def', scope: 'write' },
+      ]);
+
+      process.env.MCP_TOKEN = 'ci:def:write:ci-bot';
+      expect(buildConfig().mcpTokens).toEqual([
+        { name: 'ci', token: 'def', scope: 'write', userId: 'ci-bot' },
+      ]);
+
+      process.env.MCP_TOKEN = 'warp:abc:admin';
+      expect(() => buildConfig()).toThrow('MCP_TOKEN scope');
+      process.env.MCP_TOKEN = 'warp:abc,warp:def';
+      expect(() => buildConfig()).toThrow('unique');
+    });
   });
 });
@@ -0,0 +1,86 @@
+const {
+  applyJsonPatch,
+  applyMergePatch,
+  JsonPatchError,
+} = require('../../src/utils/json-patch');
+
+describe('json-patch utils', () => {
+  describe('applyJsonPatch()', () => {
+    const doc = {
+      n: [
+        { i: 'a', p: [0, 0], c: 'Alpha' },
+        { i: 'b', p: [1, 1], c: 'Beta' },
+      ],
+      c: [],
+      meta: { 'a/b': 1, 'm~n': 2 },
+    };
+
+    it('applies add, remove, replace, move, copy and test operations', () => {
+      const result = applyJsonPatch(doc, [
+        { op: 'test', path: '/n/0/i', value: 'a' },
+        { op: 'replace', path: '/n/0/c', value: 'Alpha prime' },
+        { op: 'add', path: '/n/-', value: { i: 'c', p: [2, 2], c: 'Gamma' } },
+        { op: 'remove', path: '/n/1' },
+        { op: 'add', path: '/c/0', value: { f: 'a', t: 'c' } },
+        { op: 'copy', from: '/meta/a~1b', path: '/meta/copied' },
+        { op: 'move', from: '/meta/m~0n', path: '/meta/moved' },
+      ]);
+
+      expect(result).toEqual({
+        n: [
+          { i: 'a', p: [0, 0], c: 'Alpha prime' },
+          { i: 'c', p: [2, 2], c: 'Gamma' },
+        ],
+        c: [{ f: 'a', t: 'c' }],
+        meta: { 'a/b': 1, copied: 1, moved: 2 },
+      });
+    });
+
+    it('does not mutate the target', () => {
+      applyJsonPatch(doc, [{ op: 'remove', path: '/n/0' }]);
+      expect(doc.n).toHaveLength(2);
+    });
+
+    it('flags failed tests separately from invalid operations', () => {
+      expect(() =>
+        applyJsonPatch(doc, [{ op: 'test', path: '/n/0/c', value: 'x' }]),
+      ).toThrow(expect.objectContaining({ testFailed: true }));
+
+      for (const patch of [
+        [{ op: 'remove', path: '/n/5' }],
+        [{ op: 'replace', path: '/missing', value: 1 }],
+        [{ op: 'add', path: 'no-slash', value: 1 }],
+        [{ op: 'bogus', path: '/n' }],
+        [{ op: 'add', path: '/n/0' }],
+        [{ op: 'add', path: '/__proto__/polluted', value: true }],
+        [{ op: 'move', from: '/n/0' }],
+        [{ op: 'move', path: '/n/1' }],
+        [{ op: 'copy', from: 0, path: '/n/1' }],
+        { op: 'add' },
+      ]) {
+        expect(() => applyJsonPatch(doc, patch)).toThrow(JsonPatchError);
+      }
+      expect({}.polluted).toBeUndefined();
+    });
+  });
+
+  describe('applyMergePatch()', () => {
+    it('merges objects, removes null members and replaces arrays', () => {
+      const target = { n: [{ i: 'a' }], c: [], meta: { x: 1, y: 2 } };
+      const result = applyMergePatch(target, {
+        n: [],
+        meta: { x: null, z: 3 },
+      });
+
+      expect(result).toEqual({ n: [], c: [], meta: { y: 2, z: 3 } });
+      expect(target.meta).toEqual({ x: 1, y: 2 });
+    });
+
+    it('rejects prototype keys', () => {
+      expect(() =>
+        applyMergePatch({}, JSON.parse('{"__proto__": {"polluted": true}}')),
+      ).toThrow(JsonPatchError);
+      expect({}.polluted).toBeUndefined();
+    });
+  });
+});
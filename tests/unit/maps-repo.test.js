@@ -119,4 +119,180 @@ describe('MapsRepo', () => {
       expect(repo.get('map-2').name).toBe('Map Two');
     });
   });
+
+  describe('search()', () => {
+    const createMap = (id, name, notes) => {
+      const stateJson = JSON.stringify({ n: notes, c: [] });
+      repo.create({
+        id,
+        name,
+        version: 1,
+        updatedAt: new Date().toISOString(),
+        stateJson,
+        sizeBytes: stateJson.length,
+      });
+    };
+
+    it('should find maps by name and note content with snippets', () => {
+      createMap('map-a', 'Launch plan', [
+        { i: 'n1', p: [0, 0], c: 'Book the venue for the launch' },
+        { i: 'n2', p: [0, 0], c: 'Unrelated note' },
+      ]);
+      createMap('map-b', 'Groceries', [
+        { i: 'n3', p: [0, 0], c: 'Milk and eggs' },
+      ]);
+
+      const byNote = repo.search('"venue"*');
+      expect(byNote.total).toBe(1);
+      expect(byNote.items[0].id).toBe('map-a');
+      expect(byNote.items[0].matches).toEqual([
+        { noteId: 'n1', snippet: 'Book the <mark>venue</mark> for the launch' },
+      ]);
+
+      const byName = repo.search('"grocer"*');
+      expect(byName.items[0].id).toBe('map-b');
+      expect(byName.items[0].nameHighlight).toBe('<mark>Groceries</mark>');
+      expect(byName.items[0].matches).toEqual([]);
+    });
+
+    it('should HTML-escape note text around highlighted matches', () => {
+      createMap('map-x', '<b>Bold</b> plans', [
+        {
+          i: 'n1',
+          p: [0, 0],
+          c: 'Plans <img src=x onerror=alert(1)> & "more"',
+        },
+      ]);
+
+      const result = repo.search('"plans"*');
+      expect(result.items[0].nameHighlight).toBe(
+        '&lt;b&gt;Bold&lt;/b&gt; <mark>plans</mark>',
+      );
+      expect(result.items[0].matches[0].snippet).toBe(
+        '<mark>Plans</mark> &lt;img src=x onerror=alert(1)&gt; &amp; &quot;more&quot;',
+      );
+    });
+
+    it('should keep the index in sync with update, updateMeta and delete', () => {
+      createMap('map-c', 'Old title', [{ i: 'n1', p: [0, 0], c: 'alpha' }]);
+
+      repo.update({
+        id: 'map-c',
+        nextVersion: 2,
+        expectedVersion: 1,
+        updatedAt: new Date().toISOString(),
+        stateJson: JSON.stringify({
+          n: [{ i: 'n1', p: [0, 0], c: 'beta' }],
+          c: [],
+        }),
+        name: 'Old title',
+        sizeBytes: 10,
+      });
+      expect(repo.search('"alpha"*').total).toBe(0);
+      expect(repo.search('"beta"*').total).toBe(1);
+
+      repo.updateMeta({
+        id: 'map-c',
+        nextVersion: 3,
+        expectedVersion: 2,
+        updatedAt: new Date().toISOString(),
+        name: 'New title',
+      });
+      expect(repo.search('"old"*').total).toBe(0);
+      expect(repo.search('"new"*').total).toBe(1);
+
+      repo.indexNotes('map-c', { n: [{ i: 'n9', p: [0, 0], c: 'gamma' }] });
+      expect(repo.search('"gamma"*').items[0].matches[0].noteId).toBe('n9');
+
+      repo.delete('map-c');
+      expect(repo.search('"gamma"*').total).toBe(0);
+      expect(repo.search('"new"*').total).toBe(0);
+    });
+  });
+
+  describe('revisions', () => {
+    const writeVersion = (target, id, version, text) => {
+      const stateJson = JSON.stringify({
+        n: [{ i: 'n1', p: [0, 0], c: text }],
+        c: [],
+      });
+      const row = {
+        id,
+        name: 'History',
+        updatedAt: new Date().toISOString(),
+        stateJson,
+        sizeBytes: stateJson.length,
+      };
+      if (version === 1) {
+        target.create({ ...row, version });
+      } else {
+        target.update({
+          ...row,
+          nextVersion: version,
+          expectedVersion: version - 1,
+        });
+      }
+    };
+
+    it('should record a revision per create and update, newest first', () => {
+      writeVersion(repo, 'map-h', 1, 'first');
+      writeVersion(repo, 'map-h', 2, 'second');
+
+      const revisions = repo.listRevisions('map-h');
+      expect(
+        revisions.map((r) => [r.revision, r.source, r.mapVersion]),
+      ).toEqual([
+        [2, 'update', 2],
+        [1, 'create', 1],
+      ]);
+      expect(revisions[0]).not.toHaveProperty('stateJson');
+
+      const first = repo.getRevision('map-h', 1);
+      expect(JSON.parse(first.stateJson).n[0].c).toBe('first');
+      expect(repo.getRevision('map-h', 99)).toBeNull();
+    });
+
+    it('should prune revisions beyond the configured limit', () => {
+      const limited = new MapsRepo(dbFile, { revisionLimit: 3 });
+      for (let version = 1; version <= 5; version++) {
+        writeVersion(limited, 'map-l', version, `v${version}`);
+      }
+
+      expect(limited.listRevisions('map-l').map((r) => r.revision)).toEqual([
+        5, 4, 3,
+      ]);
+    });
+
+    it('should skip addRevision when nothing changed', () => {
+      writeVersion(repo, 'map-d', 1, 'same');
+      const { stateJson, sizeBytes, name, version } = repo.get('map-d');
+
+      const skipped = repo.addRevision({
+        id: 'map-d',
+        source: 'yjs',
+        mapVersion: version,
+        name,
+        stateJson,
+        sizeBytes,
+      });
+      expect(skipped).toBeNull();
+
+      const changed = JSON.stringify({ n: [], c: [] });
+      const added = repo.addRevision({
+        id: 'map-d',
+        source: 'yjs',
+        mapVersion: version,
+        name,
+        stateJson: changed,
+        sizeBytes: changed.length,
+      });
+      expect(added).toBe(2);
+    });
+
+    it('should drop revisions when the map is deleted', () => {
+      writeVersion(repo, 'map-x', 1, 'gone');
+      repo.delete('map-x');
+      expect(repo.listRevisions('map-x')).toEqual([]);
+    });
+  });
 });
@@ -17,6 +17,7 @@ const { randomUUID } = require('crypto');
 const createServer = require('../../src/factories/server-factory');
 const MapsService = require('../../src/modules/maps/service');
 const YjsService = require('../../src/modules/yjs/service');
+const { BadRequestError } = require('../../src/modules/maps/errors');
 
 describe('MS-66: Maps Y.js Bridge Integration', () => {
   let server;
@@ -203,6 +204,263 @@ describe('MS-66: Maps Y.js Bridge Integration', () => {
     });
   });
 
+  describe('Metadata patch (PATCH /maps/:id/meta)', () => {
+    test('should keep Y.js meta.mapName in sync when renaming', async () => {
+      const mapId = randomUUID();
+
+      await request(server)
+        .post(`/maps/${mapId}/import`)
+        .send({ ...testMapData, meta: { mapName: 'Before' } })
+        .expect(201);
+
+      const patchResponse = await request(server)
+        .patch(`/maps/${mapId}/meta`)
+        .send({ name: 'After' })
+        .expect(200);
+
+      expect(patchResponse.body.name).toBe('After');
+      expect(patchResponse.body.data.meta.mapName).toBe('After');
+      expect(patchResponse.body.data.n).toHaveLength(2);
+
+      const getResponse = await request(server)
+        .get(`/maps/${mapId}`)
+        .expect(200);
+      expect(getResponse.body.name).toBe('After');
+      expect(getResponse.body.data.meta.mapName).toBe('After');
+      expect(getResponse.headers.etag).toBe(patchResponse.headers.etag);
+    });
+  });
+
+  describe('Full replace of Y.js-backed maps (PUT /maps/:id)', () => {
+    test('should apply the new state to the Y.Doc so GET reflects it', async () => {
+      const mapId = randomUUID();
+
+      await request(server)
+        .post(`/maps/${mapId}/import`)
+        .send({ ...testMapData, meta: { mapName: 'Replace me' } })
+        .expect(201);
+
+      const putResponse = await request(server)
+        .put(`/maps/${mapId}`)
+        .send({
+          version: 1,
+          data: { n: [{ i: 'note1', c: 'Replaced', p: [1, 2] }], c: [] },
+        })
+        .expect(200);
+
+      expect(putResponse.body.data.n).toEqual([
+        { i: 'note1', c: 'Replaced', p: [1, 2] },
+      ]);
+      expect(putResponse.body.data.c).toEqual([]);
+      expect(putResponse.body.data.meta.mapName).toBe('Replace me');
+
+      const getResponse = await request(server)
+        .get(`/maps/${mapId}`)
+        .expect(200);
+      expect(getResponse.body.data.n).toEqual(putResponse.body.data.n);
+      expect(getResponse.headers.etag).toBe(putResponse.headers.etag);
+    });
+
+    test('should reconcile minimally and keep the static row coherent', async () => {
+      const mapsService = new MapsService(testDbPath);
+      const mapId = randomUUID();
+
+      await mapsService.importToYjs(mapId, testMapData);
+      const doc = await mapsService.yjsService.getOrCreateDocument(mapId);
+      const note2Text = doc.getMap('notes').get('note2').get('content');
+      const origins = [];
+      doc.on('update', (update, origin) => origins.push(origin));
+
+      const updated = await mapsService.update(mapId, {
+        version: 1,
+        data: {
+          n: [
+            { i: 'note1', c: 'Hello from REST', p: [100, 200] },
+            { i: 'note2', c: 'Bridge test', p: [300, 400] },
+          ],
+          c: [],
+        },
+      });
+
+      expect(origins).toEqual(['rest-put']);
+      expect(doc.getMap('notes').get('note2').get('content')).toBe(note2Text);
+      expect(updated.dataSource).toBe('yjs');
+      expect(updated.version).toBe(2);
+      expect(JSON.parse(updated.stateJson)).toEqual(updated.data);
+
+      await expect(
+        mapsService.update(mapId, {
+          version: updated.version,
+          data: { n: [{ i: 'a', c: 'x', p: [0, 0] }], c: [{ f: 'a', t: 'a' }] },
+        }),
+      ).rejects.toThrow(BadRequestError);
+      expect(doc.getMap('notes').size).toBe(2);
+
+      await mapsService.close();
+    });
+    test('should leave the Y.Doc untouched when a PUT precondition fails', async () => {
+      const mapsService = new MapsService(testDbPath);
+      const mapId = randomUUID();
+
+      await mapsService.importToYjs(mapId, testMapData);
+      const { etag } = await mapsService.getById(mapId);
+      const doc = await mapsService.yjsService.getOrCreateDocument(mapId);
+
+      // A collaborator edits the map after the client read it
+      const noteContent = doc.getMap('notes').get('note1').get('content');
+      noteContent.insert(noteContent.length, '!');
+      const before = (await mapsService.getById(mapId)).data;
+      const origins = [];
+      doc.on('update', (update, origin) => origins.push(origin));
+
+      const replacement = {
+        version: 1,
+        data: { n: [{ i: 'note1', c: 'Stale', p: [0, 0] }], c: [] },
+      };
+      await expect(
+        mapsService.update(mapId, replacement, { ifMatch: etag }),
+      ).rejects.toThrow('ETag mismatch');
+      await expect(
+        mapsService.update(mapId, { ...replacement, version: 2 }),
+      ).rejects.toThrow('Version conflict');
+
+      expect(origins).toEqual([]);
+      const after = await mapsService.getById(mapId);
+      expect(after.data).toEqual(before);
+      expect(after.version).toBe(1);
+
+      await mapsService.close();
+    });
+  });
+
+  describe('Search over Y.js-backed maps', () => {
+    test('should index note contents when the update log is compacted', async () => {
+      const mapsService = new MapsService(testDbPath);
+      const mapId = randomUUID();
+
+      await mapsService.importToYjs(mapId, {
+        ...testMapData,
+        meta: { mapName: 'Searchable' },
+      });
+
+      // Edit the live Y.Doc directly (as a collaborator would)
+      const doc = await mapsService.yjsService.getOrCreateDocument(mapId);
+      doc
+        .getMap('notes')
+        .get('note2')
+        .get('content')
+        .insert(0, 'Collaborative ');
+
+      // Logged edits are indexed once they are compacted, not per update
+      await new Promise((resolve) => setImmediate(resolve));
+      expect((await mapsService.search({ q: 'collaborative' })).items).toEqual(
+        [],
+      );
+      await mapsService.yjsService.compactDocument(mapId);
+
+      const results = await mapsService.search({ q: 'collaborative' });
+      expect(results.items).toHaveLength(1);
+      expect(results.items[0].id).toBe(mapId);
+      expect(results.items[0].matches).toEqual([
+        {
+          noteId: 'note2',
+          snippet: '<mark>Collaborative</mark> Bridge test',
+        },
+      ]);
+
+      await mapsService.close();
+    });
+  });
+
+  describe('Version history of Y.js-backed maps', () => {
+    test('should capture live edits and restore into the Y.Doc', async () => {
+      const mapsService = new MapsService(testDbPath);
+      const mapId = randomUUID();
+
+      await mapsService.importToYjs(mapId, {
+        ...testMapData,
+        meta: { mapName: 'Versioned' },
+      });
+
+      const doc = await mapsService.yjsService.getOrCreateDocument(mapId);
+      doc.getMap('notes').get('note1').get('content').insert(0, 'Edited ');
+      await new Promise((resolve) => setImmediate(resolve));
+      await mapsService.yjsService.compactDocument(mapId);
+
+      const versions = await mapsService.listVersions(mapId);
+      expect(versions.map((v) => v.source)).toEqual(['yjs', 'import']);
+
+      const edited = await mapsService.getVersion(mapId, 2);
+      expect(edited.data.n.find((n) => n.i === 'note1').c).toBe(
+        'Edited Hello from Y.js',
+      );
+
+      const restored = await mapsService.restoreVersion(mapId, 1);
+      expect(restored.dataSource).toBe('yjs');
+      expect(restored.version).toBe(2);
+      expect(doc.getMap('notes').get('note1').get('content').toString()).toBe(
+        'Hello from Y.js',
+      );
+
+      const latest = await mapsService.listVersions(mapId);
+      expect(latest[0]).toMatchObject({ revision: 3, source: 'restore' });
+
+      await mapsService.close();
+    });
+  });
+
+  describe('Y.js update log', () => {
+    test('should restore logged edits after a restart and compact them', async () => {
+      const first = new MapsService(testDbPath, {
+        compaction: { maxUpdates: 3 },
+      });
+      const mapId = randomUUID();
+      await first.importToYjs(mapId, {
+        ...testMapData,
+        meta: { mapName: 'Logged' },
+      });
+      await first.updateNote(mapId, 'note1', { c: 'Edited once' });
+      await new Promise((resolve) => setImmediate(resolve));
+      const persistence = first.yjsService.persistence;
+      expect((await persistence.getUpdates(mapId)).length).toBeGreaterThan(0);
+      await first.close();
+
+      // A new service replays snapshot + log into a fresh Y.Doc
+      const second = new MapsService(testDbPath, {
+        compaction: { maxUpdates: 1 },
+      });
+      const restored = await second.getById(mapId);
+      expect(restored.dataSource).toBe('yjs');
+      expect(restored.data.n.find((n) => n.i === 'note1').c).toBe(
+        'Edited once',
+      );
+
+      await second.updateNote(mapId, 'note2', { c: 'Edited twice' });
+      await new Promise((resolve) => setImmediate(resolve));
+      expect(await second.yjsService.persistence.getUpdates(mapId)).toEqual([]);
+      await second.close();
+    });
+
+    test('should not bring back a map deleted after its document was evicted', async () => {
+      const service = new MapsService(testDbPath);
+      const { id: mapId } = service.create({
+        name: 'Evicted',
+        state: { n: [], c: [] },
+      });
+      await service.importToYjs(mapId, testMapData);
+      await service.updateNote(mapId, 'note1', { c: 'Logged edit' });
+      expect(await service.yjsService.evictDocument(mapId, 'idle')).toBe(true);
+
+      await service.delete(mapId);
+
+      const persistence = service.yjsService.persistence;
+      expect(await persistence.getSnapshot(mapId)).toBeNull();
+      expect(await persistence.getUpdates(mapId)).toEqual([]);
+      await expect(service.getById(mapId)).rejects.toThrow('Map not found');
+      await service.close();
+    });
+  });
+
   describe('Maps Listing with Mixed Storage Types', () => {
     test('should list maps from both static JSON and Y.js documents', async () => {
       // ARRANGE: Create one static map
@@ -4,17 +4,24 @@ const YjsMetrics = require('../../../src/modules/yjs/metrics');
 // Mock dependencies
 jest.mock('yjs', () => ({
   Doc: jest.fn().mockImplementation(() => ({
+    clientID: 1,
     on: jest.fn(),
+    off: jest.fn(),
     destroy: jest.fn(),
   })),
   applyUpdate: jest.fn(),
   encodeStateAsUpdate: jest.fn(() => Buffer.from('mock-state')),
+  encodeStateVector: jest.fn(() => new Uint8Array([0])),
+  mergeUpdates: jest.fn((updates) => updates[0]),
 }));
 
 jest.mock('../../../src/modules/yjs/persistence', () => {
   return jest.fn().mockImplementation(() => ({
     getSnapshot: jest.fn().mockResolvedValue(null),
+    getUpdates: jest.fn().mockResolvedValue([]),
     saveSnapshot: jest.fn().mockResolvedValue(),
+    appendUpdate: jest.fn().mockResolvedValue(1),
+    compact: jest.fn().mockResolvedValue(1),
   }));
 });
 
@@ -40,6 +47,7 @@ describe('Enhanced Yjs Logging Integration', () => {
       recordRoomCreated: jest.fn(),
       recordClientConnected: jest.fn(),
       recordClientDisconnected: jest.fn(),
+      recordClientActivity: jest.fn(),
       recordWebSocketError: jest.fn(),
       recordMessageProcessingTime: jest.fn(),
     };
@@ -174,8 +182,9 @@ describe('Enhanced Yjs Logging Integration', () => {
 
       await yjsService.getOrCreateDocument(mapId);
 
-      // Simulate document update that triggers snapshot save
+      // Simulate a logged document update, then compact it into a snapshot
       await yjsService.handleDocumentUpdate(mapId, mockUpdate, 'local-update');
+      await yjsService.compactDocument(mapId);
 
       expect(mockLogger.debug).toHaveBeenCalledWith(
         'Yjs snapshot saved',
@@ -204,7 +213,7 @@ describe('Enhanced Yjs Logging Integration', () => {
 
     test('should log snapshot load events with restoration details', async () => {
       const mapId = 'test-map-with-snapshot';
-      const mockSnapshot = { snapshot: Buffer.from('mock-snapshot-data') };
+      const mockSnapshot = Buffer.from('mock-snapshot-data');
 
       // Mock persistence to return a snapshot
       const mockPersistence = yjsService.persistence;
@@ -224,7 +233,7 @@ describe('Enhanced Yjs Logging Integration', () => {
         'Yjs snapshot loaded',
         expect.objectContaining({
           mapId: expect.any(String),
-          snapshotSize: mockSnapshot.snapshot.length,
+          snapshotSize: mockSnapshot.length,
           loadLatency: expect.any(Number),
           restorationSuccess: true,
           documentState: expect.objectContaining({
@@ -235,7 +244,7 @@ describe('Enhanced Yjs Logging Integration', () => {
 
       expect(mockMetrics.recordSnapshotLoad).toHaveBeenCalledWith(
         mapId,
-        mockSnapshot.snapshot.length,
+        mockSnapshot.length,
         expect.any(Number),
       );
 
@@ -0,0 +1,171 @@
+const Y = require('yjs');
+const {
+  diffMapJSON,
+  diffText,
+  yDocToJSON,
+  createYDocFromJSON,
+  validateYDocSchema,
+} = require('../../../src/modules/yjs/json-converter');
+
+describe('json-converter diff', () => {
+  describe('diffText()', () => {
+    it('should report word-level insertions and deletions', () => {
+      expect(diffText('Buy milk today', 'Buy oat milk tomorrow')).toEqual([
+        { op: 'equal', text: 'Buy ' },
+        { op: 'insert', text: 'oat ' },
+        { op: 'equal', text: 'milk ' },
+        { op: 'delete', text: 'today' },
+        { op: 'insert', text: 'tomorrow' },
+      ]);
+    });
+
+    it('should handle empty strings on either side', () => {
+      expect(diffText('', 'new')).toEqual([{ op: 'insert', text: 'new' }]);
+      expect(diffText('old', '')).toEqual([{ op: 'delete', text: 'old' }]);
+      expect(diffText('', '')).toEqual([]);
+    });
+  });
+
+  describe('diffMapJSON()', () => {
+    const before = {
+      n: [
+        { i: 'a', p: [0, 0], c: 'Alpha' },
+        { i: 'b', p: [10, 10], c: 'Beta' },
+        { i: 'c', p: [20, 20], c: 'Gamma' },
+      ],
+      c: [
+        { f: 'a', t: 'b' },
+        { f: 'b', t: 'c' },
+      ],
+    };
+
+    it('should report notes added, removed, moved and edited', () => {
+      const after = {
+        n: [
+          { i: 'a', p: [5, 0], c: 'Alpha' },
+          { i: 'b', p: [10, 10], c: 'Beta two', color: 'red' },
+          { i: 'd', p: [30, 30], c: 'Delta' },
+        ],
+        c: [
+          { f: 'a', t: 'b' },
+          { f: 'a', t: 'd', type: 'line' },
+        ],
+      };
+
+      const diff = diffMapJSON(before, after);
+
+      expect(diff.notes.added).toEqual([{ i: 'd', p: [30, 30], c: 'Delta' }]);
+      expect(diff.notes.removed).toEqual([{ i: 'c', p: [20, 20], c: 'Gamma' }]);
+      expect(diff.notes.moved).toEqual([{ id: 'a', from: [0, 0], to: [5, 0] }]);
+      expect(diff.notes.edited).toEqual([
+        {
+          id: 'b',
+          before: 'Beta',
+          after: 'Beta two',
+          textChanges: [
+            { op: 'equal', text: 'Beta' },
+            { op: 'insert', text: ' two' },
+          ],
+          color: { from: 'default', to: 'red' },
+        },
+      ]);
+      expect(diff.connections).toEqual({
+        added: [{ f: 'a', t: 'd', type: 'line' }],
+        removed: [{ f: 'b', t: 'c' }],
+      });
+      expect(diff.summary).toEqual({
+        notesAdded: 1,
+        notesRemoved: 1,
+        notesMoved: 1,
+        notesEdited: 1,
+        connectionsAdded: 1,
+        connectionsRemoved: 1,
+      });
+    });
+
+    it('should report no changes for identical documents', () => {
+      const roundTripped = yDocToJSON(createYDocFromJSON(before));
+      const diff = diffMapJSON(before, roundTripped);
+
+      expect(Object.values(diff.summary).every((count) => count === 0)).toBe(
+        true,
+      );
+    });
+  });
+
+  describe('validateYDocSchema()', () => {
+    const valid = {
+      n: [
+        { i: 'a', p: [0, 0], c: 'Alpha' },
+        { i: 'b', p: [10, 0], c: 'Beta' },
+      ],
+      c: [{ f: 'a', t: 'b' }],
+    };
+
+    it('should accept documents built from map JSON and other roots', () => {
+      const doc = createYDocFromJSON(valid);
+      doc.getArray('scratch').insert(0, ['anything']);
+
+      expect(() => validateYDocSchema(doc)).not.toThrow();
+    });
+
+    it('should reject documents that break the schema or limits', () => {
+      const cases = [
+        [
+          // A client that writes the notes root as a list
+          (doc) => {
+            const client = new Y.Doc();
+            client.getArray('notes').insert(0, ['note']);
+            Y.applyUpdate(doc, Y.encodeStateAsUpdate(client));
+          },
+          'notes must be a Y.Map',
+        ],
+        [
+          (doc) => doc.getMap('notes').set('c', 'plain string'),
+          'Note c must be a Y.Map',
+        ],
+        [
+          (doc) => doc.getMap('notes').get('a').set('content', 'Alpha'),
+          'Note a content must be a Y.Text',
+        ],
+        [
+          (doc) => doc.getMap('notes').get('a').set('pos', [0]),
+          'Note position must be [x, y] array',
+        ],
+        [
+          (doc) =>
+            doc
+              .getMap('notes')
+              .get('a')
+              .get('content')
+              .insert(0, 'x'.repeat(10000)),
+          'Note content exceeds limit of 10000 characters',
+        ],
+        [
+          (doc) =>
+            doc.getMap('connections').set('a:a:arrow', { from: 'a', to: 'a' }),
+          'Self-connections not allowed',
+        ],
+        [
+          (doc) => doc.getMap('connections').set('x', { from: 'a' }),
+          'Connection x must have from and to',
+        ],
+        [
+          (doc) => {
+            const notes = doc.getMap('notes');
+            for (let i = notes.size; i <= 1000; i++) {
+              notes.set(`n${i}`, { content: '', pos: [0, 0] });
+            }
+          },
+          'Too many notes: 1001/1000',
+        ],
+      ];
+
+      for (const [corrupt, message] of cases) {
+        const doc = createYDocFromJSON(valid);
+        corrupt(doc);
+        expect(() => validateYDocSchema(doc)).toThrow(message);
+      }
+    });
+  });
+});
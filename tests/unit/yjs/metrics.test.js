@@ -196,6 +196,21 @@ describe('YjsMetrics', () => {
       expect(currentMetrics.clients.connectionsToday).toBe(1);
     });
 
+    test('should track client activity in the session', () => {
+      metrics.recordClientConnected('client-1', 'room-1');
+      jest.advanceTimersByTime(1000);
+
+      metrics.recordClientActivity('client-1', 120);
+      metrics.recordClientActivity('client-1', 30);
+      metrics.recordClientActivity('unknown-client', 10);
+
+      const session = metrics.sessionTracking.get('client-1');
+      expect(session.bytesTransferred).toBe(150);
+      expect(session.lastActivity.getTime()).toBeGreaterThan(
+        session.startTime.getTime(),
+      );
+    });
+
     test('should record client disconnections and calculate session duration', () => {
       const clientId = 'client-12345';
       const mapId = 'room-67890';
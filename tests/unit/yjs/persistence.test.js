@@ -216,6 +216,67 @@ describe('YjsPersistence', () => {
     });
   });
 
+  describe('update log', () => {
+    // Successive edits of one doc, each as an incremental update
+    const editUpdates = (count) => {
+      const doc = new Y.Doc();
+      const updates = [];
+      doc.on('update', (update) => updates.push(update));
+      for (let i = 0; i < count; i++) {
+        doc.getMap('mindmeld').set(`note-${i}`, `Note ${i}`);
+      }
+      return { doc, updates };
+    };
+
+    it('should append updates with increasing sequence numbers per map', async () => {
+      const { updates } = editUpdates(2);
+
+      expect(await persistence.appendUpdate('map-1', updates[0])).toBe(1);
+      expect(await persistence.appendUpdate('map-1', updates[1])).toBe(2);
+      expect(await persistence.appendUpdate('map-2', updates[0])).toBe(1);
+
+      const logged = await persistence.getUpdates('map-1');
+      expect(logged.map((entry) => entry.seq)).toEqual([1, 2]);
+      expect(logged[1].update).toEqual(updates[1]);
+      expect(await persistence.getUpdates('unknown')).toEqual([]);
+    });
+
+    it('should fold logged updates into the snapshot on compact', async () => {
+      const { doc, updates } = editUpdates(3);
+      for (const update of updates.slice(0, 2)) {
+        await persistence.appendUpdate('map-1', update);
+      }
+
+      // Updates after throughSeq stay in the log
+      await persistence.appendUpdate('map-1', updates[2]);
+      const removed = await persistence.compact(
+        'map-1',
+        Y.encodeStateAsUpdate(doc),
+        2,
+      );
+
+      expect(removed).toBe(2);
+      expect(
+        (await persistence.getUpdates('map-1')).map((entry) => entry.seq),
+      ).toEqual([3]);
+      const restored = new Y.Doc();
+      Y.applyUpdate(restored, await persistence.getSnapshot('map-1'));
+      expect(restored.getMap('mindmeld').get('note-2')).toBe('Note 2');
+    });
+
+    it('should delete the log together with the snapshot', async () => {
+      const { updates } = editUpdates(1);
+      await persistence.appendUpdate('map-1', updates[0]);
+
+      expect(await persistence.deleteSnapshot('map-1')).toBe(true);
+      expect(await persistence.getUpdates('map-1')).toEqual([]);
+      expect(await persistence.getStats()).toMatchObject({
+        totalUpdates: 0,
+        updatesSize: 0,
+      });
+    });
+  });
+
   describe('listSnapshots()', () => {
     it('should return empty array when no snapshots exist', async () => {
       const result = await persistence.listSnapshots();
@@ -0,0 +1,112 @@
+const EventEmitter = require('events');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+
+const {
+  MemoryPubSub,
+  SqlitePubSub,
+  createPubSub,
+} = require('../../../src/modules/yjs/pubsub');
+
+const tick = (ms = 0) => new Promise((resolve) => setTimeout(resolve, ms));
+
+describe('Yjs pub/sub', () => {
+  describe('MemoryPubSub', () => {
+    it('delivers to other instances on the hub, never the publisher', async () => {
+      const hub = new EventEmitter();
+      const a = new MemoryPubSub({ hub });
+      const b = new MemoryPubSub({ hub });
+      const received = { a: [], b: [] };
+      a.subscribe('yjs:map', (message) => received.a.push(message));
+      const unsubscribe = b.subscribe('yjs:map', (message) =>
+        received.b.push(message),
+      );
+      b.subscribe('yjs:other', (message) => received.b.push(message));
+
+      a.publish('yjs:map', new Uint8Array([1]));
+      await tick();
+      expect(received.a).toEqual([]);
+      expect(received.b).toEqual([new Uint8Array([1])]);
+
+      unsubscribe();
+      a.publish('yjs:map', new Uint8Array([2]));
+      await tick();
+      expect(received.b).toHaveLength(1);
+
+      b.close();
+      a.publish('yjs:other', new Uint8Array([3]));
+      await tick();
+      expect(received.b).toHaveLength(1);
+      expect(hub.eventNames()).toEqual(['yjs:map']);
+    });
+  });
+
+  describe('SqlitePubSub', () => {
+    let dbFile;
+    const buses = [];
+
+    const open = (options = {}) => {
+      const bus = new SqlitePubSub({ dbFile, pollIntervalMs: 10, ...options });
+      buses.push(bus);
+      return bus;
+    };
+
+    beforeEach(() => {
+      dbFile = path.join(
+        os.tmpdir(),
+        'yjs-pubsub-tests',
+        `pubsub-${Date.now()}-${Math.random().toString(36).slice(2)}.sqlite`,
+      );
+    });
+
+    afterEach(() => {
+      buses.splice(0).forEach((bus) => bus.close());
+      for (const suffix of ['', '-wal', '-shm']) {
+        fs.rmSync(`${dbFile}${suffix}`, { force: true });
+      }
+    });
+
+    it('relays messages between instances sharing a database file', async () => {
+      const a = open();
+      const b = open();
+      const received = { a: [], b: [] };
+      a.subscribe('yjs:map', (message) => received.a.push(message));
+      b.subscribe('yjs:map', (message) => received.b.push(message));
+
+      a.publish('yjs:map', new Uint8Array([1, 2]));
+      b.publish('yjs:other', new Uint8Array([3]));
+      await tick(50);
+
+      expect(received.a).toEqual([]);
+      expect(received.b).toEqual([new Uint8Array([1, 2])]);
+    });
+
+    it('skips messages published before it started and prunes old ones', async () => {
+      const a = open({ retentionMs: 0 });
+      a.publish('yjs:map', new Uint8Array([1]));
+
+      const b = open();
+      const received = [];
+      b.subscribe('yjs:map', (message) => received.push(message));
+      await tick(50);
+      expect(received).toEqual([]);
+
+      const remaining = a.db
+        .prepare('SELECT COUNT(*) AS count FROM yjs_pubsub_messages')
+        .get().count;
+      expect(remaining).toBe(0);
+    });
+  });
+
+  describe('createPubSub', () => {
+    it('returns null when replication is off and rejects unknown types', () => {
+      expect(createPubSub()).toBeNull();
+      expect(createPubSub({ type: 'none' })).toBeNull();
+      expect(createPubSub({ type: 'memory' })).toBeInstanceOf(MemoryPubSub);
+      expect(() => createPubSub({ type: 'redis' })).toThrow(
+        'Unknown Yjs pub/sub type: redis',
+      );
+    });
+  });
+});
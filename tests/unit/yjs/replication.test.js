@@ -0,0 +1,136 @@
+const EventEmitter = require('events');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const Y = require('yjs');
+
+const YjsService = require('../../../src/modules/yjs/service');
+const { MemoryPubSub } = require('../../../src/modules/yjs/pubsub');
+
+const tick = (ms = 0) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const logger = {
+  info: jest.fn(),
+  debug: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+};
+
+describe('YjsService replication', () => {
+  let dbFile;
+  let hub;
+  const services = [];
+
+  // Replicas share the Yjs database and a private in-process bus
+  const replica = (options = {}) => {
+    const service = new YjsService({
+      dbFile,
+      logger,
+      replication: { pubsub: new MemoryPubSub({ hub }) },
+      ...options,
+    });
+    services.push(service);
+    return service;
+  };
+
+  beforeEach(() => {
+    hub = new EventEmitter();
+    dbFile = path.join(
+      os.tmpdir(),
+      'yjs-replication-tests',
+      `replicas-${Date.now()}-${Math.random().toString(36).slice(2)}.sqlite`,
+    );
+  });
+
+  afterEach(async () => {
+    for (const service of services.splice(0)) {
+      await service.close();
+      service.persistence.close();
+    }
+    for (const suffix of ['', '-wal', '-shm']) {
+      fs.rmSync(`${dbFile}${suffix}`, { force: true });
+    }
+  });
+
+  it('relays updates to local clients of other replicas and logs them once', async () => {
+    const a = replica();
+    const b = replica();
+    const docA = await a.getOrCreateDocument('map-1');
+    const docB = await b.getOrCreateDocument('map-1');
+    const client = {
+      id: 'websocket-b',
+      readyState: 1,
+      send: jest.fn(),
+      close: jest.fn(),
+    };
+    b.connections.set('map-1', new Set([client]));
+
+    docA.getMap('notes').set('a', 'from a');
+    await tick();
+
+    expect(docB.getMap('notes').get('a')).toBe('from a');
+    expect(client.send).toHaveBeenCalled();
+    expect(await a.persistence.getUpdates('map-1')).toHaveLength(1);
+    expect(b.getStats().replication).toMatchObject({
+      pubsub: 'memory',
+      subscribedMaps: 1,
+    });
+  });
+
+  it('catches up on edits another replica has not persisted yet', async () => {
+    const a = replica();
+    const docA = await a.getOrCreateDocument('map-1');
+
+    // WebSocket edits wait for their batched write
+    const source = new Y.Doc();
+    source.getMap('notes').set('a', 'queued');
+    Y.applyUpdate(docA, Y.encodeStateAsUpdate(source), 'websocket-a');
+    expect(await a.persistence.getUpdates('map-1')).toEqual([]);
+
+    const b = replica();
+    const docB = await b.getOrCreateDocument('map-1');
+    await tick();
+
+    expect(docB.getMap('notes').get('a')).toBe('queued');
+  });
+
+  it('lets only the snapshot owner compact, folding in log entries of other replicas', async () => {
+    const compaction = { maxUpdates: 1 };
+    const a = replica({ compaction });
+    const b = replica({ compaction });
+    const docA = await a.getOrCreateDocument('map-1');
+    const docB = await b.getOrCreateDocument('map-1');
+
+    docA.getMap('notes').set('a', 'from a');
+    await tick();
+    expect(await a.persistence.getOwner('map-1')).toMatchObject({
+      ownerId: a.replicaId,
+    });
+
+    // B logs its edit but leaves the snapshot to A
+    docB.getMap('notes').set('b', 'from b');
+    await tick();
+    expect(await b.persistence.getUpdates('map-1')).toHaveLength(1);
+
+    // A replica that missed B's edit still compacts it into the snapshot
+    a.unsubscribeReplicas('map-1');
+    docA.getMap('notes').set('c', 'from a');
+    await tick();
+    expect(await a.persistence.getUpdates('map-1')).toEqual([]);
+    const snapshot = new Y.Doc();
+    Y.applyUpdate(snapshot, await a.persistence.getSnapshot('map-1'));
+    expect(snapshot.getMap('notes').toJSON()).toEqual({
+      a: 'from a',
+      b: 'from b',
+      c: 'from a',
+    });
+
+    // Shutting down hands the map over
+    await a.close();
+    docB.getMap('notes').set('d', 'from b');
+    await tick();
+    expect(await b.persistence.getOwner('map-1')).toMatchObject({
+      ownerId: b.replicaId,
+    });
+  });
+});
@@ -53,6 +53,7 @@ describe('YjsService deleteDocument', () => {
 
   afterEach(() => {
     service.close();
+    mockMetrics.destroy();
   });
 
   describe('deleteDocument', () => {
@@ -2,6 +2,15 @@ const YjsService = require('../../../src/modules/yjs/service');
 const YjsPersistence = require('../../../src/modules/yjs/persistence');
 const { EventEmitter } = require('events');
 const Y = require('yjs');
+const awarenessProtocol = require('y-protocols/awareness');
+const {
+  encodeUpdate,
+  encodeSyncStep1,
+  encodeAwareness,
+  readMessage,
+  addNote,
+  noteContents,
+} = require('../../utils/yjs-protocol');
 
 // Mock the persistence module
 jest.mock('../../../src/modules/yjs/persistence');
@@ -19,6 +28,9 @@ describe('YjsService', () => {
     mockPersistence = {
       saveSnapshot: jest.fn().mockResolvedValue(undefined),
       getSnapshot: jest.fn().mockResolvedValue(null),
+      getUpdates: jest.fn().mockResolvedValue([]),
+      appendUpdate: jest.fn().mockResolvedValue(1),
+      compact: jest.fn().mockResolvedValue(1),
       deleteSnapshot: jest.fn().mockResolvedValue(undefined),
       listSnapshots: jest.fn().mockResolvedValue([]),
     };
@@ -92,12 +104,7 @@ describe('YjsService', () => {
       // Create a proper Y.Doc state as snapshot data
       const tempDoc = new Y.Doc();
       const snapshotData = Y.encodeStateAsUpdate(tempDoc);
-      mockPersistence.getSnapshot.mockResolvedValue({
-        mapId,
-        snapshot: Buffer.from(snapshotData),
-        createdAt: new Date(),
-        version: 1,
-      });
+      mockPersistence.getSnapshot.mockResolvedValue(snapshotData);
 
       const doc = await yjsService.getOrCreateDocument(mapId);
 
@@ -113,6 +120,29 @@ describe('YjsService', () => {
       );
     });
 
+    it('should replay updates logged after the snapshot', async () => {
+      const mapId = 'test-map-id';
+      const source = new Y.Doc();
+      source.getMap('notes').set('a', 'snapshot');
+      const snapshot = Y.encodeStateAsUpdate(source);
+      const vector = Y.encodeStateVector(source);
+      source.getMap('notes').set('b', 'logged');
+      const update = Y.encodeStateAsUpdate(source, vector);
+      mockPersistence.getSnapshot.mockResolvedValue(snapshot);
+      mockPersistence.getUpdates.mockResolvedValue([{ seq: 4, update }]);
+
+      const doc = await yjsService.getOrCreateDocument(mapId);
+
+      expect(doc.getMap('notes').toJSON()).toEqual({
+        a: 'snapshot',
+        b: 'logged',
+      });
+      expect(yjsService.docMetadata.get(mapId).log).toMatchObject({
+        lastSeq: 4,
+        pendingUpdates: 1,
+      });
+    });
+
     it('should handle persistence errors gracefully', async () => {
       const mapId = 'test-map-id';
       const error = new Error('Persistence error');
@@ -169,15 +199,41 @@ describe('YjsService', () => {
       await yjsService.getOrCreateDocument(mapId);
     });
 
-    it('should save snapshot for local updates', async () => {
+    it('should append local updates to the update log', async () => {
       const updateData = new Uint8Array([1, 2, 3]);
       const origin = null; // Local update
 
       await yjsService.handleDocumentUpdate(mapId, updateData, origin);
 
-      expect(mockPersistence.saveSnapshot).toHaveBeenCalledWith(
+      expect(mockPersistence.appendUpdate).toHaveBeenCalledWith(
         mapId,
-        expect.any(Buffer),
+        updateData,
+      );
+      expect(mockPersistence.compact).not.toHaveBeenCalled();
+      expect(mockPersistence.saveSnapshot).not.toHaveBeenCalled();
+    });
+
+    it('should compact the update log once a threshold is reached', async () => {
+      yjsService.compaction.maxUpdates = 2;
+      yjsService.options.onDocumentCompacted = jest.fn();
+      mockPersistence.appendUpdate
+        .mockResolvedValueOnce(7)
+        .mockResolvedValueOnce(8);
+
+      await yjsService.handleDocumentUpdate(mapId, new Uint8Array([1]), null);
+      expect(mockPersistence.compact).not.toHaveBeenCalled();
+      expect(yjsService.options.onDocumentCompacted).not.toHaveBeenCalled();
+
+      await yjsService.handleDocumentUpdate(mapId, new Uint8Array([2]), null);
+      expect(mockPersistence.compact).toHaveBeenCalledWith(
+        mapId,
+        expect.any(Uint8Array),
+        8,
+      );
+      expect(yjsService.options.onDocumentCompacted).toHaveBeenCalledTimes(1);
+      expect(yjsService.options.onDocumentCompacted).toHaveBeenCalledWith(
+        mapId,
+        yjsService.docs.get(mapId),
       );
       expect(mockLogger.debug).toHaveBeenCalledWith(
         'Yjs snapshot saved',
@@ -196,28 +252,71 @@ describe('YjsService', () => {
       );
     });
 
-    it('should not save snapshot for remote updates', async () => {
-      const updateData = new Uint8Array([1, 2, 3]);
+    describe('remote updates', () => {
       const origin = 'websocket-client-123'; // Remote update
 
-      await yjsService.handleDocumentUpdate(mapId, updateData, origin);
+      // Two incremental updates of one client doc
+      const clientUpdates = () => {
+        const clientDoc = new Y.Doc();
+        const updates = [];
+        clientDoc.on('update', (update) => updates.push(update));
+        clientDoc.getMap('notes').set('a', 'first');
+        clientDoc.getMap('notes').set('b', 'second');
+        return updates;
+      };
 
-      expect(mockPersistence.saveSnapshot).not.toHaveBeenCalled();
-      expect(mockLogger.debug).toHaveBeenCalledWith(
-        'Skipping snapshot save for remote update',
-        { mapId, origin, updateSize: updateData.length },
-      );
+      it('should persist remote updates as one batch after the debounce delay', async () => {
+        yjsService.persistDebounce.delayMs = 20;
+
+        for (const update of clientUpdates()) {
+          await yjsService.handleDocumentUpdate(mapId, update, origin);
+        }
+        expect(mockPersistence.appendUpdate).not.toHaveBeenCalled();
+
+        await new Promise((resolve) => setTimeout(resolve, 60));
+
+        expect(mockPersistence.appendUpdate).toHaveBeenCalledTimes(1);
+        const merged = mockPersistence.appendUpdate.mock.calls[0][1];
+        const restored = new Y.Doc();
+        Y.applyUpdate(restored, merged);
+        expect(restored.getMap('notes').toJSON()).toEqual({
+          a: 'first',
+          b: 'second',
+        });
+      });
+
+      it('should flush queued remote updates on close', async () => {
+        for (const update of clientUpdates()) {
+          await yjsService.handleDocumentUpdate(mapId, update, origin);
+        }
+
+        await yjsService.close();
+
+        expect(mockPersistence.appendUpdate).toHaveBeenCalledTimes(1);
+        expect(yjsService.pendingUpdates.size).toBe(0);
+      });
+
+      it('should drop queued remote updates of a deleted document', async () => {
+        for (const update of clientUpdates()) {
+          await yjsService.handleDocumentUpdate(mapId, update, origin);
+        }
+
+        await yjsService.deleteDocument(mapId);
+        await yjsService.flushPendingUpdates();
+
+        expect(mockPersistence.appendUpdate).not.toHaveBeenCalled();
+      });
     });
 
     it('should handle persistence errors during save', async () => {
       const updateData = new Uint8Array([1, 2, 3]);
       const error = new Error('Save failed');
-      mockPersistence.saveSnapshot.mockRejectedValue(error);
+      mockPersistence.appendUpdate.mockRejectedValue(error);
 
       await yjsService.handleDocumentUpdate(mapId, updateData, null);
 
       expect(mockLogger.error).toHaveBeenCalledWith(
-        'Failed to save document snapshot',
+        'Failed to persist document update',
         { mapId, error: error.message },
       );
     });
@@ -282,12 +381,175 @@ describe('YjsService', () => {
 
       await yjsService.handleWebSocketConnection(mockWs, mockRequest);
 
-      const messageData = new Uint8Array([1, 2, 3, 4]);
+      const sourceDoc = new Y.Doc();
+      addNote(sourceDoc, 'n1', 'hello');
+      const update = Y.encodeStateAsUpdate(sourceDoc);
       const applySpy = jest.spyOn(yjsService, 'applyUpdateToDocument');
 
-      mockWs.emit('message', messageData);
+      mockWs.emit('message', encodeUpdate(update));
+
+      expect(applySpy).toHaveBeenCalledWith(mapId, update, mockWs);
+      expect(noteContents(yjsService.docs.get(mapId))).toEqual({ n1: 'hello' });
+    });
+
+    it('should answer sync step 1 with the missing state', async () => {
+      const mapId = 'test-map-id';
+      mockRequest.url = `/yjs/${mapId}`;
+      await yjsService.handleWebSocketConnection(mockWs, mockRequest);
+      yjsService.docs.get(mapId).getArray('notes').insert(0, ['server']);
+      mockWs.send.mockClear();
+
+      const clientDoc = new Y.Doc();
+      mockWs.emit('message', encodeSyncStep1(clientDoc));
+
+      expect(mockWs.send).toHaveBeenCalledTimes(1);
+      readMessage(mockWs.send.mock.calls[0][0], clientDoc);
+      expect(clientDoc.getArray('notes').toArray()).toEqual(['server']);
+    });
+
+    it('should drop updates but answer sync from read-only connections', async () => {
+      const mapId = 'test-map-id';
+      mockRequest.url = `/yjs/${mapId}`;
+      mockRequest.auth = { userId: 'viewer', role: 'viewer' };
+      await yjsService.handleWebSocketConnection(mockWs, mockRequest);
+      mockWs.send.mockClear();
+
+      const sourceDoc = new Y.Doc();
+      sourceDoc.getArray('notes').insert(0, ['intruder']);
+      mockWs.emit('message', encodeUpdate(Y.encodeStateAsUpdate(sourceDoc)));
+      mockWs.emit('message', encodeSyncStep1(new Y.Doc()));
+
+      expect(yjsService.docs.get(mapId).getArray('notes').length).toBe(0);
+      // Permission denied for the first edit, then the sync step 2
+      expect(mockWs.send).toHaveBeenCalledTimes(2);
+      expect(readMessage(mockWs.send.mock.calls[0][0], new Y.Doc()).type).toBe(
+        2,
+      );
+
+      mockWs.emit('message', encodeUpdate(Y.encodeStateAsUpdate(sourceDoc)));
+      expect(mockWs.send).toHaveBeenCalledTimes(2);
+      expect(yjsService.getStats().readOnlyConnections).toBe(1);
+    });
+
+    it('should make connections asking for ?mode=view read-only', async () => {
+      mockRequest.url = '/yjs/test-map-id?mode=view';
+      await yjsService.handleWebSocketConnection(mockWs, mockRequest);
+
+      expect(mockWs.readOnly).toBe(true);
+      expect(yjsService.countReadOnlyConnections('test-map-id')).toBe(1);
+      expect(yjsService.countReadOnlyConnections('other-map')).toBe(0);
+    });
+
+    it('should revert invalid updates and tell the client why', async () => {
+      const mapId = 'test-map-id';
+      mockRequest.url = `/yjs/${mapId}`;
+      await yjsService.handleWebSocketConnection(mockWs, mockRequest);
+      const doc = yjsService.docs.get(mapId);
+      addNote(doc, 'a', 'Alpha');
+      mockWs.send.mockClear();
+
+      // The client already holds its own edit, so it gets an undo
+      const clientDoc = new Y.Doc();
+      Y.applyUpdate(clientDoc, Y.encodeStateAsUpdate(doc));
+      const before = Y.encodeStateVector(clientDoc);
+      addNote(clientDoc, 'big', 'x'.repeat(10001));
+      clientDoc.getMap('notes').get('a').get('content').insert(5, '!');
+      mockWs.emit(
+        'message',
+        encodeUpdate(Y.encodeStateAsUpdate(clientDoc, before)),
+      );
+
+      expect(noteContents(doc)).toEqual({ a: 'Alpha' });
+      // The revert is broadcast once it is logged
+      await new Promise((resolve) => setImmediate(resolve));
+      const types = mockWs.send.mock.calls.map(([message]) =>
+        readMessage(message, clientDoc),
+      );
+      // Permission denied (y-protocols auth message) plus the undo
+      expect(types.map(({ type }) => type)).toContain(2);
+      expect(noteContents(clientDoc)).toEqual({ a: 'Alpha' });
+      expect(mockLogger.warn).toHaveBeenCalledWith(
+        'Rejected invalid Yjs update',
+        expect.objectContaining({
+          reason: 'Note content exceeds limit of 10000 characters',
+          reverted: true,
+        }),
+      );
+    });
+
+    it('should keep one staging copy per map in step with the live document', async () => {
+      const mapId = 'test-map-id';
+      mockRequest.url = `/yjs/${mapId}`;
+      await yjsService.handleWebSocketConnection(mockWs, mockRequest);
+      const doc = yjsService.docs.get(mapId);
+
+      const clientDoc = new Y.Doc();
+      addNote(clientDoc, 'a', 'Alpha');
+      mockWs.emit('message', encodeUpdate(Y.encodeStateAsUpdate(clientDoc)));
+      const staging = yjsService.stagingDocs.get(mapId);
+      expect(staging).toBeDefined();
+
+      // Edits that bypass validation still reach the copy
+      addNote(doc, 'b', 'Beta');
+      expect(noteContents(staging.doc)).toEqual({ a: 'Alpha', b: 'Beta' });
+
+      const before = Y.encodeStateVector(clientDoc);
+      addNote(clientDoc, 'c', 'Gamma');
+      mockWs.emit(
+        'message',
+        encodeUpdate(Y.encodeStateAsUpdate(clientDoc, before)),
+      );
+      expect(yjsService.stagingDocs.get(mapId)).toBe(staging);
+      expect(noteContents(doc)).toEqual({ a: 'Alpha', b: 'Beta', c: 'Gamma' });
+      // The copy counts against the memory budget
+      expect(yjsService.getResidentBytes()).toBe(
+        2 * yjsService.docMetadata.get(mapId).sizeBytes,
+      );
+
+      // Freed with the last connection
+      mockWs.emit('close');
+      expect(yjsService.stagingDocs.has(mapId)).toBe(false);
+      addNote(doc, 'd', 'Delta');
+      expect(noteContents(staging.doc)).not.toHaveProperty('d');
+    });
+
+    it('should relay awareness and remove it when the connection closes', async () => {
+      const mapId = 'test-map-id';
+      mockRequest.url = `/yjs/${mapId}`;
+      await yjsService.handleWebSocketConnection(mockWs, mockRequest);
+
+      const otherWs = new EventEmitter();
+      otherWs.send = jest.fn();
+      otherWs.close = jest.fn();
+      otherWs.readyState = 1;
+      await yjsService.handleWebSocketConnection(otherWs, {
+        url: `/yjs/${mapId}`,
+        headers: {},
+      });
 
-      expect(applySpy).toHaveBeenCalledWith(mapId, messageData, mockWs);
+      const clientAwareness = new awarenessProtocol.Awareness(new Y.Doc());
+      clientAwareness.setLocalState({ user: { name: 'Alice' } });
+      mockWs.emit('message', encodeAwareness(clientAwareness));
+
+      const peerAwareness = new awarenessProtocol.Awareness(new Y.Doc());
+      const receive = () =>
+        otherWs.send.mock.calls.forEach(([data]) =>
+          readMessage(data, new Y.Doc(), { awareness: peerAwareness }),
+        );
+      receive();
+      expect(peerAwareness.getStates().get(clientAwareness.clientID)).toEqual({
+        user: { name: 'Alice' },
+      });
+
+      otherWs.send.mockClear();
+      mockWs.emit('close');
+      receive();
+      expect(peerAwareness.getStates().has(clientAwareness.clientID)).toBe(
+        false,
+      );
+
+      clientAwareness.destroy();
+      peerAwareness.destroy();
     });
 
     it('should handle WebSocket close events', async () => {
@@ -444,7 +706,7 @@ describe('YjsService', () => {
       yjsService.broadcastUpdate(mapId, updateData, mockWs1);
 
       expect(mockWs1.send).not.toHaveBeenCalled(); // Origin should not receive
-      expect(mockWs2.send).toHaveBeenCalledWith(updateData);
+      expect(mockWs2.send).toHaveBeenCalledWith(encodeUpdate(updateData));
       expect(mockWs3.send).not.toHaveBeenCalled(); // Closed connection
     });
 
@@ -512,6 +774,100 @@ describe('YjsService', () => {
     });
   });
 
+  describe('document eviction', () => {
+    const settle = () => new Promise((resolve) => setTimeout(resolve, 20));
+
+    it('should evict documents idle past idleMs and reload them on demand', async () => {
+      yjsService.eviction.idleMs = 10;
+      const doc = await yjsService.getOrCreateDocument('idle-map');
+      doc.getMap('notes').set('a', 'kept');
+      await settle();
+
+      expect(await yjsService.enforceEvictionPolicy()).toBe(1);
+      expect(yjsService.docs.has('idle-map')).toBe(false);
+      expect(yjsService.docMetadata.has('idle-map')).toBe(false);
+      // The pending log is compacted into the snapshot first
+      expect(mockPersistence.compact).toHaveBeenCalledWith(
+        'idle-map',
+        expect.any(Uint8Array),
+        1,
+      );
+      expect(yjsService.getStats().eviction).toMatchObject({
+        idleMs: 10,
+        evicted: { idle: 1, maxDocuments: 0, memoryBudget: 0 },
+      });
+
+      await yjsService.getOrCreateDocument('idle-map');
+      expect(mockPersistence.getSnapshot).toHaveBeenCalledTimes(2);
+    });
+
+    it('should keep documents with connections resident', async () => {
+      yjsService.eviction.idleMs = 10;
+      await yjsService.getOrCreateDocument('busy-map');
+      yjsService.connections.set(
+        'busy-map',
+        new Set([{ readyState: 1, close: jest.fn() }]),
+      );
+      await settle();
+
+      expect(await yjsService.enforceEvictionPolicy()).toBe(0);
+      expect(yjsService.docs.has('busy-map')).toBe(true);
+    });
+
+    it('should evict the least recently used documents beyond maxDocuments', async () => {
+      yjsService.eviction.maxDocuments = 2;
+      await yjsService.getOrCreateDocument('map-a');
+      await settle();
+      await yjsService.getOrCreateDocument('map-b');
+      await settle();
+      await yjsService.getOrCreateDocument('map-a');
+      await settle();
+
+      await yjsService.getOrCreateDocument('map-c');
+      await yjsService.evictionSweep;
+
+      expect(Array.from(yjsService.docs.keys()).sort()).toEqual([
+        'map-a',
+        'map-c',
+      ]);
+      expect(yjsService.evictionStats.maxDocuments).toBe(1);
+    });
+
+    it('should evict documents beyond the memory budget', async () => {
+      const doc = await yjsService.getOrCreateDocument('large-map');
+      doc.getMap('notes').set('a', 'x'.repeat(2000));
+      yjsService.eviction.memoryBudgetBytes = 1000;
+      expect(
+        yjsService.getStats().eviction.estimatedMemoryBytes,
+      ).toBeGreaterThan(1000);
+
+      await yjsService.getOrCreateDocument('small-map');
+      await yjsService.evictionSweep;
+
+      expect(yjsService.docs.has('large-map')).toBe(false);
+      expect(yjsService.evictionStats.memoryBudget).toBe(1);
+    });
+
+    it('should persist queued WebSocket updates before evicting', async () => {
+      yjsService.eviction.idleMs = 10;
+      await yjsService.getOrCreateDocument('remote-map');
+      const clientDoc = new Y.Doc();
+      clientDoc.getMap('notes').set('a', 'remote');
+      await yjsService.handleDocumentUpdate(
+        'remote-map',
+        Y.encodeStateAsUpdate(clientDoc),
+        'websocket-client-1',
+      );
+      await settle();
+
+      await yjsService.enforceEvictionPolicy();
+
+      expect(mockPersistence.appendUpdate).toHaveBeenCalledTimes(1);
+      expect(yjsService.pendingUpdates.size).toBe(0);
+      expect(yjsService.docs.has('remote-map')).toBe(false);
+    });
+  });
+
   describe('close', () => {
     it('should close all WebSocket connections', async () => {
       const mapId1 = 'map-1';
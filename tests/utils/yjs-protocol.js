@@ -0,0 +1,144 @@
+/**
+ * Test utilities for speaking the y-websocket protocol
+ *
+ * The /yjs/:mapId endpoint frames every message as y-protocols sync or
+ * awareness messages; these helpers let tests act as a minimal client.
+ */
+
+const Y = require('yjs');
+const syncProtocol = require('y-protocols/sync');
+const awarenessProtocol = require('y-protocols/awareness');
+const encoding = require('lib0/encoding');
+const decoding = require('lib0/decoding');
+
+const messageSync = 0;
+const messageAwareness = 1;
+
+function encodeMessage(messageType, write) {
+  const encoder = encoding.createEncoder();
+  encoding.writeVarUint(encoder, messageType);
+  write(encoder);
+  return encoding.toUint8Array(encoder);
+}
+
+/**
+ * Sync update message carrying a Y update
+ */
+function encodeUpdate(update) {
+  return encodeMessage(messageSync, (encoder) =>
+    syncProtocol.writeUpdate(encoder, update),
+  );
+}
+
+/**
+ * Sync step 1 message (asks the server for what `doc` is missing)
+ */
+function encodeSyncStep1(doc) {
+  return encodeMessage(messageSync, (encoder) =>
+    syncProtocol.writeSyncStep1(encoder, doc),
+  );
+}
+
+/**
+ * Awareness message with the given clients' states
+ */
+function encodeAwareness(awareness, clientIds = [awareness.clientID]) {
+  return encodeMessage(messageAwareness, (encoder) =>
+    encoding.writeVarUint8Array(
+      encoder,
+      awarenessProtocol.encodeAwarenessUpdate(awareness, clientIds),
+    ),
+  );
+}
+
+/**
+ * Apply a server message to a doc (and awareness, if given)
+ * @returns {{type: number, syncType?: number, reply?: Uint8Array}} `reply`
+ *   is the sync step 2 answering a server step 1
+ */
+function readMessage(data, doc, { awareness, origin = 'remote' } = {}) {
+  const decoder = decoding.createDecoder(new Uint8Array(data));
+  const type = decoding.readVarUint(decoder);
+  if (type === messageSync) {
+    const encoder = encoding.createEncoder();
+    encoding.writeVarUint(encoder, messageSync);
+    const syncType = syncProtocol.readSyncMessage(
+      decoder,
+      encoder,
+      doc,
+      origin,
+    );
+    const reply =
+      encoding.length(encoder) > 1 ? encoding.toUint8Array(encoder) : undefined;
+    return { type, syncType, reply };
+  }
+  if (type === messageAwareness && awareness) {
+    awarenessProtocol.applyAwarenessUpdate(
+      awareness,
+      decoding.readVarUint8Array(decoder),
+      origin,
+    );
+  }
+  return { type };
+}
+
+/**
+ * Add a note shaped like the client schema (docs/yjs-dataprovider-contract.md);
+ * the server reverts client updates that do not match it
+ */
+function addNote(doc, id, content, pos = [0, 0]) {
+  const note = new Y.Map();
+  note.set('id', id);
+  note.set('pos', pos);
+  note.set('content', new Y.Text(content));
+  doc.getMap('notes').set(id, note);
+  return note;
+}
+
+/**
+ * Note contents of a doc by note id
+ */
+function noteContents(doc) {
+  return Object.fromEntries(
+    Array.from(doc.getMap('notes').entries(), ([id, note]) => [
+      id,
+      note.get('content').toString(),
+    ]),
+  );
+}
+
+/**
+ * Keep a Y.Doc in sync over a WebSocket, like a y-websocket provider:
+ * answers sync step 1, sends its own step 1 on open and forwards local edits
+ * @returns {Y.Doc}
+ */
+function syncDoc(ws, doc = new Y.Doc()) {
+  ws.on('message', (data) => {
+    const { reply } = readMessage(data, doc);
+    if (reply) {
+      ws.send(reply);
+    }
+  });
+  doc.on('update', (update, origin) => {
+    if (origin !== 'remote' && ws.readyState === 1) {
+      ws.send(encodeUpdate(update));
+    }
+  });
+  const start = () => ws.send(encodeSyncStep1(doc));
+  if (ws.readyState === 1) {
+    start();
+  } else {
+    ws.on('open', start);
+  }
+  return doc;
+}
+
+module.exports = {
+  encodeUpdate,
+  encodeSyncStep1,
+  encodeAwareness,
+  readMessage,
+  syncDoc,
+  addNote,
+  noteContents,
+};